@@ -0,0 +1,163 @@
+/**
+ * Acknowledgment Reset
+ * How long an acknowledged reminder (/ok, ✅ OK) keeps its keyword from starting new reminders for that user:
+ *   - message: never - the next hit reminds again (default)
+ *   - hour:    until the top of the next hour
+ *   - day:     until midnight
+ *   - week:    until Saturday 13:00
+ *   - forever: until /unblock
+ * Boundaries are evaluated in the user's own timezone. Alerts still go out while a keyword is blocked.
+ * Each user can pick a period (users.ack_reset in Supabase, "ackReset" in config/user-preferences.json);
+ * everyone else follows the admin's global default (reminders.ackReset in config/settings.json).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PERIODS = ['message', 'hour', 'day', 'week', 'forever'];
+const DEFAULT_PERIOD = 'message';
+const MINUTES_PER_DAY = 24 * 60;
+const WEEK_RESET = { day: 6, minutes: 13 * 60 }; // Saturday 13:00
+
+class AcknowledgmentReset {
+    constructor(supabase) {
+        this.supabase = supabase;
+        this.preferencesPath = path.join(__dirname, '../config/user-preferences.json');
+        this.settingsPath = path.join(__dirname, '../config/settings.json');
+        this.userPeriods = new Map(); // userId -> period
+        this.defaultPeriod = DEFAULT_PERIOD;
+    }
+
+    static get PERIODS() {
+        return [...PERIODS];
+    }
+
+    static isValid(period) {
+        return PERIODS.includes(period);
+    }
+
+    async load() {
+        try {
+            if (fs.existsSync(this.settingsPath)) {
+                const settings = JSON.parse(fs.readFileSync(this.settingsPath, 'utf8'));
+                const period = settings.reminders && settings.reminders.ackReset;
+                if (AcknowledgmentReset.isValid(period)) this.defaultPeriod = period;
+            }
+            if (fs.existsSync(this.preferencesPath)) {
+                const userPrefs = JSON.parse(fs.readFileSync(this.preferencesPath, 'utf8'));
+                for (const [userId, prefs] of Object.entries(userPrefs)) {
+                    if (prefs && AcknowledgmentReset.isValid(prefs.ackReset)) {
+                        this.userPeriods.set(userId, prefs.ackReset);
+                    }
+                }
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to load acknowledgment reset settings from file:', error.message);
+        }
+
+        // Supabase wins over the file backup
+        if (this.supabase && this.supabase.isEnabled()) {
+            const users = await this.supabase.getUsers();
+            for (const user of users || []) {
+                if (AcknowledgmentReset.isValid(user.ack_reset)) {
+                    this.userPeriods.set(user.user_id.toString(), user.ack_reset);
+                }
+            }
+        }
+    }
+
+    // The user's own period, or the global default
+    getPeriod(userId) {
+        return this.userPeriods.get(userId.toString()) || this.defaultPeriod;
+    }
+
+    hasOwnPeriod(userId) {
+        return this.userPeriods.has(userId.toString());
+    }
+
+    // period null goes back to the global default
+    async setUserPeriod(userId, period) {
+        const userIdStr = userId.toString();
+        if (period) {
+            this.userPeriods.set(userIdStr, period);
+        } else {
+            this.userPeriods.delete(userIdStr);
+        }
+
+        if (this.supabase && this.supabase.isEnabled()) {
+            const success = await this.supabase.setUserPreferences(userIdStr, { ack_reset: period || null });
+            if (!success) {
+                console.warn(`⚠️ Failed to save acknowledgment reset for user ${userIdStr} to Supabase`);
+            }
+        }
+
+        try {
+            let userPrefs = {};
+            if (fs.existsSync(this.preferencesPath)) {
+                userPrefs = JSON.parse(fs.readFileSync(this.preferencesPath, 'utf8'));
+            }
+            userPrefs[userIdStr] = { ...userPrefs[userIdStr], ackReset: period || null, lastUpdated: new Date().toISOString() };
+            if (!period) delete userPrefs[userIdStr].ackReset;
+            fs.writeFileSync(this.preferencesPath, JSON.stringify(userPrefs, null, 2));
+        } catch (error) {
+            console.error('Error saving acknowledgment reset preference to file:', error.message);
+        }
+    }
+
+    async setDefaultPeriod(period) {
+        this.defaultPeriod = period;
+        try {
+            const settings = fs.existsSync(this.settingsPath) ? JSON.parse(fs.readFileSync(this.settingsPath, 'utf8')) : {};
+            settings.reminders = { ...settings.reminders, ackReset: period };
+            fs.writeFileSync(this.settingsPath, JSON.stringify(settings, null, 2) + '\n');
+        } catch (error) {
+            console.error('Error saving default acknowledgment reset:', error.message);
+        }
+    }
+
+    /**
+     * What acknowledging now means for a user in `timezone`:
+     * null (nothing blocked), { period: 'forever', until: null } or { period, until: <ms> }
+     */
+    getSuppression(userId, timezone = 'Asia/Jerusalem', from = Date.now()) {
+        const period = this.getPeriod(userId);
+        if (period === 'message') return null;
+        if (period === 'forever') return { period, until: null };
+        return { period, until: this.getPeriodEnd(period, timezone, from) };
+    }
+
+    // End of the current hour / day / week in the user's timezone
+    getPeriodEnd(period, timezone, from = Date.now()) {
+        let localTime;
+        try {
+            localTime = new Date(new Date(from).toLocaleString('en-US', { timeZone: timezone }));
+        } catch (error) {
+            localTime = new Date(from); // Unknown timezone name
+        }
+        const minuteOfDay = localTime.getHours() * 60 + localTime.getMinutes();
+
+        let minutesUntil;
+        if (period === 'hour') {
+            minutesUntil = 60 - localTime.getMinutes();
+        } else if (period === 'day') {
+            minutesUntil = MINUTES_PER_DAY - minuteOfDay;
+        } else {
+            const minuteOfWeek = localTime.getDay() * MINUTES_PER_DAY + minuteOfDay;
+            const resetMinute = WEEK_RESET.day * MINUTES_PER_DAY + WEEK_RESET.minutes;
+            minutesUntil = ((resetMinute - minuteOfWeek) + 7 * MINUTES_PER_DAY) % (7 * MINUTES_PER_DAY) || 7 * MINUTES_PER_DAY;
+        }
+        return from - (from % 60000) + minutesUntil * 60 * 1000;
+    }
+
+    describePeriod(period) {
+        return {
+            message: 'per message - the next hit reminds again',
+            hour: 'per hour - blocked until the top of the hour',
+            day: 'per day - blocked until midnight',
+            week: 'per week - blocked until Saturday 13:00',
+            forever: 'forever - blocked until /unblock'
+        }[period] || period;
+    }
+}
+
+module.exports = AcknowledgmentReset;
@@ -0,0 +1,122 @@
+/**
+ * Audit Log
+ * Append-only record of administrative actions: who did what to whom, when, and the value before and after.
+ * Entries live in the Supabase audit_log table when enabled, otherwise (or when an insert fails) in
+ * config/audit-log.jsonl. Nothing is ever updated or deleted - /audit and GET /audit only read them back.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LIMIT = 500;
+const MAX_VALUE_LENGTH = 2000; // Keeps a huge keyword rule or email list from bloating an entry
+const CSV_COLUMNS = ['timestamp', 'actor', 'actorName', 'action', 'target', 'before', 'after', 'details'];
+
+class AuditLog {
+    constructor(supabase) {
+        this.supabase = supabase;
+        this.storagePath = path.join(__dirname, '../config/audit-log.jsonl');
+    }
+
+    useSupabase() {
+        return Boolean(this.supabase && this.supabase.isEnabled());
+    }
+
+    /**
+     * Append one entry: { actor, actorName, action, target, before, after, details }.
+     * action is "area.verb" (e.g. "user.approve", "keyword.remove"); before/after are any JSON values.
+     * Never throws - an audit failure must not break the command that was audited.
+     */
+    async record({ actor = null, actorName = null, action, target = null, before = null, after = null, details = null }) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            actor: actor === null ? null : actor.toString(),
+            actorName: actorName || null,
+            action,
+            target: target === null || target === undefined ? null : target.toString(),
+            before: this.limitValue(before),
+            after: this.limitValue(after),
+            details: this.limitValue(details)
+        };
+
+        try {
+            if (this.useSupabase() && await this.supabase.addAuditEntry(entry)) {
+                return entry;
+            }
+            fs.appendFileSync(this.storagePath, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            console.error(`❌ Failed to write audit entry ${action}:`, error.message);
+        }
+        return entry;
+    }
+
+    limitValue(value) {
+        if (value === undefined || value === null) return null;
+        const json = JSON.stringify(value);
+        return json.length > MAX_VALUE_LENGTH ? `${json.substring(0, MAX_VALUE_LENGTH)}…` : value;
+    }
+
+    /**
+     * Newest first. user matches the actor or the target; since/until are ISO timestamps.
+     * With Supabase, entries that fell back to the file are included too.
+     */
+    async getEntries({ user = null, actor = null, action = null, target = null, since = null, until = null, limit = DEFAULT_LIMIT } = {}) {
+        const filters = { user, actor, action, target, since, until };
+        let entries = [];
+        if (this.useSupabase()) {
+            entries = (await this.supabase.getAuditEntries(filters, limit)) || [];
+        }
+
+        const fileEntries = this.readFile().filter(entry => this.matches(entry, filters));
+        if (fileEntries.length > 0) {
+            entries = entries.concat(fileEntries).sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+        }
+        return entries.slice(0, limit);
+    }
+
+    readFile() {
+        try {
+            if (!fs.existsSync(this.storagePath)) return [];
+            return fs.readFileSync(this.storagePath, 'utf8')
+                .split('\n')
+                .filter(line => line.trim())
+                .map(line => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (error) {
+                        return null; // Skip a line cut off by a crash mid-write
+                    }
+                })
+                .filter(Boolean)
+                .reverse();
+        } catch (error) {
+            console.error('❌ Error reading audit log:', error.message);
+            return [];
+        }
+    }
+
+    matches(entry, { user, actor, action, target, since, until }) {
+        if (user && entry.actor !== String(user) && entry.target !== String(user)) return false;
+        if (actor && entry.actor !== String(actor)) return false;
+        // "user" matches every user.* action, "user.approve" just that one
+        if (action && entry.action !== action && !entry.action.startsWith(`${action}.`)) return false;
+        if (target && entry.target !== String(target)) return false;
+        if (since && entry.timestamp < since) return false;
+        if (until && entry.timestamp > until) return false;
+        return true;
+    }
+
+    static toCsv(entries) {
+        const cell = value => {
+            if (value === null || value === undefined) return '';
+            let text = typeof value === 'string' ? value : JSON.stringify(value);
+            // Spreadsheets run cells starting with = + - @ as formulas; keywords and names are user input
+            if (/^[=+\-@]/.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = entries.map(entry => CSV_COLUMNS.map(column => cell(entry[column])).join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+    }
+}
+
+module.exports = AuditLog;
@@ -6,7 +6,10 @@ const fs = require('fs');
 // Import our modules
 const WhatsAppConnection = require('./whatsapp');
 const KeywordDetector = require('./keywordDetector');
+const MessageHistory = require('./messageHistory');
+const AuditLog = require('./auditLog');
 const Notifier = require('./notifier');
+const KeywordPriority = require('./keywordPriority');
 const KeepAliveService = require('./keep-alive');
 const TelegramCommandHandler = require('./telegram-commands');
 const { logger, logKeywordDetection, logBotEvent, logError } = require('./logger');
@@ -28,7 +31,15 @@ class WhatsAppKeywordBot {
         }).catch(err => {
             console.error('❌ Failed to load keywords:', err);
         });
+        this.messageHistory = new MessageHistory(this.keywordDetector.supabase); // Optional archive for /search
+        this.auditLog = new AuditLog(this.keywordDetector.supabase); // Append-only log of admin actions (/audit)
         this.notifier = new Notifier();
+        this.notifier.matchFeedback = this.keywordDetector.matchFeedback; // Alerts register 👍/👎 feedback with the detector
+        this.notifier.keywordDetector = this.keywordDetector; // Keyword priorities pick channels, reminders and the quiet-hours bypass
+        this.notifier.authorization.setDataStore(this.keywordDetector.dataStore); // User changes write through to the detector's cache
+        if (process.env.SUPABASE_REALTIME === 'true' && this.keywordDetector.dataStore.startRealtime()) {
+            console.log('📡 Listening for Supabase changes to users, personal keywords and group subscriptions');
+        }
         this.connections = new Map(); // Store multiple WhatsApp connections
         this.keepAlive = new KeepAliveService(); // Anti-sleep mechanism
         this.commandHandler = null; // Telegram command handler
@@ -112,7 +123,7 @@ class WhatsAppKeywordBot {
                 }
                 
                 // Send status update to admins only during development stage
-                this.notifier.sendBotStatus('Connected', `Phone ${actualPhone} is now connected and monitoring WhatsApp messages`, true);
+                this.notifier.sendBotStatus('connected', { key: 'botStatus.phoneConnected', params: { phone: actualPhone } }, true);
             });
 
             connection.on('disconnected', (disconnectInfo) => {
@@ -150,8 +161,10 @@ class WhatsAppKeywordBot {
                         if (!connection.isConnected) {
                             const actualPhone = this.getActualPhoneNumber(connection, phoneNumber);
                             console.log(`⚠️ Soft disconnect (code ${capturedDisconnectInfo.reason}) did not reconnect within ${softDisconnectTimeout/1000}s - sending notification`);
-                            const details = `Phone: ${actualPhone}\nDisconnect reason: ${capturedDisconnectInfo.reason || 'Unknown'}\nMessage: ${capturedDisconnectInfo.message || 'Bot lost connection to WhatsApp'}\n\n⚠️ Reconnection failed after ${softDisconnectTimeout/1000} seconds`;
-                            this.notifier.sendBotStatus('Disconnected', details, true);
+                            this.notifier.sendBotStatus('disconnected', {
+                                key: 'botStatus.reconnectFailedPhone',
+                                params: { phone: actualPhone, ...this.describeDisconnect(capturedDisconnectInfo), seconds: softDisconnectTimeout / 1000 }
+                            }, true);
                             connection._lastDisconnectWasSoft = false; // Reset so we'll notify on reconnect
                         }
                         connection._softDisconnectTimeout = null;
@@ -170,23 +183,17 @@ class WhatsAppKeywordBot {
                     console.log('ℹ️ Cleared soft disconnect timeout - hard disconnect detected');
                 }
                 
-                let details = '';
+                let details = null;
                 if (disconnectInfo) {
                     if (disconnectInfo.isVirtualNumberExpired) {
-                        details = '🚨 VIRTUAL NUMBER MAY HAVE EXPIRED!\n\n' +
-                                 '📋 Action Required:\n' +
-                                 '1. Check virtual number status with provider\n' +
-                                 '2. Renew or get new virtual number\n' +
-                                 '3. Update bot configuration\n' +
-                                 '4. Restart bot and scan new QR code\n\n' +
-                                 '💡 Check logs for more details';
-                        this.notifier.sendCriticalAlert('Virtual Number Expired', details);
+                        details = { key: 'botStatus.virtualNumberExpired' };
+                        this.notifier.sendCriticalAlert('virtualNumberExpired', details);
                     } else {
-                        details = `Phone: ${actualPhone}\nDisconnect reason: ${disconnectInfo.reason || 'Unknown'}\nMessage: ${disconnectInfo.message || 'Bot lost connection to WhatsApp'}`;
-                        this.notifier.sendBotStatus('Disconnected', details, true);
+                        details = { key: 'botStatus.disconnectedPhone', params: { phone: actualPhone, ...this.describeDisconnect(disconnectInfo) } };
+                        this.notifier.sendBotStatus('disconnected', details, true);
                     }
                 } else {
-                    this.notifier.sendBotStatus('Disconnected', `Phone ${actualPhone} lost connection to WhatsApp`, true);
+                    this.notifier.sendBotStatus('disconnected', { key: 'botStatus.phoneLost', params: { phone: actualPhone } }, true);
                 }
             });
 
@@ -219,6 +226,18 @@ class WhatsAppKeywordBot {
         }
     }
 
+    /**
+     * Reason and message for the botStatus.* disconnect texts, with catalog fallbacks
+     * @param {Object} disconnectInfo - The connection's disconnect info
+     * @returns {Object} - { reason, message } params for Notifier.sendBotStatus
+     */
+    describeDisconnect(disconnectInfo) {
+        return {
+            reason: disconnectInfo.reason || { key: 'botStatus.unknownReason' },
+            message: disconnectInfo.message || { key: 'botStatus.botLost' }
+        };
+    }
+
     /**
      * Force QR code generation for a specific phone or all phones
      * @param {string} phoneNumber - Optional phone number, if not provided, generates for all phones
@@ -384,6 +403,62 @@ class WhatsAppKeywordBot {
             }
         });
 
+        // Detection dry-run endpoint (protected)
+        // Body: { text, group?, userId?, trace? } - trace: true adds the per-keyword explanation
+        this.app.post('/detect', requireAuth, async (req, res) => {
+            try {
+                const { text, group, userId, trace } = req.body || {};
+                if (!text || typeof text !== 'string') {
+                    return res.status(400).json({ success: false, error: 'text is required' });
+                }
+
+                const result = await this.keywordDetector.explainDetection(text, { groupName: group, userId });
+                if (!trace) {
+                    delete result.keywords;
+                }
+                res.json({ success: true, ...result });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Audit log endpoint (protected, and only once ADMIN_API_KEY is set - entries name users and emails)
+        // Query: user, actor, action, target, since, until (ISO dates), days, limit, format=csv
+        this.app.get('/audit', requireAuth, async (req, res) => {
+            try {
+                if (!process.env.ADMIN_API_KEY) {
+                    return res.status(403).json({ success: false, error: 'Set ADMIN_API_KEY to use the audit log endpoint' });
+                }
+
+                const { user, actor, action, target, format } = req.query;
+                const days = parseFloat(req.query.days);
+                const limit = Math.min(parseInt(req.query.limit, 10) || 500, 5000);
+                let since = req.query.since ? new Date(req.query.since) : null;
+                const until = req.query.until ? new Date(req.query.until) : null;
+                if (!since && days > 0) {
+                    since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+                }
+                if ((since && isNaN(since)) || (until && isNaN(until))) {
+                    return res.status(400).json({ success: false, error: 'since and until must be dates, e.g. 2024-05-01' });
+                }
+
+                const entries = await this.auditLog.getEntries({
+                    user, actor, action, target, limit,
+                    since: since ? since.toISOString() : null,
+                    until: until ? until.toISOString() : null
+                });
+
+                if (format === 'csv') {
+                    res.set('Content-Type', 'text/csv; charset=utf-8');
+                    res.set('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+                    return res.send(AuditLog.toCsv(entries));
+                }
+                res.json({ success: true, count: entries.length, entries });
+            } catch (error) {
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
         // Root endpoint
         this.app.get('/', (req, res) => {
             res.json({
@@ -394,7 +469,9 @@ class WhatsAppKeywordBot {
                     health: '/health',
                     stats: '/stats',
                     testNotification: 'POST /test-notification',
-                    reloadKeywords: 'POST /reload-keywords'
+                    reloadKeywords: 'POST /reload-keywords',
+                    detect: 'POST /detect',
+                    audit: '/audit'
                 }
             });
         });
@@ -425,7 +502,7 @@ class WhatsAppKeywordBot {
                 return;
             }
             
-            this.notifier.sendBotStatus('Connected', 'Bot is now monitoring WhatsApp messages', true);
+            this.notifier.sendBotStatus('connected', { key: 'botStatus.botConnected' }, true);
         });
 
         this.whatsapp.on('disconnected', (disconnectInfo) => {
@@ -459,8 +536,10 @@ class WhatsAppKeywordBot {
                 this._softDisconnectTimeout = setTimeout(() => {
                     // If this timeout fires, it means we didn't reconnect (timeout would be cleared on reconnect)
                     console.log(`⚠️ Soft disconnect (code ${capturedDisconnectInfo.reason}) did not reconnect within ${softDisconnectTimeout/1000}s - sending notification`);
-                    const details = `Disconnect reason: ${capturedDisconnectInfo.reason || 'Unknown'}\nMessage: ${capturedDisconnectInfo.message || 'Bot lost connection to WhatsApp'}\n\n⚠️ Reconnection failed after ${softDisconnectTimeout/1000} seconds`;
-                    this.notifier.sendBotStatus('Disconnected', details, true);
+                    this.notifier.sendBotStatus('disconnected', {
+                        key: 'botStatus.reconnectFailed',
+                        params: { ...this.describeDisconnect(capturedDisconnectInfo), seconds: softDisconnectTimeout / 1000 }
+                    }, true);
                     this._lastDisconnectWasSoft = false; // Reset so we'll notify on reconnect
                     this._softDisconnectTimeout = null;
                 }, softDisconnectTimeout);
@@ -479,28 +558,22 @@ class WhatsAppKeywordBot {
             }
             
             let statusMessage = 'Bot lost connection to WhatsApp';
-            let details = '';
+            let details = null;
             
             if (disconnectInfo) {
                 statusMessage = disconnectInfo.message || statusMessage;
                 
                 if (disconnectInfo.isVirtualNumberExpired) {
-                    details = '🚨 VIRTUAL NUMBER MAY HAVE EXPIRED!\n\n' +
-                             '📋 Action Required:\n' +
-                             '1. Check virtual number status with provider\n' +
-                             '2. Renew or get new virtual number\n' +
-                             '3. Update bot configuration\n' +
-                             '4. Restart bot and scan new QR code\n\n' +
-                             '💡 Check logs for more details';
+                    details = { key: 'botStatus.virtualNumberExpired' };
                     
                     // Send critical alert to ALL authorized users
-                    this.notifier.sendCriticalAlert('Virtual Number Expired', details);
+                    this.notifier.sendCriticalAlert('virtualNumberExpired', details);
                 } else {
-                    details = `Disconnect reason: ${disconnectInfo.reason || 'Unknown'}`;
-                    this.notifier.sendBotStatus('Disconnected', details, true);
+                    details = { key: 'botStatus.disconnectReason', params: { reason: this.describeDisconnect(disconnectInfo).reason } };
+                    this.notifier.sendBotStatus('disconnected', details, true);
                 }
             } else {
-                this.notifier.sendBotStatus('Disconnected', 'Bot lost connection to WhatsApp', true);
+                this.notifier.sendBotStatus('disconnected', { key: 'botStatus.botLost' }, true);
             }
         });
     }
@@ -540,6 +613,9 @@ class WhatsAppKeywordBot {
             connection.antiBan.trackMessageProcessing();
             this.stats.messagesProcessed++;
 
+            // Archive for /search (no-op unless MESSAGE_HISTORY_ENABLED); not awaited so detection isn't delayed
+            this.messageHistory.record(messageData);
+
             // Prepare text for keyword detection (combine text and file name if present)
             let textToSearch = messageData.text || '';
             
@@ -550,7 +626,7 @@ class WhatsAppKeywordBot {
             }
 
             // Detect keywords in the message text and file name (global + personal for subscribed users only)
-            const detectedKeywords = await this.keywordDetector.detectKeywords(textToSearch, messageData.group);
+            const detectedKeywords = await this.keywordDetector.detectKeywords(textToSearch, messageData.group, { offsets: true });
 
             if (detectedKeywords.length > 0) {
                 this.stats.keywordsDetected += detectedKeywords.length;
@@ -565,31 +641,37 @@ class WhatsAppKeywordBot {
                 // Send notifications for global keywords to ALL authorized users
                 for (const keywordData of globalKeywords) {
                     try {
-                        const success = await this.notifier.sendKeywordAlert(
-                            keywordData.keyword,
-                            messageData.text,
-                            messageData.sender,
-                            messageData.group,
-                            messageData.id,
-                            actualPhone,
-                            keywordData.matchType,
-                            keywordData.token,
-                            messageData.attachment,
-                            false, // isReminder (first alert, not a reminder)
-                            0 // reminderCount (first alert)
-                        );
+                        const success = await this.notifier.sendAlert({
+                            keyword: keywordData.keyword,
+                            keywordType: 'global',
+                            message: messageData.text,
+                            sender: messageData.sender,
+                            group: messageData.group,
+                            messageId: messageData.id,
+                            phoneNumber: actualPhone,
+                            matchType: keywordData.matchType,
+                            matchedToken: keywordData.token,
+                            matchOffsets: keywordData.offsets, // Into textToSearch, which starts with the message text
+                            attachment: messageData.attachment
+                        });
 
                         if (success) {
                             this.stats.notificationsSent++;
                             
-                            // Start reminder system for global keywords for ALL authorized users
-                            const authorizedUsers = this.notifier.authorization.getAuthorizedUsers();
-                            console.log(`🔍 Global keyword "${keywordData.keyword}" - Found ${authorizedUsers.length} authorized users:`, authorizedUsers);
+                            // Start reminder system for global keywords for ALL authorized users (low priority keywords don't remind)
+                            const { priority, policy } = await this.notifier.getKeywordSettings(keywordData.keyword);
+                            const authorizedUsers = KeywordPriority.get(priority).reminders ? this.notifier.authorization.getAuthorizedUsers() : [];
+                            console.log(`🔍 Global keyword "${keywordData.keyword}" (${priority} priority) - reminders for ${authorizedUsers.length} authorized users:`, authorizedUsers);
                             
                             for (const userId of authorizedUsers) {
                                 console.log(`🔍 Processing reminder for userId: ${userId} (type: ${typeof userId})`);
-                                // Check if reminder already exists for this user
-                                const existingReminder = this.notifier.reminderManager.getReminders(userId);
+                                // Alerts queued for a digest or quiet hours summary don't start reminders
+                                if (await this.notifier.isDeliveryDeferred(userId, keywordData.keyword)) {
+                                    continue;
+                                }
+
+                                // Check if this user already has a reminder for this keyword (other keywords keep their own reminders)
+                                const existingReminder = this.notifier.reminderManager.getReminderForKeyword(userId, keywordData.keyword);
                                 
                                 // NOTE: Removed hasRecentlyAcknowledged check - reminders are deleted immediately after /ok, so no need to block
                                 
@@ -610,7 +692,9 @@ class WhatsAppKeywordBot {
                                         messageData.id,
                                         actualPhone,
                                         messageData.attachment,
-                                        true // isGlobal
+                                        true, // isGlobal
+                                        priority,
+                                        policy
                                     );
                                 } else {
                                     // New reminder - mark as global keyword reminder
@@ -623,7 +707,9 @@ class WhatsAppKeywordBot {
                                         messageData.id,
                                         actualPhone,
                                         messageData.attachment,
-                                        true // isGlobal
+                                        true, // isGlobal
+                                        priority,
+                                        policy
                                     );
                                 }
                             }
@@ -641,25 +727,34 @@ class WhatsAppKeywordBot {
                 // Send notifications for personal keywords to SPECIFIC users
                 for (const keywordData of personalKeywords) {
                     try {
-                        const success = await this.notifier.sendPersonalKeywordAlert(
-                            keywordData.keyword,
-                            messageData.text,
-                            messageData.sender,
-                            messageData.group,
-                            messageData.id,
-                            actualPhone,
-                            keywordData.userId,
-                            keywordData.matchType,
-                            keywordData.token,
-                            messageData.attachment
-                        );
+                        const success = await this.notifier.sendAlert({
+                            keyword: keywordData.keyword,
+                            keywordType: 'personal',
+                            userId: keywordData.userId,
+                            message: messageData.text,
+                            sender: messageData.sender,
+                            group: messageData.group,
+                            messageId: messageData.id,
+                            phoneNumber: actualPhone,
+                            matchType: keywordData.matchType,
+                            matchedToken: keywordData.token,
+                            matchOffsets: keywordData.offsets, // Into textToSearch, which starts with the message text
+                            attachment: messageData.attachment
+                        });
 
                         if (success) {
                             this.stats.notificationsSent++;
+
+                            // Alerts queued for a digest or quiet hours summary don't start reminders, nor do low priority keywords
+                            const { priority, policy } = await this.notifier.getKeywordSettings(keywordData.keyword, keywordData.userId);
+                            if (!KeywordPriority.get(priority).reminders ||
+                                await this.notifier.isDeliveryDeferred(keywordData.userId, keywordData.keyword, keywordData.userId)) {
+                                continue;
+                            }
                             
                             // Start reminder system for personal keywords
-                            // Check if reminder already exists for this user
-                            const existingReminder = this.notifier.reminderManager.getReminders(keywordData.userId);
+                            // Check if this user already has a reminder for this keyword (other keywords keep their own reminders)
+                            const existingReminder = this.notifier.reminderManager.getReminderForKeyword(keywordData.userId, keywordData.keyword);
                             
                             // NOTE: Removed hasRecentlyAcknowledged check - reminders are deleted immediately after /ok, so no need to block
                             
@@ -680,7 +775,10 @@ class WhatsAppKeywordBot {
                                     messageData.group,
                                     messageData.id,
                                     actualPhone,
-                                    messageData.attachment
+                                    messageData.attachment,
+                                    false, // isGlobal
+                                    priority,
+                                    policy
                                 );
                             } else {
                                 // New reminder OR different keyword - add new reminder
@@ -692,7 +790,10 @@ class WhatsAppKeywordBot {
                                     messageData.group,
                                     messageData.id,
                                     actualPhone,
-                                    messageData.attachment
+                                    messageData.attachment,
+                                    false, // isGlobal
+                                    priority,
+                                    policy
                                 );
                             }
                         }
@@ -777,25 +878,26 @@ class WhatsAppKeywordBot {
                     const uptimeHours = Math.floor(uptimeMinutes / 60);
                     const uptimeDays = Math.floor(uptimeHours / 24);
                     
-                    let uptimeStr = '';
+                    let uptime;
                     if (uptimeDays > 0) {
-                        uptimeStr = `${uptimeDays} day(s), ${uptimeHours % 24} hour(s)`;
+                        uptime = { key: 'botStatus.uptimeDays', params: { days: uptimeDays, hours: uptimeHours % 24 } };
                     } else if (uptimeHours > 0) {
-                        uptimeStr = `${uptimeHours} hour(s), ${uptimeMinutes % 60} minute(s)`;
+                        uptime = { key: 'botStatus.uptimeHours', params: { hours: uptimeHours, minutes: uptimeMinutes % 60 } };
                     } else {
-                        uptimeStr = `${uptimeMinutes} minute(s)`;
+                        uptime = { key: 'botStatus.uptimeMinutes', params: { minutes: uptimeMinutes } };
                     }
+                    const params = { uptime, messages: this.stats.messagesProcessed, keywords: this.stats.keywordsDetected };
                     
                     if (connectedPhones.length > 0) {
                         // Bot is connected - send normal status
-                        this.notifier.sendBotStatus('Running', 
-                            `Uptime: ${uptimeStr}\nMessages: ${this.stats.messagesProcessed}\nKeywords: ${this.stats.keywordsDetected}\nConnected phones: ${connectedPhones.join(', ')}`,
+                        this.notifier.sendBotStatus('running', 
+                            { key: 'botStatus.daily', params: { ...params, phones: connectedPhones.join(', ') } },
                             true // adminOnly = true
                         );
                     } else {
                         // Bot is disconnected - send alert
-                        this.notifier.sendBotStatus('Disconnected', 
-                            `⚠️ Bot is currently disconnected from WhatsApp.\n\nUptime: ${uptimeStr}\nMessages: ${this.stats.messagesProcessed}\nKeywords: ${this.stats.keywordsDetected}\n\nPlease check the bot status and reconnect if needed.`,
+                        this.notifier.sendBotStatus('disconnected', 
+                            { key: 'botStatus.dailyDisconnected', params },
                             true // adminOnly = true
                         );
                     }
@@ -895,7 +997,7 @@ class WhatsAppKeywordBot {
             if (this.commandHandler) {
                 this.commandHandler.stop(); // Stop Telegram polling
             }
-            this.notifier.sendBotStatus('Shutting Down', 'Bot is being stopped');
+            this.notifier.sendBotStatus('shuttingDown', { key: 'botStatus.stopping' });
             process.exit(0);
         });
 
@@ -905,7 +1007,7 @@ class WhatsAppKeywordBot {
             if (this.commandHandler) {
                 this.commandHandler.stop(); // Stop Telegram polling
             }
-            this.notifier.sendBotStatus('Shutting Down', 'Bot received termination signal');
+            this.notifier.sendBotStatus('shuttingDown', { key: 'botStatus.terminated' });
             process.exit(0);
         });
     }
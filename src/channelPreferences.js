@@ -0,0 +1,143 @@
+/**
+ * Channel Preferences
+ * Which notification channels each user gets keyword alerts on (/channels). Stored in users.notification_channels
+ * (Supabase) and "notificationChannels" in config/user-preferences.json:
+ *   { "default": ["telegram"], "priorities": { "critical": ["telegram", "email"] }, "keywords": { "fire": ["email"] } }
+ * The most specific choice wins: the keyword's, then the priority's, then the user's default. Users who haven't
+ * chosen follow the keyword priority's channels. Only this object form counts - the column's old '["telegram"]'
+ * default was never read, so plain lists are ignored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SupabaseManager = require('./supabase');
+const KeywordPriority = require('./keywordPriority');
+
+class ChannelPreferences {
+    constructor() {
+        this.supabase = new SupabaseManager();
+        this.preferencesPath = path.join(__dirname, '../config/user-preferences.json');
+        this.userChannels = new Map(); // userId -> { default, priorities, keywords }
+    }
+
+    async load() {
+        try {
+            if (fs.existsSync(this.preferencesPath)) {
+                const userPrefs = JSON.parse(fs.readFileSync(this.preferencesPath, 'utf8'));
+                for (const [userId, prefs] of Object.entries(userPrefs)) {
+                    const normalized = this.normalize(prefs && prefs.notificationChannels);
+                    if (normalized) this.userChannels.set(userId, normalized);
+                }
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to load notification channel preferences from file:', error.message);
+        }
+
+        // Supabase wins over the file backup
+        if (this.supabase.isEnabled()) {
+            const users = await this.supabase.getUsers();
+            for (const user of users || []) {
+                const normalized = this.normalize(user.notification_channels);
+                if (normalized) this.userChannels.set(user.user_id.toString(), normalized);
+            }
+        }
+
+        if (this.userChannels.size > 0) {
+            console.log(`📡 Notification channel choices loaded for ${this.userChannels.size} user(s)`);
+        }
+    }
+
+    // null unless there is at least one choice
+    normalize(value) {
+        if (typeof value === 'string') {
+            try {
+                value = JSON.parse(value);
+            } catch (error) {
+                return null;
+            }
+        }
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+
+        const list = channels => (Array.isArray(channels) && channels.length > 0 ? [...new Set(channels.map(String))] : null);
+        const normalized = { priorities: {}, keywords: {} };
+        if (list(value.default)) normalized.default = list(value.default);
+        for (const [priority, channels] of Object.entries(value.priorities || {})) {
+            if (KeywordPriority.isValid(priority) && list(channels)) normalized.priorities[priority] = list(channels);
+        }
+        for (const [keyword, channels] of Object.entries(value.keywords || {})) {
+            if (list(channels)) normalized.keywords[keyword.toLowerCase()] = list(channels);
+        }
+        const hasChoice = normalized.default || Object.keys(normalized.priorities).length > 0 || Object.keys(normalized.keywords).length > 0;
+        return hasChoice ? normalized : null;
+    }
+
+    get(userId) {
+        return this.userChannels.get(userId.toString()) || null;
+    }
+
+    // The user's channels for an alert, or null when they haven't chosen any for it
+    getChannels(userId, keyword, priority) {
+        const preference = this.get(userId);
+        if (!preference) return null;
+        return preference.keywords[String(keyword).toLowerCase()] || preference.priorities[priority] || preference.default || null;
+    }
+
+    /**
+     * scope: 'default', 'priority' (key: low | normal | high | critical) or 'keyword' (key: the keyword).
+     * channels null removes that choice.
+     */
+    async setChannels(userId, scope, key, channels) {
+        const userIdStr = userId.toString();
+        const current = this.get(userIdStr) || { priorities: {}, keywords: {} };
+        const updated = { default: current.default, priorities: { ...current.priorities }, keywords: { ...current.keywords } };
+
+        if (scope === 'default') {
+            updated.default = channels;
+        } else {
+            const entries = scope === 'priority' ? updated.priorities : updated.keywords;
+            const entryKey = scope === 'priority' ? key : key.toLowerCase();
+            if (channels) {
+                entries[entryKey] = channels;
+            } else {
+                delete entries[entryKey];
+            }
+        }
+
+        const normalized = this.normalize(updated);
+        await this.save(userIdStr, normalized);
+        return normalized;
+    }
+
+    async reset(userId) {
+        await this.save(userId.toString(), null);
+    }
+
+    async save(userIdStr, value) {
+        if (value) {
+            this.userChannels.set(userIdStr, value);
+        } else {
+            this.userChannels.delete(userIdStr);
+        }
+
+        if (this.supabase.isEnabled()) {
+            const success = await this.supabase.setUserPreferences(userIdStr, { notification_channels: value });
+            if (!success) {
+                console.warn(`⚠️ Failed to save notification channels for user ${userIdStr} to Supabase`);
+            }
+        }
+
+        try {
+            let userPrefs = {};
+            if (fs.existsSync(this.preferencesPath)) {
+                userPrefs = JSON.parse(fs.readFileSync(this.preferencesPath, 'utf8'));
+            }
+            userPrefs[userIdStr] = { ...userPrefs[userIdStr], notificationChannels: value, lastUpdated: new Date().toISOString() };
+            if (!value) delete userPrefs[userIdStr].notificationChannels;
+            fs.writeFileSync(this.preferencesPath, JSON.stringify(userPrefs, null, 2));
+        } catch (error) {
+            console.error('Error saving notification channel preference to file:', error.message);
+        }
+    }
+}
+
+module.exports = ChannelPreferences;
@@ -0,0 +1,413 @@
+/**
+ * Digest Manager
+ * Per-user alert delivery preference and the queue of alerts waiting for a digest:
+ *   - immediate: every alert is sent on its own (default)
+ *   - batch:     alerts are collected and sent N minutes after the first one
+ *   - hourly:    sent at the top of every hour
+ *   - daily:     sent once a day at HH:MM in the user's timezone
+ * Quiet hours (a daily window such as 22:00-07:00) and do-not-disturb (/dnd 2h) hold alerts too;
+ * they are delivered as a summary once the quiet time ends.
+ * Preferences live with the other user preferences (users.alert_delivery / users.quiet_hours in Supabase,
+ * config/user-preferences.json). Pending alerts are kept in config/pending-digests.json so a restart doesn't lose them.
+ * Emits 'digestDue' (userId) when a digest is ready; the Notifier formats and sends it.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const SupabaseManager = require('./supabase');
+const MatchHighlight = require('./matchHighlight');
+const I18n = require('./i18n');
+
+const DELIVERY_MODES = ['immediate', 'batch', 'hourly', 'daily'];
+const DEFAULT_BATCH_MINUTES = 15;
+const MIN_BATCH_MINUTES = 5;
+const MAX_BATCH_MINUTES = 720;
+const DEFAULT_DAILY_TIME = '08:00';
+const MAX_PENDING_ALERTS = 500; // Per user - older alerts are only counted beyond this
+const EXCERPT_LENGTH = 160;
+const CHECK_INTERVAL_MS = 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+class DigestManager extends EventEmitter {
+    constructor() {
+        super();
+        this.supabase = new SupabaseManager();
+        this.preferencesPath = path.join(__dirname, '../config/user-preferences.json');
+        this.storagePath = path.join(__dirname, '../config/pending-digests.json');
+        this.preferences = new Map(); // userId -> { mode, intervalMinutes, time, timezone }
+        this.quietHours = new Map(); // userId -> { start, end, timezone, dndUntil }
+        this.pending = new Map(); // userId -> { alerts: [], dropped, since, dueAt }
+        this.checkTimer = null;
+        this.loadPreferences();
+        this.loadPending();
+        this.start();
+    }
+
+    // ==================== PREFERENCES ====================
+
+    async loadPreferences() {
+        try {
+            if (fs.existsSync(this.preferencesPath)) {
+                const userPrefs = JSON.parse(fs.readFileSync(this.preferencesPath, 'utf8'));
+                for (const [userId, prefs] of Object.entries(userPrefs)) {
+                    if (prefs && prefs.alertDelivery) {
+                        this.preferences.set(userId, this.normalizePreference(prefs.alertDelivery));
+                    }
+                    if (prefs && prefs.quietHours) {
+                        this.quietHours.set(userId, this.normalizeQuietHours(prefs.quietHours));
+                    }
+                }
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to load alert delivery preferences from file:', error.message);
+        }
+
+        // Supabase wins over the file backup
+        if (this.supabase.isEnabled()) {
+            const users = await this.supabase.getUsers();
+            for (const user of users || []) {
+                if (user.alert_delivery) {
+                    this.preferences.set(user.user_id.toString(), this.normalizePreference(user.alert_delivery));
+                }
+                if (user.quiet_hours) {
+                    this.quietHours.set(user.user_id.toString(), this.normalizeQuietHours(user.quiet_hours));
+                }
+            }
+        }
+
+        const digestUsers = [...this.preferences.values()].filter(preference => preference.mode !== 'immediate').length;
+        if (digestUsers > 0) {
+            console.log(`📬 Alert digests enabled for ${digestUsers} user(s)`);
+        }
+    }
+
+    normalizePreference(preference) {
+        const value = typeof preference === 'string' ? this.parseJson(preference) : preference;
+        const mode = value && DELIVERY_MODES.includes(value.mode) ? value.mode : 'immediate';
+        const normalized = { mode };
+        if (mode === 'batch') {
+            const minutes = parseInt(value.intervalMinutes, 10) || DEFAULT_BATCH_MINUTES;
+            normalized.intervalMinutes = Math.min(MAX_BATCH_MINUTES, Math.max(MIN_BATCH_MINUTES, minutes));
+        }
+        if (mode === 'daily') {
+            normalized.time = TIME_PATTERN.test(value.time) ? value.time : DEFAULT_DAILY_TIME;
+        }
+        if (mode !== 'immediate' && value.timezone) {
+            normalized.timezone = value.timezone;
+        }
+        return normalized;
+    }
+
+    parseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getPreference(userId) {
+        return this.preferences.get(userId.toString()) || { mode: 'immediate' };
+    }
+
+    isDigestUser(userId) {
+        return this.getPreference(userId).mode !== 'immediate';
+    }
+
+    // Save to Supabase and the preferences file; pending alerts are rescheduled for the new mode
+    async setPreference(userId, preference) {
+        const userIdStr = userId.toString();
+        const normalized = this.normalizePreference(preference);
+        this.preferences.set(userIdStr, normalized);
+        await this.saveUserPreference(userIdStr, 'alert_delivery', 'alertDelivery', normalized);
+
+        const entry = this.pending.get(userIdStr);
+        if (entry) {
+            entry.dueAt = normalized.mode === 'immediate' ? Date.now() : this.getNextDueTime(normalized, entry.since);
+            this.savePending();
+        }
+        return normalized;
+    }
+
+    // One preference in Supabase (users.<column>) and in config/user-preferences.json (<fileKey>); null removes it
+    async saveUserPreference(userId, column, fileKey, value) {
+        if (this.supabase.isEnabled()) {
+            const success = await this.supabase.setUserPreferences(userId, { [column]: value });
+            if (success) {
+                console.log(`💾 Saved ${column} preference to Supabase for user ${userId}`);
+            }
+        }
+
+        try {
+            let userPrefs = {};
+            if (fs.existsSync(this.preferencesPath)) {
+                userPrefs = JSON.parse(fs.readFileSync(this.preferencesPath, 'utf8'));
+            }
+            userPrefs[userId] = {
+                ...userPrefs[userId],
+                [fileKey]: value,
+                lastUpdated: new Date().toISOString()
+            };
+            if (value === null) {
+                delete userPrefs[userId][fileKey];
+            }
+            fs.writeFileSync(this.preferencesPath, JSON.stringify(userPrefs, null, 2));
+        } catch (error) {
+            console.error(`Error saving ${fileKey} preference to file:`, error.message);
+        }
+    }
+
+    // Keep daily digests and quiet hours in step with /timezone
+    async updateTimezone(userId, timezone) {
+        const preference = this.getPreference(userId);
+        if (preference.mode !== 'immediate' && preference.timezone !== timezone) {
+            await this.setPreference(userId, { ...preference, timezone });
+        }
+        const quiet = this.getQuietHours(userId);
+        if (quiet && quiet.start && quiet.timezone !== timezone) {
+            await this.setQuietHours(userId, { ...quiet, timezone });
+        }
+    }
+
+    // "batched every 30 minutes", "daily digest at 08:00 (Asia/Jerusalem)" ... from the message catalogs
+    describePreference(preference, language = 'en') {
+        switch (preference.mode) {
+            case 'batch':
+                return I18n.translate(language, 'delivery.modeBatch', { count: preference.intervalMinutes });
+            case 'hourly':
+                return I18n.translate(language, 'delivery.modeHourly');
+            case 'daily':
+                return preference.timezone
+                    ? I18n.translate(language, 'delivery.modeDailyTimezone', { time: preference.time, timezone: preference.timezone })
+                    : I18n.translate(language, 'delivery.modeDaily', { time: preference.time });
+            default:
+                return I18n.translate(language, 'delivery.modeImmediate');
+        }
+    }
+
+    // ==================== QUIET HOURS ====================
+
+    normalizeQuietHours(quiet) {
+        const value = typeof quiet === 'string' ? this.parseJson(quiet) : quiet;
+        if (!value) return null;
+
+        const normalized = {};
+        if (TIME_PATTERN.test(value.start) && TIME_PATTERN.test(value.end) && value.start !== value.end) {
+            normalized.start = value.start;
+            normalized.end = value.end;
+            normalized.timezone = value.timezone || 'Asia/Jerusalem';
+        }
+        if (Number(value.dndUntil) > Date.now()) {
+            normalized.dndUntil = Number(value.dndUntil);
+        }
+        return Object.keys(normalized).length > 0 ? normalized : null;
+    }
+
+    getQuietHours(userId) {
+        return this.quietHours.get(userId.toString()) || null;
+    }
+
+    // quiet: { start, end, timezone, dndUntil } - missing fields are cleared; null turns both off
+    async setQuietHours(userId, quiet) {
+        const userIdStr = userId.toString();
+        const normalized = quiet ? this.normalizeQuietHours(quiet) : null;
+        if (normalized) {
+            this.quietHours.set(userIdStr, normalized);
+        } else {
+            this.quietHours.delete(userIdStr);
+        }
+        await this.saveUserPreference(userIdStr, 'quiet_hours', 'quietHours', normalized);
+        return normalized;
+    }
+
+    // Do-not-disturb for the next durationMs (0 ends it); the daily quiet window is kept
+    async setDoNotDisturb(userId, durationMs) {
+        const quiet = { ...(this.getQuietHours(userId) || {}) };
+        delete quiet.dndUntil;
+        if (durationMs > 0) {
+            quiet.dndUntil = Date.now() + durationMs;
+        }
+        return await this.setQuietHours(userId, quiet);
+    }
+
+    isQuiet(userId, now = Date.now()) {
+        return this.getQuietEnd(userId, now) !== null;
+    }
+
+    // When the user's current quiet time ends, or null when they are not in quiet hours / do-not-disturb
+    getQuietEnd(userId, now = Date.now()) {
+        const quiet = this.getQuietHours(userId);
+        if (!quiet) return null;
+
+        let end = quiet.dndUntil && quiet.dndUntil > now ? quiet.dndUntil : null;
+        if (quiet.start && this.isInDailyWindow(quiet, now)) {
+            const windowEnd = this.getNextDailyTime(quiet.end, quiet.timezone, now);
+            end = Math.max(end || 0, windowEnd);
+        }
+        return end;
+    }
+
+    // Daily window in the user's timezone; the end is exclusive and windows may span midnight
+    isInDailyWindow(quiet, now = Date.now()) {
+        const localTime = new Date(new Date(now).toLocaleString('en-US', { timeZone: quiet.timezone }));
+        const current = localTime.getHours() * 60 + localTime.getMinutes();
+        const toMinutes = time => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        const start = toMinutes(quiet.start);
+        const end = toMinutes(quiet.end);
+        return start <= end ? current >= start && current < end : current >= start || current < end;
+    }
+
+    // True when a regular (non-critical) alert for this user waits in the queue instead of being sent
+    isDeferred(userId) {
+        return this.isDigestUser(userId) || this.isQuiet(userId);
+    }
+
+    // ==================== PENDING ALERTS ====================
+
+    loadPending() {
+        try {
+            if (fs.existsSync(this.storagePath)) {
+                const data = JSON.parse(fs.readFileSync(this.storagePath, 'utf8'));
+                this.pending = new Map(Object.entries(data));
+                if (this.pending.size > 0) {
+                    console.log(`📬 Loaded pending digests for ${this.pending.size} user(s)`);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Error loading pending digests:', error.message);
+            this.pending = new Map();
+        }
+    }
+
+    savePending() {
+        try {
+            fs.writeFileSync(this.storagePath, JSON.stringify(Object.fromEntries(this.pending), null, 2));
+        } catch (error) {
+            console.error('❌ Error saving pending digests:', error.message);
+        }
+    }
+
+    /**
+     * Queue one alert for a user's next digest.
+     * alert: { keyword, type: 'global'|'personal', group, sender, message, matchOffsets, matchType, matchedToken, attachment }
+     */
+    addAlert(userId, alert) {
+        const userIdStr = userId.toString();
+        const now = Date.now();
+        let entry = this.pending.get(userIdStr);
+        if (!entry) {
+            entry = { alerts: [], dropped: 0, since: now, dueAt: this.getNextDueTime(this.getPreference(userIdStr), now) };
+            this.pending.set(userIdStr, entry);
+        }
+        if (this.isQuiet(userIdStr, now)) {
+            entry.quiet = true; // Sent as a quiet hours summary
+        }
+
+        // Excerpt around the matched text when it can be found
+        const excerpt = MatchHighlight.render(alert, EXCERPT_LENGTH).replace(/\s+/g, ' ').trim();
+        entry.alerts.push({
+            keyword: alert.keyword,
+            type: alert.type || 'global',
+            group: alert.group || 'Unknown',
+            sender: alert.sender || 'Unknown',
+            excerpt,
+            matchType: alert.matchType || 'exact',
+            matchedToken: alert.matchedToken || null,
+            attachment: alert.attachment && alert.attachment.filename ? alert.attachment.filename : null,
+            timestamp: now
+        });
+        if (entry.alerts.length > MAX_PENDING_ALERTS) {
+            entry.alerts.shift();
+            entry.dropped++;
+        }
+        this.savePending();
+    }
+
+    getPendingCount(userId) {
+        const entry = this.pending.get(userId.toString());
+        return entry ? entry.alerts.length + entry.dropped : 0;
+    }
+
+    getNextDigestTime(userId) {
+        const entry = this.pending.get(userId.toString());
+        return entry ? entry.dueAt : null;
+    }
+
+    // Remove and return a user's pending digest (null when empty)
+    takePending(userId) {
+        const userIdStr = userId.toString();
+        const entry = this.pending.get(userIdStr);
+        if (!entry) return null;
+        this.pending.delete(userIdStr);
+        this.savePending();
+        return entry.alerts.length > 0 ? entry : null;
+    }
+
+    // Put a digest back after a failed send; alerts that arrived meanwhile are kept after it
+    restorePending(userId, entry) {
+        const userIdStr = userId.toString();
+        const current = this.pending.get(userIdStr);
+        if (current) {
+            entry.alerts.push(...current.alerts);
+            entry.dropped += current.dropped;
+        }
+        entry.dueAt = Date.now() + CHECK_INTERVAL_MS * 5;
+        this.pending.set(userIdStr, entry);
+        this.savePending();
+    }
+
+    // ==================== SCHEDULING ====================
+
+    getNextDueTime(preference, from) {
+        switch (preference.mode) {
+            case 'batch':
+                return from + preference.intervalMinutes * 60 * 1000;
+            case 'hourly': {
+                const next = new Date(from);
+                next.setMinutes(60, 0, 0);
+                return next.getTime();
+            }
+            case 'daily':
+                return this.getNextDailyTime(preference.time, preference.timezone, from);
+            default:
+                return from;
+        }
+    }
+
+    getNextDailyTime(time, timezone = 'Asia/Jerusalem', from = Date.now()) {
+        const localTime = new Date(new Date(from).toLocaleString('en-US', { timeZone: timezone }));
+        const currentMinutes = localTime.getHours() * 60 + localTime.getMinutes();
+        const [hours, minutes] = time.split(':').map(Number);
+        const minutesUntil = ((hours * 60 + minutes - currentMinutes) + 1440) % 1440 || 1440;
+        return from - (from % 60000) + minutesUntil * 60 * 1000;
+    }
+
+    start() {
+        if (this.checkTimer) return;
+        this.checkTimer = setInterval(() => this.checkDue(), CHECK_INTERVAL_MS);
+        if (this.checkTimer.unref) this.checkTimer.unref();
+    }
+
+    stop() {
+        if (this.checkTimer) {
+            clearInterval(this.checkTimer);
+            this.checkTimer = null;
+        }
+    }
+
+    // Due digests wait until the user's quiet hours / do-not-disturb are over
+    checkDue() {
+        const now = Date.now();
+        for (const [userId, entry] of this.pending.entries()) {
+            if (entry.dueAt <= now && !this.isQuiet(userId, now)) {
+                this.emit('digestDue', userId);
+            }
+        }
+    }
+}
+
+module.exports = DigestManager;
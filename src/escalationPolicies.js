@@ -0,0 +1,222 @@
+/**
+ * Escalation Policies
+ * Named reminder schedules defined by admins: intervals between reminders, how many are sent,
+ * which channels each step uses and who is alerted when nobody acknowledges.
+ * Policies live in Supabase when enabled, with config/escalation-policies.json as fallback.
+ * Keywords without a policy follow their priority's schedule (see KeywordPriority).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const KeywordPriority = require('./keywordPriority');
+const I18n = require('./i18n');
+
+const CHANNELS = ['telegram', 'email'];
+const DEFAULT_CHANNELS = ['telegram', 'email'];
+const NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const MAX_STEPS = 20;
+const MAX_INTERVAL_MINUTES = 24 * 60;
+
+class EscalationPolicies {
+    constructor(supabase) {
+        this.supabase = supabase;
+        this.storagePath = path.join(__dirname, '../config/escalation-policies.json');
+        this.policies = new Map(); // name -> { name, intervals, maxReminders, channels, escalateTo, createdBy, createdAt }
+    }
+
+    async load() {
+        try {
+            if (this.supabase && this.supabase.isEnabled()) {
+                const rows = await this.supabase.getEscalationPolicies();
+                if (rows !== null) {
+                    this.setPolicies(rows);
+                    console.log(`📊 Loaded ${this.policies.size} escalation policies from Supabase`);
+                    return;
+                }
+            }
+
+            if (fs.existsSync(this.storagePath)) {
+                const data = JSON.parse(fs.readFileSync(this.storagePath, 'utf8'));
+                this.setPolicies(data.policies || []);
+                console.log(`📁 Loaded ${this.policies.size} escalation policies from file`);
+            }
+        } catch (error) {
+            console.error('❌ Error loading escalation policies:', error.message);
+        }
+    }
+
+    setPolicies(policies) {
+        this.policies = new Map();
+        for (const raw of policies) {
+            const { policy, error } = this.normalizePolicy(raw);
+            if (error) {
+                console.warn(`⚠️ Skipping escalation policy "${raw && raw.name}": ${error}`);
+                continue;
+            }
+            this.policies.set(policy.name, policy);
+        }
+    }
+
+    /**
+     * Validate a policy definition. Returns { policy } or { error }.
+     * intervals: minutes from the alert to reminder 1, then between reminders (the last one repeats)
+     * maxReminders: reminders sent before the policy gives up (default: one per interval)
+     * channels: per-step channel lists, e.g. [["telegram"], ["telegram", "email"]] (the last one repeats)
+     * escalateTo: "admins", a Telegram user ID, or null
+     */
+    normalizePolicy(raw) {
+        if (!raw || typeof raw !== 'object') return { error: 'Policy must be an object.' };
+
+        const name = String(raw.name || '').trim().toLowerCase();
+        if (!NAME_PATTERN.test(name) || name === 'default') {
+            return { error: 'Policy names use 1-32 letters, digits, "-" or "_" ("default" is reserved).' };
+        }
+
+        const intervals = Array.isArray(raw.intervals) ? raw.intervals.map(Number) : [];
+        if (intervals.length === 0 || intervals.length > MAX_STEPS ||
+            intervals.some(minutes => !(minutes > 0) || minutes > MAX_INTERVAL_MINUTES)) {
+            return { error: `Intervals must be 1-${MAX_STEPS} values between 0 and ${MAX_INTERVAL_MINUTES} minutes.` };
+        }
+
+        const maxReminders = raw.maxReminders === undefined || raw.maxReminders === null
+            ? intervals.length
+            : Number(raw.maxReminders);
+        if (!Number.isInteger(maxReminders) || maxReminders < 1 || maxReminders > MAX_STEPS) {
+            return { error: `Max reminders must be a whole number from 1 to ${MAX_STEPS}.` };
+        }
+
+        const channels = Array.isArray(raw.channels) && raw.channels.length > 0 ? raw.channels : [DEFAULT_CHANNELS];
+        for (const step of channels) {
+            if (!Array.isArray(step) || step.length === 0 || step.some(channel => !CHANNELS.includes(channel))) {
+                return { error: `Each step's channels must be a list of ${CHANNELS.join(', ')}.` };
+            }
+        }
+
+        let escalateTo = raw.escalateTo === undefined || raw.escalateTo === null ? null : String(raw.escalateTo).trim();
+        if (escalateTo === '' || escalateTo === 'none') escalateTo = null;
+        if (escalateTo && escalateTo !== 'admins' && !/^\d+$/.test(escalateTo)) {
+            return { error: 'Escalation target must be "admins" or a Telegram user ID.' };
+        }
+
+        return {
+            policy: {
+                name,
+                intervals,
+                maxReminders,
+                channels: channels.map(step => [...new Set(step)]),
+                escalateTo,
+                createdBy: raw.createdBy ? String(raw.createdBy) : null,
+                createdAt: raw.createdAt || new Date().toISOString()
+            }
+        };
+    }
+
+    getPolicy(name) {
+        return name ? this.policies.get(String(name).toLowerCase()) || null : null;
+    }
+
+    getPolicies() {
+        return [...this.policies.values()];
+    }
+
+    async setPolicy(raw, createdBy = 'system') {
+        const { policy, error } = this.normalizePolicy({ ...raw, createdBy, createdAt: new Date().toISOString() });
+        if (error) return { error };
+
+        this.policies.set(policy.name, policy);
+        await this.save(policy, 'add');
+        return { policy };
+    }
+
+    async removePolicy(name) {
+        const policy = this.getPolicy(name);
+        if (!policy) return false;
+
+        this.policies.delete(policy.name);
+        await this.save(policy, 'remove');
+        return true;
+    }
+
+    async save(policy, action) {
+        try {
+            fs.writeFileSync(this.storagePath, JSON.stringify({ policies: this.getPolicies() }, null, 2));
+        } catch (error) {
+            console.error('❌ Error saving escalation policies:', error.message);
+        }
+
+        if (this.supabase && this.supabase.isEnabled()) {
+            const success = action === 'add'
+                ? await this.supabase.upsertEscalationPolicy(policy)
+                : await this.supabase.removeEscalationPolicy(policy.name);
+            if (!success) {
+                console.warn(`⚠️ Failed to ${action} escalation policy "${policy.name}" in Supabase`);
+            }
+        }
+    }
+
+    /**
+     * Reminder schedule for a keyword: its policy if one is set (and still exists), otherwise the priority's schedule.
+     * reminderIntervals[n - 1] is the wait after reminder n; the wait after the last one ends the reminder
+     * (and escalates when the policy has a target).
+     */
+    getSchedule(policyName, priority = 'normal') {
+        const policy = this.getPolicy(policyName);
+        if (policyName && !policy) {
+            console.warn(`⚠️ Escalation policy "${policyName}" not found - using the ${priority} priority schedule`);
+        }
+
+        if (policy) {
+            const delays = policy.intervals.map(minutes => Math.round(minutes * 60 * 1000));
+            const delayAt = index => delays[Math.min(index, delays.length - 1)];
+            return {
+                policy: policy.name,
+                firstReminderMs: delayAt(0),
+                reminderIntervals: Array.from({ length: policy.maxReminders }, (_, index) => delayAt(index + 1)),
+                maxReminders: policy.maxReminders,
+                stepChannels: policy.channels,
+                escalateTo: policy.escalateTo
+            };
+        }
+
+        const level = KeywordPriority.get(priority);
+        const intervals = level.reminderIntervals;
+        return {
+            policy: null,
+            firstReminderMs: level.firstReminderMs,
+            reminderIntervals: [...intervals, intervals[intervals.length - 1]],
+            maxReminders: intervals.length + 1,
+            stepChannels: null,
+            escalateTo: null
+        };
+    }
+
+    // Channels for reminder number `step` (1-based); the last configured step repeats
+    getStepChannels(stepChannels, step) {
+        if (!Array.isArray(stepChannels) || stepChannels.length === 0) return null;
+        return stepChannels[Math.min(Math.max(step, 1), stepChannels.length) - 1];
+    }
+
+    // "1, 2, 5, 10 min · 6 reminders · email from step 3 · escalates to admins", worded by policies.describe.*
+    describePolicy(policy, language = 'en') {
+        const t = (key, params) => I18n.translate(language, `policies.describe.${key}`, params);
+        const minutes = policy.intervals.map(value => String(Number(value.toFixed(2)))).join(', ');
+        const parts = [t('minutes', { minutes }), t('reminders', { count: policy.maxReminders })];
+
+        const emailStep = policy.channels.findIndex(step => step.includes('email'));
+        const lastStep = policy.channels[policy.channels.length - 1];
+        if (emailStep === -1) {
+            parts.push(t('telegramOnly'));
+        } else if (emailStep > 0 && lastStep.includes('email')) {
+            parts.push(t('emailFrom', { step: emailStep + 1 }));
+        } else if (emailStep > 0 || !policy.channels.every(step => step.includes('email'))) {
+            parts.push(t('emailSome'));
+        }
+
+        if (policy.escalateTo) {
+            parts.push(policy.escalateTo === 'admins' ? t('escalatesAdmins') : t('escalatesUser', { user: policy.escalateTo }));
+        }
+        return parts.join(' · ');
+    }
+}
+
+module.exports = EscalationPolicies;
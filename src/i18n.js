@@ -0,0 +1,196 @@
+/**
+ * I18n
+ * Message catalogs for everything the bot says to users - alerts, emails, /help, reminders and account messages -
+ * in English, Hebrew and Russian (src/locales/<language>.json, flat "area.name" keys).
+ *   - {name} placeholders are filled from params; a { one, two, few, many, other } entry picks its form from params.count
+ *   - an array entry is a multi-line text (one line per item)
+ *   - missing keys fall back to English, then to the key itself
+ * Hebrew is right-to-left, so filled-in values (keywords, names, groups) are wrapped in Unicode isolates and a
+ * Latin phrase or sender name with punctuation can't reorder the sentence around it.
+ * Each user's choice from /language is kept with the other user preferences (users.language in Supabase,
+ * "language" in config/user-preferences.json). Until they pick one, the language of their Telegram app is used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SupabaseManager = require('./supabase');
+
+const LANGUAGES = ['en', 'he', 'ru'];
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGE_NAMES = { en: 'English 🇬🇧', he: 'עברית 🇮🇱', ru: 'Русский 🇷🇺' };
+const RTL_LANGUAGES = ['he'];
+const FIRST_STRONG_ISOLATE = '\u2068';
+const POP_DIRECTIONAL_ISOLATE = '\u2069';
+
+const catalogs = {};
+for (const language of LANGUAGES) {
+    try {
+        catalogs[language] = JSON.parse(fs.readFileSync(path.join(__dirname, 'locales', `${language}.json`), 'utf8'));
+    } catch (error) {
+        console.error(`❌ Failed to load ${language} message catalog:`, error.message);
+        catalogs[language] = {};
+    }
+}
+
+class I18n {
+    constructor() {
+        this.supabase = new SupabaseManager();
+        this.preferencesPath = path.join(__dirname, '../config/user-preferences.json');
+        this.languages = new Map(); // userId -> language picked with /language (or first seen in Telegram)
+        this.telegramLanguages = new Map(); // userId -> language of their Telegram app
+        this.loaded = this.load();
+    }
+
+    static get LANGUAGES() {
+        return [...LANGUAGES];
+    }
+
+    static isSupported(language) {
+        return LANGUAGES.includes(language);
+    }
+
+    static isRtl(language) {
+        return RTL_LANGUAGES.includes(language);
+    }
+
+    static describeLanguage(language) {
+        return LANGUAGE_NAMES[language] || language;
+    }
+
+    // Telegram's language_code ("he", "ru-RU", "en-US", legacy "iw") -> a supported language, or null
+    static fromTelegramCode(code) {
+        if (!code) return null;
+        const language = String(code).toLowerCase().split(/[-_]/)[0];
+        const normalized = language === 'iw' ? 'he' : language;
+        return I18n.isSupported(normalized) ? normalized : null;
+    }
+
+    static translate(language, key, params = {}) {
+        const lang = I18n.isSupported(language) ? language : DEFAULT_LANGUAGE;
+        let entry = catalogs[lang][key];
+        if (entry === undefined && lang !== DEFAULT_LANGUAGE) {
+            entry = catalogs[DEFAULT_LANGUAGE][key];
+        }
+        if (entry === undefined) {
+            console.warn(`⚠️ Missing message catalog key: ${key}`);
+            return key;
+        }
+
+        if (Array.isArray(entry)) {
+            entry = entry.join('\n');
+        } else if (typeof entry === 'object') {
+            const form = new Intl.PluralRules(lang).select(Number(params.count) || 0);
+            entry = entry[form] !== undefined ? entry[form] : entry.other;
+        }
+
+        return entry.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (params[name] === undefined || params[name] === null) return placeholder;
+            const value = String(params[name]);
+            // A single plain word can't reorder the sentence, and isolating one would break /command links
+            return I18n.isRtl(lang) && typeof params[name] === 'string' && value && !/^\w+$/.test(value)
+                ? `${FIRST_STRONG_ISOLATE}${value}${POP_DIRECTIONAL_ISOLATE}`
+                : value;
+        });
+    }
+
+    // "5 minutes ago" / "לפני 5 דקות" / "5 минут назад"; unit is any Intl.RelativeTimeFormat unit
+    static formatTimeAgo(language, value, unit) {
+        const lang = I18n.isSupported(language) ? language : DEFAULT_LANGUAGE;
+        return new Intl.RelativeTimeFormat(lang, { numeric: 'always' }).format(-value, unit);
+    }
+
+    // "5 min" / "5 דק׳" / "5 мин"; unit is any Intl.NumberFormat unit
+    static formatDuration(language, value, unit) {
+        const lang = I18n.isSupported(language) ? language : DEFAULT_LANGUAGE;
+        return new Intl.NumberFormat(lang, { style: 'unit', unit, unitDisplay: 'short' }).format(value);
+    }
+
+    // Date and time in the language's usual format; English keeps the server's format
+    static formatDateTime(language, date = new Date()) {
+        return language && language !== DEFAULT_LANGUAGE ? date.toLocaleString(language) : date.toLocaleString();
+    }
+
+    async load() {
+        try {
+            if (fs.existsSync(this.preferencesPath)) {
+                const userPrefs = JSON.parse(fs.readFileSync(this.preferencesPath, 'utf8'));
+                for (const [userId, prefs] of Object.entries(userPrefs)) {
+                    if (prefs && I18n.isSupported(prefs.language)) {
+                        this.languages.set(userId, prefs.language);
+                    }
+                }
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to load language preferences from file:', error.message);
+        }
+
+        // Supabase wins over the file backup
+        if (this.supabase.isEnabled()) {
+            const users = await this.supabase.getUsers();
+            for (const user of users || []) {
+                if (I18n.isSupported(user.language)) {
+                    this.languages.set(user.user_id.toString(), user.language);
+                }
+            }
+        }
+    }
+
+    getLanguage(userId) {
+        if (userId === null || userId === undefined) return DEFAULT_LANGUAGE;
+        const userIdStr = userId.toString();
+        return this.languages.get(userIdStr) || this.telegramLanguages.get(userIdStr) || DEFAULT_LANGUAGE;
+    }
+
+    hasOwnLanguage(userId) {
+        return this.languages.has(userId.toString());
+    }
+
+    // Save to Supabase and the preferences file
+    async setLanguage(userId, language) {
+        const userIdStr = userId.toString();
+        this.languages.set(userIdStr, language);
+
+        if (this.supabase.isEnabled()) {
+            const success = await this.supabase.setUserPreferences(userIdStr, { language });
+            if (!success) {
+                console.warn(`⚠️ Failed to save language for user ${userIdStr} to Supabase`);
+            }
+        }
+
+        try {
+            let userPrefs = {};
+            if (fs.existsSync(this.preferencesPath)) {
+                userPrefs = JSON.parse(fs.readFileSync(this.preferencesPath, 'utf8'));
+            }
+            userPrefs[userIdStr] = { ...userPrefs[userIdStr], language, lastUpdated: new Date().toISOString() };
+            fs.writeFileSync(this.preferencesPath, JSON.stringify(userPrefs, null, 2));
+        } catch (error) {
+            console.error('Error saving language preference to file:', error.message);
+        }
+    }
+
+    /**
+     * Note the language of a user's Telegram app (message.from.language_code).
+     * With save, it becomes their stored language unless they already have one, so alerts sent
+     * before their next message (e.g. after a restart) use it too.
+     */
+    async rememberTelegramLanguage(userId, code, save = false) {
+        const language = I18n.fromTelegramCode(code);
+        if (!language) return;
+        const userIdStr = userId.toString();
+        this.telegramLanguages.set(userIdStr, language);
+
+        if (!save) return;
+        await this.loaded;
+        if (!this.languages.has(userIdStr)) {
+            console.log(`🌐 Using Telegram language "${language}" for user ${userIdStr}`);
+            await this.setLanguage(userIdStr, language);
+        }
+    }
+
+    t(userId, key, params = {}) {
+        return I18n.translate(this.getLanguage(userId), key, params);
+    }
+}
+
+module.exports = I18n;
@@ -0,0 +1,132 @@
+/**
+ * Inline Menus
+ * Inline keyboards for the Telegram commands that used to only print usage:
+ *   - group pickers for /subscribe and /unsubscribe (paginated)
+ *   - keyword lists with 🗑 remove buttons for /mykeywords, /removemykeyword and /removekeyword
+ *   - a timezone picker for /timezone
+ *   - a language picker for /language
+ *   - ✅ Approve / ❌ Reject buttons on access requests
+ * Button presses come back as callback queries routed by their prefix (see TelegramCommandHandler.setupCallbackHandlers):
+ *   grp:<sub|unsub>:<ref>, kw:<my|global>:<ref>, tz:set:<timezone>, usr:<approve|reject>:<userId>, lang:set:<language>
+ * and page turns as <prefix>:<list>-page:<n>. Callback data is limited to 64 bytes, so groups and keywords
+ * are referenced by a short hash of their name and looked up again when the button is pressed.
+ */
+
+const crypto = require('crypto');
+const I18n = require('./i18n');
+
+const PAGE_SIZE = 8;
+
+const TIMEZONES = {
+    'Asia/Jerusalem': 'Israeli 🇮🇱',
+    'America/New_York': 'US Eastern 🇺🇸',
+    'Europe/London': 'UK 🇬🇧',
+    'Asia/Tokyo': 'Japan 🇯🇵',
+    'Australia/Sydney': 'Australia 🇦🇺',
+    'UTC': 'Universal 🌍'
+};
+
+class InlineMenus {
+    static get PAGE_SIZE() {
+        return PAGE_SIZE;
+    }
+
+    static get TIMEZONES() {
+        return Object.keys(TIMEZONES);
+    }
+
+    static isTimezone(timezone) {
+        return Object.prototype.hasOwnProperty.call(TIMEZONES, timezone);
+    }
+
+    static describeTimezone(timezone) {
+        return TIMEZONES[timezone] || timezone;
+    }
+
+    static getRef(name) {
+        return crypto.createHash('sha1').update(String(name)).digest('hex').substring(0, 12);
+    }
+
+    // The item a button's ref points to, or null when it's gone since the menu was sent
+    static findByRef(items, ref) {
+        return items.find(item => InlineMenus.getRef(item) === ref) || null;
+    }
+
+    // Clamp the page so a list that shrank since the menu was sent still shows its last page
+    static paginate(items, page = 0) {
+        const pageCount = Math.max(1, Math.ceil(items.length / PAGE_SIZE));
+        const current = Math.min(Math.max(parseInt(page, 10) || 0, 0), pageCount - 1);
+        return {
+            items: items.slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE),
+            page: current,
+            pageCount
+        };
+    }
+
+    // ◀️ 2/5 ▶️ - only when the list has more than one page
+    static buildPageRow(prefix, list, page, pageCount) {
+        if (pageCount <= 1) return [];
+        const row = [];
+        if (page > 0) row.push({ text: '◀️', callback_data: `${prefix}:${list}-page:${page - 1}` });
+        row.push({ text: `${page + 1}/${pageCount}`, callback_data: 'menu:noop' });
+        if (page < pageCount - 1) row.push({ text: '▶️', callback_data: `${prefix}:${list}-page:${page + 1}` });
+        return [row];
+    }
+
+    // action 'sub' lists groups to join, 'unsub' groups to leave
+    static buildGroupPicker(action, groupNames, page = 0) {
+        const paged = InlineMenus.paginate(groupNames, page);
+        const icon = action === 'sub' ? '➕' : '➖';
+        return {
+            ...paged,
+            keyboard: [
+                ...paged.items.map(name => [{ text: `${icon} ${name}`, callback_data: `grp:${action}:${InlineMenus.getRef(name)}` }]),
+                ...InlineMenus.buildPageRow('grp', action, paged.page, paged.pageCount)
+            ]
+        };
+    }
+
+    // scope 'my' removes personal keywords, 'global' global ones
+    static buildKeywordList(scope, keywords, page = 0) {
+        const paged = InlineMenus.paginate(keywords, page);
+        return {
+            ...paged,
+            keyboard: [
+                ...paged.items.map(keyword => [{ text: `🗑 ${keyword}`, callback_data: `kw:${scope}:${InlineMenus.getRef(keyword)}` }]),
+                ...InlineMenus.buildPageRow('kw', scope, paged.page, paged.pageCount)
+            ]
+        };
+    }
+
+    // Two timezones per row; the current one is ticked
+    static buildTimezonePicker(current = null) {
+        const buttons = Object.entries(TIMEZONES).map(([timezone, label]) => ({
+            text: `${timezone === current ? '✅ ' : ''}${label}`,
+            callback_data: `tz:set:${timezone}`
+        }));
+        const rows = [];
+        for (let i = 0; i < buttons.length; i += 2) {
+            rows.push(buttons.slice(i, i + 2));
+        }
+        return rows;
+    }
+
+    // One button per language, on a single row
+    static buildLanguagePicker(current = null) {
+        return [I18n.LANGUAGES.map(language => ({
+            text: `${language === current ? '✅ ' : ''}${I18n.describeLanguage(language)}`,
+            callback_data: `lang:set:${language}`
+        }))];
+    }
+
+    // One row per access request; label tells requests apart when several share a message (/pending)
+    static buildApprovalRow(userId, label = null) {
+        const suffix = label ? ` ${label}` : '';
+        return [
+            { text: `✅ Approve${suffix}`, callback_data: `usr:approve:${userId}` },
+            { text: `❌ Reject${suffix}`, callback_data: `usr:reject:${userId}` }
+        ];
+    }
+}
+
+module.exports = InlineMenus;
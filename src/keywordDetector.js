@@ -3,13 +3,41 @@ const path = require('path');
 const levenshtein = require('fast-levenshtein');
 const damerauLevenshtein = require('damerau-levenshtein');
 const natural = require('natural');
+const vm = require('vm');
 const SupabaseManager = require('./supabase');
+const KeywordRule = require('./keywordRule');
+const MatchFeedback = require('./matchFeedback');
+const KeywordIndex = require('./keywordIndex');
+const KeywordPriority = require('./keywordPriority');
+const UserDataStore = require('./userDataStore');
+const I18n = require('./i18n');
+
+// Per-keyword match modes. 'auto' keeps the global exact → fuzzy → diacritic-insensitive pipeline.
+const MATCH_TYPES = ['auto', 'exact', 'fuzzy', 'wildcard', 'regex', 'rule'];
+const MAX_REGEX_LENGTH = 200;
+const REGEX_TIMEOUT_MS = 50;
+const MAX_REGEX_INPUT_LENGTH = 5000;
+const MAX_MATCH_OFFSETS = 20; // Highlighted hits per detection
 
 class KeywordDetector {
     constructor() {
         this.supabase = new SupabaseManager();
         this.supabaseLoaded = false;
         this.keywords = [];
+        this.keywordOptions = {}; // keyword -> { matchType, fuzzyThreshold, groups, excludeGroups, priority, policy } for entries that are not plain keywords
+        this.compiledRules = new Map(); // rule expression -> parsed AST (null if invalid)
+        this.compiledPatterns = new Map(); // wildcard/regex keyword -> RegExp (null if invalid)
+        this.regexSandbox = vm.createContext({});
+        // The whole match runs under the time limit; returns [index, matched text] or null
+        this.regexScript = new vm.Script('(() => { const match = pattern.exec(text); return match ? [match.index, match[0]] : null; })()');
+        this.matchFeedback = new MatchFeedback(this.supabase); // 👎 (keyword, token) exclusions
+        this.keywordIndex = null; // Precompiled KeywordIndex, rebuilt lazily after invalidateKeywordIndex()
+        this.keywordIndexPromise = null;
+        this.keywordIndexVersion = 0;
+        this.dataStore = new UserDataStore(this.supabase); // Cached authorized users, personal keywords and subscriptions
+        this.dataStore.on('change', change => {
+            if (change.type !== 'groupSubscriptions') this.invalidateKeywordIndex();
+        });
         this.caseSensitive = false;
         this.exactMatch = true;
         this.enabled = true;
@@ -662,17 +690,20 @@ class KeywordDetector {
     }
 
     async loadConfig() {
+        // False-positive exclusions load independently of where the keywords come from
+        await this.matchFeedback.load();
+
         try {
             // Try Supabase first if enabled
             if (this.supabase.isEnabled()) {
                 try {
-                    const dbKeywords = await this.supabase.getGlobalKeywords();
+                    const dbKeywords = await this.supabase.getGlobalKeywordEntries();
                     if (dbKeywords && dbKeywords.length > 0) {
-                        this.keywords = dbKeywords;
+                        this.setKeywordEntries(dbKeywords);
                         this.supabaseLoaded = true;
                         console.log(`📊 Loaded ${this.keywords.length} keywords from Supabase database`);
-                        // Load config from file for other settings
-                        await this.loadConfigFromFile();
+                        // Load config from file for other settings (keep the Supabase keywords and their match options)
+                        await this.loadConfigFromFile(false);
                         return;
                     }
                 } catch (error) {
@@ -686,15 +717,20 @@ class KeywordDetector {
             console.error('Error loading keyword config:', error);
             // Fallback to default keywords
             this.keywords = ['urgent', 'emergency', 'important'];
+        } finally {
+            // Keywords or matching settings may have changed
+            this.invalidateKeywordIndex();
         }
     }
 
-    async loadConfigFromFile() {
+    async loadConfigFromFile(includeKeywords = true) {
         try {
             const configPath = path.join(__dirname, '../config/keywords.json');
             const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
             
-            this.keywords = config.keywords || [];
+            if (includeKeywords) {
+                this.setKeywordEntries(config.keywords || []);
+            }
             this.caseSensitive = config.caseSensitive || false;
             this.exactMatch = config.exactMatch !== false; // Default to true
             this.enabled = config.enabled !== false; // Default to true
@@ -736,22 +772,143 @@ class KeywordDetector {
         await this.loadConfig();
     }
 
-    async detectKeywords(messageText, groupName = null) {
+    // Load keyword entries - plain strings or objects like { keyword, matchType, fuzzyThreshold }
+    setKeywordEntries(entries) {
+        this.invalidateKeywordIndex();
+        this.keywords = [];
+        this.keywordOptions = {};
+        this.compiledRules.clear();
+        this.compiledPatterns.clear();
+
+        for (const entry of entries) {
+            const keyword = typeof entry === 'string' ? entry : entry && entry.keyword;
+            if (!keyword || this.keywords.includes(keyword)) continue;
+
+            this.keywords.push(keyword);
+            const options = this.extractKeywordOptions(entry);
+            if (options) {
+                this.keywordOptions[keyword] = options;
+            }
+        }
+    }
+
+    // Explicit match options of an entry, or null if it only uses the defaults
+    extractKeywordOptions(entry) {
+        if (!entry || typeof entry !== 'object') return null;
+
+        const options = {};
+        if (entry.matchType && entry.matchType !== 'auto' && MATCH_TYPES.includes(entry.matchType)) {
+            options.matchType = entry.matchType;
+        }
+        if (Number.isInteger(entry.fuzzyThreshold) && options.matchType === 'fuzzy') {
+            options.fuzzyThreshold = entry.fuzzyThreshold;
+        }
+        const groups = this.cleanGroupList(entry.groups);
+        if (groups.length > 0) {
+            options.groups = groups;
+        }
+        const excludeGroups = this.cleanGroupList(entry.excludeGroups);
+        if (excludeGroups.length > 0) {
+            options.excludeGroups = excludeGroups;
+        }
+        const priority = KeywordPriority.fromEntry(entry);
+        if (priority !== 'normal') {
+            options.priority = priority;
+        }
+        if (typeof entry.policy === 'string' && entry.policy.trim()) {
+            options.policy = entry.policy.trim().toLowerCase();
+        }
+        return Object.keys(options).length > 0 ? options : null;
+    }
+
+    cleanGroupList(groups) {
+        if (!Array.isArray(groups)) return [];
+        return [...new Set(groups.filter(group => typeof group === 'string' && group.trim()).map(group => group.trim()))];
+    }
+
+    // Convert a keyword back to its keywords.json form
+    serializeKeywordEntry(keyword) {
+        const options = this.keywordOptions[keyword];
+        return options ? { keyword, ...options } : keyword;
+    }
+
+    // Resolve a global keyword or personal entry to { keyword, matchType, fuzzyThreshold, groups, excludeGroups, priority, policy }
+    // Without an explicit matchType: rule syntax → 'rule', otherwise 'auto' ('*' is only a wildcard with matchType 'wildcard')
+    normalizeKeywordEntry(entry) {
+        const keyword = typeof entry === 'string' ? entry : entry.keyword;
+        const options = this.extractKeywordOptions(entry) || {};
+
+        let matchType = options.matchType;
+        if (!matchType) {
+            matchType = KeywordRule.isRuleExpression(keyword) ? 'rule' : 'auto';
+        }
+
+        return {
+            keyword,
+            matchType,
+            fuzzyThreshold: Number.isInteger(options.fuzzyThreshold) ? options.fuzzyThreshold : null,
+            groups: options.groups || [],
+            excludeGroups: options.excludeGroups || [],
+            priority: options.priority || 'normal',
+            policy: options.policy || null
+        };
+    }
+
+    // Group scoping: "groups" limits a keyword to those groups, "excludeGroups" turns it off there.
+    // Names are compared case-insensitively; a scoped keyword never fires outside a known group.
+    isKeywordInScope(entry, groupName) {
+        const normalizedGroup = groupName ? String(groupName).trim().toLowerCase() : null;
+        const inList = list => list.some(group => group.toLowerCase() === normalizedGroup);
+
+        if (entry.groups.length > 0 && (!normalizedGroup || !inList(entry.groups))) {
+            return false;
+        }
+        if (normalizedGroup && inList(entry.excludeGroups)) {
+            return false;
+        }
+        return true;
+    }
+
+    getKeywordEntry(keyword) {
+        return this.normalizeKeywordEntry({ keyword, ...(this.keywordOptions[keyword] || {}) });
+    }
+
+    getMatchTypes() {
+        return [...MATCH_TYPES];
+    }
+
+    // options.offsets adds where each hit is in messageText (see addMatchOffsets) - skipped by default as it
+    // tokenizes the whole message a second time
+    async detectKeywords(messageText, groupName = null, options = {}) {
         if (!this.enabled || !messageText || typeof messageText !== 'string') {
             return [];
         }
 
         // Use fuzzy matching if enabled, otherwise fall back to exact matching
         if (this.fuzzyMatching) {
-            return await this.detectKeywordsWithFuzzy(messageText, groupName);
+            const detections = await this.detectKeywordsWithFuzzy(messageText, groupName);
+            return options.offsets ? this.addMatchOffsets(messageText, detections) : detections;
         }
 
         // Fallback to original exact matching logic
         const detectedKeywords = [];
         const searchText = this.caseSensitive ? messageText : messageText.toLowerCase();
+        let entryTokens = null; // Tokenized lazily - only keywords with their own match options need tokens here
 
         // Check global keywords (for all users)
         for (const keyword of this.keywords) {
+            const entry = this.getKeywordEntry(keyword);
+            if (!this.isKeywordInScope(entry, groupName)) continue;
+
+            if (entry.matchType !== 'auto') {
+                entryTokens = entryTokens || this.tokenizeText(messageText);
+                const entryMatch = this.matchKeywordEntry(entry, entryTokens, messageText);
+                if (entryMatch) {
+                    detectedKeywords.push({ keyword, type: 'global', ...entryMatch });
+                }
+                continue;
+            }
+
             const searchKeyword = this.caseSensitive ? keyword : keyword.toLowerCase();
             
             if (this.exactMatch) {
@@ -778,12 +935,22 @@ class KeywordDetector {
         }
 
         // Check personal keywords for ALL authorized users (same logic as global keywords, but sent only to owner)
-        // Personal keywords work in ALL groups and private chats, just like global keywords
+        // Personal keywords work in ALL groups and private chats unless scoped to specific groups
         // NOTE: Personal keywords no longer require group subscription - they work everywhere
-        const authorizedUsers = this.getAuthorizedUsers();
-        for (const userId of authorizedUsers) {
-            const personalKeywords = await this.getPersonalKeywords(userId);
-                for (const keyword of personalKeywords) {
+        const index = await this.getKeywordIndex();
+        for (const userId of index.personalEntries.keys()) {
+                for (const { keyword, entry } of index.getPersonalEntries(userId)) {
+                    if (!this.isKeywordInScope(entry, groupName)) continue;
+
+                    if (entry.matchType !== 'auto') {
+                        entryTokens = entryTokens || this.tokenizeText(messageText);
+                        const entryMatch = this.matchKeywordEntry(entry, entryTokens, messageText, userId);
+                        if (entryMatch) {
+                            detectedKeywords.push({ keyword, type: 'personal', userId, ...entryMatch });
+                        }
+                        continue;
+                    }
+
                     const searchKeyword = this.caseSensitive ? keyword : keyword.toLowerCase();
                     
                     if (this.exactMatch) {
@@ -806,7 +973,7 @@ class KeywordDetector {
             }
         }
 
-        return detectedKeywords;
+        return options.offsets ? this.addMatchOffsets(messageText, detectedKeywords) : detectedKeywords;
     }
 
     isLatinScript(text) {
@@ -2341,18 +2508,43 @@ class KeywordDetector {
 
         const detectedKeywords = [];
         const tokens = this.tokenizeText(messageText);
+        const index = await this.getKeywordIndex();
+        const exactHits = index.findExactHits(tokens); // entry id -> matched word/phrase
+        const fuzzyCandidates = index.getFuzzyCandidates(tokens); // entry ids that share a bigram with some token
         
         // Check global keywords
-        for (const keyword of this.keywords) {
-            // Skip keyboard conversion for keywords to prevent corrupting valid English keywords
-            const normalizedKeyword = this.normalizeText(keyword, true);
+        for (const indexed of index.globalEntries) {
+            const { keyword, entry } = indexed;
+            // Keywords with their own match mode (exact, fuzzy, wildcard, regex, rule) skip the default pipeline
+            if (!this.isKeywordInScope(entry, groupName)) continue;
+
+            if (entry.matchType !== 'auto') {
+                const entryMatch = this.matchKeywordEntry(entry, tokens, messageText);
+                if (entryMatch) {
+                    detectedKeywords.push({ keyword, type: 'global', ...entryMatch });
+                }
+                continue;
+            }
+
+            // Normalized once when the index is built (keyboard conversion skipped to keep English keywords intact)
+            const normalizedKeyword = indexed.normalizedKeyword;
             
             // Check if it's a multi-word keyword
-            if (this.multiWordKeywords && normalizedKeyword.includes(' ')) {
-                const keywordTokens = normalizedKeyword.split(/\s+/);
+            if (this.multiWordKeywords && indexed.isPhrase) {
+                const keywordTokens = indexed.keywordTokens;
                 
-                // Check for phrase matches
-                for (let i = 0; i <= tokens.length - keywordTokens.length; i++) {
+                // Check for phrase matches - exact phrases come straight from the index trie
+                const exactPhrase = exactHits.get(indexed.id);
+                if (exactPhrase) {
+                    detectedKeywords.push({ 
+                        keyword, 
+                        type: 'global', 
+                        matchType: 'exact', 
+                        token: exactPhrase,
+                        phraseMatch: true
+                    });
+                }
+                for (let i = 0; !exactPhrase && i <= tokens.length - keywordTokens.length; i++) {
                     const phraseTokens = tokens.slice(i, i + keywordTokens.length);
                     
                     // Check if all tokens in phrase match (exact or fuzzy)
@@ -2372,7 +2564,7 @@ class KeywordDetector {
                         }
                     }
                     
-                    if (phraseMatch) {
+                    if (phraseMatch && !(matchType === 'fuzzy' && this.isExcludedMatch(keyword, matchedTokens.join(' ')))) {
                         detectedKeywords.push({ 
                             keyword, 
                             type: 'global', 
@@ -2418,7 +2610,7 @@ class KeywordDetector {
                 }
                 
                 // Diacritic-insensitive fuzzy substring match for multi-word keywords
-                if (this.performDiacriticInsensitiveSubstringMatch(messageText, keyword)) {
+                if (this.performDiacriticInsensitiveSubstringMatch(messageText, keyword) && !this.isExcludedMatch(keyword, keyword)) {
                     detectedKeywords.push({ 
                         keyword, 
                         type: 'global', 
@@ -2429,22 +2621,24 @@ class KeywordDetector {
                     });
                 }
             } else {
-                // Single word keyword matching
+                // Single word keyword matching - an exact token anywhere in the message wins over fuzzy ones
+                if (!indexed.isPhrase && exactHits.has(indexed.id)) {
+                    detectedKeywords.push({ keyword, type: 'global', matchType: 'exact' });
+                    continue;
+                }
+
+                // No shared bigram with any token means no fuzzy or diacritic match is possible
+                if (!fuzzyCandidates.has(indexed.id)) continue;
+
                 for (const token of tokens) {
-                    // Exact match first
-                    if (token === normalizedKeyword) {
-                        detectedKeywords.push({ keyword, type: 'global', matchType: 'exact' });
-                        break;
-                    }
-                    
-                    // Fuzzy match
-                    if (this.fuzzyMatch(token, normalizedKeyword)) {
+                    // Fuzzy match (unless this token was reported as a false positive)
+                    if (this.fuzzyMatch(token, normalizedKeyword) && !this.isExcludedMatch(keyword, token)) {
                         detectedKeywords.push({ keyword, type: 'global', matchType: 'fuzzy', token });
                         break;
                     }
                     
                     // Diacritic-insensitive fuzzy substring match
-                    if (this.performDiacriticInsensitiveSubstringMatch(token, normalizedKeyword)) {
+                    if (this.performDiacriticInsensitiveSubstringMatch(token, normalizedKeyword) && !this.isExcludedMatch(keyword, token)) {
                         detectedKeywords.push({ keyword, type: 'global', matchType: 'diacritic-insensitive', token });
                         break;
                     }
@@ -2453,24 +2647,34 @@ class KeywordDetector {
         }
 
         // Check personal keywords for ALL authorized users (same logic as global keywords, but sent only to owner)
-        // Personal keywords work in ALL groups and private chats, just like global keywords
+        // Personal keywords work in ALL groups and private chats unless scoped to specific groups
         // NOTE: Personal keywords no longer require group subscription - they work everywhere
-        const authorizedUsers = this.getAuthorizedUsers();
-        for (const userId of authorizedUsers) {
-            const personalKeywords = await this.getPersonalKeywords(userId);
-                for (const keyword of personalKeywords) {
-                    // Skip keyboard conversion for personal keywords too
-                    const normalizedKeyword = this.normalizeText(keyword, true);
+        // Personal keywords come from the index too, so no per-message Supabase round-trips
+        for (const userId of index.personalEntries.keys()) {
+                for (const indexed of index.getPersonalEntries(userId)) {
+                    const { keyword, entry } = indexed;
+                    if (!this.isKeywordInScope(entry, groupName)) continue;
+
+                    if (entry.matchType !== 'auto') {
+                        const entryMatch = this.matchKeywordEntry(entry, tokens, messageText, userId);
+                        if (entryMatch) {
+                            detectedKeywords.push({ keyword, type: 'personal', userId, ...entryMatch });
+                        }
+                        continue;
+                    }
+
+                    // Normalized once when the index is built (keyboard conversion skipped for personal keywords too)
+                    const normalizedKeyword = indexed.normalizedKeyword;
+
+                    if (!indexed.isPhrase && exactHits.has(indexed.id)) {
+                        detectedKeywords.push({ keyword, type: 'personal', userId, matchType: 'exact' });
+                        continue;
+                    }
+                    if (!fuzzyCandidates.has(indexed.id)) continue;
                     
                     for (const token of tokens) {
-                        // Exact match first
-                        if (token === normalizedKeyword) {
-                            detectedKeywords.push({ keyword, type: 'personal', userId, matchType: 'exact' });
-                            break;
-                        }
-                        
-                        // Fuzzy match
-                        if (this.fuzzyMatch(token, normalizedKeyword)) {
+                        // Fuzzy match (unless this token was reported as a false positive)
+                        if (this.fuzzyMatch(token, normalizedKeyword) && !this.isExcludedMatch(keyword, token, userId)) {
                             detectedKeywords.push({ keyword, type: 'personal', userId, matchType: 'fuzzy', token });
                             break;
                     }
@@ -2481,9 +2685,530 @@ class KeywordDetector {
         return detectedKeywords;
     }
 
-    async addKeyword(keyword, addedBy = 'system') {
+    // ==================== BOOLEAN / PROXIMITY RULES ====================
+
+    // A keyword is a rule if it was stored as one, or if it uses AND/OR/NOT/NEAR syntax
+    isRuleKeyword(keyword) {
+        return this.getKeywordEntry(keyword).matchType === 'rule';
+    }
+
+    // Returns an error message (keywords.error.* in `language`) if the rule cannot be parsed, null if it is valid
+    validateRule(expression, language = 'en') {
+        try {
+            KeywordRule.parse(expression);
+            return null;
+        } catch (error) {
+            return error.key ? I18n.translate(language, `keywords.error.${error.key}`, error.params) : error.message;
+        }
+    }
+
+    // Parse once and cache; invalid rules are logged once and never match
+    getCompiledRule(expression) {
+        if (!this.compiledRules.has(expression)) {
+            try {
+                this.compiledRules.set(expression, KeywordRule.parse(expression));
+            } catch (error) {
+                console.error(`❌ Invalid keyword rule "${expression}": ${error.message}`);
+                this.compiledRules.set(expression, null);
+            }
+        }
+        return this.compiledRules.get(expression);
+    }
+
+    // Evaluate a rule keyword against message tokens
+    // Returns null when the rule is not satisfied, otherwise the detection fields for the result
+    evaluateKeywordRule(expression, tokens) {
+        const ast = this.getCompiledRule(expression);
+        if (!ast) return null;
+
+        const result = this.evaluateRuleNode(ast, tokens);
+        if (!result.matched) return null;
+
+        // Keep the first hit per term so the alert can list which sub-terms satisfied the rule
+        const matchedTerms = [];
+        for (const hit of result.hits) {
+            if (!matchedTerms.some(term => term.term === hit.term)) {
+                matchedTerms.push({ term: hit.term, token: hit.token, matchType: hit.matchType });
+            }
+        }
+
+        return {
+            matchType: 'rule',
+            token: this.describeRuleTerms(matchedTerms),
+            ruleMatch: true,
+            matchedTerms
+        };
+    }
+
+    // Recursively evaluate a rule node; hits are the positive term matches that satisfied it
+    evaluateRuleNode(node, tokens) {
+        switch (node.type) {
+            case 'term': {
+                const hits = this.matchRuleTerm(node.value, tokens);
+                return { matched: hits.length > 0, hits };
+            }
+            case 'not': {
+                const inner = this.evaluateRuleNode(node.child, tokens);
+                return { matched: !inner.matched, hits: [] };
+            }
+            case 'and': {
+                const results = node.children.map(child => this.evaluateRuleNode(child, tokens));
+                const matched = results.every(result => result.matched);
+                return { matched, hits: matched ? results.flatMap(result => result.hits) : [] };
+            }
+            case 'or': {
+                const results = node.children.map(child => this.evaluateRuleNode(child, tokens));
+                const matchedResults = results.filter(result => result.matched);
+                return { matched: matchedResults.length > 0, hits: matchedResults.flatMap(result => result.hits) };
+            }
+            case 'near': {
+                const [left, right] = node.children.map(child => this.evaluateRuleNode(child, tokens));
+                if (!left.matched || !right.matched) {
+                    return { matched: false, hits: [] };
+                }
+
+                // NEAR/n allows at most n tokens between the two sides (stop words are not counted)
+                const hits = [];
+                for (const leftHit of left.hits) {
+                    for (const rightHit of right.hits) {
+                        const first = leftHit.position <= rightHit.position ? leftHit : rightHit;
+                        const second = first === leftHit ? rightHit : leftHit;
+                        const gap = second.position - first.end - 1;
+                        if (gap >= 0 && gap <= node.distance) {
+                            if (!hits.includes(leftHit)) hits.push(leftHit);
+                            if (!hits.includes(rightHit)) hits.push(rightHit);
+                        }
+                    }
+                }
+                return { matched: hits.length > 0, hits };
+            }
+            default:
+                return { matched: false, hits: [] };
+        }
+    }
+
+    // Find every position where a rule term (word or phrase) matches the tokens
+    // Uses the same normalization and exact → fuzzy → diacritic-insensitive order as plain keywords
+    matchRuleTerm(term, tokens) {
+        const normalizedTerm = this.normalizeText(term, true);
+        if (!normalizedTerm) return [];
+
+        const termTokens = normalizedTerm.split(/\s+/);
+        const hits = [];
+
+        for (let i = 0; i <= tokens.length - termTokens.length; i++) {
+            let matchType = 'exact';
+            let matched = true;
+
+            for (let j = 0; j < termTokens.length; j++) {
+                const token = tokens[i + j];
+                if (token === termTokens[j]) {
+                    continue;
+                }
+                if (this.fuzzyMatch(token, termTokens[j])) {
+                    matchType = 'fuzzy';
+                    continue;
+                }
+                if (this.fuzzyMatching && termTokens.length === 1 && this.performDiacriticInsensitiveSubstringMatch(token, termTokens[j])) {
+                    matchType = 'diacritic-insensitive';
+                    continue;
+                }
+                matched = false;
+                break;
+            }
+
+            if (matched) {
+                hits.push({
+                    term,
+                    token: tokens.slice(i, i + termTokens.length).join(' '),
+                    matchType,
+                    position: i,
+                    end: i + termTokens.length - 1
+                });
+            }
+        }
+
+        return hits;
+    }
+
+    // Human-readable summary of matched sub-terms, e.g. "cake, birthdy → birthday"
+    describeRuleTerms(matchedTerms) {
+        return matchedTerms
+            .map(({ term, token, matchType }) => (matchType === 'exact' ? term : `${token} → ${term}`))
+            .join(', ');
+    }
+
+    // ==================== END BOOLEAN / PROXIMITY RULES ====================
+
+    // ==================== PER-KEYWORD MATCH MODES ====================
+
+    // Match an entry that has its own match mode; returns the detection fields or null
+    matchKeywordEntry(entry, tokens, messageText, userId = null) {
+        switch (entry.matchType) {
+            case 'rule':
+                return this.evaluateKeywordRule(entry.keyword, tokens);
+            case 'exact':
+                return this.matchExactEntry(entry, tokens);
+            case 'fuzzy':
+                return this.matchFuzzyEntry(entry, tokens, userId);
+            case 'wildcard':
+                return this.matchWildcardEntry(entry, tokens);
+            case 'regex':
+                return this.matchRegexEntry(entry, messageText);
+            default:
+                return null;
+        }
+    }
+
+    // Normalized keyword (or phrase) must equal the normalized tokens exactly
+    matchExactEntry(entry, tokens) {
+        const keywordTokens = this.normalizeText(entry.keyword, true).split(/\s+/).filter(Boolean);
+        if (keywordTokens.length === 0) return null;
+
+        for (let i = 0; i <= tokens.length - keywordTokens.length; i++) {
+            if (keywordTokens.every((keywordToken, j) => tokens[i + j] === keywordToken)) {
+                return { matchType: 'exact', token: tokens.slice(i, i + keywordTokens.length).join(' ') };
+            }
+        }
+        return null;
+    }
+
+    // Edit distance against the keyword's own threshold instead of the global length-based one
+    matchFuzzyEntry(entry, tokens, userId = null) {
+        const normalizedKeyword = this.normalizeText(entry.keyword, true);
+        const keywordTokens = normalizedKeyword.split(/\s+/).filter(Boolean);
+        if (keywordTokens.length === 0) return null;
+
+        const threshold = entry.fuzzyThreshold !== null ? entry.fuzzyThreshold : 1;
+        for (let i = 0; i <= tokens.length - keywordTokens.length; i++) {
+            const candidate = tokens.slice(i, i + keywordTokens.length).join(' ');
+            if (candidate === normalizedKeyword) {
+                return { matchType: 'exact', token: candidate };
+            }
+            const distance = damerauLevenshtein(candidate, normalizedKeyword).steps;
+            if (distance <= threshold && !this.isExcludedMatch(entry.keyword, candidate, userId)) {
+                return { matchType: 'fuzzy', token: candidate, distance };
+            }
+        }
+        return null;
+    }
+
+    // "deliver*" matches any token starting with "deliver"; "*" can appear anywhere in the word
+    matchWildcardEntry(entry, tokens) {
+        const pattern = this.getCompiledPattern(entry);
+        if (!pattern) return null;
+
+        const token = tokens.find(candidate => pattern.test(candidate));
+        return token ? { matchType: 'wildcard', token } : null;
+    }
+
+    // Regex keywords run against the original message text in a sandbox with a time limit
+    matchRegexEntry(entry, messageText) {
+        const pattern = this.getCompiledPattern(entry);
+        if (!pattern) return null;
+
+        const text = messageText.substring(0, MAX_REGEX_INPUT_LENGTH);
+        try {
+            this.regexSandbox.pattern = pattern;
+            this.regexSandbox.text = text;
+            const match = this.regexScript.runInContext(this.regexSandbox, { timeout: REGEX_TIMEOUT_MS });
+            if (!match) return null;
+
+            const [index, matchedText] = match;
+            if (!matchedText) return { matchType: 'regex', token: entry.keyword }; // Empty match, e.g. /x*/
+            return { matchType: 'regex', token: matchedText, offsets: [{ start: index, end: index + matchedText.length }] };
+        } catch (error) {
+            // Timed out (catastrophic backtracking) - disable the pattern instead of stalling every message
+            console.error(`❌ Regex keyword "${entry.keyword}" disabled: ${error.message}`);
+            this.compiledPatterns.set(`regex:${entry.keyword}`, null);
+            return null;
+        }
+    }
+
+    // Compile (and cache) the RegExp behind a wildcard or regex keyword
+    getCompiledPattern(entry) {
+        const cacheKey = `${entry.matchType}:${entry.keyword}`;
+        if (!this.compiledPatterns.has(cacheKey)) {
+            let pattern = null;
+            try {
+                if (entry.matchType === 'regex') {
+                    const regexError = this.validateRegex(entry.keyword);
+                    if (regexError) throw new Error(regexError);
+                    pattern = new RegExp(entry.keyword, 'iu');
+                } else {
+                    const parts = entry.keyword.split('*').map(part => this.escapeRegex(this.normalizeText(part, true)));
+                    pattern = new RegExp(`^${parts.join('\\S*')}$`, 'u');
+                }
+            } catch (error) {
+                console.error(`❌ Invalid ${entry.matchType} keyword "${entry.keyword}": ${error.message}`);
+            }
+            this.compiledPatterns.set(cacheKey, pattern);
+        }
+        return this.compiledPatterns.get(cacheKey);
+    }
+
+    // Reject regexes that are likely to backtrack catastrophically; returns an error message (in `language`) or null
+    validateRegex(source, language = 'en') {
+        if (!source || source.length > MAX_REGEX_LENGTH) {
+            return I18n.translate(language, 'keywords.error.regexLength', { max: MAX_REGEX_LENGTH });
+        }
+        if (/\\[1-9]|\\k</.test(source)) {
+            return I18n.translate(language, 'keywords.error.regexBackreference');
+        }
+        if (/\((?:[^()\\]|\\.)*[+*}]\)\s*[+*{?]/.test(source)) {
+            return I18n.translate(language, 'keywords.error.regexNested');
+        }
+        try {
+            new RegExp(source, 'iu');
+        } catch (error) {
+            return error.message;
+        }
+        return null;
+    }
+
+    // Validate a keyword against the match mode it will be stored with; returns an error message (in `language`) or null
+    validateKeywordEntry(entry, language = 'en') {
+        const normalized = this.normalizeKeywordEntry(entry);
+        if (normalized.matchType === 'rule') {
+            return this.validateRule(normalized.keyword, language);
+        }
+        if (normalized.matchType === 'regex') {
+            return this.validateRegex(normalized.keyword, language);
+        }
+        if (normalized.matchType === 'wildcard' && !normalized.keyword.replace(/\*/g, '').trim()) {
+            return I18n.translate(language, 'keywords.error.wildcardEmpty');
+        }
+        if (normalized.fuzzyThreshold !== null && (normalized.fuzzyThreshold < 0 || normalized.fuzzyThreshold > 5)) {
+            return I18n.translate(language, 'keywords.error.fuzzyRange', { min: 0, max: 5 });
+        }
+        return null;
+    }
+
+    // ==================== END PER-KEYWORD MATCH MODES ====================
+
+    // True if a 👎 on an earlier alert excluded this (keyword, token) pair
+    isExcludedMatch(keyword, token, userId = null) {
+        return this.matchFeedback.isExcluded(keyword, token, userId);
+    }
+
+    // ==================== DETECTION TRACE ====================
+
+    // Dry run of detectKeywords that explains every keyword considered. Used by /testmatch and POST /detect.
+    // options.userId limits personal keywords (and matches) to one user; by default all users are traced.
+    async explainDetection(messageText, options = {}) {
+        const groupName = options.groupName || null;
+        const text = typeof messageText === 'string' ? messageText : '';
+        const tokens = this.tokenizeText(text);
+
+        const matches = (await this.detectKeywords(text, groupName))
+            .filter(match => match.type === 'global' || !options.userId || String(match.userId) === String(options.userId));
+
+        const candidates = this.keywords.map(keyword => ({ entry: this.getKeywordEntry(keyword), type: 'global', userId: null }));
+        const userIds = options.userId ? [options.userId] : this.getAuthorizedUsers();
+        for (const userId of userIds) {
+            const personalKeywords = await this.getPersonalKeywordEntries(userId);
+            personalKeywords.forEach(entry => candidates.push({ entry, type: 'personal', userId }));
+        }
+
+        const keywords = candidates.map(({ entry, type, userId }) => {
+            const match = matches.find(detected => detected.keyword === entry.keyword && detected.type === type &&
+                (type === 'global' || String(detected.userId) === String(userId)));
+            const trace = {
+                keyword: entry.keyword,
+                type,
+                mode: entry.matchType,
+                inScope: this.isKeywordInScope(entry, groupName),
+                matched: Boolean(match),
+                matchType: match ? match.matchType : null,
+                token: match ? match.token || null : null,
+                steps: []
+            };
+            if (userId !== null) trace.userId = userId;
+
+            if (!this.enabled) {
+                trace.steps.push({ key: 'disabled' });
+            } else if (!trace.inScope) {
+                trace.steps.push({ key: 'outOfScope', groups: entry.groups, excludeGroups: entry.excludeGroups, group: groupName });
+            } else {
+                const { steps, closest } = this.traceKeywordEntry(entry, tokens, text, type, userId);
+                trace.steps = steps;
+                trace.closest = closest;
+            }
+            return trace;
+        });
+
+        return {
+            text,
+            groupName,
+            enabled: this.enabled,
+            fuzzyMatching: this.fuzzyMatching,
+            normalizedText: this.normalizeText(text),
+            tokens,
+            matches,
+            keywords
+        };
+    }
+
+    // Path through the matchers for one keyword, plus the closest token (if distances apply).
+    // Steps are { key, ...details } - the caller words them (testmatch.step.<key> in the message catalogs).
+    traceKeywordEntry(entry, tokens, messageText, type, userId = null) {
+        const steps = [];
+        let closest = null;
+
+        if (entry.matchType !== 'auto') {
+            steps.push({ key: 'mode', matchType: entry.matchType, fuzzyThreshold: entry.fuzzyThreshold });
+            if (entry.matchType === 'rule') {
+                const ruleError = this.validateRule(entry.keyword);
+                if (ruleError) {
+                    steps.push({ key: 'invalidRule', rule: entry.keyword, error: ruleError });
+                    return { steps, closest };
+                }
+            }
+            if (entry.matchType === 'wildcard' || entry.matchType === 'regex') {
+                const pattern = this.getCompiledPattern(entry);
+                steps.push(pattern ? { key: 'pattern', pattern: String(pattern) } : { key: 'patternInvalid' });
+                if (!pattern) return { steps, closest };
+            }
+            if (entry.matchType === 'fuzzy' || entry.matchType === 'exact') {
+                closest = this.traceClosestToken(steps, this.normalizeText(entry.keyword, true), tokens, entry.matchType === 'fuzzy' ? entry.fuzzyThreshold || 1 : 0);
+            }
+
+            const result = this.matchKeywordEntry(entry, tokens, messageText, userId);
+            if (!result) {
+                steps.push({ key: 'noMatch' });
+            } else if (result.ruleMatch) {
+                result.matchedTerms.forEach(term => steps.push({ key: 'ruleTerm', term: term.term, matchType: term.matchType, token: term.token }));
+                steps.push({ key: 'ruleMatched' });
+            } else {
+                steps.push({ key: 'matched', matchType: result.matchType, token: result.token });
+            }
+            return { steps, closest };
+        }
+
+        // Without fuzzy matching detectKeywords falls back to a word-boundary search on the lower-cased text
+        if (!this.fuzzyMatching) {
+            const searchText = this.caseSensitive ? messageText : messageText.toLowerCase();
+            const searchKeyword = this.caseSensitive ? entry.keyword : entry.keyword.toLowerCase();
+            let found = searchText.includes(searchKeyword);
+            if (this.exactMatch) {
+                const boundaryRegex = this.isLatinScript(searchKeyword)
+                    ? new RegExp(`\\b${this.escapeRegex(searchKeyword)}\\b`, this.caseSensitive ? '' : 'i')
+                    : new RegExp(`(^|[\\s\\p{P}])${this.escapeRegex(searchKeyword)}([\\s\\p{P}]|$)`, this.caseSensitive ? 'u' : 'iu');
+                found = boundaryRegex.test(searchText);
+            }
+            steps.push({ key: this.exactMatch ? 'wholeWordSearch' : 'substringSearch', keyword: searchKeyword });
+            steps.push({ key: found ? 'searchFound' : 'searchNotFound' });
+            return { steps, closest };
+        }
+
+        const normalizedKeyword = this.normalizeText(entry.keyword, true);
+        steps.push({ key: 'normalized', keyword: normalizedKeyword });
+
+        // Multi-word global keywords go through the phrase matchers
+        if (type === 'global' && this.multiWordKeywords && normalizedKeyword.includes(' ')) {
+            const keywordTokens = normalizedKeyword.split(/\s+/);
+            let phraseFound = false;
+            for (let i = 0; i <= tokens.length - keywordTokens.length && !phraseFound; i++) {
+                const window = tokens.slice(i, i + keywordTokens.length);
+                if (keywordTokens.every((keywordToken, j) => window[j] === keywordToken || this.fuzzyMatch(window[j], keywordToken))) {
+                    steps.push({ key: 'phraseFound', tokens: window.join(' ') });
+                    phraseFound = true;
+                }
+            }
+            if (!phraseFound) steps.push({ key: 'phraseNotFound' });
+
+            const separatorRegex = new RegExp(normalizedKeyword.replace(/\s+/g, '[\\s\\-_\\+]'), 'i');
+            steps.push({ key: separatorRegex.test(messageText) ? 'separatorFound' : 'separatorNotFound' });
+
+            const abbreviation = Object.entries(this.abbreviationMap)
+                .find(([abbrev, expansion]) => expansion === normalizedKeyword && messageText.toLowerCase().includes(abbrev));
+            steps.push(abbreviation ? { key: 'abbreviationFound', abbreviation: abbreviation[0] } : { key: 'abbreviationNotFound' });
+
+            steps.push({ key: this.performDiacriticInsensitiveSubstringMatch(messageText, entry.keyword) ? 'diacriticSubstringFound' : 'diacriticSubstringNotFound' });
+            return { steps, closest };
+        }
+
+        const exactToken = tokens.find(token => token === normalizedKeyword);
+        if (exactToken) {
+            steps.push({ key: 'exactToken', token: exactToken });
+            return { steps, closest };
+        }
+        steps.push({ key: 'exactNone' });
+
+        closest = this.traceClosestToken(steps, normalizedKeyword, tokens, null);
+
+        const excludedTokens = tokens.filter(token => this.isExcludedMatch(entry.keyword, token, userId));
+        if (excludedTokens.length > 0) {
+            steps.push({ key: 'excluded', tokens: excludedTokens.map(token => `"${token}"`).join(', ') });
+        }
+
+        const fuzzyToken = tokens.find(token => !excludedTokens.includes(token) && this.fuzzyMatch(token, normalizedKeyword));
+        if (fuzzyToken) {
+            steps.push({ key: 'fuzzyToken', token: fuzzyToken, method: this.getFuzzyMethod(fuzzyToken, normalizedKeyword) });
+            return { steps, closest };
+        }
+        steps.push({ key: 'fuzzyNone' });
+
+        // Personal keywords stop after the fuzzy step
+        if (type === 'global') {
+            const diacriticToken = tokens.find(token => !excludedTokens.includes(token) && this.performDiacriticInsensitiveSubstringMatch(token, normalizedKeyword));
+            if (diacriticToken) {
+                steps.push({ key: 'diacriticToken', token: diacriticToken });
+                return { steps, closest };
+            }
+            steps.push({ key: 'diacriticNone' });
+        }
+
+        steps.push({ key: 'noMatcher' });
+        return { steps, closest };
+    }
+
+    // Adds the closest token and its edit distances to a trace and returns it
+    traceClosestToken(steps, normalizedKeyword, tokens, threshold) {
+        let closest = null;
+        for (const token of tokens) {
+            const lev = levenshtein.get(token, normalizedKeyword);
+            const damerau = damerauLevenshtein(token, normalizedKeyword).steps;
+            if (!closest || Math.min(lev, damerau) < closest.distance) {
+                closest = { token, levenshtein: lev, damerau, distance: Math.min(lev, damerau) };
+            }
+        }
+        if (!closest) {
+            steps.push({ key: 'closestNone' });
+            return null;
+        }
+        closest.threshold = threshold !== null ? threshold : this.getFuzzyThreshold(normalizedKeyword.length, normalizedKeyword);
+        steps.push({ key: 'closest', token: closest.token, levenshtein: closest.levenshtein, damerau: closest.damerau, threshold: closest.threshold });
+        return closest;
+    }
+
+    // Which of the fuzzyMatch strategies accepted a token: plural, editDistance, affix, number, hebrew, russian or other
+    getFuzzyMethod(token, keyword) {
+        if (this.handlePlurals && this.handlePlural(token) === this.handlePlural(keyword)) {
+            return 'plural';
+        }
+        const word = this.handlePlurals ? this.handlePlural(token) : token;
+        const target = this.handlePlurals ? this.handlePlural(keyword) : keyword;
+        if (this.isDirectFuzzyMatch(word, target)) return 'editDistance';
+        if (this.isSubstringFuzzyMatch(word, target)) return 'affix';
+        if (this.isNumberAppendedMatch(word, target)) return 'number';
+        if (this.containsHebrew(word)) return 'hebrew';
+        if (this.containsRussian(word)) return 'russian';
+        return 'other';
+    }
+
+    // ==================== END DETECTION TRACE ====================
+
+    async addKeyword(keyword, addedBy = 'system', options = {}) {
         if (!this.keywords.includes(keyword)) {
             this.keywords.push(keyword);
+            // Store the resolved mode so auto-detected rules keep it in keywords.json and Supabase
+            const entry = this.normalizeKeywordEntry({ keyword, ...options });
+            const storedOptions = this.extractKeywordOptions(entry);
+            if (storedOptions) {
+                this.keywordOptions[keyword] = storedOptions;
+            }
+            this.invalidateKeywordIndex();
             await this.saveConfig();
             
             // Also add to Supabase
@@ -2491,10 +3216,53 @@ class KeywordDetector {
         }
     }
 
+    // Change a global keyword's priority in keywords.json and Supabase; false if there is no such keyword
+    async setKeywordPriority(keyword, priority) {
+        if (!KeywordPriority.isValid(priority)) return false;
+        return this.updateKeywordOption(keyword, 'priority', priority === 'normal' ? null : priority, { priority });
+    }
+
+    // Change (or with null, clear) a global keyword's escalation policy
+    async setKeywordPolicy(keyword, policy) {
+        return this.updateKeywordOption(keyword, 'policy', policy, { escalation_policy: policy });
+    }
+
+    // Set one stored option of a global keyword (null removes it) and mirror it to its Supabase columns
+    async updateKeywordOption(keyword, option, value, supabaseFields) {
+        if (!this.keywords.includes(keyword)) return false;
+
+        const options = { ...(this.keywordOptions[keyword] || {}) };
+        if (value === null) {
+            delete options[option];
+        } else {
+            options[option] = value;
+        }
+        if (Object.keys(options).length > 0) {
+            this.keywordOptions[keyword] = options;
+        } else {
+            delete this.keywordOptions[keyword];
+        }
+        this.invalidateKeywordIndex();
+        await this.saveConfig();
+
+        if (this.supabase.isEnabled()) {
+            const success = await this.supabase.updateGlobalKeyword(keyword, supabaseFields);
+            if (!success) {
+                console.error(`❌ Failed to update ${option} of keyword "${keyword}" in Supabase`);
+            }
+        }
+        return true;
+    }
+
     async removeKeyword(keyword) {
         const index = this.keywords.indexOf(keyword);
         if (index > -1) {
             this.keywords.splice(index, 1);
+            delete this.keywordOptions[keyword];
+            this.compiledRules.delete(keyword);
+            this.compiledPatterns.delete(`wildcard:${keyword}`);
+            this.compiledPatterns.delete(`regex:${keyword}`);
+            this.invalidateKeywordIndex();
             await this.saveConfig();
             
             // Also remove from Supabase
@@ -2505,7 +3273,7 @@ class KeywordDetector {
     async saveConfig() {
         try {
             const config = {
-                keywords: this.keywords,
+                keywords: this.keywords.map(keyword => this.serializeKeywordEntry(keyword)),
                 caseSensitive: this.caseSensitive,
                 exactMatch: this.exactMatch,
                 enabled: this.enabled,
@@ -2525,7 +3293,8 @@ class KeywordDetector {
         if (this.supabase.isEnabled()) {
             try {
                 console.log(`💾 Adding keyword "${keyword}" to Supabase...`);
-                const success = await this.supabase.addGlobalKeyword(keyword, addedBy);
+                const entry = this.getKeywordEntry(keyword);
+                const success = await this.supabase.addGlobalKeyword(keyword, addedBy, entry);
                 if (success) {
                     console.log(`✅ Keyword "${keyword}" added to Supabase`);
                 } else {
@@ -2562,93 +3331,197 @@ class KeywordDetector {
     }
 
     getAuthorizedUsers() {
-        try {
-            const fs = require('fs');
-            const path = require('path');
-            const authPath = path.join(__dirname, '../config/telegram-auth.json');
-            
-            if (fs.existsSync(authPath)) {
-                const data = JSON.parse(fs.readFileSync(authPath, 'utf8'));
-                return data.authorizedUsers || [];
+        return this.dataStore.getAuthorizedUsers();
+    }
+
+    async getGroupSubscribers(groupName) {
+        return this.dataStore.getGroupSubscribers(groupName);
+    }
+
+    async getPersonalKeywords(userId) {
+        return this.dataStore.getPersonalKeywords(userId);
+    }
+
+    // ==================== MESSAGE SEARCH ====================
+
+    // Match a /search query against archived text the way a keyword would match: same normalizer,
+    // phrases, fuzzy/diacritic matching and AND/OR/NOT/NEAR rules. Returns { matchType, token } or null.
+    matchQuery(query, messageText) {
+        if (!query || !messageText || typeof messageText !== 'string') return null;
+
+        const tokens = this.tokenizeText(messageText);
+        if (KeywordRule.isRuleExpression(query)) {
+            const ruleMatch = this.evaluateKeywordRule(query, tokens);
+            return ruleMatch ? { matchType: ruleMatch.matchType, token: ruleMatch.token } : null;
+        }
+
+        const hits = this.matchRuleTerm(query, tokens);
+        if (hits.length === 0) return null;
+
+        const hit = hits.find(candidate => candidate.matchType === 'exact') || hits[0];
+        return { matchType: hit.matchType, token: hit.token };
+    }
+
+    // Returns an error message (in `language`) for a malformed rule query, null otherwise
+    validateQuery(query, language = 'en') {
+        return KeywordRule.isRuleExpression(query) ? this.validateRule(query, language) : null;
+    }
+
+    // ==================== END MESSAGE SEARCH ====================
+
+    // ==================== MATCH OFFSETS ====================
+
+    // Adds offsets: [{ start, end }] to each detection - where its hit is in messageText, so alerts can highlight it.
+    // Detection runs on normalized tokens, so the message is tokenized word by word with each word's position kept,
+    // and the detection's token (or keyword) is looked up in that map. Regex hits already carry their offsets.
+    addMatchOffsets(messageText, detections) {
+        if (!messageText || detections.length === 0) return detections;
+
+        let sourceTokens = null; // Built on the first detection that needs it
+        for (const detection of detections) {
+            if (detection.offsets) continue;
+            sourceTokens = sourceTokens || this.mapSourceTokens(messageText);
+            const needles = detection.matchedTerms
+                ? detection.matchedTerms.map(term => term.token)
+                : [detection.token || detection.keyword];
+            const offsets = needles.flatMap(needle => this.findTokenOffsets(sourceTokens, needle));
+            detection.offsets = this.mergeOffsets(offsets);
+        }
+        return detections;
+    }
+
+    // [{ token, start, end }] - the normalized tokens of each word (split the way normalizeText splits) with the word's
+    // position in the original text, leading and trailing punctuation left out
+    mapSourceTokens(text) {
+        const sourceTokens = [];
+        const tokensByWord = new Map(); // Words repeat a lot in long texts - tokenize each once
+        const wordPattern = /[^\s_\-+]+/g;
+        let match;
+        while ((match = wordPattern.exec(text)) !== null) {
+            const word = match[0];
+            const core = /[\p{L}\p{N}](?:.*[\p{L}\p{N}\p{M}])?/su.exec(word);
+            if (!core) continue;
+
+            if (!tokensByWord.has(word)) tokensByWord.set(word, this.tokenizeText(word));
+            const start = match.index + core.index;
+            for (const token of tokensByWord.get(word)) {
+                sourceTokens.push({ token, start, end: start + core[0].length });
             }
-            
-            return [];
-        } catch (error) {
-            console.error('Error loading authorized users:', error.message);
-            return [];
         }
+        return sourceTokens;
     }
 
-    async getGroupSubscribers(groupName) {
-        try {
-            // Try Supabase first if enabled
-            if (this.supabase.isEnabled()) {
-                try {
-                    const allSubscriptions = await this.supabase.getGroupSubscriptions();
-                    if (allSubscriptions && allSubscriptions[groupName]) {
-                        console.log(`📊 Loaded ${allSubscriptions[groupName].length} subscribers for group "${groupName}" from Supabase`);
-                        return allSubscriptions[groupName];
-                    } else if (allSubscriptions !== null) {
-                        // Supabase returned data but group has no subscribers
-                        return [];
-                    }
-                    // If allSubscriptions is null, fall through to file-based fallback
-                } catch (error) {
-                    console.warn(`⚠️ Failed to load group subscribers from Supabase for group "${groupName}", falling back to file:`, error.message);
-                }
+    // Every place the needle's tokens appear in a row; single tokens also match inside a longer word
+    // (diacritic-insensitive substring hits)
+    findTokenOffsets(sourceTokens, needle) {
+        const needleTokens = this.tokenizeText(String(needle || ''));
+        if (needleTokens.length === 0) return [];
+
+        const offsets = [];
+        for (let i = 0; i <= sourceTokens.length - needleTokens.length && offsets.length < MAX_MATCH_OFFSETS; i++) {
+            if (needleTokens.every((token, j) => sourceTokens[i + j].token === token)) {
+                offsets.push({ start: sourceTokens[i].start, end: sourceTokens[i + needleTokens.length - 1].end });
             }
-            
-            // Fallback to file-based config
-            const fs = require('fs');
-            const path = require('path');
-            const subscriptionsPath = path.join(__dirname, '../config/group-subscriptions.json');
-            
-            if (fs.existsSync(subscriptionsPath)) {
-                const data = JSON.parse(fs.readFileSync(subscriptionsPath, 'utf8'));
-                return data[groupName] || [];
+        }
+        if (offsets.length === 0 && needleTokens.length === 1) {
+            for (const source of sourceTokens) {
+                if (source.token.includes(needleTokens[0])) offsets.push({ start: source.start, end: source.end });
+                if (offsets.length >= MAX_MATCH_OFFSETS) break;
             }
-            
-            return [];
-        } catch (error) {
-            console.error('Error loading group subscribers:', error.message);
-            return [];
         }
+        return offsets;
     }
 
-    async getPersonalKeywords(userId) {
-        try {
-            // Try Supabase first if enabled
-            if (this.supabase.isEnabled()) {
-                try {
-                    const dbKeywords = await this.supabase.getPersonalKeywords(userId);
-                    if (dbKeywords && dbKeywords.length > 0) {
-                        console.log(`📊 Loaded ${dbKeywords.length} personal keywords from Supabase for user ${userId}`);
-                        return dbKeywords;
-                    } else if (dbKeywords !== null) {
-                        // Supabase returned empty array (user has no keywords)
-                        return [];
-                    }
-                    // If dbKeywords is null, fall through to file-based fallback
-                } catch (error) {
-                    console.warn(`⚠️ Failed to load personal keywords from Supabase for user ${userId}, falling back to file:`, error.message);
-                }
-            }
-            
-            // Fallback to file-based config
-            const fs = require('fs');
-            const path = require('path');
-            const personalKeywordsPath = path.join(__dirname, '../config/personal-keywords.json');
-            
-            if (fs.existsSync(personalKeywordsPath)) {
-                const data = JSON.parse(fs.readFileSync(personalKeywordsPath, 'utf8'));
-                return data[userId] || [];
+    // Sorted, without overlaps (one word can yield several tokens)
+    mergeOffsets(offsets) {
+        const merged = [];
+        for (const offset of [...offsets].sort((a, b) => a.start - b.start)) {
+            const last = merged[merged.length - 1];
+            if (last && offset.start <= last.end) {
+                last.end = Math.max(last.end, offset.end);
+            } else {
+                merged.push({ ...offset });
             }
-            
-            return [];
-        } catch (error) {
-            console.error('Error loading personal keywords:', error.message);
-            return [];
         }
+        return merged;
+    }
+
+    // ==================== END MATCH OFFSETS ====================
+
+    // ==================== KEYWORD INDEX ====================
+
+    // Drop the precompiled index; the next message rebuilds it (keywords, personal keywords or settings changed)
+    invalidateKeywordIndex() {
+        this.keywordIndex = null;
+        this.keywordIndexPromise = null;
+        this.keywordIndexVersion++;
+    }
+
+    // Current index, rebuilt when invalidated, when the set of authorized users changed
+    // or once the data store's cache TTL has passed (picks up database edits without realtime)
+    async getKeywordIndex() {
+        const authorizedUsers = this.getAuthorizedUsers();
+        const userKey = authorizedUsers.map(userId => String(userId)).join(',');
+
+        if (this.keywordIndex && Date.now() - this.keywordIndex.builtAt > this.dataStore.ttlMs) {
+            this.keywordIndex = null;
+        }
+        if (this.keywordIndex && this.keywordIndex.userKey === userKey) {
+            return this.keywordIndex;
+        }
+        if (!this.keywordIndexPromise || this.keywordIndexPromise.userKey !== userKey) {
+            this.keywordIndexPromise = this.buildKeywordIndex(authorizedUsers, userKey);
+            this.keywordIndexPromise.userKey = userKey;
+        }
+        return this.keywordIndexPromise;
+    }
+
+    async buildKeywordIndex(authorizedUsers, userKey) {
+        const version = this.keywordIndexVersion;
+        const startTime = Date.now();
+        const index = new KeywordIndex(this);
+        index.userKey = userKey;
+
+        this.keywords.forEach(keyword => index.addEntry(this.getKeywordEntry(keyword), 'global'));
+        for (const userId of authorizedUsers) {
+            const personalKeywords = await this.getPersonalKeywordEntries(userId);
+            personalKeywords.forEach(entry => index.addEntry(entry, 'personal', userId));
+        }
+        index.builtAt = Date.now();
+
+        // Only keep it if nothing was invalidated while personal keywords were loading
+        if (version === this.keywordIndexVersion) {
+            this.keywordIndex = index;
+            this.keywordIndexPromise = null;
+        }
+        console.log(`🗂️ Keyword index built: ${index.globalEntries.length} global, ${index.entries.length - index.globalEntries.length} personal keywords (${Date.now() - startTime}ms)`);
+        return index;
+    }
+
+    // ==================== END KEYWORD INDEX ====================
+
+    // Personal keywords resolved to { keyword, matchType, fuzzyThreshold, groups, excludeGroups, priority, policy } entries
+    async getPersonalKeywordEntries(userId) {
+        const personalKeywords = await this.getPersonalKeywords(userId);
+        return personalKeywords
+            .filter(entry => entry && (typeof entry === 'string' || entry.keyword))
+            .map(entry => this.normalizeKeywordEntry(entry));
+    }
+
+    // Resolved entry of a keyword: userId selects that user's personal keyword, null means the global keyword.
+    // Returns null for unknown keywords.
+    async findKeywordEntry(keyword, userId = null) {
+        if (userId === null) {
+            return this.keywords.includes(keyword) ? this.getKeywordEntry(keyword) : null;
+        }
+        const entries = await this.getPersonalKeywordEntries(userId);
+        return entries.find(personalEntry => personalEntry.keyword === keyword) || null;
+    }
+
+    // Priority level of a keyword (see KeywordPriority); unknown keywords are 'normal'
+    async getKeywordPriority(keyword, userId = null) {
+        const entry = await this.findKeywordEntry(keyword, userId);
+        return entry ? entry.priority : 'normal';
     }
 
     setEnabled(enabled) {
@@ -0,0 +1,147 @@
+/**
+ * Keyword Index
+ * Precompiled lookup structures for KeywordDetector, built once per keyword set instead of per message:
+ *   - normalized forms of every global and personal keyword
+ *   - a token trie for exact word and phrase hits
+ *   - a character-bigram index that narrows fuzzy matching to keywords sharing a bigram with a token
+ * KeywordDetector rebuilds it whenever keywords, personal keywords or authorized users change.
+ */
+
+class KeywordIndex {
+    constructor(detector) {
+        this.detector = detector;
+        this.entries = []; // id -> indexed entry
+        this.globalEntries = [];
+        this.personalEntries = new Map(); // userId -> indexed entries
+        this.userKey = ''; // authorized users the personal entries were built for
+        this.builtAt = Date.now();
+        this.trie = { children: new Map(), ids: [] };
+        this.bigrams = new Map(); // bigram -> Set of entry ids
+        this.alwaysCheck = new Set(); // fuzzy-matchable entries the bigram filter can't safely rule out
+    }
+
+    addEntry(entry, type, userId = null) {
+        const normalizedKeyword = this.detector.normalizeText(entry.keyword, true);
+        const indexed = {
+            id: this.entries.length,
+            keyword: entry.keyword,
+            entry,
+            type,
+            userId,
+            normalizedKeyword,
+            keywordTokens: normalizedKeyword.split(/\s+/).filter(Boolean),
+            isPhrase: normalizedKeyword.includes(' ')
+        };
+        this.entries.push(indexed);
+
+        if (type === 'global') {
+            this.globalEntries.push(indexed);
+        } else {
+            if (!this.personalEntries.has(userId)) this.personalEntries.set(userId, []);
+            this.personalEntries.get(userId).push(indexed);
+        }
+
+        // Entries with their own match mode are matched by KeywordDetector.matchKeywordEntry
+        if (entry.matchType === 'auto' && indexed.keywordTokens.length > 0) {
+            this.addToTrie(indexed);
+            this.addToBigramIndex(indexed);
+        }
+        return indexed;
+    }
+
+    addToTrie(indexed) {
+        let node = this.trie;
+        for (const token of indexed.keywordTokens) {
+            if (!node.children.has(token)) {
+                node.children.set(token, { children: new Map(), ids: [] });
+            }
+            node = node.children.get(token);
+        }
+        node.ids.push(indexed.id);
+    }
+
+    // A keyword can only be skipped for a token when they share no bigram AND the keyword's
+    // allowed edit distance is too small to destroy all of its bigrams (each edit touches at most 3).
+    // Phrases and Hebrew/Russian keywords (root, homoglyph and layout matching) are always checked.
+    addToBigramIndex(indexed) {
+        const detector = this.detector;
+        const keyword = indexed.normalizedKeyword;
+
+        if (indexed.isPhrase || detector.containsHebrew(keyword) || detector.containsRussian(keyword)) {
+            this.alwaysCheck.add(indexed.id);
+            return;
+        }
+
+        const forms = this.getForms(keyword);
+        const indexable = forms.every(form => {
+            const maxDistance = detector.getFuzzyThreshold(form.length, form);
+            return form.length - 1 > 3 * maxDistance;
+        });
+        if (!indexable) {
+            this.alwaysCheck.add(indexed.id);
+            return;
+        }
+
+        for (const form of forms) {
+            for (const bigram of this.getBigrams(form)) {
+                if (!this.bigrams.has(bigram)) this.bigrams.set(bigram, new Set());
+                this.bigrams.get(bigram).add(indexed.id);
+            }
+        }
+    }
+
+    // Every spelling fuzzyMatch / diacritic matching may compare: as-is, singular, without diacritics
+    getForms(word) {
+        const forms = new Set([word, this.detector.removeDiacritics(word)]);
+        if (this.detector.handlePlurals) {
+            const singular = this.detector.handlePlural(word);
+            forms.add(singular);
+            forms.add(this.detector.removeDiacritics(singular));
+        }
+        return [...forms].filter(Boolean);
+    }
+
+    getBigrams(word) {
+        const bigrams = [];
+        for (let i = 0; i < word.length - 1; i++) {
+            bigrams.push(word.substring(i, i + 2));
+        }
+        return bigrams;
+    }
+
+    // Exact word and phrase hits: entry id -> matched text
+    findExactHits(tokens) {
+        const hits = new Map();
+        for (let start = 0; start < tokens.length; start++) {
+            let node = this.trie;
+            for (let i = start; i < tokens.length; i++) {
+                node = node.children.get(tokens[i]);
+                if (!node) break;
+                for (const id of node.ids) {
+                    if (!hits.has(id)) hits.set(id, tokens.slice(start, i + 1).join(' '));
+                }
+            }
+        }
+        return hits;
+    }
+
+    // Ids of entries that may fuzzy-match at least one token
+    getFuzzyCandidates(tokens) {
+        const candidates = new Set(this.alwaysCheck);
+        for (const token of tokens) {
+            for (const form of this.getForms(token)) {
+                for (const bigram of this.getBigrams(form)) {
+                    const ids = this.bigrams.get(bigram);
+                    if (ids) ids.forEach(id => candidates.add(id));
+                }
+            }
+        }
+        return candidates;
+    }
+
+    getPersonalEntries(userId) {
+        return this.personalEntries.get(userId) || [];
+    }
+}
+
+module.exports = KeywordIndex;
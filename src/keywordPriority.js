@@ -0,0 +1,78 @@
+/**
+ * Keyword Priority
+ * What a keyword's priority (low / normal / high / critical) changes about its alerts:
+ *   - channels:          where the first alert goes (Telegram, email)
+ *   - reminders:         whether repeating reminders start at all, and their schedule
+ *   - bypassQuietHours:  alert right away even during quiet hours, /dnd, digests and the global sleep window
+ * Keywords without a priority are 'normal', which keeps the original alert and reminder behaviour.
+ */
+
+const MINUTE = 60 * 1000;
+
+const PRIORITY_LEVELS = {
+    low: {
+        icon: '⚪',
+        channels: ['telegram'],
+        reminders: false,
+        firstReminderMs: null,
+        reminderIntervals: [],
+        bypassQuietHours: false
+    },
+    normal: {
+        icon: '🔵',
+        channels: ['telegram', 'email'],
+        reminders: true,
+        firstReminderMs: MINUTE,
+        reminderIntervals: [1 * MINUTE, 3 * MINUTE, 10 * MINUTE, 45 * MINUTE, 30 * MINUTE], // 1, 2, 5, 15, 60, 90 min
+        bypassQuietHours: false
+    },
+    high: {
+        icon: '🟠',
+        channels: ['telegram', 'email'],
+        reminders: true,
+        firstReminderMs: MINUTE,
+        reminderIntervals: [1 * MINUTE, 2 * MINUTE, 5 * MINUTE, 10 * MINUTE, 20 * MINUTE], // 1, 2, 4, 9, 19, 39 min
+        bypassQuietHours: false
+    },
+    critical: {
+        icon: '🔴',
+        channels: ['telegram', 'email'],
+        reminders: true,
+        firstReminderMs: 30 * 1000,
+        reminderIntervals: [30 * 1000, 1 * MINUTE, 2 * MINUTE, 5 * MINUTE, 10 * MINUTE], // 0.5, 1, 2, 4, 9, 19 min
+        bypassQuietHours: true
+    }
+};
+
+class KeywordPriority {
+    static get LEVELS() {
+        return Object.keys(PRIORITY_LEVELS);
+    }
+
+    static isValid(priority) {
+        return Object.prototype.hasOwnProperty.call(PRIORITY_LEVELS, priority);
+    }
+
+    // Priority of a keyword entry; the older "emergency": true flag means critical
+    static fromEntry(entry) {
+        if (!entry || typeof entry !== 'object') return 'normal';
+        if (KeywordPriority.isValid(entry.priority)) return entry.priority;
+        return entry.emergency === true ? 'critical' : 'normal';
+    }
+
+    static get(priority) {
+        return PRIORITY_LEVELS[KeywordPriority.isValid(priority) ? priority : 'normal'];
+    }
+
+    static usesChannel(priority, channel) {
+        return KeywordPriority.get(priority).channels.includes(channel);
+    }
+
+    // "🔴 critical" style label for alerts and keyword lists
+    static describe(priority) {
+        const level = KeywordPriority.isValid(priority) ? priority : 'normal';
+        return `${PRIORITY_LEVELS[level].icon} ${level}`;
+    }
+}
+
+module.exports = KeywordPriority;
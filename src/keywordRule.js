@@ -0,0 +1,192 @@
+/**
+ * Keyword Rule Parser
+ * Parses boolean/proximity keyword expressions such as
+ *   cake AND (birthday OR party) NOT recipe
+ *   urgent NEAR/3 meeting
+ * into a small AST that KeywordDetector evaluates against message tokens.
+ */
+
+// Parse errors carry a keywords.error.* catalog key and its params next to the English message
+function ruleError(key, message, params = {}) {
+    const error = new Error(message);
+    error.key = key;
+    error.params = params;
+    return error;
+}
+
+class KeywordRule {
+    /**
+     * Check whether a keyword string uses rule syntax (AND / OR / NOT / NEAR/n).
+     * Operators must be upper-case so ordinary phrases like "salt and pepper" stay phrases.
+     */
+    static isRuleExpression(text) {
+        if (!text || typeof text !== 'string') return false;
+        return text
+            .split(/[\s()]+/)
+            .some(part => part === 'AND' || part === 'OR' || part === 'NOT' || /^NEAR\/\d+$/.test(part));
+    }
+
+    /**
+     * Parse an expression into an AST.
+     * Node shapes:
+     *   { type: 'term', value }            single word or "quoted phrase"
+     *   { type: 'and', children: [...] }
+     *   { type: 'or', children: [...] }
+     *   { type: 'not', child }
+     *   { type: 'near', distance, children: [left, right] }
+     * Throws an Error with a readable message (and a catalog key, see ruleError) on invalid syntax.
+     */
+    static parse(expression) {
+        const tokens = KeywordRule.lex(expression);
+        if (tokens.length === 0) {
+            throw ruleError('ruleEmpty', 'Rule is empty');
+        }
+
+        let position = 0;
+        const peek = () => tokens[position];
+        const next = () => tokens[position++];
+
+        // or := and ('OR' and)*
+        const parseOr = () => {
+            const children = [parseAnd()];
+            while (peek() && peek().type === 'OR') {
+                next();
+                children.push(parseAnd());
+            }
+            return children.length === 1 ? children[0] : { type: 'or', children };
+        };
+
+        // and := near (('AND' | 'NOT' | implicit) near)*
+        // "a NOT b" is read as "a AND NOT b"
+        const parseAnd = () => {
+            const children = [parseNear()];
+            while (peek() && peek().type !== 'OR' && peek().type !== 'RPAREN') {
+                const token = peek();
+                if (token.type === 'AND') {
+                    next();
+                    children.push(parseNear());
+                } else if (token.type === 'NOT') {
+                    next();
+                    children.push({ type: 'not', child: parseNear() });
+                } else if (token.type === 'NEAR') {
+                    throw ruleError('ruleNearLeft', `NEAR/${token.distance} is missing its left-hand term`, { operator: `NEAR/${token.distance}` });
+                } else {
+                    children.push(parseNear());
+                }
+            }
+            return children.length === 1 ? children[0] : { type: 'and', children };
+        };
+
+        // near := unary ('NEAR/n' unary)*
+        const parseNear = () => {
+            let left = parseUnary();
+            while (peek() && peek().type === 'NEAR') {
+                const distance = next().distance;
+                const right = parseUnary();
+                if (left.type === 'not' || right.type === 'not') {
+                    throw ruleError('ruleNotNear', 'NOT cannot be used as a NEAR operand');
+                }
+                left = { type: 'near', distance, children: [left, right] };
+            }
+            return left;
+        };
+
+        // unary := 'NOT' unary | '(' or ')' | TERM
+        const parseUnary = () => {
+            const token = next();
+            if (!token) {
+                throw ruleError('ruleEnds', 'Rule ends unexpectedly');
+            }
+            if (token.type === 'NOT') {
+                return { type: 'not', child: parseUnary() };
+            }
+            if (token.type === 'LPAREN') {
+                const node = parseOr();
+                const closing = next();
+                if (!closing || closing.type !== 'RPAREN') {
+                    throw ruleError('ruleParenthesis', 'Missing closing parenthesis');
+                }
+                return node;
+            }
+            if (token.type === 'TERM') {
+                return { type: 'term', value: token.value };
+            }
+            throw ruleError('ruleUnexpected', `Unexpected "${token.raw}"`, { token: token.raw });
+        };
+
+        const ast = parseOr();
+        if (position < tokens.length) {
+            throw ruleError('ruleUnexpected', `Unexpected "${tokens[position].raw}"`, { token: tokens[position].raw });
+        }
+        if (!KeywordRule.hasPositiveTerm(ast)) {
+            throw ruleError('ruleNegated', 'Rule must contain at least one term that is not negated');
+        }
+        return ast;
+    }
+
+    // Split an expression into operator, parenthesis and term tokens
+    static lex(expression) {
+        const tokens = [];
+        const source = String(expression || '').trim();
+        const pattern = /\s*(?:(\()|(\))|"([^"]*)"|([^\s()"]+))/y;
+        let index = 0;
+
+        while (index < source.length) {
+            pattern.lastIndex = index;
+            const match = pattern.exec(source);
+            if (!match) {
+                throw ruleError('ruleQuote', `Unterminated quote near ${source.slice(index).trim()}`, { text: source.slice(index).trim() });
+            }
+            index = pattern.lastIndex;
+
+            if (match[1]) {
+                tokens.push({ type: 'LPAREN', raw: '(' });
+            } else if (match[2]) {
+                tokens.push({ type: 'RPAREN', raw: ')' });
+            } else if (match[3] !== undefined) {
+                const phrase = match[3].trim();
+                if (phrase) tokens.push({ type: 'TERM', value: phrase, raw: `"${phrase}"` });
+            } else {
+                const word = match[4];
+                const near = /^NEAR\/(\d+)$/.exec(word);
+                if (word === 'AND' || word === 'OR' || word === 'NOT') {
+                    tokens.push({ type: word, raw: word });
+                } else if (near) {
+                    tokens.push({ type: 'NEAR', distance: parseInt(near[1], 10), raw: word });
+                } else {
+                    tokens.push({ type: 'TERM', value: word, raw: word });
+                }
+            }
+        }
+
+        return tokens;
+    }
+
+    // A rule made only of NOT terms would fire on almost every message
+    static hasPositiveTerm(node) {
+        switch (node.type) {
+            case 'term':
+                return true;
+            case 'not':
+                return false;
+            case 'or':
+                return node.children.every(child => KeywordRule.hasPositiveTerm(child));
+            default:
+                return node.children.some(child => KeywordRule.hasPositiveTerm(child));
+        }
+    }
+
+    // List the leaf terms of a rule (negated ones included)
+    static collectTerms(node, terms = []) {
+        if (node.type === 'term') {
+            terms.push(node.value);
+        } else if (node.type === 'not') {
+            KeywordRule.collectTerms(node.child, terms);
+        } else {
+            node.children.forEach(child => KeywordRule.collectTerms(child, terms));
+        }
+        return terms;
+    }
+}
+
+module.exports = KeywordRule;
@@ -0,0 +1,159 @@
+/**
+ * Match Feedback
+ * Tracks 👍/👎 feedback on fuzzy alerts and the resulting (keyword, token) exclusions.
+ * Exclusions live in Supabase when enabled, with config/keyword-exclusions.json as fallback.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const I18n = require('./i18n');
+
+// Only these match types can be wrong about the token, so only they get feedback buttons
+const FEEDBACK_MATCH_TYPES = ['fuzzy', 'diacritic-insensitive'];
+const MAX_PENDING_FEEDBACK = 1000;
+const PENDING_FEEDBACK_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Buttons stop working after a week
+
+class MatchFeedback {
+    constructor(supabase) {
+        this.supabase = supabase;
+        this.storagePath = path.join(__dirname, '../config/keyword-exclusions.json');
+        this.exclusions = []; // { keyword, token, userId, excludedBy, excludedAt } - userId is null for global keywords
+        this.exclusionKeys = new Set();
+        this.pendingFeedback = new Map(); // feedbackId -> { keyword, token, matchType, userId, createdAt }
+    }
+
+    async load() {
+        try {
+            if (this.supabase && this.supabase.isEnabled()) {
+                const rows = await this.supabase.getKeywordExclusions();
+                if (rows !== null) {
+                    this.setExclusions(rows);
+                    console.log(`📊 Loaded ${this.exclusions.length} keyword exclusions from Supabase`);
+                    return;
+                }
+            }
+
+            if (fs.existsSync(this.storagePath)) {
+                const data = JSON.parse(fs.readFileSync(this.storagePath, 'utf8'));
+                this.setExclusions(data.exclusions || []);
+                console.log(`📁 Loaded ${this.exclusions.length} keyword exclusions from file`);
+            }
+        } catch (error) {
+            console.error('❌ Error loading keyword exclusions:', error.message);
+        }
+    }
+
+    setExclusions(exclusions) {
+        this.exclusions = exclusions.filter(exclusion => exclusion && exclusion.keyword && exclusion.token);
+        this.exclusionKeys = new Set(this.exclusions.map(exclusion => this.getExclusionKey(exclusion.keyword, exclusion.token, exclusion.userId)));
+    }
+
+    getExclusionKey(keyword, token, userId = null) {
+        return [String(keyword).toLowerCase(), String(token).toLowerCase(), userId ? String(userId) : ''].join('\u0000');
+    }
+
+    // Global exclusions apply to everyone; personal ones only to that user's keyword
+    isExcluded(keyword, token, userId = null) {
+        if (this.exclusions.length === 0 || !token) return false;
+        return this.exclusionKeys.has(this.getExclusionKey(keyword, token)) ||
+            (userId !== null && this.exclusionKeys.has(this.getExclusionKey(keyword, token, userId)));
+    }
+
+    getExclusions() {
+        return [...this.exclusions];
+    }
+
+    async addExclusion(keyword, token, userId = null, excludedBy = 'system') {
+        const key = this.getExclusionKey(keyword, token, userId);
+        if (this.exclusionKeys.has(key)) return false;
+
+        const exclusion = {
+            keyword,
+            token,
+            userId: userId ? String(userId) : null,
+            excludedBy: String(excludedBy),
+            excludedAt: new Date().toISOString()
+        };
+        this.exclusions.push(exclusion);
+        this.exclusionKeys.add(key);
+        await this.save(exclusion, 'add');
+        return true;
+    }
+
+    async removeExclusion(exclusion) {
+        const key = this.getExclusionKey(exclusion.keyword, exclusion.token, exclusion.userId);
+        if (!this.exclusionKeys.has(key)) return false;
+
+        this.exclusions = this.exclusions.filter(existing => this.getExclusionKey(existing.keyword, existing.token, existing.userId) !== key);
+        this.exclusionKeys.delete(key);
+        await this.save(exclusion, 'remove');
+        return true;
+    }
+
+    async save(exclusion, action) {
+        try {
+            fs.writeFileSync(this.storagePath, JSON.stringify({ exclusions: this.exclusions }, null, 2));
+        } catch (error) {
+            console.error('❌ Error saving keyword exclusions:', error.message);
+        }
+
+        if (this.supabase && this.supabase.isEnabled()) {
+            const success = action === 'add'
+                ? await this.supabase.addKeywordExclusion(exclusion)
+                : await this.supabase.removeKeywordExclusion(exclusion);
+            if (!success) {
+                console.warn(`⚠️ Failed to ${action} keyword exclusion in Supabase: "${exclusion.keyword}" / "${exclusion.token}"`);
+            }
+        }
+    }
+
+    supportsFeedback(matchType, token) {
+        return FEEDBACK_MATCH_TYPES.includes(matchType) && Boolean(token);
+    }
+
+    // Remember an alert so a later button press can find its keyword/token (callback data is limited to 64 bytes)
+    registerAlert(keyword, token, matchType, userId = null) {
+        this.cleanupPendingFeedback();
+
+        const feedbackId = crypto.randomBytes(6).toString('hex');
+        this.pendingFeedback.set(feedbackId, { keyword, token, matchType, userId: userId ? String(userId) : null, createdAt: Date.now() });
+        return feedbackId;
+    }
+
+    getPendingFeedback(feedbackId) {
+        const feedback = this.pendingFeedback.get(feedbackId);
+        if (!feedback || Date.now() - feedback.createdAt > PENDING_FEEDBACK_TTL_MS) {
+            return null;
+        }
+        return feedback;
+    }
+
+    cleanupPendingFeedback() {
+        const now = Date.now();
+        for (const [feedbackId, feedback] of this.pendingFeedback) {
+            if (now - feedback.createdAt > PENDING_FEEDBACK_TTL_MS) {
+                this.pendingFeedback.delete(feedbackId);
+            }
+        }
+        // Map keeps insertion order, so the first entries are the oldest
+        while (this.pendingFeedback.size >= MAX_PENDING_FEEDBACK) {
+            this.pendingFeedback.delete(this.pendingFeedback.keys().next().value);
+        }
+    }
+
+    // Inline keyboard for an alert, or null when the match type can't be a false positive
+    getFeedbackKeyboard(keyword, token, matchType, userId = null, language = 'en') {
+        if (!this.supportsFeedback(matchType, token)) return null;
+
+        const feedbackId = this.registerAlert(keyword, token, matchType, userId);
+        return {
+            inline_keyboard: [[
+                { text: I18n.translate(language, 'buttons.relevant'), callback_data: `fb:up:${feedbackId}` },
+                { text: I18n.translate(language, 'buttons.falsePositive'), callback_data: `fb:down:${feedbackId}` }
+            ]]
+        };
+    }
+}
+
+module.exports = MatchFeedback;
@@ -0,0 +1,91 @@
+/**
+ * Match Highlight
+ * Where a keyword hit is in an alert's message, for highlighting it. alert.matchOffsets ([{ start, end }] from
+ * KeywordDetector.addMatchOffsets) is used when present; otherwise (reminders, older alerts) the matched word or the
+ * keyword is searched for in the message. Long messages are cut to a snippet around the first hit.
+ */
+
+const MAX_SEARCHED_OFFSETS = 20;
+const SNAP_DISTANCE = 15; // How far a snippet edge may move to land between words
+
+class MatchHighlight {
+    // Sorted hits inside the message; offsets past its end (a hit in the file name) are dropped
+    static getOffsets(alert) {
+        const message = alert.message || '';
+        const given = (Array.isArray(alert.matchOffsets) ? alert.matchOffsets : [])
+            .filter(offset => Number.isInteger(offset.start) && Number.isInteger(offset.end) &&
+                offset.start >= 0 && offset.start < offset.end && offset.end <= message.length)
+            .sort((a, b) => a.start - b.start);
+        if (given.length > 0) return given;
+
+        // Rule matches describe their terms instead of naming the matched words
+        if (alert.matchType === 'rule') return [];
+        const needles = [alert.matchedToken, alert.keyword].filter(needle => typeof needle === 'string' && needle.trim());
+        const lower = message.toLowerCase();
+        for (const needle of needles) {
+            const target = needle.toLowerCase();
+            const offsets = [];
+            for (let index = lower.indexOf(target); index !== -1 && offsets.length < MAX_SEARCHED_OFFSETS; index = lower.indexOf(target, index + target.length)) {
+                offsets.push({ start: index, end: index + target.length });
+            }
+            if (offsets.length > 0) return offsets;
+        }
+        return [];
+    }
+
+    /**
+     * The message - or, past maxLength characters, a window around the first hit - as [{ text, highlight }] parts.
+     * Cut edges get '...'.
+     */
+    static getSnippet(alert, maxLength) {
+        const message = alert.message || '';
+        const offsets = MatchHighlight.getOffsets(alert);
+
+        let start = 0;
+        let end = message.length;
+        if (message.length > maxLength) {
+            const first = offsets[0];
+            start = first ? Math.max(0, first.start - Math.floor(maxLength / 3)) : 0;
+            end = Math.min(message.length, start + maxLength);
+            start = Math.max(0, end - maxLength);
+
+            // Don't cut words in half when a space is close by
+            if (start > 0) {
+                const space = message.substring(start, start + SNAP_DISTANCE).search(/\s/);
+                if (space !== -1 && (!first || start + space < first.start)) start += space + 1;
+            }
+            if (end < message.length) {
+                const space = message.substring(end - SNAP_DISTANCE, end).search(/\s\S*$/);
+                if (space !== -1 && (!first || end - SNAP_DISTANCE + space >= first.end)) end = end - SNAP_DISTANCE + space;
+            }
+        }
+
+        const parts = [];
+        let position = start;
+        for (const offset of offsets) {
+            const hitStart = Math.max(offset.start, position);
+            const hitEnd = Math.min(offset.end, end);
+            if (hitStart >= hitEnd) continue;
+            if (hitStart > position) parts.push({ text: message.substring(position, hitStart), highlight: false });
+            parts.push({ text: message.substring(hitStart, hitEnd), highlight: true });
+            position = hitEnd;
+        }
+        if (position < end) parts.push({ text: message.substring(position, end), highlight: false });
+
+        if (start > 0) parts.unshift({ text: '...', highlight: false });
+        if (end < message.length) parts.push({ text: '...', highlight: false });
+        return parts;
+    }
+
+    /**
+     * The snippet as one string: escape(text) for every part, wrapped with highlight(escapedText) for the hits.
+     * e.g. render(alert, 200, escapeHtml, text => `<b>${text}</b>`)
+     */
+    static render(alert, maxLength, escape = text => text, highlight = text => text) {
+        return MatchHighlight.getSnippet(alert, maxLength)
+            .map(part => (part.highlight ? highlight(escape(part.text)) : escape(part.text)))
+            .join('');
+    }
+}
+
+module.exports = MatchHighlight;
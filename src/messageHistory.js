@@ -0,0 +1,249 @@
+/**
+ * Message History
+ * Optional archive of monitored WhatsApp messages for /search (MESSAGE_HISTORY_ENABLED=true).
+ * Messages live in the Supabase message_history table when enabled, otherwise in config/message-history.jsonl.
+ * Retention: MESSAGE_HISTORY_RETENTION_DAYS (default 30) and, for the file, MESSAGE_HISTORY_MAX_MESSAGES (default 5000).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_MAX_MESSAGES = 5000;
+const MAX_STORED_TEXT_LENGTH = 10000; // Extracted file text can be whole documents
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const SEARCH_SCAN_LIMIT = 2000; // Newest messages scanned per search or backfill
+const BACKFILL_YIELD_EVERY = 100; // Let WhatsApp events through while replaying detection
+
+class MessageHistory {
+    constructor(supabase) {
+        this.supabase = supabase;
+        this.enabled = process.env.MESSAGE_HISTORY_ENABLED === 'true';
+        this.retentionDays = parseInt(process.env.MESSAGE_HISTORY_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+        this.maxMessages = parseInt(process.env.MESSAGE_HISTORY_MAX_MESSAGES, 10) || DEFAULT_MAX_MESSAGES;
+        this.storagePath = path.join(__dirname, '../config/message-history.jsonl');
+        this.messages = []; // File fallback, oldest first
+        this.lastPruneAt = 0;
+
+        if (this.enabled) {
+            this.load();
+        }
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    useSupabase() {
+        return Boolean(this.supabase && this.supabase.isEnabled());
+    }
+
+    load() {
+        if (this.useSupabase()) {
+            console.log(`🗄️ Message history enabled (Supabase, ${this.retentionDays} days retention)`);
+            return;
+        }
+
+        try {
+            if (fs.existsSync(this.storagePath)) {
+                this.messages = fs.readFileSync(this.storagePath, 'utf8')
+                    .split('\n')
+                    .filter(line => line.trim())
+                    .map(line => {
+                        try {
+                            return JSON.parse(line);
+                        } catch (error) {
+                            return null; // Skip a line cut off by a crash mid-write
+                        }
+                    })
+                    .filter(Boolean);
+            }
+            this.prune();
+            console.log(`🗄️ Message history enabled (file, ${this.messages.length} messages, ${this.retentionDays} days retention)`);
+        } catch (error) {
+            console.error('❌ Error loading message history:', error.message);
+        }
+    }
+
+    // Archive one monitored message (the messageData emitted by WhatsAppConnection)
+    async record(messageData) {
+        if (!this.enabled || !messageData) return;
+
+        try {
+            const record = this.buildRecord(messageData);
+            if (!record.text && !record.fileText && !record.attachment) return;
+
+            if (this.useSupabase()) {
+                const success = await this.supabase.addMessageHistory(record);
+                if (!success) {
+                    console.warn(`⚠️ Failed to archive message ${record.id} in Supabase`);
+                }
+            } else {
+                this.messages.push(record);
+                fs.appendFileSync(this.storagePath, JSON.stringify(record) + '\n');
+            }
+
+            await this.pruneIfDue();
+        } catch (error) {
+            console.error('❌ Error recording message history:', error.message);
+        }
+    }
+
+    buildRecord(messageData) {
+        const fileText = messageData.fileText || '';
+        let text = messageData.text || '';
+        // WhatsAppConnection appends extracted file content to the text for detection; keep the two apart
+        if (fileText && text.endsWith(fileText)) {
+            text = text.slice(0, -fileText.length).replace(/(\n\n)?\[File Content\]\n$/, '');
+        }
+
+        const attachment = messageData.attachment ? {
+            type: messageData.attachment.type,
+            mimetype: messageData.attachment.mimetype,
+            filename: messageData.attachment.filename || null,
+            size: Number(messageData.attachment.size) || 0
+        } : null;
+
+        return {
+            id: messageData.id || null,
+            group: messageData.group || 'Unknown',
+            sender: messageData.sender || 'Unknown',
+            text: text.substring(0, MAX_STORED_TEXT_LENGTH),
+            fileText: fileText.substring(0, MAX_STORED_TEXT_LENGTH),
+            attachment,
+            timestamp: this.toIsoTimestamp(messageData.timestamp)
+        };
+    }
+
+    // Baileys timestamps are seconds, sometimes wrapped in a protobuf Long
+    toIsoTimestamp(timestamp) {
+        const seconds = timestamp && typeof timestamp.toNumber === 'function' ? timestamp.toNumber() : Number(timestamp);
+        return new Date(seconds > 0 ? seconds * 1000 : Date.now()).toISOString();
+    }
+
+    async pruneIfDue() {
+        const overLimit = !this.useSupabase() && this.messages.length > this.maxMessages * 1.1;
+        if (!overLimit && Date.now() - this.lastPruneAt < PRUNE_INTERVAL_MS) return;
+
+        this.lastPruneAt = Date.now();
+        await this.prune();
+    }
+
+    // Drop messages older than the retention period (and, for the file, beyond the message limit)
+    async prune() {
+        const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+
+        if (this.useSupabase()) {
+            const removed = await this.supabase.deleteMessageHistoryBefore(cutoff);
+            if (removed > 0) {
+                console.log(`🧹 Removed ${removed} archived messages older than ${this.retentionDays} days`);
+            }
+            return;
+        }
+
+        const kept = this.messages.filter(message => message.timestamp >= cutoff).slice(-this.maxMessages);
+        if (kept.length === this.messages.length) return;
+
+        console.log(`🧹 Removed ${this.messages.length - kept.length} archived messages (retention)`);
+        this.messages = kept;
+        try {
+            fs.writeFileSync(this.storagePath, kept.map(message => JSON.stringify(message) + '\n').join(''));
+        } catch (error) {
+            console.error('❌ Error saving message history:', error.message);
+        }
+    }
+
+    // Newest first, optionally limited to one group (case-insensitive) and a start time
+    async getMessages({ groupName = null, since = null, limit = SEARCH_SCAN_LIMIT } = {}) {
+        if (this.useSupabase()) {
+            return (await this.supabase.getMessageHistory({ groupName, since, limit })) || [];
+        }
+
+        const group = groupName ? groupName.toLowerCase() : null;
+        const results = [];
+        for (let i = this.messages.length - 1; i >= 0 && results.length < limit; i--) {
+            const message = this.messages[i];
+            if (group && message.group.toLowerCase() !== group) continue;
+            if (since && message.timestamp < since) continue; // Arrival order isn't strictly chronological (offline sync)
+            results.push(message);
+        }
+        return results;
+    }
+
+    /**
+     * Search archived messages with the detection normalizer (keywordDetector.matchQuery),
+     * so Hebrew/Russian normalization, fuzzy matching, phrases and AND/OR/NOT rules behave like keywords.
+     * Returns { results: [{ message, match, field }], matched, scanned }.
+     */
+    async search(query, keywordDetector, { groupName = null, since = null, limit = 10 } = {}) {
+        const messages = await this.getMessages({ groupName, since });
+        const results = [];
+        let matched = 0;
+
+        for (const message of messages) {
+            let field = 'text';
+            let match = message.text ? keywordDetector.matchQuery(query, message.text) : null;
+            if (!match && message.fileText) {
+                field = 'fileText';
+                match = keywordDetector.matchQuery(query, message.fileText);
+            }
+            if (!match && message.attachment && message.attachment.filename) {
+                field = 'filename';
+                match = keywordDetector.matchQuery(query, message.attachment.filename);
+            }
+            if (!match) continue;
+
+            matched++;
+            if (results.length < limit) {
+                results.push({ message, match, field });
+            }
+        }
+
+        return { results, matched, scanned: messages.length };
+    }
+
+    /**
+     * Replay archived messages since a time through keyword detection and keep the hits for one keyword:
+     * a global keyword (userId null) or the given user's personal keyword. Nothing is sent or reminded here.
+     * Returns { results: [{ message, match, field }], matched, scanned } with the newest hits first.
+     */
+    async backfill(keywordDetector, { keyword, userId = null, since = null, limit = 20 }) {
+        const messages = await this.getMessages({ since });
+        const results = [];
+        let matched = 0;
+
+        for (const [i, message] of messages.entries()) {
+            if (i > 0 && i % BACKFILL_YIELD_EVERY === 0) {
+                await new Promise(resolve => setImmediate(resolve));
+            }
+
+            // Same text the bot runs detection on: message text, extracted file content and file name
+            const text = [message.text, message.fileText, message.attachment && message.attachment.filename]
+                .filter(Boolean)
+                .join('\n');
+            const detections = await keywordDetector.detectKeywords(text, message.group);
+            const match = detections.find(detected => detected.keyword === keyword &&
+                (userId === null ? detected.type === 'global' : detected.type === 'personal' && String(detected.userId) === String(userId)));
+            if (!match) continue;
+
+            matched++;
+            if (results.length < limit) {
+                // Exact detections carry no token; the keyword itself is what appeared in the text
+                const token = match.token || keyword;
+                results.push({ message, match: { ...match, token }, field: this.getMatchField(message, token) });
+            }
+        }
+
+        return { results, matched, scanned: messages.length };
+    }
+
+    // Which part of the message a detected token came from (for snippets)
+    getMatchField(message, token) {
+        const contains = value => Boolean(value && token && value.toLowerCase().includes(token.toLowerCase()));
+        if (!contains(message.text) && contains(message.fileText)) return 'fileText';
+        if (!contains(message.text) && message.attachment && contains(message.attachment.filename)) return 'filename';
+        return 'text';
+    }
+}
+
+module.exports = MessageHistory;
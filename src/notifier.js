@@ -1,8 +1,16 @@
 const TelegramBot = require('node-telegram-bot-api');
 const { logError, logBotEvent } = require('./logger');
 const TelegramAuthorization = require('./telegram-auth');
+const ChannelRegistry = require('./notifiers/channelRegistry');
+const TelegramChannel = require('./notifiers/telegramChannel');
 const EmailChannel = require('./notifiers/emailChannel');
+const WebhookChannel = require('./notifiers/webhookChannel');
+const ChatWebhookChannel = require('./notifiers/chatWebhookChannel');
+const ChannelPreferences = require('./channelPreferences');
 const ReminderManager = require('./reminderManager');
+const DigestManager = require('./digestManager');
+const KeywordPriority = require('./keywordPriority');
+const I18n = require('./i18n');
 const fs = require('fs');
 const path = require('path');
 
@@ -14,14 +22,28 @@ class Notifier {
         this.retryAttempts = 3;
         this.retryDelay = 1000;
         this.authorization = new TelegramAuthorization(); // Authorization system
-        this.emailChannel = new EmailChannel(); // Email notifications
-        this.reminderManager = new ReminderManager(); // Reminder system
+        this.i18n = new I18n(); // Message catalogs and each user's language
+        // Keyword alert channels; register more (Slack, SMS...) with this.channels.register(channel)
+        this.channels = new ChannelRegistry();
+        this.channels.register(new TelegramChannel(this));
+        this.channels.register(new EmailChannel(this.i18n));
+        this.chatWebhooks = this.channels.register(new ChatWebhookChannel(this.i18n)); // Slack / Discord incoming webhooks (/chathook)
+        this.chatWebhooks.load();
+        this.channels.register(new WebhookChannel()); // Outgoing webhooks (config/webhooks.json, WEBHOOK_URLS)
+        this.channelPreferences = new ChannelPreferences(); // Each user's channels per keyword / priority (/channels)
+        this.channelPreferences.load();
+        this.reminderManager = new ReminderManager(this.i18n); // Reminder system
+        this.digestManager = new DigestManager(); // Per-user alert digests
         this.sleepConfig = null; // Sleep hours configuration
+        this.matchFeedback = null; // 👍/👎 feedback store, injected from KeywordDetector by the bot
+        this.keywordDetector = null; // Injected by the bot to look up keyword priorities
         this.loadSleepConfig();
         this.init();
         
         // Listen for reminder events
         this.reminderManager.on('sendReminder', this.handleReminder.bind(this));
+        this.reminderManager.on('escalateReminder', this.handleEscalation.bind(this));
+        this.digestManager.on('digestDue', userId => this.sendDigest(userId));
     }
 
     loadSleepConfig() {
@@ -121,143 +143,92 @@ class Notifier {
         }
     }
 
-    async sendKeywordAlert(keyword, message, sender, group, messageId, phoneNumber = null, matchType = 'exact', matchedToken = null, attachment = null, isReminder = false, reminderCount = 0, targetUsers = null) {
-        // Check sleep hours - skip keyword alerts during sleep
-        if (this.isSleepHours()) {
-            console.log(`😴 Sleep hours active - skipping keyword alert: ${keyword}`);
-            return false;
-        }
+    /**
+     * Send a keyword alert (see notifiers/channelRegistry.js) on the channels each recipient uses.
+     * Global alerts go to every authorized user unless recipients is given (a reminder's single user); personal ones to their owner.
+     * channels is an escalation step's channel list, which overrides each user's own choice.
+     */
+    async sendAlert(alert, { recipients = null, channels = null } = {}) {
+        const personal = alert.keywordType === 'personal';
+        const userIds = recipients || (personal ? [alert.userId].filter(Boolean) : this.authorization.getAuthorizedUsers());
+        alert = {
+            matchType: 'exact',
+            matchedToken: null,
+            attachment: null,
+            phoneNumber: null,
+            isReminder: false,
+            reminderCount: 0,
+            ...alert,
+            keywordType: personal ? 'personal' : 'global',
+            priority: alert.priority || await this.getKeywordPriority(alert.keyword, personal ? alert.userId : null)
+        };
 
-        let telegramSuccess = false;
-        let emailSuccess = false;
+        // Channels users don't pick (webhooks) feed other systems, so first alerts reach them even in sleep hours
+        // and digests; their retries run in the background
+        for (const channel of this.channels.list().filter(channel => !channel.selectable && channel.isEnabled())) {
+            channel.send(alert, userIds).catch(error => {
+                logError(error, { context: `send_keyword_alert_${channel.name}`, keyword: alert.keyword });
+            });
+        }
 
-        // Send Telegram notification
-        if (this.enabled) {
-            try {
-                const alertMessage = this.formatAlertMessage(keyword, message, sender, group, messageId, phoneNumber, matchType, matchedToken, attachment, isReminder, reminderCount);
-                
-                // If targetUsers is provided, use it (for reminders to specific user)
-                // Otherwise, send to ALL authorized users (for initial alerts)
-                const authorizedUsers = targetUsers || this.authorization.getAuthorizedUsers();
-                console.log(`📤 Sending global keyword alert to ${authorizedUsers.length} authorized user(s)`);
-                
-                if (authorizedUsers.length > 0) {
-                    const results = await Promise.allSettled(
-                        authorizedUsers.map(userId => this.sendWithRetry(alertMessage, userId))
-                    );
-                    
-                    const successCount = results.filter(result => result.status === 'fulfilled').length;
-                    const failureCount = results.filter(result => result.status === 'rejected').length;
-                    
-                    console.log(`📤 Telegram alert sent to ${successCount}/${authorizedUsers.length} users`);
-                    if (failureCount > 0) {
-                        console.warn(`⚠️ Failed to send Telegram to ${failureCount} users`);
-                    }
-                    
-                    telegramSuccess = successCount > 0;
-                } else {
-                    console.warn('⚠️ No authorized users found for global keyword alert');
-                }
-            } catch (error) {
-                logError(error, {
-                    context: 'send_keyword_alert_telegram',
-                    keyword,
-                    sender,
-                    group,
-                    phoneNumber
-                });
-            }
+        // Check sleep hours - skip keyword alerts during sleep (critical keywords still go out)
+        if (this.isSleepHours() && !KeywordPriority.get(alert.priority).bypassQuietHours) {
+            console.log(`😴 Sleep hours active - skipping ${alert.keywordType} keyword alert: ${alert.keyword}`);
+            return false;
         }
 
-        // Send Email notification
-        if (this.emailChannel && this.emailChannel.enabled) {
+        const routes = this.routeAlert(alert, userIds, channels);
+        const results = {};
+        await Promise.all([...routes].map(async ([name, routeUserIds]) => {
+            const channel = this.channels.get(name);
+            if (!channel.isEnabled()) {
+                console.log(`📡 ${name} channel not enabled - skipping it for keyword: "${alert.keyword}"`);
+                return;
+            }
             try {
-                console.log(`📧 Attempting to send email for global keyword: "${keyword}"`);
-                // Pass authorized users to email channel so it can send to each user's email from database
-                // If targetUsers is provided, use it (for reminders to specific user)
-                // Otherwise, send to ALL authorized users (for initial alerts)
-                const emailUsers = targetUsers || this.authorization.getAuthorizedUsers();
-                emailSuccess = await this.emailChannel.sendKeywordAlert(
-                    keyword, message, sender, group, messageId, phoneNumber, matchType, matchedToken, attachment, emailUsers
-                );
-                console.log(`📧 Email notification ${emailSuccess ? 'sent successfully' : 'failed'} for keyword: "${keyword}"`);
+                results[name] = Boolean(await channel.send(alert, routeUserIds));
             } catch (error) {
-                console.error(`❌ Email notification error for keyword "${keyword}":`, error.message);
-                logError(error, {
-                    context: 'send_keyword_alert_email',
-                    keyword,
-                    sender,
-                    group
-                });
+                results[name] = false;
+                logError(error, { context: `send_keyword_alert_${name}`, keyword: alert.keyword, keywordType: alert.keywordType });
             }
-        } else {
-            console.log(`📧 Email channel not enabled (channel: ${this.emailChannel ? 'exists' : 'null'}, enabled: ${this.emailChannel?.enabled})`);
-        }
+        }));
 
-        // Log combined results
         logBotEvent('keyword_alert_sent', {
-            keyword,
-            sender,
-            group,
-            messageId,
-            phoneNumber,
-            telegramSuccess,
-            emailSuccess
+            keyword: alert.keyword,
+            keywordType: alert.keywordType,
+            sender: alert.sender,
+            group: alert.group,
+            messageId: alert.messageId,
+            phoneNumber: alert.phoneNumber,
+            priority: alert.priority,
+            channels: results
         });
 
-        return telegramSuccess || emailSuccess;
+        return Object.values(results).some(Boolean);
     }
 
-    async sendPersonalKeywordAlert(keyword, message, sender, group, messageId, phoneNumber = null, targetUserId = null, matchType = 'exact', matchedToken = null, attachment = null, isReminder = false) {
-        // Check sleep hours - skip personal keyword alerts during sleep
-        if (this.isSleepHours()) {
-            console.log(`😴 Sleep hours active - skipping personal keyword alert: ${keyword}`);
-            return false;
-        }
-
-        let telegramSuccess = false;
-        let emailSuccess = false;
-
-        // Send Telegram notification
-        if (this.enabled && targetUserId) {
-            try {
-                const reminder = isReminder ? this.reminderManager.getReminders(targetUserId) : null;
-                const reminderCount = reminder ? reminder.reminderCount : 0;
-                
-                const alertMessage = this.formatPersonalAlertMessage(
-                    keyword, message, sender, group, messageId, phoneNumber, matchType, matchedToken, attachment, reminderCount
-                );
-                telegramSuccess = await this.sendWithRetry(alertMessage, targetUserId);
-            } catch (error) {
-                logError(error, {
-                    context: 'send_personal_keyword_alert_telegram',
-                    keyword,
-                    targetUserId
-                });
+    // channel name -> the userIds that get the alert on it
+    routeAlert(alert, userIds, stepChannels = null) {
+        const routes = new Map();
+        for (const userId of userIds) {
+            for (const name of this.getUserChannels(userId, alert, stepChannels)) {
+                const channel = this.channels.get(name);
+                if (!channel || !channel.selectable) continue;
+                if (!routes.has(name)) routes.set(name, []);
+                routes.get(name).push(userId);
             }
         }
 
-        // Send Email notification
-        if (this.emailChannel && this.emailChannel.enabled) {
-            try {
-                console.log(`📧 Attempting to send email for personal keyword: "${keyword}" to user ${targetUserId}`);
-                emailSuccess = await this.emailChannel.sendPersonalKeywordAlert(
-                    keyword, message, sender, group, messageId, phoneNumber, targetUserId, matchType, matchedToken, attachment
-                );
-                console.log(`📧 Email notification ${emailSuccess ? 'sent successfully' : 'failed'} for personal keyword: "${keyword}" to user ${targetUserId}`);
-            } catch (error) {
-                console.error(`❌ Email notification error for personal keyword "${keyword}" to user ${targetUserId}:`, error.message);
-                logError(error, {
-                    context: 'send_personal_keyword_alert_email',
-                    keyword,
-                    targetUserId
-                });
-            }
-        } else {
-            console.log(`📧 Email channel not enabled (channel: ${this.emailChannel ? 'exists' : 'null'}, enabled: ${this.emailChannel?.enabled})`);
-        }
+        const summary = [...routes].map(([name, routeUserIds]) => `${name}: ${routeUserIds.length}`).join(', ');
+        console.log(`📡 Routing ${alert.keywordType} keyword alert "${alert.keyword}" (${alert.priority}) - ${summary || 'no channels'}`);
+        return routes;
+    }
 
-        return telegramSuccess || emailSuccess;
+    // An escalation step's channels, else the user's choice for this keyword / priority (/channels), else the priority's
+    getUserChannels(userId, alert, stepChannels = null) {
+        return stepChannels ||
+            this.channelPreferences.getChannels(userId, alert.keyword, alert.priority) ||
+            KeywordPriority.get(alert.priority).channels;
     }
 
     /**
@@ -267,43 +238,31 @@ class Notifier {
         console.log(`⏰ Sending reminder ${reminder.reminderCount} for user ${reminder.userId} (global: ${reminder.isGlobal || false})`);
         
         try {
+            // Quiet hours / do-not-disturb silence reminders too, except for critical keywords
+            if (this.digestManager.isQuiet(reminder.userId) && !KeywordPriority.get(reminder.priority).bypassQuietHours) {
+                console.log(`🌙 Quiet hours active for user ${reminder.userId} - skipping reminder for "${reminder.keyword}"`);
+                return;
+            }
+
+            // Escalation policies can pick the channels of each step
+            const channels = this.reminderManager.escalationPolicies.getStepChannels(reminder.stepChannels, reminder.reminderCount);
+
             // IMPORTANT: Even for global keyword reminders, send reminder only to the specific user whose timer fired
             // The initial alert already went to all authorized users, but each reminder is per-user
             // This ensures that when a user presses /ok, only their reminders stop, not everyone's
-            if (reminder.isGlobal) {
-                // For global keywords, use sendKeywordAlert but pass only this specific user
-                // This ensures correct formatting ("Global Keyword Alert - Reminder") while only sending to one user
-                const authorizedUsers = [reminder.userId]; // Only send to this user
-                await this.sendKeywordAlert(
-                    reminder.keyword,
-                    reminder.message,
-                    reminder.sender,
-                    reminder.group,
-                    reminder.messageId,
-                    reminder.phoneNumber,
-                    'exact',
-                    null,
-                    reminder.attachment,
-                    true, // isReminder
-                    reminder.reminderCount, // reminder count
-                    authorizedUsers // Pass only this user, not all authorized users
-                );
-            } else {
-                // For personal keywords, use sendPersonalKeywordAlert as before
-                await this.sendPersonalKeywordAlert(
-                    reminder.keyword,
-                    reminder.message,
-                    reminder.sender,
-                    reminder.group,
-                    reminder.messageId,
-                    reminder.phoneNumber,
-                    reminder.userId,
-                    'exact',
-                    null,
-                    reminder.attachment,
-                    true // Mark as reminder
-                );
-            }
+            await this.sendAlert({
+                keyword: reminder.keyword,
+                keywordType: reminder.isGlobal ? 'global' : 'personal',
+                userId: reminder.userId,
+                message: reminder.message,
+                sender: reminder.sender,
+                group: reminder.group,
+                messageId: reminder.messageId,
+                phoneNumber: reminder.phoneNumber,
+                attachment: reminder.attachment,
+                isReminder: true,
+                reminderCount: reminder.reminderCount
+            }, { recipients: [reminder.userId], channels });
         } catch (error) {
             logError(error, {
                 context: 'handle_reminder',
@@ -313,62 +272,179 @@ class Notifier {
         }
     }
 
-    formatPersonalAlertMessage(keyword, message, sender, group, messageId, phoneNumber = null, matchType = 'exact', matchedToken = null, attachment = null, reminderCount = 0) {
-        const timestamp = new Date().toLocaleString();
-        
-        // Add reminder indicator
-        let reminderInfo = '';
-        if (reminderCount > 0) {
-            const timeElapsed = this.getReminderTimeElapsed(reminderCount);
-            reminderInfo = `\n⏰ <b>Reminder</b> - ${timeElapsed}`;
+    /**
+     * Final step of an escalation policy: nobody acknowledged, so alert the policy's target
+     * ("admins" or one user) instead of the user who ignored the reminders.
+     */
+    async handleEscalation(reminder) {
+        if (!this.enabled) return;
+
+        const recipients = (reminder.escalateTo === 'admins' ? this.authorization.getAdminUsers() : [reminder.escalateTo])
+            .map(String)
+            .filter(userId => userId !== String(reminder.userId));
+        if (recipients.length === 0) {
+            console.log(`🆘 No escalation recipients for reminder ${reminder.reminderId} (target: ${reminder.escalateTo})`);
+            return;
         }
-        
-        // Add attachment info if present
-        let attachmentInfo = '';
-        if (attachment) {
-            const escapedAttachmentType = this.escapeHtml(attachment.type);
-            attachmentInfo = `\n📎 <b>Attachment:</b> ${escapedAttachmentType}`;
-            if (attachment.filename) {
-                attachmentInfo += ` - ${this.escapeHtml(attachment.filename)}`;
+
+        const userName = this.authorization.getUserName(reminder.userId) || reminder.userId;
+        const results = await Promise.allSettled(recipients.map(userId =>
+            this.sendWithRetry(this.formatEscalationMessage(reminder, userName, this.i18n.getLanguage(userId)), userId)
+        ));
+        const successCount = results.filter(result => result.status === 'fulfilled').length;
+        console.log(`🆘 Escalated "${reminder.keyword}" for user ${reminder.userId} to ${successCount}/${recipients.length} recipient(s)`);
+    }
+
+    formatEscalationMessage(reminder, userName, language = 'en') {
+        const t = (key, params) => I18n.translate(language, key, params);
+        const unknown = t('alert.unknown');
+        const keyword = this.escapeHtml(reminder.keyword);
+        return `${t('escalation.title')}
+
+${reminder.isGlobal ? t('escalation.keyword', { keyword }) : t('escalation.personalKeyword', { keyword })}
+${t('escalation.notAcknowledged', { name: this.escapeHtml(userName), count: reminder.reminderCount })}
+${t('escalation.policy', { policy: this.escapeHtml(reminder.policy || 'default') })}
+${t('alert.sender', { sender: this.escapeHtml(reminder.sender || unknown) })}
+${t('alert.group', { group: this.escapeHtml(reminder.group || unknown) })}
+
+${t('alert.message')}
+${this.escapeHtml((reminder.message || '').substring(0, 200))}${reminder.message && reminder.message.length > 200 ? '...' : ''}`;
+    }
+
+    // { priority, policy } of a keyword; userId selects a personal keyword, null the global one
+    async getKeywordSettings(keyword, userId = null) {
+        const defaults = { priority: 'normal', policy: null };
+        if (!this.keywordDetector) return defaults;
+        try {
+            const entry = await this.keywordDetector.findKeywordEntry(keyword, userId);
+            return entry ? { priority: entry.priority, policy: entry.policy } : defaults;
+        } catch (error) {
+            console.warn(`⚠️ Failed to look up settings of keyword "${keyword}":`, error.message);
+            return defaults;
+        }
+    }
+
+    async getKeywordPriority(keyword, userId = null) {
+        return (await this.getKeywordSettings(keyword, userId)).priority;
+    }
+
+    // True when this user's alert for the keyword is queued (digest or quiet hours) rather than sent now.
+    // ownerId is the personal keyword's owner; null for global keywords.
+    async isDeliveryDeferred(userId, keyword, ownerId = null) {
+        if (!this.digestManager.isDeferred(userId)) return false;
+        return !KeywordPriority.get(await this.getKeywordPriority(keyword, ownerId)).bypassQuietHours;
+    }
+
+    /**
+     * Send a user's pending digest now (scheduled, or /digest now). Returns the number of alerts sent.
+     */
+    async sendDigest(userId) {
+        const entry = this.digestManager.takePending(userId);
+        if (!entry) return 0;
+        if (!this.enabled) {
+            this.digestManager.restorePending(userId, entry);
+            return 0;
+        }
+
+        const preference = this.digestManager.getPreference(userId);
+        const messages = this.formatDigestMessages(entry, preference.timezone, this.i18n.getLanguage(userId));
+        let sentCount = 0;
+        try {
+            for (const message of messages) {
+                await this.sendWithRetry(message, userId);
+                sentCount++;
             }
-            if (attachment.size) {
-                const sizeKB = (attachment.size / 1024).toFixed(2);
-                attachmentInfo += ` (${sizeKB} KB)`;
+        } catch (error) {
+            logError(error, { context: 'send_alert_digest', userId, alerts: entry.alerts.length });
+            // Nothing arrived - keep the alerts for the next attempt
+            if (sentCount === 0) {
+                this.digestManager.restorePending(userId, entry);
+                return 0;
             }
         }
-        
-        // Escape all user-provided content to prevent HTML parsing errors
-        const escapedKeyword = this.escapeHtml(keyword);
-        const escapedSender = this.escapeHtml(sender || 'Unknown');
-        const escapedGroup = this.escapeHtml(group || 'Unknown');
-        const escapedMatchedToken = matchedToken ? this.escapeHtml(matchedToken) : null;
-        
-        let escapedMatchInfo = '';
-        if (matchType === 'fuzzy' && matchedToken) {
-            escapedMatchInfo = `\n🔍 <b>Fuzzy Match:</b> "${escapedMatchedToken}" → "${escapedKeyword}"`;
-        } else if (matchType === 'exact') {
-            escapedMatchInfo = `\n✅ <b>Exact Match</b>`;
-        }
 
-        // Update header to indicate type
-        const header = reminderCount === 0 
-            ? '🚨 <b>Personal Keyword Alert</b>'
-            : '⏰ <b>Personal Keyword Alert - Reminder</b>';
-        return `${header}
+        const alertCount = entry.alerts.length + entry.dropped;
+        console.log(`📬 Sent alert digest with ${alertCount} alert(s) to user ${userId}`);
+        logBotEvent('alert_digest_sent', { userId, alerts: alertCount, messages: sentCount, mode: preference.mode });
+        return alertCount;
+    }
 
-🚨 <b>Keyword:</b> ${escapedKeyword}${escapedMatchInfo}
-👤 <b>From:</b> ${escapedSender}
-📱 <b>Group:</b> ${escapedGroup}
-🕐 <b>Time:</b> ${timestamp}${reminderInfo}${attachmentInfo}
+    // Digest grouped by group, then keyword, with counts and a few excerpts - split to fit Telegram's message limit
+    formatDigestMessages(entry, timezone = null, language = 'en') {
+        const t = (key, params) => I18n.translate(language, key, params);
+        const maxLength = 3800;
+        const maxMessages = 5;
+        const excerptsPerKeyword = 3;
+        const formatTime = timestamp => {
+            const options = { hour: '2-digit', minute: '2-digit' };
+            try {
+                return new Date(timestamp).toLocaleTimeString('en-GB', timezone ? { ...options, timeZone: timezone } : options);
+            } catch (error) {
+                return new Date(timestamp).toLocaleTimeString('en-GB', options); // Unknown timezone name
+            }
+        };
 
-💬 <b>Message:</b>
-"${this.escapeHtml(message.substring(0, 200))}${message.length > 200 ? '...' : ''}"
+        const groups = new Map(); // group -> Map(keyword key -> alerts)
+        for (const alert of entry.alerts) {
+            if (!groups.has(alert.group)) groups.set(alert.group, new Map());
+            const keywords = groups.get(alert.group);
+            const key = `${alert.type}:${alert.keyword}`;
+            if (!keywords.has(key)) keywords.set(key, []);
+            keywords.get(key).push(alert);
+        }
 
-${reminderCount > 0 ? '⏰ Reply /ok to acknowledge and stop reminders.' : '💡 Reply /ok to acknowledge and stop reminders.'}
-🔑 <i>This is a personal keyword notification</i>`;
+        const alertCount = entry.alerts.length + entry.dropped;
+        const title = entry.quiet ? t('digest.quietTitle') : t('digest.title');
+        const header = t('digest.header', { title, count: alertCount, time: formatTime(entry.since) });
+        const blocks = [];
+        const sortedGroups = [...groups.entries()].sort((a, b) => this.countAlerts(b[1]) - this.countAlerts(a[1]));
+        for (const [group, keywords] of sortedGroups) {
+            blocks.push(`\n👥 <b>${this.escapeHtml(group)}</b> (${this.countAlerts(keywords)})`);
+            const sortedKeywords = [...keywords.values()].sort((a, b) => b.length - a.length);
+            for (const alerts of sortedKeywords) {
+                const { keyword, type } = alerts[0];
+                let block = `🔑 <b>${this.escapeHtml(keyword)}</b>${type === 'personal' ? t('digest.personal') : ''} ×${alerts.length}`;
+                for (const alert of alerts.slice(-excerptsPerKeyword)) {
+                    const text = alert.excerpt || (alert.attachment ? `📎 ${alert.attachment}` : '');
+                    block += `\n  • ${formatTime(alert.timestamp)} ${this.escapeHtml(alert.sender)}: "${this.escapeHtml(text)}"`;
+                }
+                if (alerts.length > excerptsPerKeyword) {
+                    block += `\n  <i>${t('digest.more', { count: alerts.length - excerptsPerKeyword })}</i>`;
+                }
+                blocks.push(block);
+            }
+        }
+        if (entry.dropped > 0) {
+            blocks.push(`\n<i>${t('digest.dropped', { count: entry.dropped })}</i>`);
+        }
+        blocks.push(`\n${entry.quiet ? t('digest.quietFooter') : t('digest.footer')}`);
+
+        // A digest shouldn't turn into a flood of its own
+        const messages = [];
+        let current = header;
+        for (const [i, block] of blocks.entries()) {
+            if (current.length + block.length + 1 > maxLength) {
+                if (messages.length === maxMessages - 1) {
+                    const hidden = blocks.length - i - 1; // The last block is the footer
+                    if (hidden > 0) current += `\n\n<i>${t('digest.hidden', { count: hidden })}</i>`;
+                    break;
+                }
+                messages.push(current);
+                current = t('digest.continued', { title });
+            }
+            current += `\n${block}`;
+        }
+        messages.push(current);
+        return messages;
     }
 
-    async sendWithRetry(message, chatId = null) {
+    countAlerts(keywords) {
+        let count = 0;
+        for (const alerts of keywords.values()) count += alerts.length;
+        return count;
+    }
+
+    async sendWithRetry(message, chatId = null, extraOptions = {}) {
         const targetChatId = chatId || this.chatIds[0]; // Use provided chatId or primary
         let lastError;
         
@@ -376,7 +452,8 @@ ${reminderCount > 0 ? '⏰ Reply /ok to acknowledge and stop reminders.' : '💡
             try {
                 await this.bot.sendMessage(targetChatId, message, {
                     parse_mode: 'HTML',
-                    disable_web_page_preview: true
+                    disable_web_page_preview: true,
+                    ...extraOptions
                 });
                 return; // Success
             } catch (error) {
@@ -392,81 +469,6 @@ ${reminderCount > 0 ? '⏰ Reply /ok to acknowledge and stop reminders.' : '💡
         throw lastError;
     }
 
-    formatAlertMessage(keyword, message, sender, group, messageId, phoneNumber = null, matchType = 'exact', matchedToken = null, attachment = null, isReminder = false, reminderCount = 0) {
-        const timestamp = new Date().toLocaleString();
-        const truncatedMessage = message.length > 200 ? message.substring(0, 200) + '...' : message;
-        // Set header based on reminder status
-        const header = isReminder 
-            ? '⏰ <b>Global Keyword Alert - Reminder</b>'
-            : '🚨 <b>Global Keyword Alert!</b>';
-        
-        // Add reminder info if applicable
-        let reminderInfo = '';
-        if (reminderCount > 0) {
-            const timeElapsed = this.getReminderTimeElapsed(reminderCount);
-            reminderInfo = `\n⏰ <b>Reminder</b> - ${timeElapsed}`;
-        }
-        
-        // Add attachment info if present
-        let attachmentInfo = '';
-        if (attachment) {
-            const escapedAttachmentType = this.escapeHtml(attachment.type);
-            attachmentInfo = `\n📎 <b>Attachment:</b> ${escapedAttachmentType}`;
-            if (attachment.filename) {
-                attachmentInfo += ` - ${this.escapeHtml(attachment.filename)}`;
-            }
-            if (attachment.size) {
-                const sizeKB = (attachment.size / 1024).toFixed(2);
-                attachmentInfo += ` (${sizeKB} KB)`;
-            }
-        }
-        
-        const escapedKeyword = this.escapeHtml(keyword);
-        const escapedSender = this.escapeHtml(sender || 'Unknown');
-        const escapedGroup = this.escapeHtml(group || 'Unknown');
-        const escapedMatchedToken = matchedToken ? this.escapeHtml(matchedToken) : null;
-        
-        let escapedMatchInfo = '';
-        if (matchType === 'fuzzy' && matchedToken) {
-            escapedMatchInfo = `\n🔍 <b>Fuzzy Match:</b> "${escapedMatchedToken}" → "${escapedKeyword}"`;
-        } else if (matchType === 'exact') {
-            escapedMatchInfo = `\n✅ <b>Exact Match</b>`;
-        }
-        
-        return `${header}
-
-🔍 <b>Keyword:</b> ${escapedKeyword}${escapedMatchInfo}
-👤 <b>Sender:</b> ${escapedSender}
-👥 <b>Group:</b> ${escapedGroup}
-🕐 <b>Time:</b> ${timestamp}${attachmentInfo}${reminderInfo}
-
-💬 <b>Message:</b>
-${this.escapeHtml(truncatedMessage)}
-
-📱 <b>Message ID:</b> ${this.escapeHtml(messageId || 'N/A')}
-${reminderCount > 0 ? '⏰ Reply /ok to acknowledge and stop reminders.' : '💡 Reply /ok to acknowledge and stop reminders.'}`;
-    }
-
-    getReminderTimeElapsed(reminderCount) {
-        // Map reminderCount to actual time elapsed based on schedule: 0, 1, 2, 5, 15, 60, 90 minutes
-        // reminderCount 0 = immediate alert (0 minutes)
-        // reminderCount 1 = R1 at 1 minute
-        // reminderCount 2 = R2 at 2 minutes
-        // reminderCount 3 = R3 at 5 minutes
-        // reminderCount 4 = R4 at 15 minutes
-        // reminderCount 5 = R5 at 60 minutes
-        // reminderCount 6 = R6 at 90 minutes
-        const timeMap = {
-            1: '1 minute ago',
-            2: '2 minutes ago',
-            3: '5 minutes ago',
-            4: '15 minutes ago',
-            5: '1 hour ago',
-            6: '1.5 hours ago'
-        };
-        return timeMap[reminderCount] || `${reminderCount} minutes ago`;
-    }
-
     escapeHtml(text) {
         if (!text) return '';
         return String(text)
@@ -477,23 +479,37 @@ ${reminderCount > 0 ? '⏰ Reply /ok to acknowledge and stop reminders.' : '💡
             .replace(/'/g, '&#39;');
     }
 
-    async sendBotStatus(status, details = '', adminOnly = false) {
+    // A { key, params } catalog message in one language - params may be { key, params } too; strings pass through
+    translateText(language, text) {
+        if (!text || typeof text === 'string') return text || '';
+        const params = {};
+        for (const [name, value] of Object.entries(text.params || {})) {
+            params[name] = value && typeof value === 'object' && value.key ? this.translateText(language, value) : value;
+        }
+        return I18n.translate(language, text.key, params);
+    }
+
+    // status: connected, disconnected, running or shuttingDown (botStatus.state.*); details: a { key, params } message
+    async sendBotStatus(status, details = null, adminOnly = false) {
         if (!this.enabled) return;
 
         // Check sleep hours - skip non-critical status updates during sleep
-        // Allow "Shutting Down" to go through even during sleep
-        if (this.isSleepHours() && status !== 'Shutting Down') {
+        // Allow shutdown notices to go through even during sleep
+        if (this.isSleepHours() && status !== 'shuttingDown') {
             console.log(`😴 Sleep hours active - skipping bot status notification: ${status}`);
             return;
         }
 
         try {
-            const message = `🤖 <b>Bot Status Update</b>
-
-📊 <b>Status:</b> ${status}
-🕐 <b>Time:</b> ${new Date().toLocaleString()}
-
-${details ? `📝 <b>Details:</b>\n${details}` : ''}`;
+            // Worded for each recipient's language
+            const formatMessage = chatId => {
+                const language = this.i18n.getLanguage(chatId);
+                const detailsText = this.translateText(language, details);
+                return I18n.translate(language, 'botStatus.title') + '\n\n' +
+                    I18n.translate(language, 'botStatus.status', { status: I18n.translate(language, `botStatus.state.${status}`) }) + '\n' +
+                    I18n.translate(language, 'botStatus.time', { time: new Date().toLocaleString() }) +
+                    (detailsText ? `\n\n${I18n.translate(language, 'botStatus.details')}\n${detailsText}` : '');
+            };
 
             // Determine recipients: admins only or all configured chat IDs
             let recipients = [];
@@ -507,12 +523,10 @@ ${details ? `📝 <b>Details:</b>\n${details}` : ''}`;
                     console.error('⚠️ Sending alert to all users about missing admin configuration.');
                     
                     // Send alert to all users about no admins found
-                    const noAdminMessage = `⚠️ <b>Configuration Issue</b>\n\n❌ No admin users found in the system.\n\n📋 Please check:\n• telegram-auth.json (adminUsers)\n• TELEGRAM_ADMIN_USERS environment variable\n• Supabase database (if enabled)\n\nStatus update could not be sent to admins.`;
-                    
                     // Send to all configured chat IDs to alert users
                     if (this.chatIds.length > 0) {
                         const alertResults = await Promise.allSettled(
-                            this.chatIds.map(chatId => this.sendWithRetry(noAdminMessage, chatId))
+                            this.chatIds.map(chatId => this.sendWithRetry(this.i18n.t(chatId, 'botStatus.noAdmins'), chatId))
                         );
                         const successCount = alertResults.filter(result => result.status === 'fulfilled').length;
                         console.log(`📤 No admin alert sent to ${successCount}/${this.chatIds.length} users`);
@@ -538,7 +552,7 @@ ${details ? `📝 <b>Details:</b>\n${details}` : ''}`;
 
             // Send to all recipients
             const results = await Promise.allSettled(
-                recipients.map(chatId => this.sendWithRetry(message, chatId))
+                recipients.map(chatId => this.sendWithRetry(formatMessage(chatId), chatId))
             );
             
             const successCount = results.filter(result => result.status === 'fulfilled').length;
@@ -549,25 +563,28 @@ ${details ? `📝 <b>Details:</b>\n${details}` : ''}`;
         }
     }
 
-    async sendCriticalAlert(alertType, details = '') {
+    // alertType: criticalAlert.type.* (e.g. virtualNumberExpired); details: a { key, params } message
+    async sendCriticalAlert(alertType, details = null) {
         if (!this.enabled) return;
 
         try {
-            const message = `🚨 <b>CRITICAL ALERT - ${alertType}</b>
-
-📊 <b>Status:</b> ${alertType}
-🕐 <b>Time:</b> ${new Date().toLocaleString()}
-
-${details ? `📝 <b>Details:</b>\n${details}` : ''}
-
-⚠️ <b>This affects ALL users!</b>`;
+            const formatMessage = chatId => {
+                const language = this.i18n.getLanguage(chatId);
+                const type = I18n.translate(language, `criticalAlert.type.${alertType}`);
+                const detailsText = this.translateText(language, details);
+                return I18n.translate(language, 'criticalAlert.title', { type }) + '\n\n' +
+                    I18n.translate(language, 'botStatus.status', { status: type }) + '\n' +
+                    I18n.translate(language, 'botStatus.time', { time: new Date().toLocaleString() }) +
+                    (detailsText ? `\n\n${I18n.translate(language, 'botStatus.details')}\n${detailsText}` : '') +
+                    '\n\n' + I18n.translate(language, 'criticalAlert.affectsAll');
+            };
 
             // Send to ALL authorized users (not just configured chat IDs)
             const allAuthorizedUsers = this.authorization.getAuthorizedUsers();
             const allChatIds = [...new Set([...this.chatIds, ...allAuthorizedUsers])]; // Combine and deduplicate
 
             const results = await Promise.allSettled(
-                allChatIds.map(chatId => this.sendWithRetry(message, chatId))
+                allChatIds.map(chatId => this.sendWithRetry(formatMessage(chatId), chatId))
             );
             
             const successCount = results.filter(result => result.status === 'fulfilled').length;
@@ -577,7 +594,7 @@ ${details ? `📝 <b>Details:</b>\n${details}` : ''}
                 alertType,
                 totalUsers: allChatIds.length,
                 successCount,
-                details: details.substring(0, 100) // Truncate for logging
+                details: this.translateText('en', details).substring(0, 100) // Truncate for logging
             });
         } catch (error) {
             logError(error, { context: 'send_critical_alert', alertType });
@@ -591,12 +608,7 @@ ${details ? `📝 <b>Details:</b>\n${details}` : ''}
         }
 
         try {
-            const message = `🧪 <b>Test Message</b>
-
-✅ WhatsApp Keyword Bot is working!
-🕐 <b>Time:</b> ${new Date().toLocaleString()}
-
-This is a test message to verify Telegram notifications are working correctly.`;
+            const message = this.i18n.t(this.chatIds[0], 'botStatus.test', { time: new Date().toLocaleString() });
 
             await this.sendWithRetry(message);
             console.log('✅ Test message sent successfully');
@@ -0,0 +1,45 @@
+/**
+ * Channel Registry
+ * The channels keyword alerts go out on. Every channel implements the same interface:
+ *   - name:               id used by /channels, users.notification_channels and escalation policy steps
+ *   - selectable:         users pick it per keyword / priority; channels that aren't (webhooks) get every alert
+ *   - isEnabled()
+ *   - send(alert, userIds): resolves true when at least one of userIds got the alert (or has it queued)
+ * An alert is one object: { keyword, keywordType ('global' | 'personal'), userId, priority, message, sender, group,
+ * messageId, phoneNumber, matchType, matchedToken, matchOffsets, attachment, isReminder, reminderCount }.
+ * userId is the personal keyword's owner, or the single user a global reminder is for. matchOffsets ([{ start, end }]
+ * into message) say where the hit is - see src/matchHighlight.js.
+ */
+
+class ChannelRegistry {
+    constructor() {
+        this.channels = new Map(); // name -> channel, in registration order
+    }
+
+    register(channel) {
+        if (!channel || !channel.name || typeof channel.send !== 'function' || typeof channel.isEnabled !== 'function') {
+            throw new Error('A notification channel needs a name, isEnabled() and send(alert, userIds)');
+        }
+        this.channels.set(channel.name, channel);
+        return channel;
+    }
+
+    get(name) {
+        return this.channels.get(name) || null;
+    }
+
+    list() {
+        return [...this.channels.values()];
+    }
+
+    // Channels users can choose between
+    getSelectable() {
+        return this.list().filter(channel => channel.selectable);
+    }
+
+    getSelectableNames() {
+        return this.getSelectable().map(channel => channel.name);
+    }
+}
+
+module.exports = ChannelRegistry;
@@ -0,0 +1,415 @@
+/**
+ * Chat Webhook Channel
+ * Posts keyword alerts to Slack and Discord incoming webhooks - Slack Block Kit or a Discord embed with the group,
+ * sender, how the keyword matched, the message with the match highlighted and attachment info.
+ * Each user sets a webhook (/chathook) and, for groups they subscribe to, one that alerts from that group go to instead.
+ * Stored in users.chat_webhooks (Supabase) and "chatWebhooks" in config/user-preferences.json:
+ *   { "default": { "url": "https://hooks.slack.com/services/...", "format": "slack" },
+ *     "groups": { "Family": { "url": "https://discord.com/api/webhooks/...", "format": "discord" } } }
+ * Alerts go here for users who pick the "chat" channel (/channels telegram,chat). Webhook URLs must be https and on
+ * hooks.slack.com or discord.com/api/webhooks unless CHAT_WEBHOOK_ALLOW_HTTP=true, which is meant for local test stubs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const { logBotEvent } = require('../logger');
+const { postJson } = require('./httpPost');
+const SupabaseManager = require('../supabase');
+const KeywordPriority = require('../keywordPriority');
+const MatchHighlight = require('../matchHighlight');
+const I18n = require('../i18n');
+
+const FORMATS = ['slack', 'discord'];
+const WEBHOOK_HOSTS = { slack: 'hooks.slack.com', discord: 'discord.com/api/webhooks' };
+const DEFAULT_RETRY_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MS = 1000; // Doubles after every failed attempt
+const MAX_RETRY_AFTER_MS = 30000;
+const DEFAULT_TIMEOUT_MS = 10000;
+const MESSAGE_SNIPPET_LENGTH = 900; // Longer messages are cut to this much around the hit
+const PRIORITY_COLORS = { low: 0x9e9e9e, normal: 0x2196f3, high: 0xff9800, critical: 0xd32f2f };
+
+class ChatWebhookChannel {
+    constructor(i18n = null) {
+        this.name = 'chat';
+        this.selectable = true;
+        this.i18n = i18n; // Each user's language; English without it
+        this.enabled = process.env.CHAT_WEBHOOKS_ENABLED !== 'false';
+        this.allowHttp = process.env.CHAT_WEBHOOK_ALLOW_HTTP === 'true';
+        this.retryAttempts = parseInt(process.env.CHAT_WEBHOOK_RETRY_ATTEMPTS, 10) || DEFAULT_RETRY_ATTEMPTS;
+        this.retryDelay = DEFAULT_RETRY_DELAY_MS;
+        this.timeout = DEFAULT_TIMEOUT_MS;
+        this.supabase = new SupabaseManager();
+        this.preferencesPath = path.join(__dirname, '../../config/user-preferences.json');
+        this.userHooks = new Map(); // userId -> { default, groups }
+        if (!this.enabled) {
+            console.log('💬 Slack/Discord webhooks: Disabled');
+        }
+    }
+
+    static get FORMATS() {
+        return [...FORMATS];
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    // ==================== WEBHOOK SETTINGS ====================
+
+    async load() {
+        try {
+            if (fs.existsSync(this.preferencesPath)) {
+                const userPrefs = JSON.parse(fs.readFileSync(this.preferencesPath, 'utf8'));
+                for (const [userId, prefs] of Object.entries(userPrefs)) {
+                    const normalized = this.normalize(prefs && prefs.chatWebhooks);
+                    if (normalized) this.userHooks.set(userId, normalized);
+                }
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to load Slack/Discord webhooks from file:', error.message);
+        }
+
+        // Supabase wins over the file backup
+        if (this.supabase.isEnabled()) {
+            const users = await this.supabase.getUsers();
+            for (const user of users || []) {
+                const normalized = this.normalize(user.chat_webhooks);
+                if (normalized) this.userHooks.set(user.user_id.toString(), normalized);
+            }
+        }
+
+        if (this.userHooks.size > 0) {
+            console.log(`💬 Slack/Discord webhooks set by ${this.userHooks.size} user(s)`);
+        }
+    }
+
+    // null unless there is at least one valid webhook
+    normalize(value) {
+        if (typeof value === 'string') {
+            try {
+                value = JSON.parse(value);
+            } catch (error) {
+                return null;
+            }
+        }
+        if (!value || typeof value !== 'object') return null;
+
+        const hook = raw => {
+            const parsed = raw && typeof raw === 'object' ? this.parseHook(raw.url, raw.format) : { error: 'invalidUrl' };
+            return parsed.error ? null : parsed;
+        };
+        const normalized = { groups: {} };
+        const defaultHook = hook(value.default);
+        if (defaultHook) normalized.default = defaultHook;
+        for (const [group, raw] of Object.entries(value.groups || {})) {
+            const groupHook = hook(raw);
+            if (groupHook) normalized.groups[group] = groupHook;
+        }
+        return normalized.default || Object.keys(normalized.groups).length > 0 ? normalized : null;
+    }
+
+    // Slack and Discord webhook URLs are recognized; anything else (a local stub) needs its format spelled out
+    static detectFormat(url) {
+        try {
+            const { hostname, pathname } = new URL(url);
+            if (hostname === 'hooks.slack.com') return 'slack';
+            if (/(^|\.)discord(app)?\.com$/.test(hostname) && pathname.startsWith('/api/webhooks/')) return 'discord';
+        } catch (error) {
+            return null;
+        }
+        return null;
+    }
+
+    // { url, format } or { error: 'invalidUrl' | 'insecureUrl' | 'unknownFormat' | 'unknownHost' | 'wrongHost', format, host }
+    parseHook(url, format = null) {
+        let protocol;
+        try {
+            protocol = new URL(url).protocol;
+        } catch (error) {
+            return { error: 'invalidUrl' };
+        }
+        if (protocol !== 'https:' && !(protocol === 'http:' && this.allowHttp)) {
+            return { error: protocol === 'http:' ? 'insecureUrl' : 'invalidUrl' };
+        }
+
+        const detectedFormat = ChatWebhookChannel.detectFormat(url);
+        const resolvedFormat = format ? String(format).toLowerCase() : detectedFormat;
+        if (!FORMATS.includes(resolvedFormat)) {
+            return { error: format || this.allowHttp ? 'unknownFormat' : 'unknownHost' };
+        }
+        // The URL is where alerts are posted, so outside local testing it must be the named service's own webhook host
+        if (resolvedFormat !== detectedFormat && !this.allowHttp) {
+            return { error: 'wrongHost', format: resolvedFormat, host: WEBHOOK_HOSTS[resolvedFormat] };
+        }
+        return { url, format: resolvedFormat };
+    }
+
+    get(userId) {
+        return this.userHooks.get(userId.toString()) || null;
+    }
+
+    // The webhook a user's alert from this group goes to: the group's own, else the user's default
+    getHook(userId, group = null) {
+        const hooks = this.get(userId);
+        if (!hooks) return null;
+        return (group && hooks.groups[group]) || hooks.default || null;
+    }
+
+    // group null sets the default webhook; hook null removes it
+    async setHook(userId, group, hook) {
+        const userIdStr = userId.toString();
+        const current = this.get(userIdStr) || { groups: {} };
+        const updated = { default: current.default, groups: { ...current.groups } };
+
+        if (!group) {
+            updated.default = hook;
+        } else if (hook) {
+            updated.groups[group] = hook;
+        } else {
+            delete updated.groups[group];
+        }
+
+        const normalized = this.normalize(updated);
+        if (normalized) {
+            this.userHooks.set(userIdStr, normalized);
+        } else {
+            this.userHooks.delete(userIdStr);
+        }
+
+        if (this.supabase.isEnabled()) {
+            const success = await this.supabase.setUserPreferences(userIdStr, { chat_webhooks: normalized });
+            if (!success) {
+                console.warn(`⚠️ Failed to save Slack/Discord webhooks for user ${userIdStr} to Supabase`);
+            }
+        }
+
+        try {
+            let userPrefs = {};
+            if (fs.existsSync(this.preferencesPath)) {
+                userPrefs = JSON.parse(fs.readFileSync(this.preferencesPath, 'utf8'));
+            }
+            userPrefs[userIdStr] = { ...userPrefs[userIdStr], chatWebhooks: normalized, lastUpdated: new Date().toISOString() };
+            if (!normalized) delete userPrefs[userIdStr].chatWebhooks;
+            fs.writeFileSync(this.preferencesPath, JSON.stringify(userPrefs, null, 2));
+        } catch (error) {
+            console.error('Error saving Slack/Discord webhooks to file:', error.message);
+        }
+        return normalized;
+    }
+
+    // "https://hooks.slack.com/…Xy9z" - the full URL is a credential, so it isn't echoed back
+    static maskUrl(url) {
+        try {
+            const { protocol, host } = new URL(url);
+            return `${protocol}//${host}/…${url.slice(-4)}`;
+        } catch (error) {
+            return '…';
+        }
+    }
+
+    // ==================== SENDING ====================
+
+    // Channel interface: one post per webhook, so users sharing a team channel's webhook don't get duplicates
+    async send(alert, userIds = []) {
+        if (!this.enabled) return false;
+
+        const deliveries = new Map(); // url -> { hook, userId }
+        for (const userId of userIds) {
+            const hook = this.getHook(userId, alert.group);
+            if (hook && !deliveries.has(hook.url)) deliveries.set(hook.url, { hook, userId });
+        }
+        if (deliveries.size === 0) {
+            console.log(`💬 No Slack/Discord webhook set for ${userIds.length} user(s) - skipping "${alert.keyword}"`);
+            return false;
+        }
+
+        const results = await Promise.all([...deliveries.values()].map(({ hook, userId }) =>
+            this.deliver(hook, this.buildPayload(alert, hook.format, this.getLanguage(userId)))
+        ));
+        const successCount = results.filter(Boolean).length;
+
+        console.log(`💬 Slack/Discord alert for "${alert.keyword}" posted to ${successCount}/${deliveries.size} webhook(s)`);
+        logBotEvent('chat_webhook_alert_sent', { keyword: alert.keyword, successCount, totalWebhooks: deliveries.size });
+        return successCount > 0;
+    }
+
+    // A sample alert to each of the user's webhooks; resolves to [{ group, hook, success }]
+    async sendTest(userId) {
+        const hooks = this.get(userId);
+        if (!hooks) return [];
+        const language = this.getLanguage(userId);
+        const t = (key, params) => I18n.translate(language, key, params);
+        const keyword = t('chat.testKeyword');
+        const targets = [...(hooks.default ? [[null, hooks.default]] : []), ...Object.entries(hooks.groups)];
+
+        return Promise.all(targets.map(async ([group, hook]) => {
+            const alert = {
+                keyword,
+                keywordType: 'personal',
+                userId,
+                priority: 'normal',
+                message: t('chat.testMessage', { keyword }),
+                sender: 'WhatsApp Keyword Bot',
+                group: group || t('chat.testGroup'),
+                matchType: 'exact',
+                matchedToken: keyword
+            };
+            return { group, hook, success: await this.deliver(hook, this.buildPayload(alert, hook.format, language)) };
+        }));
+    }
+
+    // POST with retries; Slack and Discord answer 429 with Retry-After when rate limited. Returns true on a 2xx.
+    async deliver(hook, payload) {
+        const body = JSON.stringify(payload);
+        const headers = {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            'User-Agent': 'WhatsApp-Keyword-Bot-Webhook/1.0'
+        };
+
+        for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+            let wait = this.retryDelay * Math.pow(2, attempt - 1);
+            try {
+                const response = await postJson(hook.url, body, headers, this.timeout);
+                if (response.statusCode >= 200 && response.statusCode < 300) {
+                    return true;
+                }
+                console.error(`❌ ${hook.format} webhook ${ChatWebhookChannel.maskUrl(hook.url)} answered HTTP ${response.statusCode} (attempt ${attempt}/${this.retryAttempts})`);
+                if (response.statusCode < 500 && response.statusCode !== 429) {
+                    return false; // Bad payload or a deleted webhook - retrying won't help
+                }
+                const retryAfter = parseFloat(response.headers && response.headers['retry-after']);
+                if (response.statusCode === 429 && retryAfter > 0) {
+                    wait = Math.min(retryAfter * 1000, MAX_RETRY_AFTER_MS);
+                }
+            } catch (error) {
+                console.error(`❌ ${hook.format} webhook ${ChatWebhookChannel.maskUrl(hook.url)} attempt ${attempt}/${this.retryAttempts} failed:`, error.message);
+            }
+            if (attempt < this.retryAttempts) {
+                await this.delay(wait);
+            }
+        }
+        return false;
+    }
+
+    // ==================== FORMATTING ====================
+
+    buildPayload(alert, format, language = 'en') {
+        return format === 'discord' ? this.buildDiscordPayload(alert, language) : this.buildSlackPayload(alert, language);
+    }
+
+    // Slack Block Kit: header, facts, the quoted message with the match in bold, attachment and time
+    buildSlackPayload(alert, language = 'en') {
+        const t = (key, params) => I18n.translate(language, key, params);
+        const escape = ChatWebhookChannel.escapeSlack;
+        const title = this.formatTitle(alert, language);
+        const quoted = MatchHighlight.render(alert, MESSAGE_SNIPPET_LENGTH, escape, text => `*${text}*`)
+            .split('\n').map(line => `>${line}`).join('\n');
+
+        const fields = [
+            [t('chat.label.group'), alert.group || t('alert.unknown')],
+            [t('chat.label.sender'), alert.sender || t('alert.unknown')],
+            [t('chat.label.match'), this.formatMatch(alert, language)],
+            [t('chat.label.priority'), KeywordPriority.describe(alert.priority)]
+        ].map(([label, value]) => ({ type: 'mrkdwn', text: `*${label}*\n${escape(value)}` }));
+
+        const blocks = [
+            { type: 'header', text: { type: 'plain_text', text: title.substring(0, 150), emoji: true } },
+            { type: 'section', fields },
+            { type: 'section', text: { type: 'mrkdwn', text: quoted || '>' } }
+        ];
+        const attachment = this.formatAttachment(alert.attachment);
+        if (attachment) {
+            blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `📎 ${t('chat.label.attachment')}: ${escape(attachment)}` }] });
+        }
+        blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: escape(this.formatFooter(alert, language)) }] });
+
+        // text is what notifications and clients without blocks show
+        return { text: `${title} - ${alert.group || t('alert.unknown')}`, blocks };
+    }
+
+    // One Discord embed, colored by priority; mentions in the message must not ping anyone
+    buildDiscordPayload(alert, language = 'en') {
+        const t = (key, params) => I18n.translate(language, key, params);
+        const escape = ChatWebhookChannel.escapeDiscord;
+        const field = (name, value, inline = true) => ({ name, value: (value || '-').substring(0, 1024), inline });
+
+        const fields = [
+            field(t('chat.label.group'), escape(alert.group || t('alert.unknown'))),
+            field(t('chat.label.sender'), escape(alert.sender || t('alert.unknown'))),
+            field(t('chat.label.match'), escape(this.formatMatch(alert, language))),
+            field(t('chat.label.priority'), KeywordPriority.describe(alert.priority))
+        ];
+        const attachment = this.formatAttachment(alert.attachment);
+        if (attachment) {
+            fields.push(field(`📎 ${t('chat.label.attachment')}`, escape(attachment), false));
+        }
+
+        return {
+            username: 'WhatsApp Keyword Bot',
+            allowed_mentions: { parse: [] },
+            embeds: [{
+                title: this.formatTitle(alert, language).substring(0, 256),
+                description: MatchHighlight.render(alert, MESSAGE_SNIPPET_LENGTH, escape, text => `**${text}**`).substring(0, 4096),
+                color: PRIORITY_COLORS[KeywordPriority.isValid(alert.priority) ? alert.priority : 'normal'],
+                fields,
+                footer: { text: this.formatFooter(alert, language).substring(0, 2048) },
+                timestamp: new Date().toISOString()
+            }]
+        };
+    }
+
+    formatTitle(alert, language = 'en') {
+        const t = (key, params) => I18n.translate(language, key, params);
+        const keyword = alert.keyword;
+        if (alert.isReminder) return t('chat.title.reminder', { keyword, count: alert.reminderCount || 1 });
+        return alert.keywordType === 'personal' ? t('chat.title.personal', { keyword }) : t('chat.title.global', { keyword });
+    }
+
+    formatMatch(alert, language = 'en') {
+        const t = (key, params) => I18n.translate(language, key, params);
+        const { keyword, matchType, matchedToken } = alert;
+        if (matchType === 'fuzzy' && matchedToken) return t('chat.match.fuzzy', { token: matchedToken, keyword });
+        if (matchType === 'diacritic-insensitive' && matchedToken) return t('chat.match.similar', { token: matchedToken, keyword });
+        if (matchType === 'rule' && matchedToken) return t('chat.match.rule', { rule: matchedToken });
+        return t('chat.match.exact');
+    }
+
+    formatAttachment(attachment) {
+        if (!attachment) return '';
+        let text = String(attachment.type || 'file');
+        if (attachment.filename) text += ` - ${attachment.filename}`;
+        if (attachment.size) text += ` (${(Number(attachment.size) / 1024).toFixed(2)} KB)`;
+        return text;
+    }
+
+    formatFooter(alert, language = 'en') {
+        return I18n.translate(language, 'chat.footer', { time: I18n.formatDateTime(language), messageId: alert.messageId || 'N/A' });
+    }
+
+    // Slack mrkdwn only needs &, < and > escaped; that also keeps <!channel> style mentions out
+    static escapeSlack(text) {
+        return String(text || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    // Discord markdown: emphasis, code, spoilers and links anywhere; quotes, headings and lists at the start of a line
+    static escapeDiscord(text) {
+        return String(text || '')
+            .replace(/([\\*_~`|[\]])/g, '\\$1')
+            .replace(/^(\s*)([>#-])/gm, '$1\\$2');
+    }
+
+    getLanguage(userId) {
+        return this.i18n && userId ? this.i18n.getLanguage(userId) : 'en';
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = ChatWebhookChannel;
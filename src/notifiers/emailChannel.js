@@ -3,10 +3,17 @@ const fs = require('fs');
 const path = require('path');
 const { logError, logBotEvent } = require('../logger');
 const SupabaseManager = require('../supabase');
+const MatchHighlight = require('../matchHighlight');
+const I18n = require('../i18n');
+
+const MESSAGE_SNIPPET_LENGTH = 500; // Longer messages are cut to this much around the hit
 
 class EmailChannel {
-    constructor() {
+    constructor(i18n = null) {
+        this.name = 'email';
+        this.selectable = true;
         this.enabled = false;
+        this.i18n = i18n; // Each user's language; emails are in English without it
         this.transporter = null;
         this.recipients = [];
         this.userEmailMap = new Map(); // userId -> email
@@ -113,6 +120,21 @@ class EmailChannel {
         console.log('✅ User email mappings reloaded');
     }
 
+    isEnabled() {
+        return this.enabled;
+    }
+
+    // Channel interface: a personal alert goes to its owner's emails, a global one to every user's
+    async send(alert, userIds = []) {
+        if (!this.enabled) {
+            console.log('📧 Email channel disabled, skipping email notification');
+            return false;
+        }
+        return alert.keywordType === 'personal'
+            ? this.sendToOwner(alert, alert.userId || userIds[0])
+            : this.sendToUsers(alert, userIds);
+    }
+
     async getEmailForUser(userId) {
         if (!userId) return null;
         const userIdStr = userId.toString();
@@ -144,17 +166,12 @@ class EmailChannel {
         return userEmails ? [userEmails] : null; // Convert single email to array
     }
 
-    async sendKeywordAlert(keyword, message, sender, group, messageId, phoneNumber = null, matchType = 'exact', matchedToken = null, attachment = null, authorizedUsers = null) {
-        if (!this.enabled) {
-            console.log('📧 Email channel disabled, skipping email notification');
-            return false;
-        }
-
+    // Every email of these users, or EMAIL_TO when none of them has one
+    async sendToUsers(alert, authorizedUsers = null) {
+        const { keyword, sender, group, messageId } = alert;
         try {
-            const emailContent = this.formatEmail(keyword, message, sender, group, messageId, phoneNumber, matchType, matchedToken, attachment);
-            
-            // Collect all recipient emails
-            const allRecipients = new Set(); // Use Set to avoid duplicates
+            // Collect all recipient emails with the language of the user they belong to
+            const allRecipients = new Map(); // email -> language (a Map also avoids duplicates)
             
             // If authorized users are provided, send to each user's email from database
             if (authorizedUsers && authorizedUsers.length > 0) {
@@ -163,16 +180,16 @@ class EmailChannel {
                 // Get emails for each authorized user from database
                 const userEmailPromises = authorizedUsers.map(async (userId) => {
                     const userEmails = await this.getEmailForUser(userId);
-                    return userEmails || [];
+                    return { emails: userEmails || [], language: this.getLanguage(userId) };
                 });
                 
                 const userEmailArrays = await Promise.all(userEmailPromises);
                 
                 // Flatten and add to recipients
-                userEmailArrays.forEach(emails => {
+                userEmailArrays.forEach(({ emails, language }) => {
                     if (emails && Array.isArray(emails)) {
                         emails.forEach(email => {
-                            if (email) allRecipients.add(email);
+                            if (email && !allRecipients.has(email)) allRecipients.set(email, language);
                         });
                     }
                 });
@@ -183,7 +200,7 @@ class EmailChannel {
             // Fallback: If no user emails found, use global EMAIL_TO
             if (allRecipients.size === 0 && this.recipients.length > 0) {
                 console.log(`📧 No user emails found; falling back to global EMAIL_TO (${this.recipients.length} recipient(s))`);
-                this.recipients.forEach(email => allRecipients.add(email));
+                this.recipients.forEach(email => allRecipients.set(email, 'en'));
             }
             
             if (allRecipients.size === 0) {
@@ -193,11 +210,16 @@ class EmailChannel {
             
             console.log(`📧 Preparing to send email for global keyword: "${keyword}" to ${allRecipients.size} recipient(s)`);
             
-            // Send to all recipients
-            const recipientsArray = Array.from(allRecipients);
-            const results = await Promise.allSettled(
-                recipientsArray.map(recipient => this.sendWithRetry(emailContent, recipient))
-            );
+            // Send to all recipients, formatting the email once per language
+            const recipientsArray = Array.from(allRecipients.keys());
+            const emailContents = new Map(); // language -> { subject, html, text }
+            const results = await Promise.allSettled(recipientsArray.map(recipient => {
+                const language = allRecipients.get(recipient);
+                if (!emailContents.has(language)) {
+                    emailContents.set(language, this.formatEmail(alert, language));
+                }
+                return this.sendWithRetry(emailContents.get(language), recipient);
+            }));
 
             const successCount = results.filter(result => result.status === 'fulfilled').length;
             const failureCount = results.filter(result => result.status === 'rejected').length;
@@ -236,40 +258,39 @@ class EmailChannel {
         }
     }
 
-    async sendPersonalKeywordAlert(keyword, message, sender, group, messageId, phoneNumber = null, targetUserId = null, matchType = 'exact', matchedToken = null, attachment = null) {
-        if (!this.enabled) {
-            return false;
-        }
-
+    // The owner's emails; EMAIL_TO only with PERSONAL_EMAIL_FALLBACK_ENABLED=true
+    async sendToOwner(alert, targetUserId) {
         // If per-user email mapping exists, use it
         const userEmails = await this.getEmailForUser(targetUserId);
         const fallbackEnabled = process.env.PERSONAL_EMAIL_FALLBACK_ENABLED === 'true';
         
         if (userEmails && userEmails.length > 0) {
             // Send to all user's emails
+            const language = this.getLanguage(targetUserId);
             const results = await Promise.allSettled(
                 userEmails.map(email => 
-                    this.sendToSpecificRecipient(keyword, message, sender, group, messageId, phoneNumber, matchType, matchedToken, attachment, email)
+                    this.sendToSpecificRecipient(alert, email, language)
                 )
             );
             
-            const successCount = results.filter(r => r.status === 'fulfilled').length;
+            const successCount = results.filter(r => r.status === 'fulfilled' && r.value).length;
             console.log(`📧 Personal keyword alert sent to ${successCount}/${userEmails.length} emails for user ${targetUserId}`);
             
             return successCount > 0;
         } else {
             if (fallbackEnabled) {
                 console.log('📧 No personal email on file; falling back to EMAIL_TO for personal alert');
-            return await this.sendKeywordAlert(keyword, message, sender, group, messageId, phoneNumber, matchType, matchedToken, attachment);
+                return await this.sendToUsers(alert);
             }
             console.log(`📧 Skipping personal email: no email configured for user ${targetUserId}`);
             return false;
         }
     }
 
-    async sendToSpecificRecipient(keyword, message, sender, group, messageId, phoneNumber, matchType, matchedToken, attachment, recipientEmail) {
+    async sendToSpecificRecipient(alert, recipientEmail, language = 'en') {
+        const { keyword } = alert;
         try {
-            const emailContent = this.formatEmail(keyword, message, sender, group, messageId, phoneNumber, matchType, matchedToken, attachment);
+            const emailContent = this.formatEmail(alert, language);
             
             await this.sendWithRetry(emailContent, recipientEmail);
             
@@ -291,29 +312,37 @@ class EmailChannel {
         }
     }
 
-    formatEmail(keyword, message, sender, group, messageId, phoneNumber = null, matchType = 'exact', matchedToken = null, attachment = null) {
-        const timestamp = new Date().toLocaleString();
-        const truncatedMessage = message.length > 500 ? message.substring(0, 500) + '...' : message;
+    // The user's language for their emails
+    getLanguage(userId) {
+        return this.i18n && userId ? this.i18n.getLanguage(userId) : 'en';
+    }
+
+    formatEmail(alert, language = 'en') {
+        const { keyword, sender, group, messageId, phoneNumber, matchType = 'exact', matchedToken, attachment } = alert;
+        const t = (key, params) => I18n.translate(language, key, params);
+        const timestamp = I18n.formatDateTime(language);
 
         // Escape all user-provided content to prevent HTML injection
         const escapedKeyword = this.escapeHtml(keyword);
-        const escapedSender = this.escapeHtml(sender || 'Unknown');
-        const escapedGroup = this.escapeHtml(group || 'Unknown');
-        const escapedPhoneNumber = this.escapeHtml(phoneNumber || 'Unknown Phone');
+        const escapedSender = this.escapeHtml(sender || t('alert.unknown'));
+        const escapedGroup = this.escapeHtml(group || t('alert.unknown'));
+        const escapedPhoneNumber = this.escapeHtml(phoneNumber || t('email.unknownPhone'));
         const escapedMessageId = this.escapeHtml(messageId || 'N/A');
         const escapedMatchedToken = matchedToken ? this.escapeHtml(matchedToken) : null;
 
         let matchInfo = '';
         if (matchType === 'fuzzy' && matchedToken) {
-            matchInfo = `\nFuzzy Match: "${escapedMatchedToken}" → "${escapedKeyword}"`;
+            matchInfo = `\n${t('email.match.fuzzy', { token: escapedMatchedToken, keyword: escapedKeyword })}`;
+        } else if (matchType === 'rule' && matchedToken) {
+            matchInfo = `\n${t('email.match.rule', { rule: escapedMatchedToken })}`;
         } else if (matchType === 'exact') {
-            matchInfo = '\nExact Match';
+            matchInfo = `\n${t('email.match.exact')}`;
         }
 
         let attachmentInfo = '';
         if (attachment) {
             const escapedAttachmentType = this.escapeHtml(attachment.type);
-            attachmentInfo = `\nAttachment: ${escapedAttachmentType}`;
+            attachmentInfo = `\n${t('email.attachment')} ${escapedAttachmentType}`;
             if (attachment.filename) {
                 const escapedFilename = this.escapeHtml(attachment.filename);
                 attachmentInfo += ` - ${escapedFilename}`;
@@ -324,46 +353,50 @@ class EmailChannel {
             }
         }
 
-        const subject = `🚨 Keyword Alert: ${escapedKeyword}`;
+        // The subject is plain text - the mail client escapes it
+        const subject = t('email.subject', { keyword });
+        const direction = I18n.isRtl(language) ? 'rtl' : 'ltr';
+        const borderSide = direction === 'rtl' ? 'right' : 'left';
         
         const htmlBody = `
 <!DOCTYPE html>
-<html>
+<html lang="${language}" dir="${direction}">
 <head>
     <meta charset="UTF-8">
     <style>
         body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-        .alert { background-color: #fff3cd; border-left: 4px solid #ffc107; padding: 15px; margin: 10px 0; }
-        .info { background-color: #e7f3ff; border-left: 4px solid #2196F3; padding: 15px; margin: 10px 0; }
+        .alert { background-color: #fff3cd; border-${borderSide}: 4px solid #ffc107; padding: 15px; margin: 10px 0; }
+        .info { background-color: #e7f3ff; border-${borderSide}: 4px solid #2196F3; padding: 15px; margin: 10px 0; }
         .message { background-color: #f5f5f5; padding: 15px; margin: 10px 0; border-radius: 5px; }
         strong { color: #2196F3; }
         .keyword { background-color: #ffeb3b; padding: 2px 6px; border-radius: 3px; font-weight: bold; }
+        .hit { background-color: #ffeb3b; font-weight: bold; }
         .attachment { background-color: #f0f0f0; padding: 10px; margin: 10px 0; border-radius: 5px; }
     </style>
 </head>
 <body>
-    <h2 style="color: #d32f2f;">🚨 Keyword Alert</h2>
+    <h2 style="color: #d32f2f;">${t('email.title')}</h2>
     
     <div class="info">
-        <p><strong>Keyword:</strong> <span class="keyword">${escapedKeyword}</span>${matchInfo}</p>
-        <p><strong>Sender:</strong> ${escapedSender}</p>
-        <p><strong>Group:</strong> ${escapedGroup}</p>
-        <p><strong>Detected by:</strong> ${escapedPhoneNumber}</p>
-        <p><strong>Time:</strong> ${timestamp}${attachmentInfo ? `<br/>${attachmentInfo}` : ''}</p>
+        <p><strong>${t('email.keyword')}</strong> <span class="keyword" dir="auto">${escapedKeyword}</span>${matchInfo}</p>
+        <p><strong>${t('email.sender')}</strong> <span dir="auto">${escapedSender}</span></p>
+        <p><strong>${t('email.group')}</strong> <span dir="auto">${escapedGroup}</span></p>
+        <p><strong>${t('email.detectedBy')}</strong> <span dir="auto">${escapedPhoneNumber}</span></p>
+        <p><strong>${t('email.time')}</strong> ${timestamp}${attachmentInfo ? `<br/>${attachmentInfo}` : ''}</p>
     </div>
 
     <div class="message">
-        <strong>Message:</strong><br/>
-        ${this.escapeHtml(truncatedMessage)}
+        <strong>${t('email.message')}</strong><br/>
+        <div dir="auto">${MatchHighlight.render(alert, MESSAGE_SNIPPET_LENGTH, text => this.escapeHtml(text), text => `<mark class="hit">${text}</mark>`)}</div>
     </div>
 
     <div class="alert">
-        <strong>Message ID:</strong> ${escapedMessageId}
+        <strong>${t('email.messageId')}</strong> ${escapedMessageId}
     </div>
 
     <p style="color: #666; font-size: 12px; margin-top: 20px;">
-        This is an automated alert from WhatsApp Keyword Bot.<br/>
-        Keywords are detected using fuzzy matching for multi-language support (Hebrew, English, Russian).
+        ${t('email.footer')}<br/>
+        ${t('email.footerMatching')}
     </p>
 </body>
 </html>
@@ -372,33 +405,37 @@ class EmailChannel {
         return {
             subject,
             html: htmlBody,
-            text: this.formatPlainText(keyword, message, sender, group, messageId, phoneNumber, matchType, matchedToken, attachment)
+            text: this.formatPlainText(alert, language)
         };
     }
 
-    formatPlainText(keyword, message, sender, group, messageId, phoneNumber, matchType, matchedToken, attachment) {
-        const timestamp = new Date().toLocaleString();
+    formatPlainText(alert, language = 'en') {
+        const { keyword, sender, group, messageId, matchType, matchedToken, attachment } = alert;
+        const t = (key, params) => I18n.translate(language, key, params);
+        const timestamp = I18n.formatDateTime(language);
         
         let matchInfo = '';
         if (matchType === 'fuzzy' && matchedToken) {
-            matchInfo = `\nFuzzy Match: "${matchedToken}" → "${keyword}"`;
+            matchInfo = `\n${t('email.match.fuzzy', { token: matchedToken, keyword })}`;
+        } else if (matchType === 'rule' && matchedToken) {
+            matchInfo = `\n${t('email.match.rule', { rule: matchedToken })}`;
         }
 
         let attachmentInfo = '';
         if (attachment) {
-            attachmentInfo = `\nAttachment: ${attachment.type} - ${attachment.filename || 'no filename'}`;
+            attachmentInfo = `\n${t('email.attachment')} ${attachment.type} - ${attachment.filename || t('email.noFilename')}`;
         }
 
-        return `🚨 Keyword Alert: ${keyword}${matchInfo}
+        return `${t('email.subject', { keyword })}${matchInfo}
 
-Sender: ${sender || 'Unknown'}
-Group: ${group || 'Unknown'}
-Time: ${timestamp}${attachmentInfo}
+${t('email.sender')} ${sender || t('alert.unknown')}
+${t('email.group')} ${group || t('alert.unknown')}
+${t('email.time')} ${timestamp}${attachmentInfo}
 
-Message:
-${message}
+${t('email.message')}
+${MatchHighlight.render(alert, MESSAGE_SNIPPET_LENGTH, text => text, text => `*${text}*`)}
 
-Message ID: ${messageId || 'N/A'}`;
+${t('email.messageId')} ${messageId || 'N/A'}`;
     }
 
     async sendWithRetry(emailContent, recipient) {
@@ -0,0 +1,38 @@
+/**
+ * HTTP POST for outgoing webhooks (http and https). Resolves to { statusCode, headers } once the response ends;
+ * the response body is ignored.
+ */
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+function postJson(url, body, headers, timeout) {
+    return new Promise((resolve, reject) => {
+        const parsedUrl = new URL(url);
+        const isHttps = parsedUrl.protocol === 'https:';
+        const client = isHttps ? https : http;
+
+        const req = client.request({
+            hostname: parsedUrl.hostname,
+            port: parsedUrl.port || (isHttps ? 443 : 80),
+            path: parsedUrl.pathname + parsedUrl.search,
+            method: 'POST',
+            timeout,
+            headers
+        }, (res) => {
+            res.resume(); // Only the status matters
+            res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers }));
+        });
+
+        req.on('error', reject);
+        req.on('timeout', () => {
+            req.destroy();
+            reject(new Error('Request timeout'));
+        });
+
+        req.end(body);
+    });
+}
+
+module.exports = { postJson };
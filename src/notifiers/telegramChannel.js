@@ -0,0 +1,202 @@
+/**
+ * Telegram Channel
+ * Sends keyword alerts as Telegram messages through the Notifier's bot, with ✅ OK / 💤 snooze and 👍/👎 buttons.
+ * First alerts for users on digest delivery or in quiet hours are queued in their digest instead.
+ */
+
+const { logError } = require('../logger');
+const KeywordPriority = require('../keywordPriority');
+const MatchHighlight = require('../matchHighlight');
+const I18n = require('../i18n');
+
+const MESSAGE_PREVIEW_LENGTH = 200; // Longer messages are cut to this much around the hit
+
+class TelegramChannel {
+    constructor(notifier) {
+        this.name = 'telegram';
+        this.selectable = true;
+        this.notifier = notifier; // Owns the bot, sendWithRetry, the digest and reminder managers
+    }
+
+    isEnabled() {
+        return this.notifier.enabled;
+    }
+
+    async send(alert, userIds = []) {
+        if (!this.isEnabled()) return false;
+        const { digestManager } = this.notifier;
+        const type = alert.keywordType === 'personal' ? 'personal' : 'global';
+
+        try {
+            let recipients = userIds.filter(Boolean);
+
+            // Users on digest delivery or in quiet hours get the first alert in their next digest / summary instead
+            let queuedCount = 0;
+            if (!alert.isReminder && !KeywordPriority.get(alert.priority).bypassQuietHours) {
+                const deferredUsers = recipients.filter(userId => digestManager.isDeferred(userId));
+                for (const userId of deferredUsers) {
+                    digestManager.addAlert(userId, {
+                        keyword: alert.keyword,
+                        type,
+                        group: alert.group,
+                        sender: alert.sender,
+                        message: alert.message,
+                        matchOffsets: alert.matchOffsets,
+                        matchType: alert.matchType,
+                        matchedToken: alert.matchedToken,
+                        attachment: alert.attachment
+                    });
+                }
+                queuedCount = deferredUsers.length;
+                recipients = recipients.filter(userId => !deferredUsers.includes(userId));
+                if (queuedCount > 0) {
+                    console.log(`📬 Queued ${type} keyword alert for ${queuedCount} user(s) (digest or quiet hours)`);
+                }
+            }
+
+            if (recipients.length === 0) {
+                if (queuedCount === 0) console.warn(`⚠️ No Telegram recipients for ${type} keyword alert: "${alert.keyword}"`);
+                return queuedCount > 0;
+            }
+
+            // Formatted once per language and shared by everyone reading it
+            const messages = new Map(); // language -> { text, options }
+            const results = await Promise.allSettled(recipients.map(userId => {
+                const language = this.notifier.i18n.getLanguage(userId);
+                if (!messages.has(language)) {
+                    messages.set(language, { text: this.formatMessage(alert, language), options: this.getAlertOptions(alert, language) });
+                }
+                const { text, options } = messages.get(language);
+                return this.notifier.sendWithRetry(text, userId, options);
+            }));
+
+            const successCount = results.filter(result => result.status === 'fulfilled').length;
+            console.log(`📤 Telegram ${type} alert sent to ${successCount}/${recipients.length} user(s)`);
+            if (successCount < recipients.length) {
+                console.warn(`⚠️ Failed to send Telegram to ${recipients.length - successCount} user(s)`);
+            }
+            return successCount > 0 || queuedCount > 0;
+        } catch (error) {
+            logError(error, { context: 'send_keyword_alert_telegram', keyword: alert.keyword, keywordType: type });
+            return false;
+        }
+    }
+
+    // Global and personal alerts share their lines; personal ones quote the message and end with the owner's footer
+    formatMessage(alert, language = 'en') {
+        const t = (key, params) => I18n.translate(language, key, params);
+        const escape = text => this.notifier.escapeHtml(text);
+        const reminderCount = alert.reminderCount || 0;
+        const preview = MatchHighlight.render(alert, MESSAGE_PREVIEW_LENGTH, escape, text => `<b>${text}</b>`);
+        const keyword = escape(alert.keyword);
+        const sender = escape(alert.sender || t('alert.unknown'));
+        const group = escape(alert.group || t('alert.unknown'));
+        const matchInfo = this.formatMatchInfo(alert.keyword, alert.matchType, alert.matchedToken, language) + this.formatPriorityInfo(alert.priority, language);
+        const time = t('alert.time', { time: I18n.formatDateTime(language) });
+        const attachmentInfo = this.formatAttachmentInfo(alert.attachment, language);
+        const reminderInfo = reminderCount > 0
+            ? `\n${t('alert.reminder', { elapsed: this.getReminderTimeElapsed(reminderCount, alert.priority, language) })}`
+            : '';
+        const hint = reminderCount > 0 ? t('alert.reminderHint') : t('alert.acknowledgeHint');
+
+        if (alert.keywordType === 'personal') {
+            return `${reminderCount === 0 ? t('alert.personal.title') : t('alert.personal.reminderTitle')}
+
+${t('alert.personal.keyword', { keyword })}${matchInfo}
+${t('alert.from', { sender })}
+${t('alert.personal.group', { group })}
+${time}${reminderInfo}${attachmentInfo}
+
+${t('alert.message')}
+"${preview}"
+
+${hint}
+${t('alert.personal.footer')}`;
+        }
+
+        return `${alert.isReminder ? t('alert.global.reminderTitle') : t('alert.global.title')}
+
+${t('alert.keyword', { keyword })}${matchInfo}
+${t('alert.sender', { sender })}
+${t('alert.group', { group })}
+${time}${attachmentInfo}${reminderInfo}
+
+${t('alert.message')}
+${preview}
+
+${t('alert.messageId', { messageId: escape(alert.messageId || 'N/A') })}
+${hint}`;
+    }
+
+    // Match line of an alert: how the keyword matched (fuzzy, rule, exact...)
+    formatMatchInfo(keyword, matchType, matchedToken, language = 'en') {
+        const escapedKeyword = this.notifier.escapeHtml(keyword);
+        const escapedMatchedToken = matchedToken ? this.notifier.escapeHtml(matchedToken) : null;
+        if (matchType === 'fuzzy' && matchedToken) {
+            return `\n${I18n.translate(language, 'alert.match.fuzzy', { token: escapedMatchedToken, keyword: escapedKeyword })}`;
+        } else if (matchType === 'diacritic-insensitive' && matchedToken) {
+            return `\n${I18n.translate(language, 'alert.match.similar', { token: escapedMatchedToken, keyword: escapedKeyword })}`;
+        } else if (matchType === 'rule' && matchedToken) {
+            return `\n${I18n.translate(language, 'alert.match.rule', { rule: escapedMatchedToken })}`;
+        } else if (matchType === 'exact') {
+            return `\n${I18n.translate(language, 'alert.match.exact')}`;
+        }
+        return '';
+    }
+
+    // Attachment line of an alert: type, file name and size
+    formatAttachmentInfo(attachment, language = 'en') {
+        if (!attachment) return '';
+        let attachmentInfo = `\n${I18n.translate(language, 'alert.attachment', { type: this.notifier.escapeHtml(attachment.type) })}`;
+        if (attachment.filename) {
+            attachmentInfo += ` - ${this.notifier.escapeHtml(attachment.filename)}`;
+        }
+        if (attachment.size) {
+            const sizeKB = (attachment.size / 1024).toFixed(2);
+            attachmentInfo += ` (${sizeKB} KB)`;
+        }
+        return attachmentInfo;
+    }
+
+    // Priority line for alerts; normal priority keeps the original layout
+    formatPriorityInfo(priority, language = 'en') {
+        if (!KeywordPriority.isValid(priority) || priority === 'normal') return '';
+        return `\n${I18n.translate(language, 'alert.priority', {
+            icon: KeywordPriority.get(priority).icon,
+            priority: I18n.translate(language, `alert.priority.${priority}`)
+        })}`;
+    }
+
+    // Time since the first alert when reminder N goes out, following the keyword priority's schedule
+    // (normal: 1, 2, 5, 15, 60, 90 minutes)
+    getReminderTimeElapsed(reminderCount, priority = 'normal', language = 'en') {
+        const level = KeywordPriority.get(priority);
+        let elapsedMs = level.firstReminderMs || 0;
+        for (const interval of level.reminderIntervals.slice(0, reminderCount - 1)) {
+            elapsedMs += interval;
+        }
+
+        const minutes = elapsedMs / 60000;
+        if (minutes < 1) return I18n.formatTimeAgo(language, Math.round(elapsedMs / 1000), 'second');
+        if (minutes < 60) return I18n.formatTimeAgo(language, Math.round(minutes), 'minute');
+        return I18n.formatTimeAgo(language, Math.round(minutes / 6) / 10, 'hour');
+    }
+
+    // Inline buttons under an alert: ✅ OK / 💤 snooze when the keyword starts reminders (they act on just that keyword's reminder),
+    // plus 👍/👎 on first fuzzy alerts so users can report false positives
+    getAlertOptions(alert, language = 'en') {
+        const { reminderManager, matchFeedback } = this.notifier;
+        const rows = [];
+        if (KeywordPriority.get(alert.priority).reminders && reminderManager) {
+            rows.push(...reminderManager.getReminderButtons(alert.keyword, language));
+        }
+        if (!alert.isReminder && matchFeedback) {
+            const ownerId = alert.keywordType === 'personal' ? alert.userId : null;
+            const keyboard = matchFeedback.getFeedbackKeyboard(alert.keyword, alert.matchedToken, alert.matchType, ownerId, language);
+            if (keyboard) rows.push(...keyboard.inline_keyboard);
+        }
+        return rows.length > 0 ? { reply_markup: { inline_keyboard: rows } } : {};
+    }
+}
+
+module.exports = TelegramChannel;
@@ -0,0 +1,259 @@
+/**
+ * Webhook Channel
+ * POSTs every keyword alert and reminder as JSON to outside systems (ticketing, automation).
+ * Targets come from config/webhooks.json, plus WEBHOOK_URLS (comma-separated) for ones that take everything:
+ *   { "name": "tickets", "url": "https://...", "secret": "...", "keywords": ["fire"], "users": ["123456789"], "events": ["alert"] }
+ *   - keywords: only alerts for these keywords (case-insensitive); users: only alerts these Telegram users receive
+ *   - events: "alert" (first alert) and/or "reminder" (default: both)
+ * Each body is signed: X-Webhook-Signature = "sha256=" + HMAC-SHA256(secret, "<X-Webhook-Timestamp>.<body>"),
+ * with the target's secret or WEBHOOK_SECRET. Failed deliveries are retried with exponential backoff, then written
+ * to config/webhook-dead-letter.jsonl.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const { logError, logBotEvent } = require('../logger');
+const { postJson } = require('./httpPost');
+const MatchHighlight = require('../matchHighlight');
+
+const EVENTS = ['alert', 'reminder'];
+const DEFAULT_RETRY_ATTEMPTS = 4;
+const DEFAULT_RETRY_DELAY_MS = 2000; // Doubles after every failed attempt: 2s, 4s, 8s
+const DEFAULT_TIMEOUT_MS = 10000;
+const MAX_MESSAGE_LENGTH = 10000;
+
+class WebhookChannel {
+    constructor() {
+        this.name = 'webhook';
+        this.selectable = false; // Other systems get every alert, whatever each user picked
+        this.enabled = false;
+        this.targets = [];
+        this.retryAttempts = parseInt(process.env.WEBHOOK_RETRY_ATTEMPTS, 10) || DEFAULT_RETRY_ATTEMPTS;
+        this.retryDelay = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS, 10) || DEFAULT_RETRY_DELAY_MS;
+        this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+        this.configPath = path.join(__dirname, '../../config/webhooks.json');
+        this.deadLetterPath = path.join(__dirname, '../../config/webhook-dead-letter.jsonl');
+        this.init();
+    }
+
+    init() {
+        try {
+            if (process.env.WEBHOOK_ENABLED === 'false') {
+                console.log('🪝 Webhook notifications: Disabled');
+                return;
+            }
+
+            this.targets = this.loadTargets();
+            this.enabled = this.targets.length > 0;
+            if (this.enabled) {
+                console.log(`✅ Webhook notifications enabled (${this.targets.length} target(s): ${this.targets.map(target => target.name).join(', ')})`);
+                logBotEvent('webhook_initialized', { targets: this.targets.length });
+            } else {
+                console.log('🪝 No webhook targets configured - webhook notifications disabled');
+            }
+        } catch (error) {
+            logError(error, { context: 'webhook_init' });
+            console.error('❌ Failed to initialize webhooks:', error.message);
+        }
+    }
+
+    loadTargets() {
+        const targets = [];
+        const defaultSecret = process.env.WEBHOOK_SECRET || null;
+
+        (process.env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean).forEach((url, index) => {
+            targets.push({ name: `env-${index + 1}`, url, secret: defaultSecret, keywords: null, users: null, events: EVENTS });
+        });
+
+        try {
+            if (fs.existsSync(this.configPath)) {
+                const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+                (config.targets || []).forEach((raw, index) => {
+                    const target = this.normalizeTarget(raw, index, defaultSecret);
+                    if (target) targets.push(target);
+                });
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load config/webhooks.json:', error.message);
+        }
+
+        targets.filter(target => !target.secret).forEach(target => {
+            console.warn(`⚠️ Webhook target "${target.name}" has no secret - its requests are not signed`);
+        });
+        return targets;
+    }
+
+    normalizeTarget(raw, index, defaultSecret) {
+        const name = raw && raw.name ? String(raw.name) : `target-${index + 1}`;
+        if (!raw || raw.enabled === false) return null;
+
+        try {
+            const { protocol } = new URL(raw.url);
+            if (protocol !== 'https:' && protocol !== 'http:') throw new Error(`unsupported protocol ${protocol}`);
+        } catch (error) {
+            console.warn(`⚠️ Skipping webhook target "${name}": invalid url (${error.message})`);
+            return null;
+        }
+
+        const list = value => (Array.isArray(value) && value.length > 0 ? value.map(String) : null);
+        const keywords = list(raw.keywords);
+        return {
+            name,
+            url: raw.url,
+            secret: raw.secret || defaultSecret,
+            keywords: keywords ? keywords.map(keyword => keyword.toLowerCase()) : null,
+            users: list(raw.users),
+            events: (list(raw.events) || EVENTS).filter(event => EVENTS.includes(event))
+        };
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    // Targets interested in an alert for keyword delivered to userIds
+    getTargets(keyword, userIds, event) {
+        const keywordLower = String(keyword).toLowerCase();
+        const users = (userIds || []).map(String);
+        return this.targets.filter(target =>
+            target.events.includes(event) &&
+            (!target.keywords || target.keywords.includes(keywordLower)) &&
+            (!target.users || target.users.some(userId => users.includes(userId)))
+        );
+    }
+
+    /**
+     * Send one alert (see channelRegistry.js) to every matching target.
+     * userIds are the Telegram users receiving the alert (matched against each target's "users").
+     * Resolves to the number of targets that accepted it; never throws.
+     */
+    async send(alert, userIds = []) {
+        if (!this.enabled) return 0;
+
+        const event = alert.isReminder ? 'reminder' : 'alert';
+        const targets = this.getTargets(alert.keyword, userIds, event);
+        if (targets.length === 0) return 0;
+
+        const payload = this.buildPayload(alert, event);
+        const results = await Promise.all(targets.map(target => this.deliver(target, payload)));
+        const successCount = results.filter(Boolean).length;
+
+        console.log(`🪝 Webhook ${event} for "${alert.keyword}" delivered to ${successCount}/${targets.length} target(s)`);
+        logBotEvent('webhook_alert_sent', { keyword: alert.keyword, event, successCount, totalTargets: targets.length });
+        return successCount;
+    }
+
+    buildPayload(alert, event) {
+        const attachment = alert.attachment ? {
+            type: alert.attachment.type,
+            mimetype: alert.attachment.mimetype || null,
+            filename: alert.attachment.filename || null,
+            size: Number(alert.attachment.size) || 0 // Baileys sizes can be protobuf Longs
+        } : null;
+
+        return {
+            id: crypto.randomUUID(),
+            event,
+            timestamp: new Date().toISOString(),
+            keyword: alert.keyword,
+            keywordType: alert.keywordType || 'global',
+            userId: alert.userId ? String(alert.userId) : null,
+            matchType: alert.matchType || 'exact',
+            matchedToken: alert.matchedToken || null,
+            matchOffsets: MatchHighlight.getOffsets(alert), // [{ start, end }] into message
+            priority: alert.priority || 'normal',
+            message: (alert.message || '').substring(0, MAX_MESSAGE_LENGTH),
+            sender: alert.sender || null,
+            group: alert.group || null,
+            messageId: alert.messageId || null,
+            phoneNumber: alert.phoneNumber || null,
+            attachment,
+            reminderCount: alert.reminderCount || 0
+        };
+    }
+
+    // POST with retries; 4xx answers (other than 408 and 429) are not retried. Returns true on a 2xx.
+    async deliver(target, payload) {
+        const body = JSON.stringify(payload);
+        let lastError = null;
+        let attempt = 0;
+
+        while (attempt < this.retryAttempts) {
+            attempt++;
+            try {
+                const response = await this.post(target.url, body, this.buildHeaders(target, payload, body));
+                if (response.statusCode >= 200 && response.statusCode < 300) {
+                    return true;
+                }
+                lastError = new Error(`HTTP ${response.statusCode}`);
+                if (response.statusCode < 500 && response.statusCode !== 408 && response.statusCode !== 429) {
+                    break; // The receiver rejected the payload - retrying won't change that
+                }
+            } catch (error) {
+                lastError = error;
+            }
+
+            console.error(`❌ Webhook "${target.name}" attempt ${attempt}/${this.retryAttempts} failed:`, lastError.message);
+            if (attempt < this.retryAttempts) {
+                await this.delay(this.retryDelay * Math.pow(2, attempt - 1));
+            }
+        }
+
+        this.writeDeadLetter(target, payload, lastError, attempt);
+        return false;
+    }
+
+    // Headers are rebuilt for every attempt so the signed timestamp stays fresh
+    buildHeaders(target, payload, body) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const headers = {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            'User-Agent': 'WhatsApp-Keyword-Bot-Webhook/1.0',
+            'X-Webhook-Event': payload.event,
+            'X-Webhook-Delivery': payload.id,
+            'X-Webhook-Timestamp': timestamp
+        };
+        if (target.secret) {
+            headers['X-Webhook-Signature'] = `sha256=${WebhookChannel.sign(target.secret, timestamp, body)}`;
+        }
+        return headers;
+    }
+
+    // Receivers recompute this over the raw body and compare, rejecting old timestamps to stop replays
+    static sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    post(url, body, headers) {
+        return postJson(url, body, headers, this.timeout);
+    }
+
+    // One JSON line per undelivered payload, with enough to replay it by hand
+    writeDeadLetter(target, payload, error, attempts) {
+        const entry = {
+            failedAt: new Date().toISOString(),
+            target: target.name,
+            url: target.url,
+            attempts,
+            error: error ? error.message : 'unknown',
+            payload
+        };
+
+        try {
+            fs.appendFileSync(this.deadLetterPath, JSON.stringify(entry) + '\n');
+            console.error(`❌ Webhook "${target.name}" gave up on ${payload.event} for "${payload.keyword}" - saved to webhook-dead-letter.jsonl`);
+        } catch (writeError) {
+            console.error('❌ Failed to write webhook dead letter:', writeError.message);
+        }
+        logBotEvent('webhook_dead_letter', { target: target.name, keyword: payload.keyword, error: entry.error });
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = WebhookChannel;
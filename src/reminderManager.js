@@ -4,29 +4,43 @@ const path = require('path');
 const crypto = require('crypto');
 const { logError, logBotEvent } = require('./logger');
 const SupabaseManager = require('./supabase');
+const KeywordPriority = require('./keywordPriority');
+const EscalationPolicies = require('./escalationPolicies');
+const AcknowledgmentReset = require('./acknowledgmentReset');
+const I18n = require('./i18n');
+
+const SUPPRESSION_CLEANUP_INTERVAL_MS = 5 * 60 * 1000;
 
 class ReminderManager extends EventEmitter {
-    constructor() {
+    constructor(i18n = null) {
         super();
+        this.i18n = i18n; // Language of /ok summaries; English without it
         this.reminders = new Map(); // reminderId → reminder object
         this.reminderTimers = new Map(); // reminderId → timeout ID
         this.reminderExecuting = new Map(); // reminderId → is executing (to prevent race conditions)
-        this.activeReminders = new Map(); // userId → reminderId (for fast lookup)
+        this.activeReminders = new Map(); // userId → Set of active reminderIds (for fast lookup)
         this.acknowledgedTime = new Map(); // userId → timestamp when /ok was pressed
         this.lastOkAt = new Map(); // userId → timestamp when /ok was last pressed (for tracking history)
         // NOTE: acknowledgedKeywords Set removed - we check reminders Map directly for acknowledged status (saves memory)
         this.storagePath = path.join(__dirname, '../config/active-reminders.json');
-        this.maxReminders = 7; // 0 min, 1 min, 2 min, 5 min, 15 min, 60 min, 90 min
-        this.weeklyResetTimer = null; // Timer for weekly acknowledged reminders reset
+        this.maxReminders = 6; // Fallback for reminders saved without their own maxReminders (1, 2, 5, 15, 60, 90 min)
+        this.suppressionCleanupTimer = null; // Clears acknowledgment blocks once they expire
         this.catchupDelayMs = parseInt(process.env.REMINDER_CATCHUP_DELAY_MS || '30000'); // default 30s
         this.backend = process.env.REMINDERS_BACKEND || 'auto'; // auto|supabase|file
         this.supabase = new SupabaseManager();
+        this.escalationPolicies = new EscalationPolicies(this.supabase); // Named reminder schedules
+        this.acknowledgmentReset = new AcknowledgmentReset(this.supabase); // How long /ok blocks a keyword
         // Resolve backend automatically
         if (this.backend === 'auto') {
             this.backend = this.supabase && this.supabase.isEnabled() ? 'supabase' : 'file';
         }
         this.loadReminders();
-        this.scheduleWeeklyReset(); // Start weekly reset schedule
+        this.scheduleSuppressionCleanup();
+    }
+
+    // A message catalog text in the user's language
+    t(userId, key, params = {}) {
+        return this.i18n ? this.i18n.t(userId, key, params) : I18n.translate('en', key, params);
     }
 
     /**
@@ -52,6 +66,8 @@ class ReminderManager extends EventEmitter {
             this.activeReminders = new Map();
             this.reminderTimers = new Map();
             this.reminderExecuting = new Map();
+            await this.escalationPolicies.load(); // Restored reminders need their policies
+            await this.acknowledgmentReset.load();
 
             if (this.backend === 'supabase') {
                 // Load from Supabase
@@ -60,6 +76,7 @@ class ReminderManager extends EventEmitter {
                     for (const row of rows) {
                         const reminder = {
                             reminderId: row.id,
+                            shortId: row.short_id || null,
                             userId: row.user_id,
                             keyword: row.keyword,
                             message: row.message,
@@ -69,27 +86,34 @@ class ReminderManager extends EventEmitter {
                             phoneNumber: row.phone_number,
                             attachment: row.attachment,
                             isGlobal: !!row.is_global,
+                            priority: row.priority || 'normal',
+                            policy: row.policy || null,
                             status: row.status,
                             firstDetectedAt: row.first_detected_at ? new Date(row.first_detected_at) : new Date(),
                             nextReminderAt: row.next_reminder_at ? new Date(row.next_reminder_at) : null,
+                            snoozedUntil: row.snoozed_until ? new Date(row.snoozed_until) : null,
+                            suppressPeriod: row.suppress_period || null,
+                            suppressedUntil: row.suppressed_until ? new Date(row.suppressed_until) : null,
                             reminderCount: row.reminder_count || 0
                         };
+                        this.applySchedule(reminder); // Supabase keeps only the policy name and priority
                         this.reminders.set(reminder.reminderId, reminder);
                         if (reminder.status === 'active') {
-                            this.activeReminders.set(String(reminder.userId), reminder.reminderId);
+                            this.trackActiveReminder(reminder.userId, reminder.reminderId);
                             const nextAt = reminder.nextReminderAt ? reminder.nextReminderAt.getTime() : (now + 60000);
                             if (nextAt <= now) {
                                 reminder.nextReminderAt = new Date(now + this.catchupDelayMs);
                             }
                         }
                     }
+                    this.assignMissingShortIds();
                     // Schedule only active
                     for (const [, reminder] of this.reminders) {
                         if (reminder.status === 'active') {
                             this.scheduleNextReminder(reminder);
                         }
                     }
-                    console.log(`✅ Restored ${this.reminders.size} reminders from Supabase; active: ${this.activeReminders.size}`);
+                    console.log(`✅ Restored ${this.reminders.size} reminders from Supabase; active: ${this.countActiveReminders()}`);
                     return;
                 }
                 // Fall through to file if Supabase returned null
@@ -104,19 +128,22 @@ class ReminderManager extends EventEmitter {
                     if (!r || !r.userId || !r.keyword) continue;
                     if (r.firstDetectedAt) r.firstDetectedAt = new Date(r.firstDetectedAt);
                     if (r.nextReminderAt) r.nextReminderAt = new Date(r.nextReminderAt);
+                    if (r.snoozedUntil) r.snoozedUntil = new Date(r.snoozedUntil);
+                    if (r.suppressedUntil) r.suppressedUntil = new Date(r.suppressedUntil);
                     this.reminders.set(reminderId, r);
                     if (r.status === 'active') {
-                        this.activeReminders.set(String(r.userId), reminderId);
+                        this.trackActiveReminder(r.userId, reminderId);
                         const nextAt = r.nextReminderAt ? r.nextReminderAt.getTime() : (now + 60000);
                         if (nextAt <= now) {
                             r.nextReminderAt = new Date(now + this.catchupDelayMs);
                         }
                     }
                 }
+                this.assignMissingShortIds();
                 for (const [, reminder] of this.reminders) {
                     if (reminder.status === 'active') this.scheduleNextReminder(reminder);
                 }
-                console.log(`✅ Restored ${this.reminders.size} reminders from disk; active: ${this.activeReminders.size}`);
+                console.log(`✅ Restored ${this.reminders.size} reminders from disk; active: ${this.countActiveReminders()}`);
             }
         } catch (error) {
             logError(error, { context: 'load_reminders' });
@@ -151,11 +178,100 @@ class ReminderManager extends EventEmitter {
         }
     }
 
+    /**
+     * Fill in a reminder's schedule from its escalation policy, or its priority when it has none
+     */
+    applySchedule(reminder) {
+        const schedule = this.escalationPolicies.getSchedule(reminder.policy, reminder.priority);
+        reminder.policy = schedule.policy;
+        reminder.reminderIntervals = schedule.reminderIntervals;
+        reminder.maxReminders = schedule.maxReminders;
+        reminder.stepChannels = schedule.stepChannels;
+        reminder.escalateTo = schedule.escalateTo;
+        return schedule;
+    }
+
+    /**
+     * Users can have several active reminders at once (one per keyword)
+     */
+    trackActiveReminder(userId, reminderId) {
+        const userIdStr = String(userId);
+        if (!this.activeReminders.has(userIdStr)) {
+            this.activeReminders.set(userIdStr, new Set());
+        }
+        this.activeReminders.get(userIdStr).add(reminderId);
+    }
+
+    untrackActiveReminder(userId, reminderId) {
+        const userIdStr = String(userId);
+        const reminderIds = this.activeReminders.get(userIdStr);
+        if (!reminderIds) return;
+        reminderIds.delete(reminderId);
+        if (reminderIds.size === 0) {
+            this.activeReminders.delete(userIdStr);
+        }
+    }
+
+    countActiveReminders() {
+        let count = 0;
+        for (const [, reminderIds] of this.activeReminders) {
+            count += reminderIds.size;
+        }
+        return count;
+    }
+
+    /**
+     * Short per-user number shown in alerts and /reminders, used by /ok <number>
+     */
+    getNextShortId(userId) {
+        const userIdStr = String(userId);
+        let maxShortId = 0;
+        for (const [, reminder] of this.reminders) {
+            if (String(reminder.userId) === userIdStr && reminder.status !== 'acknowledged' && reminder.shortId > maxShortId) {
+                maxShortId = reminder.shortId;
+            }
+        }
+        return maxShortId + 1;
+    }
+
+    // Reminders saved before short IDs existed get one on load
+    assignMissingShortIds() {
+        for (const [, reminder] of this.reminders) {
+            if (!reminder.shortId) {
+                reminder.shortId = this.getNextShortId(reminder.userId);
+            }
+        }
+    }
+
+    // Stable reference to a keyword that fits in Telegram's 64-byte callback_data
+    getKeywordRef(keyword) {
+        return crypto.createHash('sha1').update(String(keyword)).digest('hex').substring(0, 12);
+    }
+
+    // Buttons for alerts and reminders - ✅ OK acknowledges, 💤 snoozes the user's reminder for that keyword only
+    getReminderButtons(keyword, language = 'en') {
+        const keywordRef = this.getKeywordRef(keyword);
+        return [
+            [{ text: I18n.translate(language, 'buttons.ok'), callback_data: `rem:ok:${keywordRef}` }],
+            [
+                { text: I18n.translate(language, 'buttons.snooze15m'), callback_data: `rem:snooze-15m:${keywordRef}` },
+                { text: I18n.translate(language, 'buttons.snooze1h'), callback_data: `rem:snooze-1h:${keywordRef}` },
+                { text: I18n.translate(language, 'buttons.snoozeTomorrow'), callback_data: `rem:snooze-tomorrow:${keywordRef}` }
+            ]
+        ];
+    }
+
     /**
      * Add a new reminder for a user
+     * The keyword's escalation policy (or else its priority) sets the reminder schedule; low priority keywords never start one
      */
-    addReminder(userId, keyword, message, sender, group, messageId, phoneNumber, attachment, isGlobal = false) {
+    addReminder(userId, keyword, message, sender, group, messageId, phoneNumber, attachment, isGlobal = false, priority = 'normal', policy = null) {
         console.log(`🔍 addReminder START for user ${userId}, keyword "${keyword}"`);
+        const level = KeywordPriority.get(priority);
+        if (!level.reminders) {
+            console.log(`⏰ Keyword "${keyword}" is ${priority} priority - no reminders`);
+            return;
+        }
         
         // Normalize userId to string for consistency (Supabase stores as TEXT, Telegram sends as number)
         const userIdStr = String(userId);
@@ -172,46 +288,26 @@ class ReminderManager extends EventEmitter {
         }
         
         // Check if user has acknowledged this keyword (search reminders Map - no need for separate Set)
-        // Once acknowledged, keyword is permanently blocked - check reminders directly
-        const hasAcknowledgedKeyword = Array.from(this.reminders.values()).some(r => 
-            String(r.userId) === userIdStr && 
-            r.keyword === keyword && 
-            r.status === 'acknowledged'
-        );
-        if (hasAcknowledgedKeyword) {
-                console.log(`⏰ User ${userId} already acknowledged keyword: "${keyword}" - not starting new reminder`);
+        // Acknowledged reminders are kept while the user's acknowledgment reset period blocks the keyword
+        if (this.isKeywordBlocked(userIdStr, keyword)) {
+                console.log(`⏰ User ${userId} acknowledged keyword "${keyword}" and it is still blocked - not starting new reminder`);
                 return;
         }
         
-        // Check if there's an existing reminder for this user using the new system
-        const existingReminderId = this.activeReminders.get(userIdStr);
-        if (existingReminderId) {
-            console.log(`🔍 Found existing reminder ${existingReminderId} for user ${userId}`);
-            const existingReminder = this.reminders.get(existingReminderId);
-            // If existing reminder is for same keyword and acknowledged, skip
-            if (existingReminder && existingReminder.keyword === keyword && existingReminder.status === 'acknowledged') {
-                console.log(`⏰ User ${userId} already acknowledged reminder for keyword: "${keyword}" - not starting new reminder`);
-                return;
-            }
-            // Cancel the existing reminder to prevent duplicates
-            console.log(`🔍 Canceling existing reminder and replacing`);
-            this.cancelReminderTimer(existingReminderId);
-            
-            // Mark the existing reminder as 'cancelled' (overridden) with timestamp
-            if (existingReminder && existingReminder.status === 'active') {
-                existingReminder.status = 'cancelled';
-                existingReminder.cancelledAt = new Date();
-                this.saveReminders();
-                console.log(`⏰ Marked reminder ${existingReminderId} as 'cancelled' (overridden by new keyword)`);
-            }
-            // DON'T delete from activeReminders - we'll update it with new reminderId
+        // Reminders for other keywords keep running - each one is acknowledged on its own
+        // The same keyword detected again restarts its reminder in place (keeping its number for /ok)
+        const existingReminder = this.getReminderForKeyword(userIdStr, keyword);
+        if (existingReminder) {
+            console.log(`🔍 Restarting existing reminder #${existingReminder.shortId} (${existingReminder.reminderId}) for user ${userId}`);
+            this.cancelReminderTimer(existingReminder.reminderId);
         }
 
         // Generate unique reminder ID as UUID
-        const reminderId = crypto.randomUUID();
+        const reminderId = existingReminder ? existingReminder.reminderId : crypto.randomUUID();
 
         const reminder = {
             reminderId, // Unique ID for this reminder
+            shortId: existingReminder ? existingReminder.shortId : this.getNextShortId(userIdStr), // Number for /ok <number>
             userId: userIdStr, // Store as string for consistency
             keyword,
             message,
@@ -221,28 +317,25 @@ class ReminderManager extends EventEmitter {
             phoneNumber,
             attachment,
             isGlobal, // Flag to indicate if this is a global keyword reminder
+            priority: KeywordPriority.isValid(priority) ? priority : 'normal',
+            policy, // Escalation policy name, null for the priority's schedule
             status: 'active', // STATE: 'active', 'acknowledged', 'cancelled', 'completed'
             firstDetectedAt: new Date(),
-            nextReminderAt: new Date(Date.now() + 60000), // First reminder in 1 minute
-            reminderCount: 0,
-            reminderIntervals: [
-                60000,    // R1→R2: +1 min (2 min total)
-                180000,   // R2→R3: +3 min (5 min total)
-                600000,   // R3→R4: +10 min (15 min total)
-                2700000,  // R4→R5: +45 min (60 min total)
-                1800000   // R5→R6: +30 min (90 min total)
-            ]
+            reminderCount: 0
         };
+        // Normal priority: reminders 1, 2, 5, 15, 60 and 90 min after the alert
+        const schedule = this.applySchedule(reminder);
+        reminder.nextReminderAt = new Date(Date.now() + schedule.firstReminderMs);
 
         // Store by reminderId for unique access
         this.reminders.set(reminderId, reminder);
-        this.activeReminders.set(userIdStr, reminderId); // Fast user lookup (use string key for consistency)
+        this.trackActiveReminder(userIdStr, reminderId); // Fast user lookup (use string key for consistency)
         this.saveReminders();
         if (this.backend === 'supabase') {
             this.supabase.remindersUpsert(reminder);
         }
 
-        console.log(`⏰ Added reminder for user ${userId} - keyword: "${keyword}"`);
+        console.log(`⏰ Added reminder #${reminder.shortId} for user ${userId} - keyword: "${keyword}"`);
         console.log(`🔍 About to call scheduleNextReminder for ${reminderId}`);
         
         // Don't emit immediate notification - the first alert was already sent in bot.js
@@ -294,20 +387,32 @@ class ReminderManager extends EventEmitter {
                 // CRITICAL: Check status BEFORE doing anything
                 if (currentReminder.status !== 'active') {
                     console.log(`⏰ Reminder ${reminder.reminderId} status is "${currentReminder.status}" - stopping`);
-                    this.removeReminderByUserId(currentReminder.userId);
+                    this.untrackActiveReminder(currentReminder.userId, currentReminder.reminderId);
                     return;
                 }
 
                 console.log(`⏰ Sending reminder ${currentReminder.reminderCount + 1} for user ${currentReminder.userId}, keyword "${currentReminder.keyword}"`);
                 
-                // Increment reminder count
+                // Increment reminder count (a snooze that ran out carries on with the next step)
                 currentReminder.reminderCount++;
+                currentReminder.snoozedUntil = null;
                 
-                // Check if we've hit the max
-                if (currentReminder.reminderCount >= this.maxReminders) {
+                // All reminders sent and still not acknowledged - finish, escalating if the policy says so
+                if (currentReminder.reminderCount > (currentReminder.maxReminders || this.maxReminders)) {
                     console.log(`⏰ Maximum reminders reached for ${reminder.reminderId} - marking completed`);
+                    currentReminder.reminderCount--; // Nothing was sent for this step
                     currentReminder.status = 'completed';
                     currentReminder.completedAt = new Date();
+                    if (currentReminder.escalateTo) {
+                        currentReminder.escalatedAt = new Date();
+                        this.emit('escalateReminder', currentReminder);
+                        logBotEvent('reminder_escalated', {
+                            userId: currentReminder.userId,
+                            keyword: currentReminder.keyword,
+                            policy: currentReminder.policy,
+                            escalateTo: currentReminder.escalateTo
+                        });
+                    }
                     this.saveReminders();
                     if (this.backend === 'supabase') {
                         await this.supabase.remindersUpdateStatus(currentReminder.reminderId, 'completed', {
@@ -315,7 +420,7 @@ class ReminderManager extends EventEmitter {
                             next_reminder_at: null
                         });
                     }
-                    this.removeReminderByUserId(currentReminder.userId);
+                    this.untrackActiveReminder(currentReminder.userId, currentReminder.reminderId);
                     return;
                 }
 
@@ -324,7 +429,9 @@ class ReminderManager extends EventEmitter {
                 
                 // Schedule next reminder (only if still active)
                 if (currentReminder.status === 'active') {
-                    const nextInterval = currentReminder.reminderIntervals[currentReminder.reminderCount - 1];
+                    // The wait after the last reminder (or the last interval, for reminders saved before policies) ends it
+                    const intervals = currentReminder.reminderIntervals || [];
+                    const nextInterval = intervals[Math.min(currentReminder.reminderCount, intervals.length) - 1];
                     if (nextInterval) {
                         currentReminder.nextReminderAt = new Date(Date.now() + nextInterval);
                         await this.saveReminders();
@@ -357,16 +464,19 @@ class ReminderManager extends EventEmitter {
     }
 
     /**
-     * Acknowledge a reminder (stop all reminders for user)
+     * Acknowledge reminders for a user
+     * reminderRef 'all' stops every reminder since the last /ok (the original /ok behaviour);
+     * a reminder number (as shown in alerts and /reminders) stops only that one
+     * suppression ({ period, until } from AcknowledgmentReset, null for per message) keeps the keywords blocked for a while
      */
-    async acknowledgeReminder(userId) {
-        console.log(`🔍 acknowledgeReminder START for user ${userId} (type: ${typeof userId})`);
-        console.log(`🔍 activeReminders Map size: ${this.activeReminders.size}`);
-        console.log(`🔍 activeReminders keys:`, Array.from(this.activeReminders.keys()));
-        console.log(`🔍 activeReminders entries:`, Array.from(this.activeReminders.entries()));
+    async acknowledgeReminder(userId, reminderRef = 'all', suppression = null) {
+        console.log(`🔍 acknowledgeReminder START for user ${userId} (type: ${typeof userId}), reminder: ${reminderRef}`);
         
         // Normalize userId to string for consistency (Telegram sends as number, Supabase stores as TEXT)
         const userIdStr = String(userId);
+        if (reminderRef !== 'all') {
+            return this.acknowledgeSingleReminder(userIdStr, reminderRef, suppression);
+        }
         const now = Date.now();
         
         // IMPORTANT: Set acknowledgedTime FIRST to protect against race conditions
@@ -382,171 +492,60 @@ class ReminderManager extends EventEmitter {
             return reminderTime >= lastOkTimestamp;
         });
         
-        // Categorize reminders
-        const activeReminder = allUserReminders.find(r => r.status === 'active');
+        // Safety check: reminders still tracked as active are stopped even if they started before the last /ok
+        for (const reminderId of this.activeReminders.get(userIdStr) || []) {
+            const reminder = this.reminders.get(reminderId);
+            if (reminder && String(reminder.userId) === userIdStr && !allUserReminders.includes(reminder)) {
+                console.log(`🔍 Active reminder ${reminderId} started before the last /ok - including it`);
+                allUserReminders.push(reminder);
+            }
+        }
+        
+        // Categorize reminders ('cancelled' only exists in reminders saved when a new keyword replaced the previous one)
+        const activeReminders = allUserReminders.filter(r => r.status === 'active');
         const cancelledReminders = allUserReminders.filter(r => r.status === 'cancelled');
         const completedReminders = allUserReminders.filter(r => r.status === 'completed');
         
-        const reminderId = this.activeReminders.get(userIdStr);
-        console.log(`🔍 Looking up key: "${userIdStr}" (type: ${typeof userIdStr})`);
-        console.log(`🔍 Found reminderId: ${reminderId}`);
-        console.log(`🔍 Found ${allUserReminders.length} reminders since last /ok: ${activeReminder ? 1 : 0} active, ${cancelledReminders.length} cancelled, ${completedReminders.length} completed`);
+        console.log(`🔍 Found ${allUserReminders.length} reminders since last /ok: ${activeReminders.length} active, ${cancelledReminders.length} cancelled, ${completedReminders.length} completed`);
         
         // FULL RESET: Mark ALL reminders (active, cancelled, completed) as acknowledged
         // This ensures they never trigger again and clears all timers
-        
-        // Build summary message
-        let summary = '';
-        const activeKeywords = [];
-        const cancelledKeywords = [];
-        const completedKeywords = [];
-        
-        // Process ACTIVE reminder - acknowledge and stop
-        // Safety check: If reminderId exists in activeReminders but not in filtered list, still acknowledge it
-        if (reminderId) {
-            const reminder = this.reminders.get(reminderId);
-            // Double-check: verify it's the same user and active status
-            if (reminder && String(reminder.userId) === userIdStr && reminder.status === 'active') {
-                // Check if it was already in activeKeywords (from activeReminder match)
-                const alreadyProcessed = activeReminder && activeReminder.reminderId === reminderId;
-                
-                if (!alreadyProcessed) {
-                    console.log(`✅ User ${userId} acknowledging ACTIVE reminder ${reminderId} (safety check - not in filtered list) - stopping timers`);
-                } else {
-                    console.log(`✅ User ${userId} acknowledging ACTIVE reminder ${reminderId} - stopping timers`);
-                }
-                
-                // Mark as acknowledged
-                reminder.status = 'acknowledged';
-                reminder.acknowledgedAt = new Date();
-                
-                // Cancel any pending timers
-                this.cancelReminderTimer(reminderId);
-                
-                // Keyword is now permanently blocked (status='acknowledged' checked in addReminder)
-                
-                // Add to keywords only if not already added
-                if (!activeKeywords.includes(`"${reminder.keyword}"`)) {
-                    activeKeywords.push(`"${reminder.keyword}"`);
-                }
-            }
-        }
-        
-        // Defensive check: Process activeReminder if it exists and wasn't already processed
-        // (handles edge case where activeReminder exists but reminderId is null or different)
-        if (activeReminder && (!reminderId || activeReminder.reminderId !== reminderId)) {
-            console.log(`✅ User ${userId} acknowledging ACTIVE reminder ${activeReminder.reminderId} (from filtered list, not in activeReminders Map) - stopping timers`);
-            
-            // Mark as acknowledged
-            activeReminder.status = 'acknowledged';
-            activeReminder.acknowledgedAt = new Date();
-            
-            // Cancel any pending timers
-            this.cancelReminderTimer(activeReminder.reminderId);
-            
-            // Add to keywords only if not already added (escape keyword for HTML)
-            const escapedKeyword = this.escapeHtml(activeReminder.keyword);
-            if (!activeKeywords.includes(`"${escapedKeyword}"`)) {
-                activeKeywords.push(`"${escapedKeyword}"`);
-            }
-        }
-        
-        // Process CANCELLED reminders - convert to acknowledged
-        cancelledReminders.forEach(r => {
-            console.log(`✅ User ${userId} acknowledging CANCELLED reminder ${r.reminderId} - marking as acknowledged`);
-            
-            // Mark as acknowledged (even though it was cancelled)
-            r.status = 'acknowledged';
-            r.acknowledgedAt = new Date();
-            
-            // Cancel any pending timers (shouldn't have any, but be safe)
-            this.cancelReminderTimer(r.reminderId);
-            
-            // Collect for summary (deduplicate - escape keyword for HTML)
-            const escapedKeyword = this.escapeHtml(r.keyword);
-            if (!cancelledKeywords.includes(`"${escapedKeyword}"`)) {
-                cancelledKeywords.push(`"${escapedKeyword}"`);
-            }
-        });
-                
-        // Process COMPLETED reminders - convert to acknowledged
-        completedReminders.forEach(r => {
-            console.log(`✅ User ${userId} acknowledging COMPLETED reminder ${r.reminderId} - marking as acknowledged`);
-            
-            // Mark as acknowledged (even though it completed)
-            r.status = 'acknowledged';
-            r.acknowledgedAt = new Date();
-                
-            // Cancel any pending timers (shouldn't have any, but be safe)
-            this.cancelReminderTimer(r.reminderId);
-            
-            // Collect for summary (deduplicate - escape keyword for HTML)
-            const escapedKeyword = this.escapeHtml(r.keyword);
-            if (!completedKeywords.includes(`"${escapedKeyword}"`)) {
-                completedKeywords.push(`"${escapedKeyword}"`);
-            }
-        });
+        const activeKeywords = this.markAcknowledged(activeReminders, userIdStr, suppression);
+        const cancelledKeywords = this.markAcknowledged(cancelledReminders, userIdStr, suppression);
+        const completedKeywords = this.markAcknowledged(completedReminders, userIdStr, suppression);
         
         // Build the summary message BEFORE deleting reminders
+        let summary = '';
         if (activeKeywords.length > 0 || cancelledKeywords.length > 0 || completedKeywords.length > 0) {
-            summary = '✅ <b>Reminder acknowledged and stopped.</b>\n\n';
+            summary = `${this.t(userIdStr, 'reminders.acknowledged')}\n\n`;
             
             if (activeKeywords.length > 0) {
-                summary += `🟢 <b>Active reminders stopped:</b> ${activeKeywords.join(', ')}\n`;
+                summary += `${this.t(userIdStr, 'reminders.activeStopped', { keywords: activeKeywords.join(', ') })}\n`;
             }
             
             if (cancelledKeywords.length > 0) {
-                summary += `⚪ <b>Override reminders:</b> ${cancelledKeywords.join(', ')}\n`;
+                summary += `${this.t(userIdStr, 'reminders.overrideStopped', { keywords: cancelledKeywords.join(', ') })}\n`;
             }
             
             if (completedKeywords.length > 0) {
-                summary += `🔴 <b>Expired reminders (completed schedule after 1 hour without /ok):</b> ${completedKeywords.join(', ')}\n`;
+                summary += `${this.t(userIdStr, 'reminders.expiredStopped', { keywords: completedKeywords.join(', ') })}\n`;
             }
         } else {
             console.log(`✅ User ${userId} pressed /ok but no reminders found since last /ok`);
-            summary = '✅ <b>No active reminders to acknowledge</b>';
-        }
-        
-        // IMPORTANT: Delete ALL acknowledged reminders immediately after building summary
-        // This prevents permanent keyword blocking - keywords can trigger again immediately
-        const acknowledgedReminderIdsToDelete = [];
-        
-        // Collect all acknowledged reminders from allUserReminders
-        for (const r of allUserReminders) {
-            if (r.status === 'acknowledged') {
-                acknowledgedReminderIdsToDelete.push(r.reminderId);
-            }
-        }
-        
-        // Also check reminderId directly (if processed via safety check)
-        if (reminderId) {
-            const reminder = this.reminders.get(reminderId);
-            if (reminder && reminder.status === 'acknowledged') {
-                if (!acknowledgedReminderIdsToDelete.includes(reminderId)) {
-                    acknowledgedReminderIdsToDelete.push(reminderId);
-                }
-            }
+            summary = this.t(userIdStr, 'reminders.noneToAcknowledge');
         }
         
-        // Delete all acknowledged reminders from Map (and Supabase if enabled)
-        let deletedCount = 0;
-        for (const reminderIdToDelete of acknowledgedReminderIdsToDelete) {
-            this.reminders.delete(reminderIdToDelete);
-            if (this.backend === 'supabase') {
-                try { await this.supabase.remindersDelete(reminderIdToDelete); } catch (e) {}
+        // Per message: delete the acknowledged reminders right after building the summary so keywords can trigger again immediately
+        // Otherwise they stay (status 'acknowledged') and block their keywords until the suppression ends
+        const acknowledgedReminders = [...activeReminders, ...cancelledReminders, ...completedReminders];
+        if (!suppression) {
+            for (const reminder of acknowledgedReminders) {
+                await this.deleteAcknowledgedReminder(reminder);
             }
-            
-            // Also remove from activeReminders if it's the current active reminder
-            if (reminderIdToDelete === reminderId) {
-                this.activeReminders.delete(userIdStr);
-            }
-            
-            deletedCount++;
-            console.log(`🗑️ Deleted acknowledged reminder ${reminderIdToDelete} - keyword can trigger again`);
         }
         
-        // Save changes (reminders deleted from memory)
-        if (deletedCount > 0 || activeKeywords.length > 0 || cancelledKeywords.length > 0 || completedKeywords.length > 0) {
+        // Save changes (reminders deleted from memory or marked acknowledged)
+        if (acknowledgedReminders.length > 0) {
             await this.saveReminders();
         }
         
@@ -555,63 +554,228 @@ class ReminderManager extends EventEmitter {
         
         // NOTE: acknowledgedTime was already set at the beginning of this function for race condition protection
         
-        console.log(`✅ Acknowledged ${deletedCount} reminders and deleted them - keywords are no longer blocked`);
+        console.log(`✅ Acknowledged ${acknowledgedReminders.length} reminders - ${suppression ? `keywords blocked (${suppression.period})` : 'deleted, keywords are no longer blocked'}`);
         
         return {
             hasActive: activeKeywords.length > 0,
+            blocked: !!suppression && acknowledgedReminders.length > 0,
             summary: summary
         };
     }
-    
+
     /**
-     * Remove reminder by userId (clears the activeReminders mapping)
+     * Acknowledge one reminder by its number, leaving the user's other reminders running
      */
-    removeReminderByUserId(userId) {
-        // Normalize userId to string for consistency
+    async acknowledgeSingleReminder(userIdStr, reminderRef, suppression = null) {
+        const reminder = this.findReminder(userIdStr, reminderRef);
+        if (!reminder) {
+            console.log(`✅ User ${userIdStr} pressed /ok ${reminderRef} but has no such reminder`);
+            return {
+                hasActive: false,
+                found: false,
+                summary: this.t(userIdStr, 'reminders.noSuchReminder', { number: this.escapeHtml(String(reminderRef).replace(/^#/, '')) })
+            };
+        }
+
+        const wasActive = reminder.status === 'active';
+        const [keyword] = this.markAcknowledged([reminder], userIdStr, suppression);
+        if (!suppression) {
+            await this.deleteAcknowledgedReminder(reminder);
+        }
+        await this.saveReminders();
+
+        let summary = this.t(userIdStr, 'reminders.singleAcknowledged', { number: reminder.shortId, keyword });
+        const remaining = this.getReminders(userIdStr);
+        if (remaining.length > 0) {
+            const stillActive = remaining.map(r => `#${r.shortId} "${this.escapeHtml(r.keyword)}"`).join(', ');
+            summary += `\n\n${this.t(userIdStr, 'reminders.stillActive', { reminders: stillActive })}`;
+        }
+
+        console.log(`✅ Acknowledged reminder #${reminder.shortId} (${reminder.reminderId}) for user ${userIdStr} - ${remaining.length} still active`);
+        return {
+            hasActive: wasActive,
+            blocked: !!suppression,
+            found: true,
+            reminder,
+            summary
+        };
+    }
+
+    /**
+     * Snooze reminders until a timestamp - 'all' of the user's active reminders, or one by number
+     * The schedule carries on from the same step afterwards; the same keyword detected again ends the snooze
+     */
+    async snoozeReminders(userId, reminderRef, until) {
+        const reminders = reminderRef === 'all'
+            ? this.getReminders(userId)
+            : [this.findReminder(userId, reminderRef)].filter(reminder => reminder && reminder.status === 'active');
+
+        for (const reminder of reminders) {
+            reminder.snoozedUntil = new Date(until);
+            reminder.nextReminderAt = new Date(until);
+            this.scheduleNextReminder(reminder);
+            console.log(`💤 Snoozed reminder #${reminder.shortId} for user ${userId}, keyword "${reminder.keyword}" until ${reminder.snoozedUntil.toISOString()}`);
+        }
+
+        if (reminders.length > 0) {
+            await this.saveReminders();
+            logBotEvent('reminder_snoozed', {
+                userId: String(userId),
+                keywords: reminders.map(reminder => reminder.keyword),
+                until: new Date(until).toISOString()
+            });
+        }
+        return reminders;
+    }
+
+    /**
+     * Mark reminders acknowledged and stop their timers; returns their quoted, HTML-escaped keywords (deduplicated)
+     */
+    markAcknowledged(reminders, userIdStr, suppression = null) {
+        const keywords = [];
+        for (const reminder of reminders) {
+            console.log(`✅ User ${userIdStr} acknowledging ${reminder.status.toUpperCase()} reminder ${reminder.reminderId} - stopping timers`);
+            reminder.status = 'acknowledged';
+            reminder.acknowledgedAt = new Date();
+            reminder.suppressPeriod = suppression ? suppression.period : null;
+            reminder.suppressedUntil = suppression && suppression.until ? new Date(suppression.until) : null;
+            this.cancelReminderTimer(reminder.reminderId);
+            this.untrackActiveReminder(userIdStr, reminder.reminderId);
+
+            const escapedKeyword = `"${this.escapeHtml(reminder.keyword)}"`;
+            if (!keywords.includes(escapedKeyword)) {
+                keywords.push(escapedKeyword);
+            }
+        }
+        return keywords;
+    }
+
+    async deleteAcknowledgedReminder(reminder) {
+        this.reminders.delete(reminder.reminderId);
+        if (this.backend === 'supabase') {
+            try { await this.supabase.remindersDelete(reminder.reminderId); } catch (e) {}
+        }
+        console.log(`🗑️ Deleted acknowledged reminder ${reminder.reminderId} - keyword can trigger again`);
+    }
+
+    /**
+     * Whether an acknowledged reminder still blocks its keyword (reminders acknowledged per message never do)
+     */
+    isSuppressing(reminder, now = Date.now()) {
+        if (reminder.status !== 'acknowledged' || !reminder.suppressPeriod) return false;
+        if (reminder.suppressPeriod === 'forever') return true;
+        return !!reminder.suppressedUntil && new Date(reminder.suppressedUntil).getTime() > now;
+    }
+
+    isKeywordBlocked(userId, keyword) {
         const userIdStr = String(userId);
-        const reminderId = this.activeReminders.get(userIdStr);
-        if (reminderId) {
-            this.activeReminders.delete(userIdStr);
-            // Note: Don't delete from reminders Map, let it expire
+        return Array.from(this.reminders.values()).some(r =>
+            String(r.userId) === userIdStr && r.keyword === keyword && this.isSuppressing(r)
+        );
+    }
+
+    /**
+     * Keywords a user's acknowledgments currently block: [{ keyword, period, until }] (until null = forever), one per keyword
+     */
+    getBlockedKeywords(userId) {
+        const userIdStr = String(userId);
+        const blocked = new Map();
+        for (const reminder of this.reminders.values()) {
+            if (String(reminder.userId) !== userIdStr || !this.isSuppressing(reminder)) continue;
+            const until = reminder.suppressPeriod === 'forever' ? null : new Date(reminder.suppressedUntil).getTime();
+            const current = blocked.get(reminder.keyword);
+            // The longest block wins
+            if (!current || (current.until !== null && (until === null || until > current.until))) {
+                blocked.set(reminder.keyword, { keyword: reminder.keyword, period: reminder.suppressPeriod, until });
+            }
+        }
+        return [...blocked.values()].sort((a, b) => a.keyword.localeCompare(b.keyword));
+    }
+
+    /**
+     * Lift a user's acknowledgment block on a keyword early; returns how many acknowledged reminders were removed
+     */
+    async unblockKeyword(userId, keyword) {
+        const userIdStr = String(userId);
+        const target = String(keyword).trim().toLowerCase();
+        const blocking = Array.from(this.reminders.values()).filter(r =>
+            String(r.userId) === userIdStr && r.status === 'acknowledged' && String(r.keyword).toLowerCase() === target
+        );
+        for (const reminder of blocking) {
+            await this.deleteAcknowledgedReminder(reminder);
+        }
+        if (blocking.length > 0) {
+            await this.saveReminders();
+            logBotEvent('keyword_unblocked', { userId: userIdStr, keyword });
         }
+        return blocking.length;
     }
 
     /**
-     * Remove reminder for a user
+     * Find a user's unacknowledged reminder by its number ("2" or "#2")
      */
-    removeReminder(userId, keepAcknowledgedKeyword = false) {
+    findReminder(userId, reminderRef) {
+        const userIdStr = String(userId);
+        const shortId = parseInt(String(reminderRef).replace(/^#/, ''), 10);
+        if (!shortId) return null;
+        return Array.from(this.reminders.values()).find(r =>
+            String(r.userId) === userIdStr &&
+            r.shortId === shortId &&
+            r.status !== 'acknowledged'
+        ) || null;
+    }
+
+    /**
+     * Find a user's unacknowledged reminder from an alert's ✅ OK button (active first, then completed)
+     */
+    findReminderByKeywordRef(userId, keywordRef) {
+        const userIdStr = String(userId);
+        const candidates = Array.from(this.reminders.values()).filter(r =>
+            String(r.userId) === userIdStr &&
+            r.status !== 'acknowledged' &&
+            this.getKeywordRef(r.keyword) === keywordRef
+        );
+        return candidates.find(r => r.status === 'active') || candidates[0] || null;
+    }
+    
+    /**
+     * Remove a user's active reminders (one, or all when reminderId is omitted)
+     */
+    removeReminder(userId, reminderId = null) {
         // Normalize userId to string for consistency
         const userIdStr = String(userId);
-        const reminderId = this.activeReminders.get(userIdStr);
-        if (!reminderId) {
+        const reminderIds = reminderId ? [reminderId] : Array.from(this.activeReminders.get(userIdStr) || []);
+        if (reminderIds.length === 0) {
             return;
         }
         
-        // Cancel any pending timers
-        this.cancelReminderTimer(reminderId);
-        
-        const reminder = this.reminders.get(reminderId);
-        if (reminder) {
-            // NOTE: No need to manage acknowledgedKeywords Set anymore
-            // Acknowledged status is tracked directly in reminders Map
-            
-            this.reminders.delete(reminderId);
-            this.activeReminders.delete(userIdStr);
-            this.saveReminders();
+        for (const id of reminderIds) {
+            // Cancel any pending timers
+            this.cancelReminderTimer(id);
+            this.reminders.delete(id);
+            this.untrackActiveReminder(userIdStr, id);
         }
+        this.saveReminders();
     }
 
     /**
-     * Get active reminder for a user
+     * Get a user's active reminders, oldest number first
      */
     getReminders(userId) {
         // Normalize userId to string for consistency
         const userIdStr = String(userId);
-        const reminderId = this.activeReminders.get(userIdStr);
-        if (reminderId) {
-            return this.reminders.get(reminderId);
-        }
-        return null;
+        const reminderIds = this.activeReminders.get(userIdStr) || [];
+        return Array.from(reminderIds)
+            .map(reminderId => this.reminders.get(reminderId))
+            .filter(reminder => reminder && reminder.status === 'active')
+            .sort((a, b) => a.shortId - b.shortId);
+    }
+
+    /**
+     * Get a user's active reminder for a keyword
+     */
+    getReminderForKeyword(userId, keyword) {
+        return this.getReminders(userId).find(reminder => reminder.keyword === keyword) || null;
     }
 
     /**
@@ -639,154 +803,78 @@ class ReminderManager extends EventEmitter {
      * Check if user has pending reminder
      */
     hasReminder(userId) {
-        // Normalize userId to string for consistency
-        const userIdStr = String(userId);
-        const reminderId = this.activeReminders.get(userIdStr);
-        if (!reminderId) return false;
-        const reminder = this.reminders.get(reminderId);
-        return reminder && reminder.status === 'active';
+        return this.getReminders(userId).length > 0;
     }
 
     /**
      * Reset reminder for same keyword (restart timer)
      */
-    resetReminderForKeyword(userId, keyword, message, sender, group, messageId, phoneNumber, attachment, isGlobal = false) {
+    resetReminderForKeyword(userId, keyword, message, sender, group, messageId, phoneNumber, attachment, isGlobal = false, priority = 'normal', policy = null) {
         console.log(`🔍 resetReminderForKeyword called for user ${userId}, keyword "${keyword}"`);
-        // Normalize userId to string for consistency
-        const userIdStr = String(userId);
-        const existingReminderId = this.activeReminders.get(userIdStr);
-        const existingReminder = existingReminderId ? this.reminders.get(existingReminderId) : null;
+        const existingReminder = this.getReminderForKeyword(userId, keyword);
         
         // If same keyword detected again AND not acknowledged, restart the timer
-        if (existingReminder && existingReminder.keyword === keyword && existingReminder.status !== 'acknowledged') {
+        if (existingReminder) {
             console.log(`🔄 Restarting reminder for user ${userId} - same keyword detected again`);
-            this.addReminder(userId, keyword, message, sender, group, messageId, phoneNumber, attachment, isGlobal);
+            this.addReminder(userId, keyword, message, sender, group, messageId, phoneNumber, attachment, isGlobal, priority, policy);
             return true;
         }
         
-        // If same keyword is acknowledged, respect the user's choice and don't restart
-        if (existingReminder && existingReminder.keyword === keyword && existingReminder.status === 'acknowledged') {
-            console.log(`⏰ User ${userId} already acknowledged reminder for keyword: "${keyword}" - not restarting`);
-            return false;
-        }
-        
         return false;
     }
 
     /**
-     * Clear all acknowledged reminders from memory (weekly reset)
-     * This frees memory and allows previously acknowledged keywords to trigger new reminders
+     * Clear acknowledged reminders whose suppression is over (and old /ok timestamps) from memory
+     * Keywords blocked "forever" stay until /unblock
      */
     clearAcknowledgedReminders() {
-        console.log(`🧹 Starting weekly reset: Clearing acknowledged reminders from memory...`);
-        
+        const now = Date.now();
         let clearedCount = 0;
-        const acknowledgedReminderIds = [];
         
-        // Find all acknowledged reminders
         for (const [reminderId, reminder] of this.reminders) {
-            if (reminder.status === 'acknowledged') {
-                acknowledgedReminderIds.push(reminderId);
-            }
-        }
-        
-        // Remove acknowledged reminders from Map
-        for (const reminderId of acknowledgedReminderIds) {
-            this.reminders.delete(reminderId);
-            // Also cancel any lingering timers (shouldn't exist, but be safe)
-            this.cancelReminderTimer(reminderId);
-            clearedCount++;
-        }
-        
-        // Also clear old acknowledgedTime entries (older than 1 week) to free memory
-        const oneWeekAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
-        let clearedTimeEntries = 0;
-        for (const [userIdStr, timestamp] of this.acknowledgedTime) {
-            if (timestamp < oneWeekAgo) {
-                this.acknowledgedTime.delete(userIdStr);
-                clearedTimeEntries++;
+            if (reminder.status === 'acknowledged' && !this.isSuppressing(reminder, now)) {
+                this.reminders.delete(reminderId);
+                // Also cancel any lingering timers (shouldn't exist, but be safe)
+                this.cancelReminderTimer(reminderId);
+                if (this.backend === 'supabase') {
+                    this.supabase.remindersDelete(reminderId);
+                }
+                clearedCount++;
             }
         }
         
-        // Also clear old lastOkAt entries (older than 1 week) to free memory
-        let clearedOkEntries = 0;
-        for (const [userIdStr, timestamp] of this.lastOkAt) {
-            if (timestamp < oneWeekAgo) {
-                this.lastOkAt.delete(userIdStr);
-                clearedOkEntries++;
+        // Also clear old acknowledgedTime / lastOkAt entries (older than 1 week) to free memory
+        const oneWeekAgo = now - (7 * 24 * 60 * 60 * 1000);
+        for (const timestamps of [this.acknowledgedTime, this.lastOkAt]) {
+            for (const [userIdStr, timestamp] of timestamps) {
+                if (timestamp < oneWeekAgo) {
+                    timestamps.delete(userIdStr);
+                }
             }
         }
         
-        // Save the cleaned state (removes acknowledged reminders from file)
-        this.saveReminders();
-        
-        console.log(`✅ Weekly reset complete: Cleared ${clearedCount} acknowledged reminders, ${clearedTimeEntries} old acknowledgedTime entries, ${clearedOkEntries} old lastOkAt entries`);
-        console.log(`💾 Reminders Map size: ${this.reminders.size}, Active reminders: ${this.activeReminders.size}`);
-    }
-
-    /**
-     * Calculate next Saturday at 1:00 PM in local time
-     */
-    getNextSaturday1PM() {
-        const now = new Date();
-        const nextReset = new Date();
-        
-        // Set to Saturday 1:00 PM
-        nextReset.setHours(13, 0, 0, 0);
-        
-        // Get current day of week (0 = Sunday, 6 = Saturday)
-        const currentDay = now.getDay();
-        const daysUntilSaturday = (6 - currentDay) % 7;
-        
-        if (daysUntilSaturday === 0) {
-            // Today is Saturday
-            if (now.getHours() >= 13) {
-                // Already past 1 PM today, schedule for next Saturday
-                nextReset.setDate(now.getDate() + 7);
-            } else {
-                // Before 1 PM today, schedule for today
-                nextReset.setDate(now.getDate());
-            }
-        } else {
-            // Not Saturday yet, schedule for upcoming Saturday
-            nextReset.setDate(now.getDate() + daysUntilSaturday);
+        if (clearedCount > 0) {
+            this.saveReminders();
+            console.log(`🔓 Cleared ${clearedCount} expired acknowledgment blocks - those keywords can remind again`);
         }
-        
-        return nextReset;
     }
 
     /**
-     * Schedule weekly reset of acknowledged reminders (every Saturday at 1:00 PM)
-     * Runs silently without notifications
+     * Check for expired acknowledgment blocks every few minutes (replaces the fixed Saturday 1 PM reset)
      */
-    scheduleWeeklyReset() {
-        // Clear any existing timer
-        if (this.weeklyResetTimer) {
-            clearTimeout(this.weeklyResetTimer);
-        }
-        
-        const nextReset = this.getNextSaturday1PM();
-        const delay = nextReset.getTime() - Date.now();
-        
-        console.log(`📅 Weekly reset scheduled for: ${nextReset.toLocaleString()} (in ${Math.round(delay / 1000 / 60 / 60)} hours)`);
-        
-        this.weeklyResetTimer = setTimeout(() => {
-            // Clear acknowledged reminders (silent reset)
-            this.clearAcknowledgedReminders();
-            
-            // Schedule next reset (7 days later)
-            this.scheduleWeeklyReset();
-        }, delay);
+    scheduleSuppressionCleanup() {
+        this.stopSuppressionCleanup();
+        this.suppressionCleanupTimer = setInterval(() => this.clearAcknowledgedReminders(), SUPPRESSION_CLEANUP_INTERVAL_MS);
+        if (this.suppressionCleanupTimer.unref) this.suppressionCleanupTimer.unref();
     }
 
     /**
-     * Stop weekly reset schedule (for cleanup/shutdown)
+     * Stop the cleanup schedule (for cleanup/shutdown)
      */
-    stopWeeklyReset() {
-        if (this.weeklyResetTimer) {
-            clearTimeout(this.weeklyResetTimer);
-            this.weeklyResetTimer = null;
-            console.log(`📅 Weekly reset schedule stopped`);
+    stopSuppressionCleanup() {
+        if (this.suppressionCleanupTimer) {
+            clearInterval(this.suppressionCleanupTimer);
+            this.suppressionCleanupTimer = null;
         }
     }
 
@@ -0,0 +1,71 @@
+/**
+ * Roles
+ * What each bot user may do. Every authorized user has one role:
+ *   - owner:            everything, including promoting and demoting admins and other owners
+ *   - admin:            everything except changing an owner's role or making someone an owner
+ *   - operator:         /restart, /qrcode, /resetall and /antiban on top of a user's commands
+ *   - keyword_manager:  global keywords, priorities, escalation policies and false-positive exclusions
+ *   - group_manager:    which WhatsApp groups are monitored (/monitor, /unmonitor)
+ *   - user:             personal keywords, group subscriptions, search and the bot's status
+ *   - viewer:           receives alerts and can acknowledge them, nothing else
+ * Users without a stored role are 'admin' or 'user' from the older admin flag; the primary and fallback
+ * admins from the environment are always owners.
+ */
+
+const I18n = require('./i18n');
+
+// Alerts, reminders (/ok, /snooze, /blocked ...) and the user's own delivery, timezone and language settings
+const VIEWER_PERMISSIONS = ['receive_notifications', 'manage_own_alerts'];
+// Personal keywords, subscriptions, /search, broadcasts, and the status and statistics commands
+const USER_PERMISSIONS = [...VIEWER_PERMISSIONS, 'view_stats', 'use_bot'];
+
+const ROLE_PERMISSIONS = {
+    owner: [...USER_PERMISSIONS, 'view_admin_panel', 'manage_keywords', 'manage_groups', 'operate_bot', 'manage_users', 'manage_settings', 'view_audit_log', 'assign_roles', 'assign_admin_roles'],
+    admin: [...USER_PERMISSIONS, 'view_admin_panel', 'manage_keywords', 'manage_groups', 'operate_bot', 'manage_users', 'manage_settings', 'view_audit_log', 'assign_roles'],
+    operator: [...USER_PERMISSIONS, 'view_admin_panel', 'operate_bot'],
+    keyword_manager: [...USER_PERMISSIONS, 'view_admin_panel', 'manage_keywords'],
+    group_manager: [...USER_PERMISSIONS, 'view_admin_panel', 'manage_groups'],
+    user: USER_PERMISSIONS,
+    viewer: VIEWER_PERMISSIONS
+};
+
+// Roles that count as admins: admin notifications, escalations and the "last admin" safeguard
+const ADMIN_ROLES = ['owner', 'admin'];
+
+class Roles {
+    static get ROLES() {
+        return Object.keys(ROLE_PERMISSIONS);
+    }
+
+    static isValid(role) {
+        return Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role);
+    }
+
+    static isAdminRole(role) {
+        return ADMIN_ROLES.includes(role);
+    }
+
+    static hasPermission(role, permission) {
+        return Roles.isValid(role) && ROLE_PERMISSIONS[role].includes(permission);
+    }
+
+    // Roles with a permission, most privileged first - for "not allowed" replies
+    static withPermission(permission) {
+        return Roles.ROLES.filter(role => Roles.hasPermission(role, permission));
+    }
+
+    // Whether a user with actorRole may move someone from currentRole to newRole:
+    // only owners make owners or change an owner's role, admins assign every other role
+    static canAssign(actorRole, currentRole, newRole) {
+        if (!Roles.hasPermission(actorRole, 'assign_roles') || !Roles.isValid(newRole)) return false;
+        if (Roles.hasPermission(actorRole, 'assign_admin_roles')) return true;
+        return currentRole !== 'owner' && newRole !== 'owner';
+    }
+
+    // One-line description from the message catalogs (roles.<role>)
+    static describe(role, language = 'en') {
+        return Roles.isValid(role) ? I18n.translate(language, `roles.${role}`) : role;
+    }
+}
+
+module.exports = Roles;
@@ -5,6 +5,11 @@
 
 const { createClient } = require('@supabase/supabase-js');
 
+// global_keywords.match_type used to default to 'exact' while every keyword still got fuzzy matching, so a stored
+// 'exact' means "no mode chosen". A chosen exact mode (/addkeyword --exact) is stored as 'strict'.
+const LEGACY_DEFAULT_MATCH_TYPE = 'exact';
+const STRICT_MATCH_TYPE = 'strict';
+
 class SupabaseManager {
     constructor() {
         this.client = null;
@@ -60,18 +65,77 @@ class SupabaseManager {
         }
     }
 
-    async addGlobalKeyword(keyword, addedBy = 'system') {
+    // Keywords with their match settings (match_type: auto, strict, fuzzy, wildcard, regex or rule).
+    // '*' so tables that haven't added the scope / priority / policy columns yet still load; missing ones read as defaults.
+    async getGlobalKeywordEntries() {
+        if (!this.enabled) return null;
+
+        try {
+            const { data, error } = await this.client
+                .from('global_keywords')
+                .select('*')
+                .eq('enabled', true);
+
+            if (error) throw error;
+
+            return data.map(row => ({
+                keyword: row.keyword,
+                matchType: SupabaseManager.fromStoredMatchType(row.match_type),
+                fuzzyThreshold: row.fuzzy_threshold,
+                groups: row.groups || [],
+                excludeGroups: row.exclude_groups || [],
+                priority: row.priority || 'normal',
+                policy: row.escalation_policy || null
+            }));
+        } catch (error) {
+            console.error('Supabase getGlobalKeywordEntries error:', error.message);
+            return null;
+        }
+    }
+
+    static fromStoredMatchType(matchType) {
+        if (!matchType || matchType === LEGACY_DEFAULT_MATCH_TYPE) return 'auto';
+        return matchType === STRICT_MATCH_TYPE ? 'exact' : matchType;
+    }
+
+    static toStoredMatchType(matchType) {
+        return matchType === 'exact' ? STRICT_MATCH_TYPE : matchType;
+    }
+
+    // options: { matchType, fuzzyThreshold, groups, excludeGroups, priority, policy }
+    async addGlobalKeyword(keyword, addedBy = 'system', options = {}) {
         if (!this.enabled) return false;
 
         try {
+            const row = {
+                keyword: keyword,
+                enabled: true,
+                added_at: new Date().toISOString(),
+                added_by: addedBy
+            };
+            // Only settings the keyword has, so tables without the newer columns still accept plain keywords
+            if (options.matchType && options.matchType !== 'auto') {
+                row.match_type = SupabaseManager.toStoredMatchType(options.matchType);
+            }
+            if (Number.isInteger(options.fuzzyThreshold)) {
+                row.fuzzy_threshold = options.fuzzyThreshold;
+            }
+            if (options.groups && options.groups.length > 0) {
+                row.groups = options.groups;
+            }
+            if (options.excludeGroups && options.excludeGroups.length > 0) {
+                row.exclude_groups = options.excludeGroups;
+            }
+            if (options.priority && options.priority !== 'normal') {
+                row.priority = options.priority;
+            }
+            if (options.policy) {
+                row.escalation_policy = options.policy;
+            }
+
             const { error } = await this.client
                 .from('global_keywords')
-                .upsert({
-                    keyword: keyword,
-                    enabled: true,
-                    added_at: new Date().toISOString(),
-                    added_by: addedBy
-                });
+                .upsert(row);
 
             if (error) throw error;
             return true;
@@ -81,6 +145,24 @@ class SupabaseManager {
         }
     }
 
+    // fields: global_keywords columns to change, e.g. { priority: 'high' } or { escalation_policy: null }
+    async updateGlobalKeyword(keyword, fields) {
+        if (!this.enabled) return false;
+
+        try {
+            const { error } = await this.client
+                .from('global_keywords')
+                .update(fields)
+                .eq('keyword', keyword);
+
+            if (error) throw error;
+            return true;
+        } catch (error) {
+            console.error('Supabase updateGlobalKeyword error:', error.message);
+            return false;
+        }
+    }
+
     async removeGlobalKeyword(keyword) {
         if (!this.enabled) return false;
 
@@ -125,7 +207,8 @@ class SupabaseManager {
         // Map to old format
         return users.map(user => ({
             user_id: user.user_id,
-            is_admin: user.is_admin || false
+            is_admin: user.is_admin || false,
+            role: user.role || null
         }));
     }
 
@@ -140,6 +223,7 @@ class SupabaseManager {
                     username: username,
                     first_name: firstName,
                     is_admin: isAdmin,
+                    role: null, // (re)joining users start with the default role
                     active: true,
                     updated_at: new Date().toISOString()
                 });
@@ -196,13 +280,35 @@ class SupabaseManager {
         }
     }
 
+    // Role from roles.js; is_admin stays in step for older readers of the flag
+    async setUserRole(userId, role, isAdmin) {
+        if (!this.enabled) return false;
+
+        try {
+            const { error } = await this.client
+                .from('users')
+                .update({
+                    role,
+                    is_admin: isAdmin,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('user_id', userId.toString());
+
+            if (error) throw error;
+            return true;
+        } catch (error) {
+            console.error('Supabase setUserRole error:', error.message);
+            return false;
+        }
+    }
+
     async getUserInfo(userId) {
         if (!this.enabled) return null;
 
         try {
             const { data, error } = await this.client
                 .from('users')
-                .select('first_name, username, is_admin, timezone, notification_channels, active')
+                .select('first_name, username, is_admin, timezone, notification_channels, alert_delivery, quiet_hours, active')
                 .eq('user_id', userId.toString())
                 .single();
 
@@ -336,6 +442,139 @@ class SupabaseManager {
         }
     }
 
+    // Keyword Exclusions (false-positive feedback)
+    // user_id is '' for global keywords so the (keyword, token, user_id) key stays unique
+    async getKeywordExclusions() {
+        if (!this.enabled) return null;
+
+        try {
+            const { data, error } = await this.client
+                .from('keyword_exclusions')
+                .select('keyword, token, user_id, excluded_by, excluded_at');
+
+            if (error) throw error;
+
+            return data.map(row => ({
+                keyword: row.keyword,
+                token: row.token,
+                userId: row.user_id || null,
+                excludedBy: row.excluded_by,
+                excludedAt: row.excluded_at
+            }));
+        } catch (error) {
+            console.error('Supabase getKeywordExclusions error:', error.message);
+            return null;
+        }
+    }
+
+    async addKeywordExclusion(exclusion) {
+        if (!this.enabled) return false;
+
+        try {
+            const { error } = await this.client
+                .from('keyword_exclusions')
+                .upsert({
+                    keyword: exclusion.keyword,
+                    token: exclusion.token,
+                    user_id: exclusion.userId || '',
+                    excluded_by: exclusion.excludedBy,
+                    excluded_at: exclusion.excludedAt || new Date().toISOString()
+                });
+
+            if (error) throw error;
+            return true;
+        } catch (error) {
+            console.error('Supabase addKeywordExclusion error:', error.message);
+            return false;
+        }
+    }
+
+    async removeKeywordExclusion(exclusion) {
+        if (!this.enabled) return false;
+
+        try {
+            const { error } = await this.client
+                .from('keyword_exclusions')
+                .delete()
+                .eq('keyword', exclusion.keyword)
+                .eq('token', exclusion.token)
+                .eq('user_id', exclusion.userId || '');
+
+            if (error) throw error;
+            return true;
+        } catch (error) {
+            console.error('Supabase removeKeywordExclusion error:', error.message);
+            return false;
+        }
+    }
+
+    // Escalation Policies
+    async getEscalationPolicies() {
+        if (!this.enabled) return null;
+
+        try {
+            const { data, error } = await this.client
+                .from('escalation_policies')
+                .select('name, intervals, max_reminders, channels, escalate_to, created_by, created_at');
+
+            if (error) throw error;
+
+            return data.map(row => ({
+                name: row.name,
+                intervals: row.intervals || [],
+                maxReminders: row.max_reminders,
+                channels: row.channels,
+                escalateTo: row.escalate_to || null,
+                createdBy: row.created_by,
+                createdAt: row.created_at
+            }));
+        } catch (error) {
+            console.error('Supabase getEscalationPolicies error:', error.message);
+            return null;
+        }
+    }
+
+    async upsertEscalationPolicy(policy) {
+        if (!this.enabled) return false;
+
+        try {
+            const { error } = await this.client
+                .from('escalation_policies')
+                .upsert({
+                    name: policy.name,
+                    intervals: policy.intervals,
+                    max_reminders: policy.maxReminders,
+                    channels: policy.channels,
+                    escalate_to: policy.escalateTo,
+                    created_by: policy.createdBy,
+                    created_at: policy.createdAt || new Date().toISOString()
+                });
+
+            if (error) throw error;
+            return true;
+        } catch (error) {
+            console.error('Supabase upsertEscalationPolicy error:', error.message);
+            return false;
+        }
+    }
+
+    async removeEscalationPolicy(name) {
+        if (!this.enabled) return false;
+
+        try {
+            const { error } = await this.client
+                .from('escalation_policies')
+                .delete()
+                .eq('name', name);
+
+            if (error) throw error;
+            return true;
+        } catch (error) {
+            console.error('Supabase removeEscalationPolicy error:', error.message);
+            return false;
+        }
+    }
+
     // Group Subscriptions
     async getGroupSubscriptions() {
         if (!this.enabled) return null;
@@ -400,6 +639,184 @@ class SupabaseManager {
         }
     }
 
+    // Message History
+    async addMessageHistory(record) {
+        if (!this.enabled) return false;
+
+        try {
+            const { error } = await this.client
+                .from('message_history')
+                .insert({
+                    message_id: record.id,
+                    group_name: record.group,
+                    sender: record.sender,
+                    text: record.text,
+                    file_text: record.fileText || null,
+                    attachment: record.attachment,
+                    message_at: record.timestamp
+                });
+
+            if (error) throw error;
+            return true;
+        } catch (error) {
+            console.error('Supabase addMessageHistory error:', error.message);
+            return false;
+        }
+    }
+
+    // Newest first; groupName matches case-insensitively
+    async getMessageHistory({ groupName = null, since = null, limit = 2000 } = {}) {
+        if (!this.enabled) return null;
+
+        try {
+            let query = this.client
+                .from('message_history')
+                .select('message_id, group_name, sender, text, file_text, attachment, message_at');
+
+            if (groupName) {
+                query = query.ilike('group_name', groupName.replace(/[%_\\]/g, '\\$&'));
+            }
+            if (since) {
+                query = query.gte('message_at', since);
+            }
+
+            const { data, error } = await query
+                .order('message_at', { ascending: false })
+                .limit(limit);
+
+            if (error) throw error;
+
+            return data.map(row => ({
+                id: row.message_id,
+                group: row.group_name,
+                sender: row.sender,
+                text: row.text || '',
+                fileText: row.file_text || '',
+                attachment: row.attachment,
+                timestamp: row.message_at
+            }));
+        } catch (error) {
+            console.error('Supabase getMessageHistory error:', error.message);
+            return null;
+        }
+    }
+
+    // Returns the number of deleted rows
+    async deleteMessageHistoryBefore(cutoff) {
+        if (!this.enabled) return 0;
+
+        try {
+            const { data, error } = await this.client
+                .from('message_history')
+                .delete()
+                .lt('message_at', cutoff)
+                .select('id');
+
+            if (error) throw error;
+            return data ? data.length : 0;
+        } catch (error) {
+            console.error('Supabase deleteMessageHistoryBefore error:', error.message);
+            return 0;
+        }
+    }
+
+    // Audit log (append-only - there is deliberately no update or delete)
+    async addAuditEntry(entry) {
+        if (!this.enabled) return false;
+
+        try {
+            const { error } = await this.client
+                .from('audit_log')
+                .insert({
+                    actor_id: entry.actor,
+                    actor_name: entry.actorName,
+                    action: entry.action,
+                    target: entry.target,
+                    before_value: entry.before,
+                    after_value: entry.after,
+                    details: entry.details,
+                    created_at: entry.timestamp
+                });
+
+            if (error) throw error;
+            return true;
+        } catch (error) {
+            console.error('Supabase addAuditEntry error:', error.message);
+            return false;
+        }
+    }
+
+    // Newest first; user matches the actor or the target, action matches "user" or "user.approve"
+    async getAuditEntries({ user = null, actor = null, action = null, target = null, since = null, until = null } = {}, limit = 500) {
+        if (!this.enabled) return null;
+
+        try {
+            let query = this.client
+                .from('audit_log')
+                .select('actor_id, actor_name, action, target, before_value, after_value, details, created_at');
+
+            if (user) {
+                const userId = String(user).replace(/[^\w-]/g, ''); // Goes into a filter string
+                query = query.or(`actor_id.eq.${userId},target.eq.${userId}`);
+            }
+            if (actor) {
+                query = query.eq('actor_id', String(actor));
+            }
+            if (action) {
+                query = action.includes('.') ? query.eq('action', action) : query.like('action', `${action.replace(/[%_\\]/g, '\\$&')}.%`);
+            }
+            if (target) {
+                query = query.eq('target', String(target));
+            }
+            if (since) {
+                query = query.gte('created_at', since);
+            }
+            if (until) {
+                query = query.lte('created_at', until);
+            }
+
+            const { data, error } = await query
+                .order('created_at', { ascending: false })
+                .limit(limit);
+
+            if (error) throw error;
+
+            return data.map(row => ({
+                timestamp: new Date(row.created_at).toISOString(),
+                actor: row.actor_id,
+                actorName: row.actor_name,
+                action: row.action,
+                target: row.target,
+                before: row.before_value,
+                after: row.after_value,
+                details: row.details
+            }));
+        } catch (error) {
+            console.error('Supabase getAuditEntries error:', error.message);
+            return null;
+        }
+    }
+
+    // Realtime - calls onChange(table, payload) for every insert/update/delete on the given tables.
+    // The tables must be in the supabase_realtime publication (see supabase-schema-unified.sql).
+    subscribeToChanges(tables, onChange) {
+        if (!this.enabled) return null;
+
+        try {
+            const channel = this.client.channel('bot-data-changes');
+            tables.forEach(table => {
+                channel.on('postgres_changes', { event: '*', schema: 'public', table }, payload => onChange(table, payload));
+            });
+            channel.subscribe(status => {
+                console.log(`📡 Supabase realtime (${tables.join(', ')}): ${status}`);
+            });
+            return channel;
+        } catch (error) {
+            console.error('Supabase subscribeToChanges error:', error.message);
+            return null;
+        }
+    }
+
     // User Preferences (migrated to users table)
     async getUserPreferences(userId) {
         if (!this.enabled) return null;
@@ -414,6 +831,8 @@ class SupabaseManager {
             const prefs = {};
             if (userInfo.timezone) prefs.timezone = userInfo.timezone;
             if (userInfo.notification_channels) prefs.notification_channels = userInfo.notification_channels;
+            if (userInfo.alert_delivery) prefs.alert_delivery = userInfo.alert_delivery;
+            if (userInfo.quiet_hours) prefs.quiet_hours = userInfo.quiet_hours;
             
             return Object.keys(prefs).length > 0 ? prefs : null;
         } catch (error) {
@@ -434,6 +853,11 @@ class SupabaseManager {
             // Map preferences to users table columns
             if (preferences.timezone !== undefined) updateData.timezone = preferences.timezone;
             if (preferences.notification_channels !== undefined) updateData.notification_channels = preferences.notification_channels;
+            if (preferences.alert_delivery !== undefined) updateData.alert_delivery = preferences.alert_delivery;
+            if (preferences.quiet_hours !== undefined) updateData.quiet_hours = preferences.quiet_hours;
+            if (preferences.ack_reset !== undefined) updateData.ack_reset = preferences.ack_reset;
+            if (preferences.language !== undefined) updateData.language = preferences.language;
+            if (preferences.chat_webhooks !== undefined) updateData.chat_webhooks = preferences.chat_webhooks;
             
             // Get existing user info to preserve other fields
             const existingUser = await this.getUserInfo(userId);
@@ -573,6 +997,7 @@ class SupabaseManager {
         try {
             const payload = {
                 id: reminder.reminderId || reminder.id, // allow either field name
+                short_id: reminder.shortId || null,
                 user_id: reminder.userId?.toString(),
                 keyword: reminder.keyword,
                 message: reminder.message,
@@ -582,10 +1007,15 @@ class SupabaseManager {
                 phone_number: reminder.phoneNumber,
                 attachment: reminder.attachment || null,
                 is_global: !!reminder.isGlobal,
+                priority: reminder.priority || 'normal',
+                policy: reminder.policy || null,
                 status: reminder.status,
                 reminder_count: reminder.reminderCount,
                 first_detected_at: reminder.firstDetectedAt ? new Date(reminder.firstDetectedAt).toISOString() : new Date().toISOString(),
                 next_reminder_at: reminder.nextReminderAt ? new Date(reminder.nextReminderAt).toISOString() : null,
+                snoozed_until: reminder.snoozedUntil ? new Date(reminder.snoozedUntil).toISOString() : null,
+                suppress_period: reminder.suppressPeriod || null,
+                suppressed_until: reminder.suppressedUntil ? new Date(reminder.suppressedUntil).toISOString() : null,
                 updated_at: new Date().toISOString()
             };
             const { error } = await this.client
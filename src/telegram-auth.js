@@ -1,19 +1,27 @@
 /**
  * Telegram Bot Authorization System
- * Restricts bot access to only authorized users
+ * Restricts bot access to only authorized users, and what each of them may do to their role (see roles.js)
  */
 
 const fs = require('fs');
 const path = require('path');
 const SupabaseManager = require('./supabase');
+const Roles = require('./roles');
+
+const REALTIME_SYNC_DELAY_MS = 1000; // Bulk edits to the users table arrive as one event per row
 
 class TelegramAuthorization {
     constructor() {
         this.authorizedUsers = new Set();
-        this.adminUsers = new Set();
+        this.adminUsers = new Set(); // users whose role is owner or admin
+        this.roles = new Map(); // userId -> role assigned with /setrole or /makeadmin
+        this.ownerIds = new Set(); // primary and fallback admins from the environment - always owners
         this.pendingApprovals = new Map(); // userId -> {timestamp, username, firstName}
         this.configPath = path.join(__dirname, '../config/telegram-auth.json');
         this.supabase = new SupabaseManager();
+        this.dataStore = null; // UserDataStore, injected by the bot (setDataStore)
+        this.supabaseUserIds = new Set(); // Active users last read from the Supabase users table
+        this.syncTimer = null;
         this.loadAuthorizedUsers();
     }
 
@@ -24,6 +32,7 @@ class TelegramAuthorization {
             if (primaryAdminId) {
                 this.authorizedUsers.add(primaryAdminId);
                 this.adminUsers.add(primaryAdminId);
+                this.ownerIds.add(primaryAdminId);
             }
             
             // Add fallback admin from environment variable (for recovery)
@@ -31,6 +40,7 @@ class TelegramAuthorization {
             if (fallbackAdmin && fallbackAdmin !== primaryAdminId) {
                 this.authorizedUsers.add(fallbackAdmin);
                 this.adminUsers.add(fallbackAdmin);
+                this.ownerIds.add(fallbackAdmin);
                 console.log(`🛡️ Fallback admin loaded: ${fallbackAdmin}`);
             }
             
@@ -50,11 +60,15 @@ class TelegramAuthorization {
                 try {
                     const users = await this.supabase.getAuthorizedUsers();
                     if (users && users.length > 0) {
+                        this.supabaseUserIds = new Set(users.map(user => user.user_id));
                         users.forEach(user => {
                             this.authorizedUsers.add(user.user_id);
                             if (user.is_admin) {
                                 this.adminUsers.add(user.user_id);
                             }
+                            if (Roles.isValid(user.role)) {
+                                this.roles.set(user.user_id, user.role);
+                            }
                         });
                         console.log(`📊 Loaded ${users.length} users from Supabase database`);
                     }
@@ -73,8 +87,23 @@ class TelegramAuthorization {
                 if (config.userNames) {
                     this.userNames = new Map(Object.entries(config.userNames));
                 }
+                // Roles from Supabase win over the file backup
+                Object.entries(config.roles || {}).forEach(([id, role]) => {
+                    if (Roles.isValid(role) && !this.roles.has(id)) {
+                        this.roles.set(id, role);
+                    }
+                });
                 // Pending approvals are not persisted across restarts for security
             }
+
+            // A stored role decides admin rights, except for the owners from the environment
+            this.roles.forEach((role, id) => {
+                if (Roles.isAdminRole(role) || this.ownerIds.has(id)) {
+                    this.adminUsers.add(id);
+                } else {
+                    this.adminUsers.delete(id);
+                }
+            });
             
             console.log(`🔐 Authorization loaded: ${this.authorizedUsers.size} users, ${this.adminUsers.size} admins`);
         } catch (error) {
@@ -82,6 +111,57 @@ class TelegramAuthorization {
         }
     }
 
+    // User changes write through to the data store's cache; with SUPABASE_REALTIME=true it also reports
+    // direct edits to the users table, which are applied here
+    setDataStore(dataStore) {
+        this.dataStore = dataStore;
+        dataStore.on('change', change => {
+            if (change.type !== 'authorizedUsers' || change.source !== 'realtime') return;
+            clearTimeout(this.syncTimer);
+            this.syncTimer = setTimeout(() => this.syncFromSupabase(), REALTIME_SYNC_DELAY_MS);
+        });
+    }
+
+    /**
+     * Re-read the Supabase users table after it was edited outside the bot: new and changed rows update users,
+     * roles and admin rights, users whose row was deleted or deactivated lose access (owners from the environment stay).
+     * Returns false if the table could not be read.
+     */
+    async syncFromSupabase() {
+        if (!this.supabase.isEnabled()) return false;
+
+        const users = await this.supabase.getAuthorizedUsers();
+        if (!users) return false;
+
+        const activeIds = new Set(users.map(user => user.user_id));
+        this.supabaseUserIds.forEach(id => {
+            if (!activeIds.has(id) && !this.ownerIds.has(id)) {
+                this.authorizedUsers.delete(id);
+                this.adminUsers.delete(id);
+                this.roles.delete(id);
+            }
+        });
+        users.forEach(user => {
+            this.authorizedUsers.add(user.user_id);
+            if (Roles.isValid(user.role)) {
+                this.roles.set(user.user_id, user.role);
+            } else {
+                this.roles.delete(user.user_id);
+            }
+            const isAdmin = Roles.isValid(user.role) ? Roles.isAdminRole(user.role) : user.is_admin;
+            if (isAdmin || this.ownerIds.has(user.user_id)) {
+                this.adminUsers.add(user.user_id);
+            } else {
+                this.adminUsers.delete(user.user_id);
+            }
+        });
+        this.supabaseUserIds = activeIds;
+        this.saveConfig();
+
+        console.log(`📡 Users table changed - authorization reloaded: ${this.authorizedUsers.size} users, ${this.adminUsers.size} admins`);
+        return true;
+    }
+
     isAuthorized(userId) {
         return this.authorizedUsers.has(userId.toString());
     }
@@ -90,8 +170,60 @@ class TelegramAuthorization {
         return this.adminUsers.has(userId.toString());
     }
 
+    // null for users who aren't authorized
+    getRole(userId) {
+        const userIdStr = userId.toString();
+        if (!this.isAuthorized(userIdStr)) return null;
+        if (this.ownerIds.has(userIdStr)) return 'owner';
+        if (this.roles.has(userIdStr)) return this.roles.get(userIdStr);
+        return this.isAdmin(userIdStr) ? 'admin' : 'user';
+    }
+
+    hasPermission(userId, permission) {
+        return Roles.hasPermission(this.getRole(userId), permission);
+    }
+
+    /**
+     * Give an authorized user a new role (saved to the file and Supabase users.role).
+     * Returns { success, error } - refused for the environment owners and for demoting the last admin.
+     */
+    async setRole(userId, role, changedBy = null) {
+        const userIdStr = userId.toString();
+        if (!this.isAuthorized(userIdStr)) {
+            return { success: false, error: `User ${userIdStr} is not authorized.` };
+        }
+        if (!Roles.isValid(role)) {
+            return { success: false, error: `Unknown role "${role}". Roles: ${Roles.ROLES.join(', ')}` };
+        }
+        if (this.ownerIds.has(userIdStr) && role !== 'owner') {
+            return { success: false, error: `User ${userIdStr} is an owner from the environment settings and can't be changed.` };
+        }
+        if (this.isAdmin(userIdStr) && !Roles.isAdminRole(role) && this.adminUsers.size <= 1) {
+            return { success: false, error: 'At least one owner or admin must remain. Promote someone else first.' };
+        }
+
+        this.roles.set(userIdStr, role);
+        if (Roles.isAdminRole(role)) {
+            this.adminUsers.add(userIdStr);
+        } else {
+            this.adminUsers.delete(userIdStr);
+        }
+        this.saveConfig();
+
+        if (this.supabase.isEnabled()) {
+            const saved = await this.supabase.setUserRole(userIdStr, role, Roles.isAdminRole(role));
+            if (!saved) {
+                console.warn(`⚠️ Failed to save role for user ${userIdStr} to Supabase`);
+            }
+        }
+
+        console.log(`🎭 User ${userIdStr} is now ${role} (set by ${changedBy || 'system'})`);
+        return { success: true };
+    }
+
     addAuthorizedUser(userId, addedBy = null, userName = null, username = null, firstName = null) {
         this.authorizedUsers.add(userId.toString());
+        this.roles.delete(userId.toString());
         
         // Store user name if provided
         if (userName) {
@@ -115,9 +247,13 @@ class TelegramAuthorization {
             const config = {
                 authorizedUsers: Array.from(this.authorizedUsers),
                 adminUsers: Array.from(this.adminUsers),
+                roles: Object.fromEntries(this.roles),
                 userNames: this.userNames ? Object.fromEntries(this.userNames) : {}
             };
             fs.writeFileSync(this.configPath, JSON.stringify(config, null, 2));
+            if (this.dataStore) {
+                this.dataStore.setAuthorizedUsers(config.authorizedUsers);
+            }
         } catch (error) {
             console.error('❌ Failed to save authorization config:', error.message);
         }
@@ -132,6 +268,7 @@ class TelegramAuthorization {
         
         // Remove from admin users if they were an admin
         this.adminUsers.delete(userIdStr);
+        this.roles.delete(userIdStr);
         
         // Remove user name
         if (this.userNames) {
@@ -203,18 +340,9 @@ class TelegramAuthorization {
         return Array.from(this.adminUsers);
     }
 
-    // Check if user can perform action
+    // Check if user can perform action - any permission from the role matrix in roles.js
     canPerformAction(userId, action) {
-        switch (action) {
-            case 'receive_notifications':
-                return this.isAuthorized(userId);
-            case 'manage_users':
-                return this.isAdmin(userId);
-            case 'view_stats':
-                return this.isAuthorized(userId);
-            default:
-                return false;
-        }
+        return this.hasPermission(userId, action);
     }
 
     // Generate authorization report
@@ -225,6 +353,7 @@ class TelegramAuthorization {
             pendingApprovals: this.pendingApprovals.size,
             authorizedUsers: this.getAuthorizedUsers(),
             adminUsers: this.getAdminUsers(),
+            roles: Object.fromEntries(this.getAuthorizedUsers().map(id => [id, this.getRole(id)])),
             pendingUsers: this.getPendingApprovals()
         };
     }
@@ -257,6 +386,12 @@ class TelegramAuthorization {
             // Clean up user preferences
             this.cleanupUserPreferences(userIdStr);
             
+            // Files changed underneath the cached data store
+            if (this.dataStore) {
+                this.dataStore.invalidate(`personalKeywords:${userIdStr}`);
+                this.dataStore.invalidate('groupSubscriptions');
+            }
+            
             console.log(`🧹 Cleaned up all data for user ${userIdStr} (${userName})`);
             return true;
         } catch (error) {
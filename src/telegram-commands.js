@@ -6,9 +6,92 @@
 const TelegramBot = require('node-telegram-bot-api');
 const TelegramAuthorization = require('./telegram-auth');
 const { logBotEvent, logError } = require('./logger');
+const KeywordPriority = require('./keywordPriority');
+const AcknowledgmentReset = require('./acknowledgmentReset');
+const InlineMenus = require('./inlineMenus');
+const I18n = require('./i18n');
+const Roles = require('./roles');
+const ChatWebhookChannel = require('./notifiers/chatWebhookChannel');
 const fs = require('fs');
 const path = require('path');
 
+const SNOOZE_MORNING_TIME = '08:00'; // "Snooze until tomorrow" wakes reminders at this local time
+const CONVERSATION_TIMEOUT_MS = 5 * 60 * 1000; // Unanswered multi-step commands expire like the confirmations do
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DEFAULT_AUDIT_DAYS = 7;
+const MAX_AUDIT_DAYS = 365;
+const AUDIT_ENTRIES_SHOWN = 15; // Newest entries in one /audit reply (Telegram messages are capped at 4096 characters)
+
+// Answer checks for COMMAND_FLOWS steps: an error message (in the user's language), or null when the answer is fine
+const checkAnswer = {
+    userId: (value, handler, userId) => {
+        if (!/^\d+$/.test(value)) return handler.t(userId, 'check.userIdFormat');
+        return handler.authorization.isAuthorized(value) ? null : handler.t(userId, 'check.userIdUnknown', { value });
+    },
+    pendingUserId: (value, handler, userId) => handler.authorization.getPendingApprovals().some(pending => String(pending.userId) === value)
+        ? null
+        : handler.t(userId, 'check.pendingUnknown', { value }),
+    email: (value, handler, userId) => EMAIL_PATTERN.test(value) ? null : handler.t(userId, 'check.email', { value }),
+    keyword: (value, handler, userId) => value.length >= 2 ? null : handler.t(userId, 'check.keywordShort'),
+    priority: (value, handler, userId) => KeywordPriority.isValid(value.toLowerCase()) || value.toLowerCase() === 'emergency'
+        ? null
+        : handler.t(userId, 'check.priority'),
+    policy: (value, handler, userId) => /\s/.test(value) ? handler.t(userId, 'check.policyWord') : handler.validatePolicyName(value, userId),
+    policySchedule: (value, handler, userId) => {
+        const { error } = handler.parsePolicyArgs(`policy ${value}`, userId);
+        return error === 'usage' ? handler.t(userId, 'check.policySchedule') : error || null;
+    },
+    blockedKeyword: (value, handler, userId) => {
+        const reminderManager = handler.getReminderManager();
+        if (!reminderManager) return null;
+        const blocked = reminderManager.getBlockedKeywords(userId).some(block => block.keyword.toLowerCase() === value.toLowerCase());
+        return blocked ? null : handler.t(userId, 'check.notBlocked', { value });
+    },
+    positiveNumber: (value, handler, userId) => /^\d+$/.test(value) && Number(value) > 0 ? null : handler.t(userId, 'check.positiveNumber'),
+    text: (value, handler, userId) => value ? null : handler.t(userId, 'check.text'),
+    role: (value, handler, userId) => Roles.isValid(value.toLowerCase()) ? null : handler.t(userId, 'check.role', { roles: Roles.ROLES.join(', ') })
+};
+
+// Step prompts are message catalog keys (src/locales)
+const USER_STEP = (prompt) => ({ prompt, check: checkAnswer.userId });
+const PENDING_STEP = (prompt) => ({ prompt, check: checkAnswer.pendingUserId });
+const PRIORITY_STEP = { prompt: 'flow.priority', check: checkAnswer.priority };
+const POLICY_STEP = { prompt: 'flow.policy', check: checkAnswer.policy };
+
+/**
+ * Commands that prompt for their arguments one at a time when sent bare (or with only some of them).
+ * Once every step is answered the command runs as if it had been typed in full, so the usual handler
+ * does the work. Flows need the 'use_bot' permission (see roles.js) unless they name another. The last step takes the rest of the line, so keywords and search text may contain spaces.
+ */
+const COMMAND_FLOWS = {
+    setemail: { permission: 'manage_users', steps: [USER_STEP('flow.setemail.user'), { prompt: 'flow.setemail.email', check: checkAnswer.email }] },
+    removeemail: { permission: 'manage_users', steps: [USER_STEP('flow.removeemail.user'), { prompt: 'flow.removeemail.email', check: checkAnswer.email }] },
+    approve: { permission: 'manage_users', steps: [PENDING_STEP('flow.approve.user')] },
+    reject: { permission: 'manage_users', steps: [PENDING_STEP('flow.reject.user')] },
+    remove: { permission: 'manage_users', steps: [USER_STEP('flow.remove.user')] },
+    makeadmin: { permission: 'assign_roles', steps: [USER_STEP('flow.makeadmin.user')] },
+    addkeyword: { permission: 'manage_keywords', steps: [{ prompt: 'flow.addkeyword.keyword', check: checkAnswer.keyword }] },
+    addmykeyword: { steps: [{ prompt: 'flow.addmykeyword.keyword', check: checkAnswer.keyword }] },
+    setpriority: { permission: 'manage_keywords', steps: [PRIORITY_STEP, { prompt: 'flow.globalKeyword', check: checkAnswer.keyword }] },
+    setmypriority: { steps: [PRIORITY_STEP, { prompt: 'flow.myKeyword', check: checkAnswer.keyword }] },
+    setpolicy: { permission: 'manage_keywords', steps: [POLICY_STEP, { prompt: 'flow.globalKeyword', check: checkAnswer.keyword }] },
+    setmypolicy: { steps: [POLICY_STEP, { prompt: 'flow.myKeyword', check: checkAnswer.keyword }] },
+    addpolicy: {
+        permission: 'manage_keywords',
+        steps: [
+            { prompt: 'flow.addpolicy.name', check: (value, handler, userId) => /\s/.test(value) ? handler.t(userId, 'check.policyWord') : null },
+            { prompt: 'flow.addpolicy.schedule', check: checkAnswer.policySchedule }
+        ]
+    },
+    removepolicy: { permission: 'manage_keywords', steps: [{ prompt: 'flow.removepolicy.policy', check: checkAnswer.policy }] },
+    backfill: { steps: [{ prompt: 'flow.backfill.keyword', check: checkAnswer.keyword }, { prompt: 'flow.backfill.hours', check: checkAnswer.positiveNumber }] },
+    search: { steps: [{ prompt: 'flow.search.query', check: checkAnswer.text }] },
+    testmatch: { steps: [{ prompt: 'flow.testmatch.text', check: checkAnswer.text }] },
+    unexclude: { permission: 'manage_keywords', steps: [{ prompt: 'flow.unexclude.number', check: checkAnswer.positiveNumber }] },
+    unblock: { permission: 'manage_own_alerts', steps: [{ prompt: 'flow.unblock.keyword', check: checkAnswer.blockedKeyword }] },
+    setrole: { permission: 'assign_roles', steps: [USER_STEP('flow.setrole.user'), { prompt: 'flow.setrole.role', check: checkAnswer.role }] }
+};
+
 class TelegramCommandHandler {
     constructor(token, authorization, keywordDetector, botInstance = null) {
         try {
@@ -18,6 +101,7 @@ class TelegramCommandHandler {
             this.botInstance = botInstance; // Store bot instance for real status access
             this.reminderManager = null; // Will be set by bot
             this.lastCommandTime = new Map(); // Track last command time per user
+            this.conversations = new Map(); // userId -> multi-step command waiting for answers (see COMMAND_FLOWS)
             this.setupCommandHandlers();
             console.log('✅ Telegram command handler initialized successfully');
             console.log('📱 Bot is ready to receive commands');
@@ -40,9 +124,56 @@ class TelegramCommandHandler {
             .replace(/'/g, '&#39;');
     }
 
+    // Message catalogs live with the notifier, which also formats alerts
+    getI18n() {
+        const notifier = this.botInstance && this.botInstance.notifier;
+        return notifier && notifier.i18n ? notifier.i18n : null;
+    }
+
+    getLanguage(userId) {
+        const i18n = this.getI18n();
+        return i18n ? i18n.getLanguage(userId) : 'en';
+    }
+
+    // A message catalog text in the user's language
+    t(userId, key, params = {}) {
+        const i18n = this.getI18n();
+        return i18n ? i18n.t(userId, key, params) : I18n.translate('en', key, params);
+    }
+
+    // Why a command was refused: not a bot user at all, or their role lacks the permission (see roles.js)
+    denyMessage(userId, permission) {
+        if (!this.authorization.isAuthorized(userId)) {
+            return this.t(userId, 'errors.notAuthorized');
+        }
+        return this.t(userId, 'errors.permissionDenied', {
+            role: this.authorization.getRole(userId),
+            roles: Roles.withPermission(permission).join(', ')
+        });
+    }
+
+    // Append an admin action to the audit log (owned by the bot, see auditLog.js)
+    audit(actorId, action, fields = {}) {
+        const auditLog = this.botInstance && this.botInstance.auditLog;
+        if (!auditLog) return Promise.resolve(null);
+        return auditLog.record({ actor: actorId, actorName: this.authorization.getUserName(actorId), action, ...fields });
+    }
+
+    // Until a user picks a language with /language, follow their Telegram app's
+    rememberTelegramLanguage(from) {
+        const i18n = this.getI18n();
+        if (!i18n || !from || !from.language_code) return;
+        i18n.rememberTelegramLanguage(from.id, from.language_code, this.authorization.isAuthorized(from.id)).catch(error => {
+            console.error('❌ Failed to remember Telegram language:', error.message);
+        });
+    }
+
     setupCommandHandlers() {
         // Setup reminder commands first
         this.setupReminderCommands(this.bot);
+
+        // Inline button presses (alert feedback)
+        this.setupCallbackHandlers();
         
         // Unified message handler - handles all message types with proper flow control
         this.bot.on('message', (msg) => {
@@ -54,6 +185,8 @@ class TelegramCommandHandler {
             if (!this.authorization.getUserName(userId)) {
                 this.authorization.setUserName(userId, userName);
             }
+
+            this.rememberTelegramLanguage(msg.from);
             
             // Check if this is a QR code confirmation
             if (this.pendingQRConfirmations && this.pendingQRConfirmations.has(userId)) {
@@ -71,26 +204,17 @@ class TelegramCommandHandler {
                     // Confirmed QR code generation
                     this.pendingQRConfirmations.delete(userId);
                     
-                    this.bot.sendMessage(confirmation.chatId, 
-                        '✅ <b>QR Code Generation Confirmed!</b>\n\n' +
-                        '🔄 Generating QR code... Please wait.',
-                        { parse_mode: 'HTML' }
-                    );
+                    this.bot.sendMessage(confirmation.chatId, this.t(userId, 'qrcode.confirmed'), { parse_mode: 'HTML' });
                     
                     console.log(`📱 Admin ${userId} confirmed QR code generation`);
                     
                     // Execute QR code generation
-                    this.executeQRCodeGeneration(confirmation.chatId, confirmation.phoneNumber);
+                    this.executeQRCodeGeneration(confirmation.chatId, confirmation.phoneNumber, userId);
                 } else {
                     // Cancelled QR code generation (anything other than YES/CONFIRM)
                     this.pendingQRConfirmations.delete(userId);
                     
-                    this.bot.sendMessage(confirmation.chatId, 
-                        '❌ <b>QR Code Generation Cancelled</b>\n\n' +
-                        '✅ Bot will continue running normally.\n' +
-                        '🔄 Use /qrcode again if you need to generate a QR code later.',
-                        { parse_mode: 'HTML' }
-                    );
+                    this.bot.sendMessage(confirmation.chatId, this.t(userId, 'qrcode.cancelled'), { parse_mode: 'HTML' });
                     
                     console.log(`📱 Admin ${userId} cancelled QR code generation`);
                 }
@@ -114,18 +238,10 @@ class TelegramCommandHandler {
                     // Confirmed restart
                     this.pendingRestartConfirmations.delete(userId);
                     
-                    this.bot.sendMessage(confirmation.chatId, 
-                        '✅ <b>Restart Confirmed!</b>\n\n' +
-                        '🔄 <b>Restarting Bot...</b>\n\n' +
-                        '⚠️ <b>Important:</b>\n' +
-                        '• Bot will restart in 3 seconds\n' +
-                        '• WhatsApp QR code will need to be scanned again\n' +
-                        '• All data will be preserved\n\n' +
-                        '🔄 <b>Restarting now...</b>',
-                        { parse_mode: 'HTML' }
-                    );
+                    this.bot.sendMessage(confirmation.chatId, this.t(userId, 'restart.confirmed'), { parse_mode: 'HTML' });
                     
                     console.log(`🔄 Admin ${userId} confirmed bot restart`);
+                    this.audit(userId, 'bot.restart');
                     
                     // Give time for message to be sent, then restart
                     setTimeout(() => {
@@ -137,12 +253,7 @@ class TelegramCommandHandler {
                     // Cancelled restart (anything other than "RESTART")
                     this.pendingRestartConfirmations.delete(userId);
                     
-                    this.bot.sendMessage(confirmation.chatId, 
-                        '❌ <b>Restart Cancelled</b>\n\n' +
-                        '✅ Bot will continue running normally.\n' +
-                        '🔄 Use /restart again if you need to restart later.',
-                        { parse_mode: 'HTML' }
-                    );
+                    this.bot.sendMessage(confirmation.chatId, this.t(userId, 'restart.cancelled'), { parse_mode: 'HTML' });
                     
                     console.log(`🔄 Admin ${userId} cancelled bot restart`);
                 }
@@ -166,40 +277,30 @@ class TelegramCommandHandler {
                     this.pendingRemovalConfirmations.delete(userId);
                     
                     // Perform the removal
+                    const roleBefore = this.authorization.getRole(confirmation.userIdToRemove);
                     const success = this.authorization.removeAuthorizedUser(confirmation.userIdToRemove, userId);
                     const cleanupSuccess = this.authorization.cleanupUserData(confirmation.userIdToRemove);
                     
                     if (success && cleanupSuccess) {
                         const escapedUserName = this.escapeHtml(confirmation.userName);
-                        this.bot.sendMessage(confirmation.chatId, 
-                            '✅ <b>User Removal Confirmed!</b>\n\n' +
-                            `🗑️ <b>User ${confirmation.userIdToRemove} (${escapedUserName}) has been removed</b>\n\n` +
-                            '🧹 <b>Data Cleaned Up:</b>\n' +
-                            '• ✅ Removed from authorized users\n' +
-                            '• ✅ Removed admin privileges (if any)\n' +
-                            '• ✅ Deleted personal keywords\n' +
-                            '• ✅ Removed group subscriptions\n' +
-                            '• ✅ Deleted user preferences\n' +
-                            '• ✅ Removed user name\n\n' +
-                            '⚠️ <b>User will no longer have access to the bot.</b>',
+                        this.bot.sendMessage(confirmation.chatId,
+                            this.t(userId, 'remove.done', { userId: confirmation.userIdToRemove, name: escapedUserName }),
                             { parse_mode: 'HTML' }
                         );
                         
                         // Notify the removed user
-                        this.bot.sendMessage(confirmation.userIdToRemove, 
-                            '❌ <b>Access Revoked</b>\n\n' +
-                            'Your access to the WhatsApp Keyword Bot has been revoked by an administrator.\n\n' +
-                            'If you believe this is an error, please contact an admin.',
-                            { parse_mode: 'HTML' }
-                        );
+                        this.bot.sendMessage(confirmation.userIdToRemove, this.t(confirmation.userIdToRemove, 'access.revoked'), { parse_mode: 'HTML' });
                         
                         console.log(`🗑️ Admin ${userId} confirmed removal of user ${confirmation.userIdToRemove} (${confirmation.userName})`);
+                        this.audit(userId, 'user.remove', {
+                            target: confirmation.userIdToRemove,
+                            before: { name: confirmation.userName, role: roleBefore },
+                            after: null
+                        });
                     } else {
                         const escapedUserName = this.escapeHtml(confirmation.userName);
-                        this.bot.sendMessage(confirmation.chatId, 
-                            '❌ <b>Removal Failed</b>\n\n' +
-                            `Failed to remove user ${confirmation.userIdToRemove} (${escapedUserName}).\n` +
-                            'Please try again or check the logs for errors.',
+                        this.bot.sendMessage(confirmation.chatId,
+                            this.t(userId, 'remove.failed', { userId: confirmation.userIdToRemove, name: escapedUserName }),
                             { parse_mode: 'HTML' }
                         );
                     }
@@ -209,10 +310,8 @@ class TelegramCommandHandler {
                     this.pendingRemovalConfirmations.delete(userId);
                     
                     const escapedUserName = this.escapeHtml(confirmation.userName);
-                    this.bot.sendMessage(confirmation.chatId, 
-                        '❌ <b>User Removal Cancelled</b>\n\n' +
-                        `✅ User ${confirmation.userIdToRemove} (${escapedUserName}) remains authorized.\n` +
-                        '🗑️ Use /remove again if you need to remove the user later.',
+                    this.bot.sendMessage(confirmation.chatId,
+                        this.t(userId, 'remove.cancelled', { userId: confirmation.userIdToRemove, name: escapedUserName }),
                         { parse_mode: 'HTML' }
                     );
                     
@@ -223,12 +322,27 @@ class TelegramCommandHandler {
                 return;
             }
             
+            // Answer to a multi-step command; any other command abandons it
+            const conversation = this.conversations.get(userId.toString());
+            if (conversation && messageText) {
+                if (!messageText.startsWith('/')) {
+                    this.handleConversationReply(conversation, messageText).catch(error => {
+                        console.error(`❌ Error handling /${conversation.command} answer:`, error.message);
+                    });
+                    return;
+                }
+                if (!/^\/cancel\b/.test(messageText)) {
+                    this.endConversation(userId);
+                    console.log(`💬 User ${userId} left /${conversation.command} for another command`);
+                }
+            }
+            
             // Handle broadcast messages (non-command messages from authorized users)
             if (!messageText.startsWith('/')) {
                 const chatId = msg.chat.id;
                 
-                if (!this.authorization.isAuthorized(userId)) {
-                    this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+                if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                    this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
                     return;
                 }
                 
@@ -242,7 +356,7 @@ class TelegramCommandHandler {
                     try {
                         const escapedUserName = this.escapeHtml(userName);
                         const escapedMessageText = this.escapeHtml(messageText);
-                        const broadcastMessage = `📢 <b>Message from ${escapedUserName}:</b>\n\n"${escapedMessageText}"`;
+                        const broadcastMessage = this.t(authorizedUserId, 'broadcast.message', { name: escapedUserName, text: escapedMessageText });
                         this.bot.sendMessage(authorizedUserId, broadcastMessage, { parse_mode: 'HTML' });
                     } catch (error) {
                         console.error(`❌ Failed to send broadcast to user ${authorizedUserId}:`, error.message);
@@ -273,43 +387,22 @@ class TelegramCommandHandler {
             if (this.authorization.isAuthorized(userId)) {
                 // Differentiate between admin and regular user
                 if (this.authorization.isAdmin(userId)) {
-                    this.bot.sendMessage(chatId, 
-                        '👑 <b>Welcome back, Admin!</b>\n\n' +
-                        '✅ You are authorized and have admin privileges.\n\n' +
-                        '📋 <b>Quick Commands:</b>\n' +
-                        '• <code>/help</code> - See all available commands\n' +
-                        '• <code>/admin</code> - See admin-only commands\n' +
-                        '• <code>/status</code> - Check bot status\n' +
-                        '• <code>/stats</code> - View statistics\n\n' +
-                        '🤖 Bot is working and monitoring for keywords!',
-                        { parse_mode: 'HTML' }
-                    );
+                    this.bot.sendMessage(chatId, this.t(userId, 'start.admin'), { parse_mode: 'HTML' });
             } else {
-                this.bot.sendMessage(chatId, 
-                        '👑 <b>Welcome back!</b>\n\n' +
-                        '✅ You are authorized and have user privileges.\n\n' +
-                        '📋 <b>Quick Commands:</b>\n' +
-                        '• <code>/help</code> - See all available commands\n' +
-                        '• <code>/status</code> - Check bot status\n' +
-                        '• <code>/stats</code> - View statistics\n\n' +
-                        '🤖 Bot is working and monitoring for keywords!',
-                        { parse_mode: 'HTML' }
-                    );
+                this.bot.sendMessage(chatId, this.t(userId, 'start.user'), { parse_mode: 'HTML' });
                 }
             } else {
-                this.bot.sendMessage(chatId, 
-                    '🔐 <b>Access Request</b>\n\n' +
-                    'You are not authorized to use this bot.\n' +
-                    'Your request has been sent to administrators for approval.\n\n' +
-                    'Request ID: ' + userId + '\n' +
-                    'Name: ' + userName
-                );
+                // Not a user yet, so only their Telegram app's language is known
+                const language = I18n.fromTelegramCode(msg.from.language_code);
+                this.bot.sendMessage(chatId, I18n.translate(language, 'start.request', { userId, name: userName }));
                 this.authorization.addPendingApproval(userId, {
                     username: msg.from.username,
                     firstName: msg.from.first_name
                 });
                 // Send async notification to admins (don't await - fire and forget)
-                this.notifyAdmins(`🔔 New access request from user ${userId} (@${msg.from.username || 'unknown'}) - ${userName}`).catch(error => {
+                this.notifyAdmins(`🔔 New access request from user ${userId} (@${msg.from.username || 'unknown'}) - ${userName}`, {
+                    reply_markup: { inline_keyboard: [InlineMenus.buildApprovalRow(userId)] }
+                }).catch(error => {
                     console.error('❌ Error sending admin notification:', error.message);
                 });
             }
@@ -321,8 +414,8 @@ class TelegramCommandHandler {
             const userId = msg.from.id;
             console.log('📨 Received /help from:', msg.from.username || msg.from.first_name);
             
-            if (!this.authorization.isAuthorized(userId)) {
-                await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+            if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_own_alerts'));
                 return;
             }
 
@@ -332,55 +425,42 @@ class TelegramCommandHandler {
                 return;
             }
             
-                const helpText = '🤖 WhatsApp Keyword Bot Help\n\n' +
-                    '📊 Status Commands:\n' +
-                    '/start - Start the bot\n' +
-                    '/status - Check bot status\n' +
-                    '/help - Show this help\n' +
-                    '/ok - Stop repeating reminders for your personal keywords\n' +
-                    '/reminders - Show your active reminder notifications\n' +
-                    '/sleep - Check sleep status\n\n' +
-                    '📱 Group Management:\n' +
-                    '/discover - Show all groups bot is in\n' +
-                    '/allgroups - Show available groups for subscription\n' +
-                    '/groups - Show monitored groups\n' +
-                    '/subscribe <group> - Subscribe to a group\n' +
-                    '/unsubscribe <group> - Unsubscribe from a group\n' +
-                    '/mygroups - Show your subscriptions\n\n' +
-                    '🔑 Keyword Management:\n' +
-                    '/keywords - Show global keywords\n' +
-                    '/addkeyword <word> - Add global keyword (Admin only)\n' +
-                    '/removekeyword <word> - Remove global keyword (Admin only)\n' +
-                    '/mykeywords - Show your personal keywords\n' +
-                    '/addmykeyword <word> - Add personal keyword\n' +
-                    '/removemykeyword <word> - Remove personal keyword\n\n' +
-                    '🌍 Timezone Commands:\n' +
-                    '/israel - Israeli time 🇮🇱\n' +
-                    '/usa - US Eastern time 🇺🇸\n' +
-                    '/uk - UK time 🇬🇧\n' +
-                    '/japan - Japan time 🇯🇵\n' +
-                    '/timezone <tz> - Set custom timezone (e.g., Asia/Jerusalem)\n\n' +
-                    '⚙️ Control Commands:\n' +
-                    '/24h - Toggle 24/7 mode\n' +
-                    '/admin - Admin panel\n' +
-                    '/stats - Bot statistics\n\n' +
-                    '👑 Admin Only:\n' +
-                    '/users - List all users with roles\n' +
-                    '/admins - Show admin users only\n' +
-                    '/antiban - Show anti-ban status\n' +
-                    '/approve <user_id> - Approve user\n' +
-                    '/reject <user_id> - Reject user\n' +
-                    '/pending - Show pending requests\n' +
-                    '/remove <user_id> - Remove user (with confirmation)\n' +
-                    '/setemail <user_id> <email> - Add user email (supports multiple, duplicate detection)\n' +
-                    '/removeemail <user_id> <email> - Remove specific user email\n' +
-                    '/makeadmin <user_id> - Promote user to admin\n' +
-                    '/restart - Restart bot (preserves all data)\n' +
-                    '/resetall - Reset all reminders (clears active reminders)\n' +
-                    '/qrcode [phone] - Generate QR code for reconnection (check Render logs)\n\n' +
-                    '💬 Broadcast:\n' +
-                    'Send any message (not a command) to broadcast to all authorized users';
-            await this.bot.sendMessage(chatId, helpText);
+            await this.bot.sendMessage(chatId, this.t(userId, 'help.text'));
+        });
+
+        // Language command - /language shows a picker, /language <en|he|ru> switches directly
+        this.bot.onText(/\/language(?:\s+(\S+))?/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+
+            if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_own_alerts'));
+                return;
+            }
+
+            const i18n = this.getI18n();
+            if (!i18n) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'errors.unexpected'));
+                return;
+            }
+
+            if (!match[1]) {
+                const current = i18n.getLanguage(userId);
+                await this.bot.sendMessage(chatId,
+                    this.t(userId, 'language.current', { language: I18n.describeLanguage(current) }) + '\n\n' +
+                    this.t(userId, 'language.choose'), {
+                    parse_mode: 'HTML',
+                    reply_markup: { inline_keyboard: InlineMenus.buildLanguagePicker(current) }
+                });
+                return;
+            }
+
+            const language = I18n.fromTelegramCode(match[1]);
+            if (!language) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'language.unknown', { value: this.escapeHtml(match[1]) }), { parse_mode: 'HTML' });
+                return;
+            }
+            await this.updateLanguage(chatId, userId, language);
         });
 
         // Status command
@@ -395,8 +475,8 @@ class TelegramCommandHandler {
             }
             
             // Authorization check
-            if (!this.authorization.isAuthorized(userId)) {
-                this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+            if (!this.authorization.hasPermission(userId, 'view_stats')) {
+                this.bot.sendMessage(chatId, this.denyMessage(userId, 'view_stats'));
                 return;
             }
             
@@ -456,8 +536,8 @@ class TelegramCommandHandler {
             }
             
             // Authorization check - Admin only
-            if (!this.authorization.isAdmin(userId)) {
-                this.bot.sendMessage(chatId, '❌ Admin access required.');
+            if (!this.authorization.hasPermission(userId, 'view_admin_panel')) {
+                this.bot.sendMessage(chatId, this.denyMessage(userId, 'view_admin_panel'));
                 return;
             }
             
@@ -471,17 +551,26 @@ class TelegramCommandHandler {
                 '/reject &lt;user_id&gt; - Reject user\n' +
                 '/remove &lt;user_id&gt; - Remove user (with confirmation)\n' +
                 '/pending - Show pending requests\n' +
+                '/audit [user] [days] - Who did what: approvals, removals, roles, keywords, emails, restarts\n' +
                 '/makeadmin &lt;user_id&gt; - Promote user to admin\n' +
+                '/setrole &lt;user_id&gt; &lt;role&gt; - Change a user\'s role (see /roles)\n' +
                 '/setemail &lt;user_id&gt; &lt;email&gt; - Add user email (supports multiple, duplicate detection)\n' +
                 '/removeemail &lt;user_id&gt; &lt;email&gt; - Remove specific user email\n\n' +
                 '<b>Keyword Management:</b>\n' +
                 '/addkeyword &lt;word&gt; - Add global keyword\n' +
-                '/removekeyword &lt;word&gt; - Remove global keyword\n\n' +
+                '/removekeyword &lt;word&gt; - Remove global keyword\n' +
+                '/exclusions - Review 👎 false-positive exclusions\n' +
+                '/unexclude &lt;number&gt; - Undo an exclusion\n\n' +
+                '<b>Group Monitoring:</b>\n' +
+                '/monitor &lt;group&gt; - Monitor a group (once any is picked, only picked groups are monitored)\n' +
+                '/unmonitor &lt;group&gt; - Stop monitoring a group\n\n' +
                 '<b>Bot Control:</b>\n' +
                 '/qrcode [phone] - Generate QR code for reconnection (check Render logs)\n' +
                 '/restart - Restart bot (preserves all data)\n' +
                 '/resetall - Reset all reminders\n' +
+                '/ackreset global &lt;period&gt; - Default for how long /ok blocks a keyword\n' +
                 '/antiban - Show anti-ban status\n\n' +
+                `🎭 <b>Your role:</b> ${this.escapeHtml(Roles.describe(this.authorization.getRole(userId)))} - sections for other roles won't work for you (see /roles)\n\n` +
                 '<b>Note:</b> For information commands available to all users, see /help';
             this.bot.sendMessage(chatId, adminText, { parse_mode: 'HTML' });
         });
@@ -498,8 +587,8 @@ class TelegramCommandHandler {
             }
             
             // Authorization check - Admin only (sensitive info)
-            if (!this.authorization.isAdmin(userId)) {
-                await this.bot.sendMessage(chatId, '❌ Admin access required.');
+            if (!this.authorization.hasPermission(userId, 'manage_users')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_users'));
                 return;
             }
             
@@ -518,8 +607,7 @@ class TelegramCommandHandler {
                 for (const user of authorizedUsers) {
                     const isAdmin = adminUsers.includes(user);
                     const adminBadge = isAdmin ? '👑' : '👤';
-                    const adminStatus = isAdmin ? 'Admin' : 'User';
-                    const adminEmoji = isAdmin ? '✅' : '👤';
+                    const adminStatus = Roles.describe(this.authorization.getRole(user));
                     
                     // Get user name from multiple sources (priority: Supabase > telegram-auth.json > Telegram API)
                     let userName = null;
@@ -593,7 +681,7 @@ class TelegramCommandHandler {
                     const escapedUserName = this.escapeHtml(userName);
                     usersText += `${adminBadge} <b>User ${index} - ${escapedUserName}</b>\n`;
                     usersText += `   📱 ID: ${user}\n`;
-                    usersText += `   ${adminEmoji} Role: ${adminStatus}\n`;
+                    usersText += `   🎭 Role: ${adminStatus}\n`;
                     usersText += `   ✅ Status: Active\n`;
                     usersText += `   🔔 Notifications: Enabled\n`;
                     if (userEmails.length > 0) {
@@ -626,8 +714,8 @@ class TelegramCommandHandler {
             }
             
             // Authorization check - Admin only (sensitive info)
-            if (!this.authorization.isAdmin(userId)) {
-                await this.bot.sendMessage(chatId, '❌ Admin access required.');
+            if (!this.authorization.hasPermission(userId, 'manage_users')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_users'));
                 return;
             }
             
@@ -664,7 +752,7 @@ class TelegramCommandHandler {
                     const escapedAdminName = this.escapeHtml(adminName);
                     adminsText += `👑 <b>Admin ${index + 1} - ${escapedAdminName}</b>\n`;
                     adminsText += `   📱 ID: ${adminId}\n`;
-                    adminsText += `   ✅ Role: Admin\n`;
+                    adminsText += `   ✅ Role: ${Roles.describe(this.authorization.getRole(adminId))}\n`;
                     adminsText += `   ✅ Status: Active\n`;
                     adminsText += `   🔔 Notifications: Enabled\n`;
                     adminsText += `   🛠️ Admin Commands: Available\n`;
@@ -697,13 +785,13 @@ class TelegramCommandHandler {
                 return;
             }
             
-            if (!this.authorization.isAuthorized(userId)) {
-                await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+            if (!this.authorization.hasPermission(userId, 'view_stats')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'view_stats'));
                 return;
             }
 
             if (!this.keywordDetector) {
-                await this.bot.sendMessage(chatId, '❌ Keyword detector is not initialized. Please restart the bot.');
+                await this.bot.sendMessage(chatId, this.t(userId, 'errors.detectorUnavailable'));
                 return;
             }
 
@@ -721,12 +809,15 @@ class TelegramCommandHandler {
                         .replace(/>/g, '&gt;')
                         .replace(/"/g, '&quot;')
                         .replace(/'/g, '&#39;');
-                    keywordsText += `${index + 1}. ${escapedKeyword}\n`;
+                    keywordsText += `${index + 1}. ${escapedKeyword}${this.formatKeywordMode(this.keywordDetector.getKeywordEntry(keyword), userId)}\n`;
                 });
             }
             
             keywordsText += '\n💡 <b>Keyword Management:</b>\n';
             keywordsText += '• /addkeyword &lt;word&gt; - Add global keyword (Admin only)\n';
+            keywordsText += '  Options: --exact, --fuzzy[=N], --prefix, --wildcard, --regex, @group, -@group, --priority=&lt;level&gt;\n';
+            keywordsText += '• /setpriority &lt;level&gt; &lt;word&gt; - low, normal, high or critical (Admin only)\n';
+            keywordsText += '• /setpolicy &lt;policy&gt; &lt;word&gt; - Reminder escalation policy, see /policies (Admin only)\n';
             keywordsText += '• /removekeyword &lt;word&gt; - Remove global keyword (Admin only)\n';
             keywordsText += '• /mykeywords - Show your personal keywords\n';
             keywordsText += '• /addmykeyword &lt;word&gt; - Add personal keyword\n';
@@ -747,8 +838,8 @@ class TelegramCommandHandler {
             }
             
             // Authorization check
-            if (!this.authorization.isAuthorized(userId)) {
-                this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+            if (!this.authorization.hasPermission(userId, 'view_stats')) {
+                this.bot.sendMessage(chatId, this.denyMessage(userId, 'view_stats'));
                 return;
             }
             
@@ -864,34 +955,20 @@ class TelegramCommandHandler {
             }
             
             // Authorization check - Admin only
-            if (!this.authorization.isAdmin(userId)) {
-                this.bot.sendMessage(chatId, '❌ Admin access required.');
+            if (!this.authorization.hasPermission(userId, 'operate_bot')) {
+                this.bot.sendMessage(chatId, this.denyMessage(userId, 'operate_bot'));
                 return;
             }
             
             console.log('📨 Received /qrcode from:', msg.from.username || msg.from.first_name, phoneNumber ? `for phone: ${phoneNumber}` : 'for all phones');
             
             if (!this.botInstance) {
-                await this.bot.sendMessage(chatId, '❌ Bot instance not available.');
+                await this.bot.sendMessage(chatId, this.t(userId, 'qrcode.unavailable'));
                 return;
             }
             
             // Show confirmation prompt
-            const confirmationMessage = '⚠️ <b>QR CODE GENERATION CONFIRMATION</b>\n\n' +
-                '🔄 <b>Are you sure you want to generate a new QR code?</b>\n\n' +
-                '⚠️ <b>This will:</b>\n' +
-                '• Disconnect the bot from WhatsApp (if connected)\n' +
-                '• Delete the current session file (creds.json)\n' +
-                '• Generate a new QR code for scanning\n' +
-                '• Require scanning the QR code to reconnect\n\n' +
-                '📱 <b>After scanning:</b>\n' +
-                '• Bot will reconnect automatically\n' +
-                '• Session will be saved to Supabase\n' +
-                '• Auto-retry: Up to 3 attempts if not scanned\n\n' +
-                '✅ <b>Type "YES" or "CONFIRM" to proceed</b>\n' +
-                '❌ <b>Type anything else to cancel</b>';
-            
-            await this.bot.sendMessage(chatId, confirmationMessage, { parse_mode: 'HTML' });
+            await this.bot.sendMessage(chatId, this.t(userId, 'qrcode.confirm'), { parse_mode: 'HTML' });
             
             // Store pending QR confirmation
             this.pendingQRConfirmations = this.pendingQRConfirmations || new Map();
@@ -903,7 +980,7 @@ class TelegramCommandHandler {
         });
 
         // Execute QR code generation (called after confirmation)
-        this.executeQRCodeGeneration = async (chatId, phoneNumber) => {
+        this.executeQRCodeGeneration = async (chatId, phoneNumber, userId) => {
             try {
                 // Force QR code generation
                 const results = await this.botInstance.forceQRCode(phoneNumber);
@@ -913,22 +990,11 @@ class TelegramCommandHandler {
                 await this.bot.sendMessage(chatId, resultText);
                 
                 if (results.success) {
-                    await this.bot.sendMessage(chatId, 
-                        '📱 <b>Next Steps:</b>\n\n' +
-                        '1. Check Render logs for the QR code\n' +
-                        '2. Open WhatsApp on your phone\n' +
-                        '3. Go to Settings → Linked Devices\n' +
-                        '4. Tap "Link a Device"\n' +
-                        '5. Scan the QR code from Render logs\n' +
-                        '6. Bot will connect automatically after scanning\n\n' +
-                        '⏰ QR code expires in 60 seconds\n' +
-                        '🔄 Auto-retry: Continuously regenerates until scanned',
-                        { parse_mode: 'HTML' }
-                    );
+                    await this.bot.sendMessage(chatId, this.t(userId, 'qrcode.nextSteps'), { parse_mode: 'HTML' });
                 }
             } catch (error) {
                 console.error('❌ Error in QR code generation:', error);
-                await this.bot.sendMessage(chatId, `❌ Error generating QR code: ${error.message}`);
+                await this.bot.sendMessage(chatId, this.t(userId, 'qrcode.error', { error: error.message }));
             }
         };
 
@@ -938,8 +1004,8 @@ class TelegramCommandHandler {
             const userId = msg.from.id;
             console.log('📨 Received /groups from:', msg.from.username || msg.from.first_name);
             
-            if (!this.authorization.isAuthorized(userId)) {
-                await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+            if (!this.authorization.hasPermission(userId, 'view_stats')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'view_stats'));
                 return;
             }
             
@@ -983,8 +1049,8 @@ class TelegramCommandHandler {
                     return;
                 }
                 
-                if (!this.authorization.isAuthorized(userId)) {
-                    this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+                if (!this.authorization.hasPermission(userId, 'view_stats')) {
+                    this.bot.sendMessage(chatId, this.denyMessage(userId, 'view_stats'));
                     return;
                 }
                 
@@ -1028,8 +1094,8 @@ class TelegramCommandHandler {
                     return;
                 }
                 
-                if (!this.authorization.isAuthorized(userId)) {
-                    await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+                if (!this.authorization.hasPermission(userId, 'view_stats')) {
+                    await this.bot.sendMessage(chatId, this.denyMessage(userId, 'view_stats'));
                     return;
                 }
                 
@@ -1077,8 +1143,8 @@ class TelegramCommandHandler {
                     return;
                 }
                 
-                if (!this.authorization.isAuthorized(userId)) {
-                    this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+                if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                    this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
                     return;
                 }
                 
@@ -1114,21 +1180,8 @@ class TelegramCommandHandler {
                     return;
                 }
                 
-                // Add subscription to Supabase first, then update file
-                if (this.keywordDetector && this.keywordDetector.supabase && this.keywordDetector.supabase.isEnabled()) {
-                    try {
-                        const supabaseSuccess = await this.keywordDetector.supabase.addGroupSubscription(userIdStr, groupName);
-                        if (supabaseSuccess) {
-                            console.log(`💾 Added group subscription to Supabase: user ${userId} → ${groupName}`);
-                        }
-                    } catch (error) {
-                        console.error('Error adding subscription to Supabase:', error.message);
-                    }
-                }
-                
-                // Also save to file (backup and backward compatibility)
-                subscriptions[groupName] = [...currentSubscribers, userIdStr];
-                await this.saveGroupSubscriptions(subscriptions);
+                // Supabase, file backup and the detector's cache in one write-through
+                await this.saveGroupSubscription(userIdStr, groupName, 'add');
                 
                 await this.bot.sendMessage(chatId,
                     `✅ Successfully subscribed to "${groupName}"!\n\n` +
@@ -1149,8 +1202,8 @@ class TelegramCommandHandler {
                     return;
                 }
                 
-                if (!this.authorization.isAuthorized(userId)) {
-                    this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+                if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                    this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
                     return;
                 }
                 
@@ -1172,21 +1225,8 @@ class TelegramCommandHandler {
                     return;
                 }
                 
-                // Remove subscription from Supabase first
-                if (this.keywordDetector && this.keywordDetector.supabase && this.keywordDetector.supabase.isEnabled()) {
-                    try {
-                        const supabaseSuccess = await this.keywordDetector.supabase.removeGroupSubscription(userIdStr, groupName);
-                        if (supabaseSuccess) {
-                            console.log(`💾 Removed group subscription from Supabase: user ${userId} → ${groupName}`);
-                        }
-                    } catch (error) {
-                        console.error('Error removing subscription from Supabase:', error.message);
-                    }
-                }
-                
-                // Also remove from file (backup and backward compatibility)
-                subscriptions[groupName] = currentSubscribers.filter(id => id !== userIdStr && id !== chatId.toString());
-                await this.saveGroupSubscriptions(subscriptions);
+                // Remove from Supabase, the file backup and the cache (plus any legacy chatId entry)
+                await this.saveGroupSubscription(userIdStr, groupName, 'remove', [chatId.toString()]);
                 
                 await this.bot.sendMessage(chatId,
                     `✅ Successfully unsubscribed from "${groupName}"!\n\n` +
@@ -1206,8 +1246,8 @@ class TelegramCommandHandler {
                     return;
                 }
                 
-                if (!this.authorization.isAuthorized(userId)) {
-                    await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+                if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                    await this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
                     return;
                 }
                 
@@ -1255,8 +1295,8 @@ class TelegramCommandHandler {
                     return;
                 }
                 
-                if (!this.authorization.isAuthorized(userId)) {
-                    await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+                if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+                    await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_own_alerts'));
                     return;
                 }
                 await this.updateTimezone(chatId, 'Asia/Jerusalem');
@@ -1265,8 +1305,8 @@ class TelegramCommandHandler {
             this.bot.onText(/\/usa/, async (msg) => {
                 const chatId = msg.chat.id;
                 const userId = msg.from.id;
-                if (!this.authorization.isAuthorized(userId)) {
-                    await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+                if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+                    await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_own_alerts'));
                     return;
                 }
                 await this.updateTimezone(chatId, 'America/New_York');
@@ -1275,8 +1315,8 @@ class TelegramCommandHandler {
             this.bot.onText(/\/uk/, async (msg) => {
                 const chatId = msg.chat.id;
                 const userId = msg.from.id;
-                if (!this.authorization.isAuthorized(userId)) {
-                    await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+                if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+                    await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_own_alerts'));
                     return;
                 }
                 await this.updateTimezone(chatId, 'Europe/London');
@@ -1285,8 +1325,8 @@ class TelegramCommandHandler {
             this.bot.onText(/\/japan/, async (msg) => {
                 const chatId = msg.chat.id;
                 const userId = msg.from.id;
-                if (!this.authorization.isAuthorized(userId)) {
-                    await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+                if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+                    await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_own_alerts'));
                     return;
                 }
                 await this.updateTimezone(chatId, 'Asia/Tokyo');
@@ -1298,17 +1338,12 @@ class TelegramCommandHandler {
                 const userId = msg.from.id;
                 const timezone = match[1];
 
-                if (!this.authorization.isAuthorized(userId)) {
-                    await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+                if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+                    await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_own_alerts'));
                     return;
                 }
 
-                const validTimezones = [
-                    'Asia/Jerusalem', 'America/New_York', 'Europe/London', 
-                    'Asia/Tokyo', 'Australia/Sydney', 'UTC'
-                ];
-
-                if (!validTimezones.includes(timezone)) {
+                if (!InlineMenus.isTimezone(timezone)) {
                     await this.bot.sendMessage(chatId,
                         '❌ Invalid timezone!\n\n' +
                         '🇮🇱 Simple Commands:\n' +
@@ -1335,8 +1370,8 @@ class TelegramCommandHandler {
                 const chatId = msg.chat.id;
                 const userId = msg.from.id;
 
-                if (!this.authorization.isAuthorized(userId)) {
-                    await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+                if (!this.authorization.hasPermission(userId, 'view_stats')) {
+                    await this.bot.sendMessage(chatId, this.denyMessage(userId, 'view_stats'));
                     return;
                 }
 
@@ -1399,8 +1434,8 @@ class TelegramCommandHandler {
                     return;
                 }
 
-                if (!this.authorization.isAuthorized(userId)) {
-                    this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+                if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                    this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
                     return;
                 }
 
@@ -1421,17 +1456,9 @@ class TelegramCommandHandler {
                     // Save the config
                     fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
                     
-                    const status = config.nonActiveHours.enabled ? 'DISABLED' : 'ENABLED';
-                    const emoji = config.nonActiveHours.enabled ? '😴' : '🌍';
-                    
-                    this.bot.sendMessage(chatId,
-                        `${emoji} 24/7 Mode ${status}\n\n` +
-                        `Sleep mode is now ${config.nonActiveHours.enabled ? 'ENABLED' : 'DISABLED'}.\n\n` +
-                        `⚠️ Restart the bot for changes to take effect.\n\n` +
-                        `Use /sleep to check current status.`
-                    );
+                    this.bot.sendMessage(chatId, this.t(userId, config.nonActiveHours.enabled ? 'sleep.24hOff' : 'sleep.24hOn'));
                 } catch (error) {
-                    this.bot.sendMessage(chatId, '❌ Error updating 24/7 mode. Check bot logs.');
+                    this.bot.sendMessage(chatId, this.t(userId, 'sleep.24hError'));
                 }
             });
 
@@ -1441,17 +1468,16 @@ class TelegramCommandHandler {
             const adminId = msg.from.id;
             const userIdToApprove = match[1];
             
-            if (!this.authorization.isAdmin(adminId)) {
-                this.bot.sendMessage(chatId, '❌ Admin access required.');
+            if (!this.authorization.hasPermission(adminId, 'manage_users')) {
+                this.bot.sendMessage(chatId, this.denyMessage(adminId, 'manage_users'));
                 return;
             }
             
             const userName = this.authorization.getUserName(userIdToApprove) || 'Unknown';
-            if (this.authorization.approveUser(userIdToApprove, adminId, userName)) {
-                this.bot.sendMessage(chatId, `✅ User ${userIdToApprove} (${userName}) approved successfully.`);
-                this.bot.sendMessage(userIdToApprove, '🎉 Your access request has been approved! You can now use the bot.');
+            if (this.approveAccessRequest(userIdToApprove, adminId)) {
+                this.bot.sendMessage(chatId, this.t(adminId, 'users.approved', { userId: userIdToApprove, name: userName }));
             } else {
-                this.bot.sendMessage(chatId, `❌ Failed to approve user ${userIdToApprove}.`);
+                this.bot.sendMessage(chatId, this.t(adminId, 'users.approveFailed', { userId: userIdToApprove }));
             }
         });
 
@@ -1461,16 +1487,15 @@ class TelegramCommandHandler {
             const adminId = msg.from.id;
             const userIdToReject = match[1];
             
-            if (!this.authorization.isAdmin(adminId)) {
-                this.bot.sendMessage(chatId, '❌ Admin access required.');
+            if (!this.authorization.hasPermission(adminId, 'manage_users')) {
+                this.bot.sendMessage(chatId, this.denyMessage(adminId, 'manage_users'));
                 return;
             }
             
-            if (this.authorization.rejectUser(userIdToReject, adminId)) {
-                this.bot.sendMessage(chatId, `❌ User ${userIdToReject} rejected.`);
-                this.bot.sendMessage(userIdToReject, '❌ Your access request has been rejected.');
+            if (this.rejectAccessRequest(userIdToReject, adminId)) {
+                this.bot.sendMessage(chatId, this.t(adminId, 'users.rejected', { userId: userIdToReject }));
             } else {
-                this.bot.sendMessage(chatId, `❌ Failed to reject user ${userIdToReject}.`);
+                this.bot.sendMessage(chatId, this.t(adminId, 'users.rejectFailed', { userId: userIdToReject }));
             }
         });
 
@@ -1481,8 +1506,8 @@ class TelegramCommandHandler {
             const userId = match[1];
             const email = match[2];
             
-            if (!this.authorization.isAdmin(adminId)) {
-                this.bot.sendMessage(chatId, '❌ Admin access required.');
+            if (!this.authorization.hasPermission(adminId, 'manage_users')) {
+                this.bot.sendMessage(chatId, this.denyMessage(adminId, 'manage_users'));
                 return;
             }
             
@@ -1490,22 +1515,25 @@ class TelegramCommandHandler {
             
             // Add email in Supabase (user_emails table)
             if (this.keywordDetector && this.keywordDetector.supabase && this.keywordDetector.supabase.isEnabled()) {
-                this.keywordDetector.supabase.addUserEmail(userId, email)
-                    .then(result => {
+                const supabase = this.keywordDetector.supabase;
+                supabase.getUserEmails(userId)
+                    .then(async emailsBefore => {
+                        const result = await supabase.addUserEmail(userId, email);
                         if (result.success) {
-                            this.bot.sendMessage(chatId, `✅ Email added for user ${userId}: ${email}`);
+                            this.audit(adminId, 'email.add', { target: userId, before: emailsBefore, after: [...(emailsBefore || []), email] });
+                            this.bot.sendMessage(chatId, this.t(adminId, 'setemail.added', { userId, email }));
                         } else if (result.error === 'duplicate') {
-                            this.bot.sendMessage(chatId, `❌ Email already exists for user ${userId}: ${email}`);
+                            this.bot.sendMessage(chatId, this.t(adminId, 'setemail.duplicate', { userId, email }));
                         } else {
-                            this.bot.sendMessage(chatId, `❌ Failed to add email for user ${userId}: ${result.message || 'Unknown error'}`);
+                            this.bot.sendMessage(chatId, this.t(adminId, 'setemail.addFailed', { userId, error: result.message || 'Unknown error' }));
                         }
                     })
                     .catch(err => {
                         console.error('Error adding email:', err);
-                        this.bot.sendMessage(chatId, `❌ Failed to add email: ${err.message}`);
+                        this.bot.sendMessage(chatId, this.t(adminId, 'setemail.addError', { error: err.message }));
                     });
             } else {
-                this.bot.sendMessage(chatId, '❌ Supabase not configured. Cannot update email.');
+                this.bot.sendMessage(chatId, this.t(adminId, 'setemail.unavailable'));
             }
         });
 
@@ -1516,63 +1544,112 @@ class TelegramCommandHandler {
             const userId = match[1];
             const email = match[2];
             
-            if (!this.authorization.isAdmin(adminId)) {
-                this.bot.sendMessage(chatId, '❌ Admin access required.');
+            if (!this.authorization.hasPermission(adminId, 'manage_users')) {
+                this.bot.sendMessage(chatId, this.denyMessage(adminId, 'manage_users'));
                 return;
             }
             
             console.log(`📧 Admin ${adminId} removing email for user ${userId}: ${email}`);
             
             if (this.keywordDetector && this.keywordDetector.supabase && this.keywordDetector.supabase.isEnabled()) {
-                this.keywordDetector.supabase.removeUserEmail(userId, email)
-                    .then(success => {
+                const supabase = this.keywordDetector.supabase;
+                supabase.getUserEmails(userId)
+                    .then(async emailsBefore => {
+                        const success = await supabase.removeUserEmail(userId, email);
                         if (success) {
-                            this.bot.sendMessage(chatId, `✅ Email removed for user ${userId}: ${email}`);
+                            this.audit(adminId, 'email.remove', { target: userId, before: emailsBefore, after: (emailsBefore || []).filter(address => address !== email) });
+                            this.bot.sendMessage(chatId, this.t(adminId, 'setemail.removed', { userId, email }));
                         } else {
-                            this.bot.sendMessage(chatId, `❌ Failed to remove email for user ${userId}`);
+                            this.bot.sendMessage(chatId, this.t(adminId, 'setemail.removeFailed', { userId }));
                         }
                     })
                     .catch(err => {
                         console.error('Error removing email:', err);
-                        this.bot.sendMessage(chatId, `❌ Failed to remove email: ${err.message}`);
+                        this.bot.sendMessage(chatId, this.t(adminId, 'setemail.removeError', { error: err.message }));
                     });
             } else {
-                this.bot.sendMessage(chatId, '❌ Supabase not configured. Cannot remove email.');
+                this.bot.sendMessage(chatId, this.t(adminId, 'setemail.unavailable'));
             }
         });
 
-        // Make admin command - Admin only
-        this.bot.onText(/\/makeadmin (.+)/, (msg, match) => {
+        // Make admin command - same as /setrole <user_id> admin
+        this.bot.onText(/\/makeadmin (.+)/, async (msg, match) => {
             const chatId = msg.chat.id;
             const adminId = msg.from.id;
-            const userId = match[1];
+            const userId = match[1].trim();
             
-            if (!this.authorization.isAdmin(adminId)) {
-                this.bot.sendMessage(chatId, '❌ Admin access required.');
+            if (!this.authorization.hasPermission(adminId, 'assign_roles')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(adminId, 'assign_roles'));
                 return;
             }
             
             console.log(`👑 Admin ${adminId} promoting user ${userId} to admin`);
-            
-            // Promote user to admin in Supabase
-            if (this.authorization.supabase && this.authorization.supabase.isEnabled()) {
-                this.authorization.supabase.promoteToAdmin(userId)
-                    .then(success => {
-                        if (success) {
-                            // Also update local authorization
-                            this.authorization.addAuthorizedUser(userId, adminId);
-                            this.authorization.addAdminUser(userId);
-                            this.bot.sendMessage(chatId, `✅ User ${userId} promoted to admin`);
-                        } else {
-                            this.bot.sendMessage(chatId, `❌ Failed to promote user ${userId}`);
-                        }
-                    })
-                    .catch(err => {
-                        console.error('Error promoting user to admin:', err);
-                        this.bot.sendMessage(chatId, `❌ Error: ${err.message}`);
-                    });
-            } else {
-                this.bot.sendMessage(chatId, '❌ Supabase not configured. Cannot promote admin.');
+            await this.changeRole(chatId, adminId, userId, 'admin');
+        });
+
+        // Set role command - /setrole <user_id> <role>
+        this.bot.onText(/\/setrole (\S+) (\S+)/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const adminId = msg.from.id;
+
+            if (!this.authorization.hasPermission(adminId, 'assign_roles')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(adminId, 'assign_roles'));
+                return;
+            }
+
+            await this.changeRole(chatId, adminId, match[1], match[2].toLowerCase());
+        });
+
+        // Roles command - your role and the permission matrix
+        this.bot.onText(/\/roles/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+
+            if (!this.authorization.isAuthorized(userId)) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'errors.notAuthorized'));
+                return;
+            }
+
+            const language = this.getLanguage(userId);
+            const role = this.authorization.getRole(userId);
+            let text = this.t(userId, 'roles.yours', { role: this.escapeHtml(Roles.describe(role, language)) }) + '\n\n';
+            text += this.t(userId, 'roles.title') + '\n';
+            text += Roles.ROLES.map(name => `• <code>${name}</code> - ${this.escapeHtml(Roles.describe(name, language))}`).join('\n');
+            if (this.authorization.hasPermission(userId, 'assign_roles')) {
+                text += '\n\n' + this.t(userId, 'roles.setHint');
+            }
+            await this.bot.sendMessage(chatId, text, { parse_mode: 'HTML' });
+        });
+
+        // Audit log command - /audit [user] [days], admin actions by or on a user (default: everyone, 7 days)
+        this.bot.onText(/\/audit(?:\s+(.+))?$/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+
+            if (!this.authorization.hasPermission(userId, 'view_audit_log')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'view_audit_log'));
+                return;
+            }
+
+            const auditLog = this.botInstance && this.botInstance.auditLog;
+            if (!auditLog) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'audit.unavailable'));
+                return;
+            }
+
+            const { user, days, error } = this.parseAuditArgs(match[1], userId);
+            if (error) {
+                await this.bot.sendMessage(chatId, `❌ ${this.escapeHtml(error)}\n\n${this.t(userId, 'audit.usage')}`, { parse_mode: 'HTML' });
+                return;
+            }
+
+            try {
+                const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+                const entries = await auditLog.getEntries({ user, since });
+                await this.bot.sendMessage(chatId, this.formatAuditEntries(entries, user, days, userId), { parse_mode: 'HTML' });
+            } catch (err) {
+                console.error('❌ Error in /audit command:', err);
+                await this.bot.sendMessage(chatId, this.t(userId, 'audit.failed'));
             }
         });
 
@@ -1588,26 +1665,20 @@ class TelegramCommandHandler {
                 return;
             }
             
-            if (!this.authorization.isAdmin(adminId)) {
-                this.bot.sendMessage(chatId, '❌ Admin access required.');
+            if (!this.authorization.hasPermission(adminId, 'manage_users')) {
+                this.bot.sendMessage(chatId, this.denyMessage(adminId, 'manage_users'));
                 return;
             }
             
             // Check if user exists
             if (!this.authorization.isAuthorized(userIdToRemove)) {
-                this.bot.sendMessage(chatId, `❌ User ${userIdToRemove} is not authorized or doesn't exist.`);
+                this.bot.sendMessage(chatId, this.t(adminId, 'users.notAuthorized', { userId: userIdToRemove }));
                 return;
             }
             
             // Prevent self-removal
             if (userIdToRemove === adminId.toString()) {
-                this.bot.sendMessage(chatId, 
-                    '❌ <b>Self-Removal Not Allowed</b>\n\n' +
-                    '⚠️ You cannot remove yourself from the system.\n' +
-                    '🔄 If you need to transfer admin privileges, promote another user first.\n' +
-                    '📱 Contact another admin if you need assistance.',
-                    { parse_mode: 'HTML' }
-                );
+                this.bot.sendMessage(chatId, this.t(adminId, 'remove.self'), { parse_mode: 'HTML' });
                 return;
             }
             
@@ -1616,14 +1687,7 @@ class TelegramCommandHandler {
             const isTargetAdmin = this.authorization.isAdmin(userIdToRemove);
             
             if (isTargetAdmin && adminUsers.length <= 1) {
-                this.bot.sendMessage(chatId, 
-                    '❌ <b>Cannot Remove Last Admin</b>\n\n' +
-                    '⚠️ Removing this admin would leave the system with no administrators.\n' +
-                    '👑 At least one admin must remain in the system.\n' +
-                    '🔄 Promote another user to admin first, then remove this user.\n' +
-                    '🛡️ Set TELEGRAM_FALLBACK_ADMIN in environment for emergency recovery.',
-                    { parse_mode: 'HTML' }
-                );
+                this.bot.sendMessage(chatId, this.t(adminId, 'remove.lastAdmin'), { parse_mode: 'HTML' });
                 return;
             }
             
@@ -1631,31 +1695,7 @@ class TelegramCommandHandler {
             const escapedUserName = this.escapeHtml(userName);
             
             // Create confirmation message with special warnings for admin removal
-            let confirmationMessage = '⚠️ <b>USER REMOVAL CONFIRMATION</b>\n\n';
-            
-            if (isTargetAdmin) {
-                confirmationMessage += '👑 <b>ADMIN REMOVAL WARNING</b>\n\n';
-                confirmationMessage += `🗑️ <b>Are you sure you want to remove ADMIN ${userIdToRemove} (${escapedUserName})?</b>\n\n`;
-                confirmationMessage += '⚠️ <b>This will permanently:</b>\n';
-                confirmationMessage += '• Remove admin from authorized users\n';
-                confirmationMessage += '• Remove ALL admin privileges\n';
-                confirmationMessage += '• Delete all personal keywords\n';
-                confirmationMessage += '• Remove all group subscriptions\n';
-                confirmationMessage += '• Delete user preferences\n';
-                confirmationMessage += '• Remove user name from records\n\n';
-                confirmationMessage += '🚨 <b>ADMIN PRIVILEGES WILL BE LOST FOREVER!</b>\n\n';
-            } else {
-                confirmationMessage += `🗑️ <b>Are you sure you want to remove user ${userIdToRemove} (${escapedUserName})?</b>\n\n`;
-                confirmationMessage += '⚠️ <b>This will permanently:</b>\n';
-                confirmationMessage += '• Remove user from authorized users\n';
-                confirmationMessage += '• Delete all personal keywords\n';
-                confirmationMessage += '• Remove all group subscriptions\n';
-                confirmationMessage += '• Delete user preferences\n';
-                confirmationMessage += '• Remove user name from records\n\n';
-            }
-            
-            confirmationMessage += '🔴 <b>Type "CONFIRM REMOVE" to proceed</b>\n';
-            confirmationMessage += '❌ <b>Type anything else to cancel</b>';
+            const confirmationMessage = this.t(adminId, isTargetAdmin ? 'remove.confirmAdmin' : 'remove.confirmUser', { userId: userIdToRemove, name: escapedUserName });
             
             // Show confirmation prompt
             this.bot.sendMessage(chatId, confirmationMessage, { parse_mode: 'HTML' });
@@ -1677,13 +1717,14 @@ class TelegramCommandHandler {
             const chatId = msg.chat.id;
             const adminId = msg.from.id;
             
-            if (!this.authorization.isAdmin(adminId)) {
-                this.bot.sendMessage(chatId, '❌ Admin access required.');
+            if (!this.authorization.hasPermission(adminId, 'manage_users')) {
+                this.bot.sendMessage(chatId, this.denyMessage(adminId, 'manage_users'));
                 return;
             }
             
             const pending = this.authorization.getPendingApprovals();
             let pendingText = '⏳ Pending Access Requests:\n\n';
+            const options = {};
             
             if (pending.length === 0) {
                 pendingText += 'No pending requests.';
@@ -1700,17 +1741,20 @@ class TelegramCommandHandler {
                     pendingText += `👋 Name: ${firstName}\n`;
                     pendingText += `📅 Requested: ${timeAgo}\n\n`;
                 });
-                pendingText += 'Use /approve <user_id> or /reject <user_id> to respond.';
+                pendingText += 'Tap a button below, or use /approve <user_id> or /reject <user_id> to respond.';
+                options.reply_markup = {
+                    inline_keyboard: pending.map(pendingInfo => InlineMenus.buildApprovalRow(pendingInfo.userId, pendingInfo.firstName || pendingInfo.userId))
+                };
             }
             
-            this.bot.sendMessage(chatId, pendingText);
+            this.bot.sendMessage(chatId, pendingText, options);
         });
 
         // Add keyword command - Admin only
         this.bot.onText(/\/addkeyword (.+)/, async (msg, match) => {
             const chatId = msg.chat.id;
             const userId = msg.from.id;
-            const keyword = match[1].trim();
+            const { keyword, options, error: optionsError } = this.parseKeywordOptions(match[1], userId);
 
             // Prevent duplicate commands
             if (this.isDuplicateCommand(userId, 'addkeyword')) {
@@ -1718,32 +1762,46 @@ class TelegramCommandHandler {
                 return;
             }
 
-            if (!this.authorization.isAdmin(userId)) {
-                await this.bot.sendMessage(chatId, '❌ Admin access required to add global keywords.');
+            if (!this.authorization.hasPermission(userId, 'manage_keywords')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_keywords'));
+                return;
+            }
+
+            if (optionsError) {
+                await this.bot.sendMessage(chatId, `❌ ${this.escapeHtml(optionsError)}`, { parse_mode: 'HTML' });
                 return;
             }
 
             if (keyword.length < 2) {
-                await this.bot.sendMessage(chatId, '❌ Keyword must be at least 2 characters long.');
+                await this.bot.sendMessage(chatId, `❌ ${this.t(userId, 'check.keywordShort')}`);
                 return;
             }
 
             if (!this.keywordDetector) {
-                await this.bot.sendMessage(chatId, '❌ Keyword detector is not initialized. Please restart the bot.');
+                await this.bot.sendMessage(chatId, this.t(userId, 'errors.detectorUnavailable'));
                 return;
             }
 
             const keywords = this.keywordDetector.getKeywords();
             if (keywords.includes(keyword)) {
                 const escapedKeyword = this.escapeHtml(keyword);
-                await this.bot.sendMessage(chatId, `❌ Keyword "${escapedKeyword}" already exists.`);
+                await this.bot.sendMessage(chatId, this.t(userId, 'keywords.exists', { keyword: escapedKeyword }));
+                return;
+            }
+
+            // Rules, regexes and wildcards must compile before they are saved
+            const entry = this.keywordDetector.normalizeKeywordEntry({ keyword, ...options });
+            const entryError = this.keywordDetector.validateKeywordEntry(entry, this.getLanguage(userId));
+            if (entryError) {
+                await this.bot.sendMessage(chatId, this.formatInvalidKeyword(entry, entryError, userId));
                 return;
             }
 
-            await this.keywordDetector.addKeyword(keyword, userId.toString());
+            await this.keywordDetector.addKeyword(keyword, userId.toString(), options);
+            this.audit(userId, 'keyword.add', { target: keyword, after: this.keywordDetector.serializeKeywordEntry(keyword) });
             const escapedKeyword = this.escapeHtml(keyword);
-            await this.bot.sendMessage(chatId, `✅ Added global keyword: "${escapedKeyword}"`);
-            console.log(`🔑 Admin ${userId} added keyword: ${keyword}`);
+            await this.bot.sendMessage(chatId, this.t(userId, 'keywords.added', { keyword: escapedKeyword }) + this.formatKeywordMode(entry, userId) + this.getBackfillHint(keyword, userId));
+            console.log(`🔑 Admin ${userId} added keyword: ${keyword} (${entry.matchType})`);
         });
 
         // Remove keyword command - Admin only
@@ -1758,26 +1816,28 @@ class TelegramCommandHandler {
                 return;
             }
 
-            if (!this.authorization.isAdmin(userId)) {
-                await this.bot.sendMessage(chatId, '❌ Admin access required to remove global keywords.');
+            if (!this.authorization.hasPermission(userId, 'manage_keywords')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_keywords'));
                 return;
             }
 
             if (!this.keywordDetector) {
-                await this.bot.sendMessage(chatId, '❌ Keyword detector is not initialized. Please restart the bot.');
+                await this.bot.sendMessage(chatId, this.t(userId, 'errors.detectorUnavailable'));
                 return;
             }
 
             const keywords = this.keywordDetector.getKeywords();
             if (!keywords.includes(keyword)) {
                 const escapedKeyword = this.escapeHtml(keyword);
-                await this.bot.sendMessage(chatId, `❌ Keyword "${escapedKeyword}" not found.`);
+                await this.bot.sendMessage(chatId, this.t(userId, 'keywords.notFound', { keyword: escapedKeyword }));
                 return;
             }
 
+            const entryBefore = this.keywordDetector.serializeKeywordEntry(keyword);
             await this.keywordDetector.removeKeyword(keyword);
+            this.audit(userId, 'keyword.remove', { target: keyword, before: entryBefore });
             const escapedKeyword = this.escapeHtml(keyword);
-            await this.bot.sendMessage(chatId, `✅ Removed global keyword: "${escapedKeyword}"`);
+            await this.bot.sendMessage(chatId, this.t(userId, 'keywords.removed', { keyword: escapedKeyword }));
             console.log(`🔑 Admin ${userId} removed keyword: ${keyword}`);
         });
 
@@ -1792,44 +1852,47 @@ class TelegramCommandHandler {
                 return;
             }
 
-            if (!this.authorization.isAuthorized(userId)) {
-                await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+            if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
                 return;
             }
 
             // Use keywordDetector's method which checks Supabase first
             const personalKeywords = await this.getPersonalKeywordsFromSupabase(userId);
-            let keywordsText = '🔑 <b>Your Personal Keywords:</b>\n\n';
+            let keywordsText = this.t(userId, 'mykeywords.title') + '\n\n';
             
             if (personalKeywords.length === 0) {
-                keywordsText += 'No personal keywords set.\n\n';
+                keywordsText += this.t(userId, 'mykeywords.none') + '\n\n';
             } else {
-                personalKeywords.forEach((keyword, index) => {
+                personalKeywords.forEach((entry, index) => {
                     // Escape HTML special characters to prevent parsing errors
-                    const escapedKeyword = keyword
+                    const escapedKeyword = this.getKeywordText(entry)
                         .replace(/&/g, '&amp;')
                         .replace(/</g, '&lt;')
                         .replace(/>/g, '&gt;')
                         .replace(/"/g, '&quot;')
                         .replace(/'/g, '&#39;');
-                    keywordsText += `${index + 1}. ${escapedKeyword}\n`;
+                    const mode = this.keywordDetector ? this.formatKeywordMode(entry, userId) : '';
+                    keywordsText += `${index + 1}. ${escapedKeyword}${mode}\n`;
                 });
                 keywordsText += '\n';
             }
             
-            keywordsText += '💡 <b>Personal Keyword Management:</b>\n';
-            keywordsText += '• /addmykeyword &lt;word&gt; - Add personal keyword\n';
-            keywordsText += '• /removemykeyword &lt;word&gt; - Remove personal keyword\n\n';
-            keywordsText += 'ℹ️ Personal keywords work alongside global keywords.';
+            keywordsText += this.t(userId, 'mykeywords.help');
 
-            await this.bot.sendMessage(chatId, keywordsText, { parse_mode: 'HTML' });
+            const options = { parse_mode: 'HTML' };
+            if (personalKeywords.length > 0) {
+                keywordsText += '\n' + this.t(userId, 'mykeywords.tapToRemove');
+                options.reply_markup = { inline_keyboard: InlineMenus.buildKeywordList('my', personalKeywords.map(entry => this.getKeywordText(entry))).keyboard };
+            }
+            await this.bot.sendMessage(chatId, keywordsText, options);
         });
 
         // Add personal keyword command
         this.bot.onText(/\/addmykeyword (.+)/, async (msg, match) => {
             const chatId = msg.chat.id;
             const userId = msg.from.id;
-            const keyword = match[1].trim();
+            const { keyword, options, error: optionsError } = this.parseKeywordOptions(match[1], userId);
 
             // Prevent duplicate commands
             if (this.isDuplicateCommand(userId, 'addmykeyword')) {
@@ -1837,27 +1900,42 @@ class TelegramCommandHandler {
                 return;
             }
 
-            if (!this.authorization.isAuthorized(userId)) {
-                await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+            if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
+                return;
+            }
+
+            if (optionsError) {
+                await this.bot.sendMessage(chatId, `❌ ${this.escapeHtml(optionsError)}`, { parse_mode: 'HTML' });
                 return;
             }
 
             if (keyword.length < 2) {
-                await this.bot.sendMessage(chatId, '❌ Keyword must be at least 2 characters long.');
+                await this.bot.sendMessage(chatId, `❌ ${this.t(userId, 'check.keywordShort')}`);
                 return;
             }
 
             // Use keywordDetector's method which checks Supabase first
             const personalKeywords = await this.getPersonalKeywordsFromSupabase(userId);
-            if (personalKeywords.includes(keyword)) {
+            if (personalKeywords.some(entry => this.getKeywordText(entry) === keyword)) {
                 const escapedKeyword = this.escapeHtml(keyword);
-                await this.bot.sendMessage(chatId, `❌ Personal keyword "${escapedKeyword}" already exists.`);
+                await this.bot.sendMessage(chatId, this.t(userId, 'mykeywords.exists', { keyword: escapedKeyword }));
                 return;
             }
 
-            await this.addPersonalKeyword(userId, keyword);
+            let entry = null;
+            if (this.keywordDetector) {
+                entry = this.keywordDetector.normalizeKeywordEntry({ keyword, ...options });
+                const entryError = this.keywordDetector.validateKeywordEntry(entry, this.getLanguage(userId));
+                if (entryError) {
+                    await this.bot.sendMessage(chatId, this.formatInvalidKeyword(entry, entryError, userId));
+                    return;
+                }
+            }
+
+            await this.addPersonalKeyword(userId, keyword, options);
             const escapedKeyword = this.escapeHtml(keyword);
-            await this.bot.sendMessage(chatId, `✅ Added personal keyword: "${escapedKeyword}"`);
+            await this.bot.sendMessage(chatId, this.t(userId, 'mykeywords.added', { keyword: escapedKeyword }) + (entry ? this.formatKeywordMode(entry, userId) : '') + this.getBackfillHint(keyword, userId));
             console.log(`🔑 User ${userId} added personal keyword: ${keyword}`);
         });
 
@@ -1873,950 +1951,3449 @@ class TelegramCommandHandler {
                 return;
             }
 
-            if (!this.authorization.isAuthorized(userId)) {
-                await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+            if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
                 return;
             }
 
             // Use keywordDetector's method which checks Supabase first
             const personalKeywords = await this.getPersonalKeywordsFromSupabase(userId);
-            if (!personalKeywords.includes(keyword)) {
+            if (!personalKeywords.some(entry => this.getKeywordText(entry) === keyword)) {
                 const escapedKeyword = this.escapeHtml(keyword);
-                await this.bot.sendMessage(chatId, `❌ Personal keyword "${escapedKeyword}" not found.`);
+                await this.bot.sendMessage(chatId, this.t(userId, 'mykeywords.notFound', { keyword: escapedKeyword }));
                 return;
             }
 
             await this.removePersonalKeyword(userId, keyword);
             const escapedKeyword = this.escapeHtml(keyword);
-            await this.bot.sendMessage(chatId, `✅ Removed personal keyword: "${escapedKeyword}"`);
+            await this.bot.sendMessage(chatId, this.t(userId, 'mykeywords.removed', { keyword: escapedKeyword }));
             console.log(`🔑 User ${userId} removed personal keyword: ${keyword}`);
         });
 
-        // Restart command - Admin only with confirmation
-        this.bot.onText(/\/restart/, (msg) => {
+        // Set priority command - Admin only, for global keywords
+        this.bot.onText(/\/setpriority (.+)/, async (msg, match) => {
             const chatId = msg.chat.id;
             const userId = msg.from.id;
-            
+            const { priority, keyword } = this.parsePriorityArgs(match[1]);
+
             // Prevent duplicate commands
-            if (this.isDuplicateCommand(userId, 'restart')) {
-                console.log('🚫 Duplicate /restart command ignored from:', msg.from.username || msg.from.first_name);
+            if (this.isDuplicateCommand(userId, 'setpriority')) {
+                console.log('🚫 Duplicate /setpriority command ignored from:', msg.from.username || msg.from.first_name);
                 return;
             }
-            
-            if (!this.authorization.isAdmin(userId)) {
-                this.bot.sendMessage(chatId, '❌ Admin access required to restart the bot.');
+
+            if (!this.authorization.hasPermission(userId, 'manage_keywords')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_keywords'));
                 return;
             }
-            
-            console.log('📨 Received /restart from:', msg.from.username || msg.from.first_name);
-            
-            // Alert confirmation prompt
-            this.bot.sendMessage(chatId, 
-                '⚠️ <b>RESTART CONFIRMATION REQUIRED</b>\n\n' +
-                '🔄 <b>Are you sure you want to restart the bot?</b>\n\n' +
-                '⚠️ <b>This will:</b>\n' +
-                '• Restart the bot process\n' +
-                '• Require WhatsApp QR code to be scanned again\n' +
-                '• Temporarily stop all monitoring\n' +
-                '• Take 10-30 seconds to reconnect\n\n' +
-                '✅ <b>What will be preserved:</b>\n' +
-                '• All user authorizations\n' +
-                '• Group subscriptions\n' +
-                '• Global keywords\n' +
-                '• Personal keywords\n' +
-                '• Bot configurations\n\n' +
-                '🔴 <b>Type "RESTART" to confirm and proceed</b>\n' +
-                '❌ <b>Type anything else to cancel</b>',
-                { parse_mode: 'HTML' }
-            );
-            
-            // Store pending restart confirmation
-            this.pendingRestartConfirmations = this.pendingRestartConfirmations || new Map();
-            this.pendingRestartConfirmations.set(userId, {
-                chatId: chatId,
-                timestamp: Date.now()
-            });
-            
-            console.log(`🔄 Admin ${userId} requested restart confirmation`);
-        });
 
+            if (!priority || !keyword) {
+                await this.bot.sendMessage(chatId, this.getPriorityUsage('/setpriority', userId), { parse_mode: 'HTML' });
+                return;
+            }
 
+            if (!this.keywordDetector) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'errors.detectorUnavailable'));
+                return;
+            }
 
-        // Handle polling errors
-        this.bot.on('polling_error', (error) => {
-            // Suppress 401 Unauthorized errors to reduce spam
-            if (error.message.includes('401 Unauthorized')) {
-                // Only log once every 10 minutes to avoid spam
-                if (!this.last401Error || Date.now() - this.last401Error > 600000) {
-                    console.log('⚠️ Telegram polling: 401 Unauthorized (suppressing repeated messages)');
-                    this.last401Error = Date.now();
-                }
-            } else if (error.message.includes('409 Conflict')) {
-                // CRITICAL: Multiple bot instances running
-                console.error('\n🚨 =============================================');
-                console.error('🚨 CRITICAL: TELEGRAM 409 CONFLICT DETECTED');
-                console.error('🚨 =============================================');
-                console.error('❌ Error: Another bot instance is polling Telegram!');
-                console.error('');
-                console.error('🔍 This means:');
-                console.error('  1. Bot is running LOCALLY on your computer');
-                console.error('  2. AND also running on Render (or another server)');
-                console.error('  3. Both are trying to poll Telegram with the same bot token');
-                console.error('');
-                console.error('✅ SOLUTION:');
-                console.error('  1. Stop the bot running locally (press Ctrl+C)');
-                console.error('  2. OR stop the Render deployment temporarily');
-                console.error('  3. Only ONE instance should run at a time');
-                console.error('');
-                console.error('💡 To find if bot is running locally:');
-                console.error('  - Windows: Task Manager → node.exe');
-                console.error('  - Or check: npm start is NOT running in any terminal');
-                console.error('=============================================\n');
-            } else {
-                console.error('❌ Polling error:', error.message);
+            const escapedKeyword = this.escapeHtml(keyword);
+            if (!(await this.keywordDetector.setKeywordPriority(keyword, priority))) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'keywords.notFound', { keyword: escapedKeyword }));
+                return;
             }
+
+            await this.bot.sendMessage(chatId, this.t(userId, 'priority.setGlobal', { keyword: escapedKeyword, priority: KeywordPriority.describe(priority) }));
+            logBotEvent('keyword_priority_changed', { userId, keyword, priority, personal: false });
+            console.log(`🔑 Admin ${userId} set priority of keyword "${keyword}" to ${priority}`);
         });
 
-        // /reminders command - show active reminders
-        this.bot.onText(/\/reminders/, async (msg) => {
+        // Set personal keyword priority command
+        this.bot.onText(/\/setmypriority (.+)/, async (msg, match) => {
             const chatId = msg.chat.id;
             const userId = msg.from.id;
-            
-            console.log(`📨 Received /reminders from user ${userId} (chatId: ${chatId})`);
-            
-            try {
-                if (!this.authorization.isAuthorized(userId)) {
-                    await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
-                    return;
-                }
+            const { priority, keyword } = this.parsePriorityArgs(match[1]);
 
-                if (this.isDuplicateCommand(userId, 'reminders')) {
-                    console.log(`⚠️ Duplicate /reminders command from user ${userId} - ignoring`);
-                    return;
-                }
+            // Prevent duplicate commands
+            if (this.isDuplicateCommand(userId, 'setmypriority')) {
+                console.log('🚫 Duplicate /setmypriority command ignored from:', msg.from.username || msg.from.first_name);
+                return;
+            }
 
-                const reminderManager = this.getReminderManager();
-                if (!reminderManager) {
-                    console.error(`❌ ReminderManager is null for user ${userId}`);
-                    await this.bot.sendMessage(chatId, '❌ Reminder system is not available. Please contact an administrator.');
-                    return;
-                }
+            if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
+                return;
+            }
 
-                try {
-                    const reminder = reminderManager.getReminders(userId);
-                    if (reminder) {
-                        const timeElapsed = this.calculateTimeElapsed(reminder.firstDetectedAt);
-                        const response = `⏰ Active Reminder\n\n` +
-                            `Keyword: ${reminder.keyword}\n` +
-                            `From: ${reminder.sender}\n` +
-                            `Group: ${reminder.group}\n` +
-                            `Detected: ${timeElapsed}\n` +
-                            `Reminders sent: ${reminder.reminderCount}/4\n\n` +
-                            `Message:\n"${reminder.message.substring(0, 100)}${reminder.message.length > 100 ? '...' : ''}"\n\n` +
-                            `Reply /ok to acknowledge and stop.`;
-                        await this.bot.sendMessage(chatId, response);
-                        console.log(`✅ Successfully sent reminder info to user ${userId}`);
-                    } else {
-                        await this.bot.sendMessage(chatId, 'ℹ️ No active reminders.');
-                    }
-                } catch (error) {
-                    console.error(`❌ Error getting reminders for user ${userId}:`, error.message);
-                    console.error('Stack trace:', error.stack);
-                    await this.bot.sendMessage(chatId, '❌ Error retrieving reminder information. Check bot logs.');
-                }
-            } catch (error) {
-                console.error(`❌ Unexpected error in /reminders command handler for user ${userId}:`, error.message);
-                console.error('Stack trace:', error.stack);
-                try {
-                    await this.bot.sendMessage(chatId, '❌ An unexpected error occurred. Please try again or contact an administrator.');
-                } catch (sendError) {
-                    console.error(`❌ Failed to send error message to user ${userId}:`, sendError.message);
-                }
+            if (!priority || !keyword) {
+                await this.bot.sendMessage(chatId, this.getPriorityUsage('/setmypriority', userId), { parse_mode: 'HTML' });
+                return;
             }
-        });
 
-        // Admin: reset all reminders
-        this.bot.onText(/\/resetall/, async (msg) => {
+            const escapedKeyword = this.escapeHtml(keyword);
+            if (!(await this.updatePersonalKeywordOption(userId, keyword, 'priority', priority === 'normal' ? null : priority))) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'mykeywords.notFound', { keyword: escapedKeyword }));
+                return;
+            }
+
+            await this.bot.sendMessage(chatId, this.t(userId, 'priority.setPersonal', { keyword: escapedKeyword, priority: KeywordPriority.describe(priority) }));
+            logBotEvent('keyword_priority_changed', { userId, keyword, priority, personal: true });
+            console.log(`🔑 User ${userId} set priority of personal keyword "${keyword}" to ${priority}`);
+        });
+
+        // Escalation policies command - List named reminder schedules
+        this.bot.onText(/\/policies/, async (msg) => {
             const chatId = msg.chat.id;
             const userId = msg.from.id;
 
-            if (!this.authorization.isAdmin(userId)) {
-                await this.bot.sendMessage(chatId, '❌ Admin access required.');
+            // Prevent duplicate commands
+            if (this.isDuplicateCommand(userId, 'policies')) {
+                console.log('🚫 Duplicate /policies command ignored from:', msg.from.username || msg.from.first_name);
                 return;
             }
 
-            try {
-                const reminderManager = this.getReminderManager();
-                if (!reminderManager) {
-                    await this.bot.sendMessage(chatId, '❌ Reminder system is not available.');
-                    return;
-                }
-                await reminderManager.resetAllReminders();
-                await this.bot.sendMessage(chatId, '🗑️ All reminders have been reset and storage cleared.');
-            } catch (error) {
-                console.error(`❌ Error in /resetall command:`, error);
-                await this.bot.sendMessage(chatId, '❌ Failed to reset reminders. Check logs.');
+            if (!this.authorization.hasPermission(userId, 'view_stats')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'view_stats'));
+                return;
+            }
+
+            const reminderManager = this.getReminderManager();
+            if (!reminderManager) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'errors.reminderUnavailable'));
+                return;
+            }
+
+            const escalationPolicies = reminderManager.escalationPolicies;
+            let text = this.t(userId, 'policies.title') + '\n\n';
+            text += this.t(userId, 'policies.default') + '\n';
+            for (const policy of escalationPolicies.getPolicies()) {
+                text += `• <b>${this.escapeHtml(policy.name)}</b> - ${this.escapeHtml(escalationPolicies.describePolicy(policy, this.getLanguage(userId)))}\n`;
+            }
+            text += '\n' + this.t(userId, 'policies.hint');
+            if (this.authorization.hasPermission(userId, 'manage_keywords')) {
+                text += '\n' + this.t(userId, 'policies.adminHint');
             }
+
+            await this.bot.sendMessage(chatId, text, { parse_mode: 'HTML' });
         });
 
-        // Admin: anti-ban status
-        this.bot.onText(/\/antiban/, async (msg) => {
+        // Add escalation policy command - Admin only
+        this.bot.onText(/\/addpolicy(?:\s+(.+))?/, async (msg, match) => {
             const chatId = msg.chat.id;
             const userId = msg.from.id;
 
-            if (!this.authorization.isAdmin(userId)) {
-                await this.bot.sendMessage(chatId, '❌ Admin access required.');
+            // Prevent duplicate commands
+            if (this.isDuplicateCommand(userId, 'addpolicy')) {
+                console.log('🚫 Duplicate /addpolicy command ignored from:', msg.from.username || msg.from.first_name);
                 return;
             }
 
-            try {
-                const WhatsAppAntiBan = require('./anti-ban');
-                const antiBan = new WhatsAppAntiBan();
-                const checklist = antiBan.getSafetyChecklist();
-                const nonActive = antiBan.isNonActiveHours();
+            if (!this.authorization.hasPermission(userId, 'manage_keywords')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_keywords'));
+                return;
+            }
 
-                let text = '🛡️ <b>Anti-Ban Status</b>\n\n';
-                text += '📋 <b>Safety Checklist</b>\n';
-                text += `• Dedicated phone: ${checklist.phoneNumber.dedicated ? '✅' : '❌'}\n`;
-                text += `• Virtual number: ${checklist.phoneNumber.virtual ? '✅' : '❌'}\n`;
-                text += `• Not personal: ${checklist.phoneNumber.notPersonal ? '✅' : '❌'}\n`;
-                text += `• Verified: ${checklist.phoneNumber.verified ? '✅' : '❌'}\n\n`;
-                text += `• No spam: ${checklist.behavior.noSpam ? '✅' : '❌'}\n`;
-                text += `• Human-like delays: ${checklist.behavior.humanLikeDelays ? '✅' : '❌'}\n`;
-                text += `• Rate limited: ${checklist.behavior.rateLimited ? '✅' : '❌'}\n`;
-                text += `• No automated replies: ${checklist.behavior.noAutomatedReplies ? '✅' : '❌'}\n\n`;
-                text += `• Read-only monitoring: ${checklist.monitoring.readOnly ? '✅' : '❌'}\n`;
-                text += `• No message sending: ${checklist.monitoring.noMessageSending ? '✅' : '❌'}\n\n`;
-                text += '⏱️ <b>Non-Active Hours</b>\n';
-                if (nonActive.isActive) {
-                    text += '• Status: Active hours\n';
-                } else {
-                    const escapedScheduleName = this.escapeHtml(nonActive.schedule.name);
-                    const escapedBehavior = this.escapeHtml(nonActive.behavior.toUpperCase());
-                    text += `• Status: Sleeping (${escapedScheduleName})\n`;
-                    text += `• Behavior: ${escapedBehavior}\n`;
-                }
+            const reminderManager = this.getReminderManager();
+            if (!reminderManager) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'errors.reminderUnavailable'));
+                return;
+            }
 
-                await this.bot.sendMessage(chatId, text, { parse_mode: 'HTML' });
-            } catch (error) {
-                await this.bot.sendMessage(chatId, '❌ Failed to load anti-ban status.');
+            if (!match[1]) {
+                await this.startConversation(msg, 'addpolicy');
+                return;
             }
-        });
 
-        // ============================================
-        // ERROR HANDLERS FOR MALFORMED COMMANDS
-        // ============================================
+            const { policy: raw, error: argsError } = this.parsePolicyArgs(match[1], userId);
+            if (argsError) {
+                const prefix = argsError === 'usage' ? '' : `❌ ${this.escapeHtml(argsError)}\n\n`;
+                await this.bot.sendMessage(chatId, prefix + this.getPolicyUsage(userId), { parse_mode: 'HTML' });
+                return;
+            }
 
-        // Handle commands with missing required parameters
-        // /addkeyword without parameter
-        this.bot.onText(/^\/addkeyword$/, async (msg) => {
-            const chatId = msg.chat.id;
-            const userId = msg.from.id;
-            if (!this.authorization.isAdmin(userId)) {
-                await this.bot.sendMessage(chatId, '❌ Admin access required to add global keywords.');
+            const escalationPolicies = reminderManager.escalationPolicies;
+            const existed = Boolean(escalationPolicies.getPolicy(raw.name));
+            const { policy, error } = await escalationPolicies.setPolicy(raw, userId.toString());
+            if (error) {
+                await this.bot.sendMessage(chatId, `❌ ${this.escapeHtml(error)}`, { parse_mode: 'HTML' });
                 return;
             }
-            await this.bot.sendMessage(chatId, '❌ <b>Error: Missing parameter</b>\n\n' +
-                'Usage: <code>/addkeyword &lt;word&gt;</code>\n\n' +
-                'Example: <code>/addkeyword urgent</code>', { parse_mode: 'HTML' });
+
+            await this.bot.sendMessage(chatId,
+                this.t(userId, existed ? 'policies.updated' : 'policies.added', {
+                    name: this.escapeHtml(policy.name),
+                    schedule: this.escapeHtml(escalationPolicies.describePolicy(policy, this.getLanguage(userId)))
+                }),
+                { parse_mode: 'HTML' });
+            logBotEvent('escalation_policy_saved', { userId, policy: policy.name, updated: existed });
+            console.log(`📋 Admin ${userId} ${existed ? 'updated' : 'added'} escalation policy: ${policy.name}`);
         });
 
-        // /removekeyword without parameter
-        this.bot.onText(/^\/removekeyword$/, async (msg) => {
+        // Remove escalation policy command - Admin only
+        this.bot.onText(/\/removepolicy (.+)/, async (msg, match) => {
             const chatId = msg.chat.id;
             const userId = msg.from.id;
-            if (!this.authorization.isAdmin(userId)) {
-                await this.bot.sendMessage(chatId, '❌ Admin access required to remove global keywords.');
+            const name = match[1].trim().toLowerCase();
+
+            // Prevent duplicate commands
+            if (this.isDuplicateCommand(userId, 'removepolicy')) {
+                console.log('🚫 Duplicate /removepolicy command ignored from:', msg.from.username || msg.from.first_name);
                 return;
             }
-            await this.bot.sendMessage(chatId, '❌ <b>Error: Missing parameter</b>\n\n' +
-                'Usage: <code>/removekeyword &lt;word&gt;</code>\n\n' +
-                'Example: <code>/removekeyword urgent</code>', { parse_mode: 'HTML' });
-        });
 
-        // /addmykeyword without parameter
-        this.bot.onText(/^\/addmykeyword$/, async (msg) => {
-            const chatId = msg.chat.id;
-            const userId = msg.from.id;
-            if (!this.authorization.isAuthorized(userId)) {
-                await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+            if (!this.authorization.hasPermission(userId, 'manage_keywords')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_keywords'));
                 return;
             }
-            await this.bot.sendMessage(chatId, '❌ <b>Error: Missing parameter</b>\n\n' +
-                'Usage: <code>/addmykeyword &lt;word&gt;</code>\n\n' +
-                'Example: <code>/addmykeyword test</code>', { parse_mode: 'HTML' });
-        });
 
-        // /removemykeyword without parameter
-        this.bot.onText(/^\/removemykeyword$/, async (msg) => {
-            const chatId = msg.chat.id;
-            const userId = msg.from.id;
-            if (!this.authorization.isAuthorized(userId)) {
-                await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+            const reminderManager = this.getReminderManager();
+            if (!reminderManager || !(await reminderManager.escalationPolicies.removePolicy(name))) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'policies.notFound', { name: this.escapeHtml(name) }));
                 return;
             }
-            await this.bot.sendMessage(chatId, '❌ <b>Error: Missing parameter</b>\n\n' +
-                'Usage: <code>/removemykeyword &lt;word&gt;</code>\n\n' +
-                'Example: <code>/removemykeyword test</code>', { parse_mode: 'HTML' });
+
+            await this.bot.sendMessage(chatId, this.t(userId, 'policies.removed', { name: this.escapeHtml(name) }));
+            logBotEvent('escalation_policy_removed', { userId, policy: name });
+            console.log(`📋 Admin ${userId} removed escalation policy: ${name}`);
         });
 
-        // /approve without parameter
-        this.bot.onText(/^\/approve$/, async (msg) => {
+        // Set policy command - Admin only, for global keywords
+        this.bot.onText(/\/setpolicy (.+)/, async (msg, match) => {
             const chatId = msg.chat.id;
             const userId = msg.from.id;
-            if (!this.authorization.isAdmin(userId)) {
-                await this.bot.sendMessage(chatId, '❌ Admin access required.');
+            const [name, ...rest] = match[1].trim().split(/\s+/);
+            const keyword = rest.join(' ');
+
+            // Prevent duplicate commands
+            if (this.isDuplicateCommand(userId, 'setpolicy')) {
+                console.log('🚫 Duplicate /setpolicy command ignored from:', msg.from.username || msg.from.first_name);
                 return;
             }
-            await this.bot.sendMessage(chatId, '❌ <b>Error: Missing parameter</b>\n\n' +
-                'Usage: <code>/approve &lt;user_id&gt;</code>\n\n' +
-                'Use <code>/pending</code> to see pending requests.', { parse_mode: 'HTML' });
-        });
 
-        // /reject without parameter
-        this.bot.onText(/^\/reject$/, async (msg) => {
-            const chatId = msg.chat.id;
-            const userId = msg.from.id;
-            if (!this.authorization.isAdmin(userId)) {
-                await this.bot.sendMessage(chatId, '❌ Admin access required.');
+            if (!this.authorization.hasPermission(userId, 'manage_keywords')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_keywords'));
                 return;
             }
-            await this.bot.sendMessage(chatId, '❌ <b>Error: Missing parameter</b>\n\n' +
-                'Usage: <code>/reject &lt;user_id&gt;</code>\n\n' +
-                'Use <code>/pending</code> to see pending requests.', { parse_mode: 'HTML' });
-        });
 
-        // /remove without parameter
-        this.bot.onText(/^\/remove$/, async (msg) => {
-            const chatId = msg.chat.id;
-            const userId = msg.from.id;
-            if (!this.authorization.isAdmin(userId)) {
-                await this.bot.sendMessage(chatId, '❌ Admin access required.');
+            if (!keyword) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'policies.setUsage', { command: '/setpolicy' }), { parse_mode: 'HTML' });
                 return;
             }
-            await this.bot.sendMessage(chatId, '❌ <b>Error: Missing parameter</b>\n\n' +
-                'Usage: <code>/remove &lt;user_id&gt;</code>\n\n' +
-                'Example: <code>/remove 123456789</code>', { parse_mode: 'HTML' });
-        });
 
-        // /makeadmin without parameter
-        this.bot.onText(/^\/makeadmin$/, async (msg) => {
-            const chatId = msg.chat.id;
-            const userId = msg.from.id;
-            if (!this.authorization.isAdmin(userId)) {
-                await this.bot.sendMessage(chatId, '❌ Admin access required.');
+            const policyError = this.validatePolicyName(name, userId);
+            if (policyError) {
+                await this.bot.sendMessage(chatId, `❌ ${this.escapeHtml(policyError)}`, { parse_mode: 'HTML' });
                 return;
             }
-            await this.bot.sendMessage(chatId, '❌ <b>Error: Missing parameter</b>\n\n' +
-                'Usage: <code>/makeadmin &lt;user_id&gt;</code>\n\n' +
-                'Example: <code>/makeadmin 123456789</code>', { parse_mode: 'HTML' });
-        });
 
-        // /setemail without parameter
-        this.bot.onText(/^\/setemail$/, async (msg) => {
-            const chatId = msg.chat.id;
-            const userId = msg.from.id;
-            if (!this.authorization.isAdmin(userId)) {
-                await this.bot.sendMessage(chatId, '❌ Admin access required.');
+            if (!this.keywordDetector) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'errors.detectorUnavailable'));
                 return;
             }
-            await this.bot.sendMessage(chatId, '❌ <b>Error: Missing parameters</b>\n\n' +
-                'Usage: <code>/setemail &lt;user_id&gt; &lt;email&gt;</code>\n\n' +
-                'Example: <code>/setemail 123456789 user@example.com</code>', { parse_mode: 'HTML' });
-        });
 
-        // /removeemail without parameter
-        this.bot.onText(/^\/removeemail$/, async (msg) => {
-            const chatId = msg.chat.id;
-            const userId = msg.from.id;
-            if (!this.authorization.isAdmin(userId)) {
-                await this.bot.sendMessage(chatId, '❌ Admin access required.');
+            const policy = name.toLowerCase() === 'default' ? null : name.toLowerCase();
+            const escapedKeyword = this.escapeHtml(keyword);
+            if (!(await this.keywordDetector.setKeywordPolicy(keyword, policy))) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'keywords.notFound', { keyword: escapedKeyword }));
                 return;
             }
-            await this.bot.sendMessage(chatId, '❌ <b>Error: Missing parameters</b>\n\n' +
-                'Usage: <code>/removeemail &lt;user_id&gt; &lt;email&gt;</code>\n\n' +
-                'Example: <code>/removeemail 123456789 user@example.com</code>', { parse_mode: 'HTML' });
+
+            await this.bot.sendMessage(chatId, policy
+                ? this.t(userId, 'policies.setGlobal', { keyword: escapedKeyword, policy: this.escapeHtml(policy) })
+                : this.t(userId, 'policies.setGlobalDefault', { keyword: escapedKeyword }));
+            logBotEvent('keyword_policy_changed', { userId, keyword, policy, personal: false });
+            console.log(`🔑 Admin ${userId} set escalation policy of keyword "${keyword}" to ${policy || 'default'}`);
         });
 
-        // /subscribe without parameter
-        this.bot.onText(/^\/subscribe$/, async (msg) => {
+        // Set personal keyword policy command
+        this.bot.onText(/\/setmypolicy (.+)/, async (msg, match) => {
             const chatId = msg.chat.id;
             const userId = msg.from.id;
-            if (!this.authorization.isAuthorized(userId)) {
-                await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+            const [name, ...rest] = match[1].trim().split(/\s+/);
+            const keyword = rest.join(' ');
+
+            // Prevent duplicate commands
+            if (this.isDuplicateCommand(userId, 'setmypolicy')) {
+                console.log('🚫 Duplicate /setmypolicy command ignored from:', msg.from.username || msg.from.first_name);
+                return;
+            }
+
+            if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
+                return;
+            }
+
+            if (!keyword) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'policies.setUsage', { command: '/setmypolicy' }), { parse_mode: 'HTML' });
+                return;
+            }
+
+            const policyError = this.validatePolicyName(name, userId);
+            if (policyError) {
+                await this.bot.sendMessage(chatId, `❌ ${this.escapeHtml(policyError)}`, { parse_mode: 'HTML' });
+                return;
+            }
+
+            const policy = name.toLowerCase() === 'default' ? null : name.toLowerCase();
+            const escapedKeyword = this.escapeHtml(keyword);
+            if (!(await this.updatePersonalKeywordOption(userId, keyword, 'policy', policy))) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'mykeywords.notFound', { keyword: escapedKeyword }));
                 return;
             }
-            await this.bot.sendMessage(chatId, '❌ <b>Error: Missing parameter</b>\n\n' +
-                'Usage: <code>/subscribe &lt;group_name&gt;</code>\n\n' +
-                'Use <code>/allgroups</code> to see available groups.', { parse_mode: 'HTML' });
+
+            await this.bot.sendMessage(chatId, policy
+                ? this.t(userId, 'policies.setPersonal', { keyword: escapedKeyword, policy: this.escapeHtml(policy) })
+                : this.t(userId, 'policies.setPersonalDefault', { keyword: escapedKeyword }));
+            logBotEvent('keyword_policy_changed', { userId, keyword, policy, personal: true });
+            console.log(`🔑 User ${userId} set escalation policy of personal keyword "${keyword}" to ${policy || 'default'}`);
         });
 
-        // /unsubscribe without parameter
-        this.bot.onText(/^\/unsubscribe$/, async (msg) => {
+        // Test match command - Dry-run the detector and explain why each keyword did or didn't match
+        this.bot.onText(/\/testmatch ([\s\S]+)/, async (msg, match) => {
             const chatId = msg.chat.id;
             const userId = msg.from.id;
-            if (!this.authorization.isAuthorized(userId)) {
-                await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+
+            // Prevent duplicate commands
+            if (this.isDuplicateCommand(userId, 'testmatch')) {
+                console.log('🚫 Duplicate /testmatch command ignored from:', msg.from.username || msg.from.first_name);
                 return;
             }
-            await this.bot.sendMessage(chatId, '❌ <b>Error: Missing parameter</b>\n\n' +
-                'Usage: <code>/unsubscribe &lt;group_name&gt;</code>\n\n' +
-                'Use <code>/mygroups</code> to see your subscribed groups.', { parse_mode: 'HTML' });
+
+            if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
+                return;
+            }
+
+            if (!this.keywordDetector) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'errors.detectorUnavailable'));
+                return;
+            }
+
+            // Optional leading @group / @"Group name" to test group-scoped keywords
+            const scoped = /^@(?:"([^"]*)"|(\S+))\s+([\s\S]+)$/.exec(match[1].trim());
+            const groupName = scoped ? this.resolveGroupName((scoped[1] !== undefined ? scoped[1] : scoped[2]).trim()) : null;
+            const text = scoped ? scoped[3] : match[1].trim();
+
+            try {
+                const trace = await this.keywordDetector.explainDetection(text, { groupName, userId: userId.toString() });
+                await this.bot.sendMessage(chatId, this.formatMatchTrace(trace, userId), { parse_mode: 'HTML' });
+                console.log(`🧪 User ${userId} tested match: ${trace.matches.length} match(es)`);
+            } catch (error) {
+                console.error('Error running /testmatch:', error.message);
+                await this.bot.sendMessage(chatId, this.t(userId, 'testmatch.failed', { error: this.escapeHtml(error.message) }));
+            }
         });
 
-        // /timezone without parameter
-        this.bot.onText(/^\/timezone$/, async (msg) => {
+        // Search command - search archived messages with the keyword normalizer (fuzzy, Hebrew/Russian, rules)
+        this.bot.onText(/\/search ([\s\S]+)/, async (msg, match) => {
             const chatId = msg.chat.id;
             const userId = msg.from.id;
-            if (!this.authorization.isAuthorized(userId)) {
-                await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+
+            // Prevent duplicate commands
+            if (this.isDuplicateCommand(userId, 'search')) {
+                console.log('🚫 Duplicate /search command ignored from:', msg.from.username || msg.from.first_name);
                 return;
             }
-            await this.bot.sendMessage(chatId, '❌ <b>Error: Missing parameter</b>\n\n' +
-                'Usage: <code>/timezone &lt;tz&gt;</code>\n\n' +
-                'Example: <code>/timezone America/New_York</code>\n\n' +
-                'Or use shortcuts: /israel, /usa, /uk, /japan', { parse_mode: 'HTML' });
+
+            if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
+                return;
+            }
+
+            const messageHistory = this.botInstance && this.botInstance.messageHistory;
+            if (!messageHistory || !messageHistory.isEnabled() || !this.keywordDetector) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'history.disabled', { command: '/search' }), { parse_mode: 'HTML' });
+                return;
+            }
+
+            const { query, groupName, since, error: queryError } = this.parseSearchQuery(match[1], userId);
+            const ruleError = queryError ? null : this.keywordDetector.validateQuery(query, this.getLanguage(userId));
+            if (queryError || ruleError) {
+                await this.bot.sendMessage(chatId, `❌ ${this.escapeHtml(queryError || this.t(userId, 'search.invalidRule', { error: ruleError }))}`, { parse_mode: 'HTML' });
+                return;
+            }
+
+            try {
+                const search = await messageHistory.search(query, this.keywordDetector, { groupName, since });
+                const timezone = await this.getUserTimezone(chatId);
+                await this.bot.sendMessage(chatId, this.formatSearchResults(query, search, { groupName, since, timezone, userId }), { parse_mode: 'HTML' });
+                console.log(`🔎 User ${userId} searched "${query}": ${search.matched} match(es) in ${search.scanned} messages`);
+            } catch (error) {
+                console.error('Error running /search:', error.message);
+                await this.bot.sendMessage(chatId, this.t(userId, 'search.failed', { error: this.escapeHtml(error.message) }));
+            }
         });
 
-        // Catch-all handler for unrecognized commands (typos, unknown commands)
-        // This MUST be last to catch anything that doesn't match above patterns
-        this.bot.onText(/^\/(.+)$/, async (msg, match) => {
+        // Backfill command - run one of your keywords (or a global one) against archived messages, digest only
+        this.bot.onText(/\/backfill (.+)/, async (msg, match) => {
             const chatId = msg.chat.id;
             const userId = msg.from.id;
-            const command = match[1].trim();
-            
-            // Skip if this is a restart confirmation check (already handled above)
-            if (this.pendingRestartConfirmations && this.pendingRestartConfirmations.has(userId)) {
+
+            // Prevent duplicate commands
+            if (this.isDuplicateCommand(userId, 'backfill')) {
+                console.log('🚫 Duplicate /backfill command ignored from:', msg.from.username || msg.from.first_name);
                 return;
             }
-            
-            // Skip if this is a QR confirmation check (already handled above)
-            if (this.pendingQRConfirmations && this.pendingQRConfirmations.has(userId)) {
+
+            if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
                 return;
             }
-            
-            // Skip if this is a removal confirmation check (already handled above)
-            if (this.pendingRemovalConfirmations && this.pendingRemovalConfirmations.has(userId)) {
+
+            const messageHistory = this.botInstance && this.botInstance.messageHistory;
+            if (!messageHistory || !messageHistory.isEnabled() || !this.keywordDetector) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'history.disabled', { command: '/backfill' }), { parse_mode: 'HTML' });
                 return;
             }
-            
-            // Check if user is authorized (for better error message)
-            if (!this.authorization.isAuthorized(userId)) {
-                await this.bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+
+            const parsed = /^([\s\S]+?)\s+(\d+)$/.exec(match[1].trim());
+            if (!parsed) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'backfill.usage'), { parse_mode: 'HTML' });
                 return;
             }
-            
-            const escapedCommand = this.escapeHtml(command);
-            
-            // Provide helpful suggestions for common typos
-            const suggestions = [];
-            if (command.toLowerCase().includes('removemykeword') || command.toLowerCase().includes('removemykewyrd')) {
-                suggestions.push('💡 Did you mean <code>/removemykeyword</code>?');
-            } else if (command.toLowerCase().includes('addmykeword') || command.toLowerCase().includes('addmykewyrd')) {
-                suggestions.push('💡 Did you mean <code>/addmykeyword</code>?');
-            } else if (command.toLowerCase().includes('addkeword') || command.toLowerCase().includes('addkewyrd')) {
-                suggestions.push('💡 Did you mean <code>/addkeyword</code>?');
-            } else if (command.toLowerCase().includes('removekeword') || command.toLowerCase().includes('removekewyrd')) {
-                suggestions.push('💡 Did you mean <code>/removekeyword</code>?');
+
+            const hours = parseInt(parsed[2], 10);
+            const maxHours = messageHistory.retentionDays * 24;
+            if (hours < 1 || hours > maxHours) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'backfill.hoursRange', { max: maxHours, count: messageHistory.retentionDays }));
+                return;
             }
-            
-            let errorMessage = `❌ <b>Unrecognized command:</b> <code>/${escapedCommand}</code>\n\n`;
-            errorMessage += 'Use <code>/help</code> to see all available commands.\n';
-            if (this.authorization.isAdmin(userId)) {
-                errorMessage += 'Use <code>/admin</code> to see admin-only commands.\n';
+
+            // Your personal keyword wins over a global keyword with the same text
+            const target = await this.resolveBackfillKeyword(userId, parsed[1].trim());
+            if (!target) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'backfill.unknownKeyword', { keyword: this.escapeHtml(parsed[1].trim()) }), { parse_mode: 'HTML' });
+                return;
             }
-            
-            if (suggestions.length > 0) {
-                errorMessage += '\n' + suggestions.join('\n');
+
+            try {
+                await this.bot.sendMessage(chatId, this.t(userId, 'backfill.checking', { count: hours, keyword: this.escapeHtml(target.keyword) }), { parse_mode: 'HTML' });
+                const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+                const backfill = await messageHistory.backfill(this.keywordDetector, {
+                    keyword: target.keyword,
+                    userId: target.personal ? userId.toString() : null,
+                    since
+                });
+                const timezone = await this.getUserTimezone(chatId);
+                await this.bot.sendMessage(chatId,
+                    this.formatBackfillDigest(target.keyword, hours, backfill, { personal: target.personal, timezone, userId }), { parse_mode: 'HTML' });
+                console.log(`📜 User ${userId} backfilled "${target.keyword}" (${hours}h): ${backfill.matched} past match(es) in ${backfill.scanned} messages`);
+                logBotEvent('keyword_backfill', { userId: userId.toString(), keyword: target.keyword, hours, matched: backfill.matched });
+            } catch (error) {
+                console.error('Error running /backfill:', error.message);
+                await this.bot.sendMessage(chatId, this.t(userId, 'backfill.failed', { error: this.escapeHtml(error.message) }));
             }
-            
-            await this.bot.sendMessage(chatId, errorMessage, { parse_mode: 'HTML' });
-            console.log(`⚠️ Unrecognized command from user ${userId}: /${command}`);
         });
-    }
 
-    // Load discovered groups from file
-    loadDiscoveredGroups() {
-        try {
-            const fs = require('fs');
-            const path = require('path');
-            const discoveredPath = path.join(__dirname, '../config/discovered-groups.json');
-            
-            if (fs.existsSync(discoveredPath)) {
-                const data = JSON.parse(fs.readFileSync(discoveredPath, 'utf8'));
-                // Convert the groups array to the expected format
-                const groups = {};
-                if (data.groups && Array.isArray(data.groups)) {
-                    data.groups.forEach(group => {
-                        groups[group.id] = {
-                            name: group.name,
-                            participants: group.participants,
-                            description: group.description,
-                            creation: group.creation
-                        };
-                    });
-                }
-                return groups;
+        // Digest command - choose how keyword alerts are delivered (immediate, batched, hourly/daily digest) or flush them
+        this.bot.onText(/\/digest(?:\s+(.+))?/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+
+            // Prevent duplicate commands
+            if (this.isDuplicateCommand(userId, 'digest')) {
+                console.log('🚫 Duplicate /digest command ignored from:', msg.from.username || msg.from.first_name);
+                return;
             }
-            
-            return {};
-        } catch (error) {
-            console.error('Error loading discovered groups:', error.message);
-            return {};
-        }
-    }
 
-    // Load group subscriptions from Supabase first, fallback to file
-    async loadGroupSubscriptions() {
-        try {
-            // Try Supabase first if enabled
-            if (this.keywordDetector && this.keywordDetector.supabase && this.keywordDetector.supabase.isEnabled()) {
-                try {
-                    const subscriptions = await this.keywordDetector.supabase.getGroupSubscriptions();
-                    if (subscriptions !== null) {
-                        console.log('📊 Loaded group subscriptions from Supabase');
-                        return subscriptions;
-                    }
-                } catch (error) {
-                    console.warn('⚠️ Failed to load group subscriptions from Supabase, falling back to file:', error.message);
-                }
+            if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_own_alerts'));
+                return;
             }
-            
-            // Fallback to file-based config
-            const fs = require('fs');
-            const path = require('path');
-            const subscriptionsPath = path.join(__dirname, '../config/group-subscriptions.json');
-            
-            if (fs.existsSync(subscriptionsPath)) {
-                return JSON.parse(fs.readFileSync(subscriptionsPath, 'utf8'));
+
+            const notifier = this.botInstance && this.botInstance.notifier;
+            if (!notifier || !notifier.digestManager) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'delivery.unavailable'));
+                return;
             }
-            
-            return {};
-        } catch (error) {
-            console.error('Error loading group subscriptions:', error.message);
-            return {};
-        }
-    }
+            const digestManager = notifier.digestManager;
+            const args = (match[1] || '').trim().toLowerCase();
 
-    // Save group subscriptions to file (backup)
-    async saveGroupSubscriptions(subscriptions) {
-        try {
-            // Save to file first (backup)
-            const fs = require('fs');
-            const path = require('path');
-            const subscriptionsPath = path.join(__dirname, '../config/group-subscriptions.json');
-            
-            fs.writeFileSync(subscriptionsPath, JSON.stringify(subscriptions, null, 2));
-            console.log('✅ Group subscriptions saved to file');
-            
-            // Note: Supabase operations are handled individually via add/remove methods for better consistency
-        } catch (error) {
-            console.error('Error saving group subscriptions:', error.message);
-        }
-    }
+            try {
+                if (!args) {
+                    const timezone = await this.getUserTimezone(chatId);
+                    await this.bot.sendMessage(chatId, this.formatDigestStatus(digestManager, userId, timezone), { parse_mode: 'HTML' });
+                    return;
+                }
 
-    // Get user's timezone preference from Supabase (users table) first, fallback to file
-    async getUserTimezone(chatId) {
-        try {
-            // Try Supabase first if enabled (now uses users.timezone instead of user_preferences)
-            if (this.keywordDetector && this.keywordDetector.supabase && this.keywordDetector.supabase.isEnabled()) {
-                try {
-                    // Get user info directly from users table
-                    const userInfo = await this.keywordDetector.supabase.getUserInfo(chatId.toString());
-                    if (userInfo && userInfo.timezone) {
-                        console.log(`📊 Loaded timezone preference from Supabase (users table) for user ${chatId}: ${userInfo.timezone}`);
-                        return userInfo.timezone;
+                if (args === 'now') {
+                    const sent = await notifier.sendDigest(userId);
+                    if (sent === 0) {
+                        await this.bot.sendMessage(chatId, this.t(userId, digestManager.getPendingCount(userId) > 0 ? 'delivery.sendFailed' : 'delivery.nonePending'));
                     }
-                    
-                    // Also try getUserPreferences for backward compatibility
-                    const prefs = await this.keywordDetector.supabase.getUserPreferences(chatId.toString());
-                    if (prefs && prefs.timezone) {
-                        console.log(`📊 Loaded timezone preference from Supabase for user ${chatId}: ${prefs.timezone}`);
-                        return prefs.timezone;
+                    return;
+                }
+
+                const { preference, error } = this.parseDigestPreference(args, userId);
+                if (error) {
+                    await this.bot.sendMessage(chatId, `❌ ${this.escapeHtml(error)}\n\n${this.getDigestUsage(userId)}`, { parse_mode: 'HTML' });
+                    return;
+                }
+                if (preference.mode !== 'immediate') {
+                    preference.timezone = await this.getUserTimezone(chatId);
+                }
+
+                const saved = await digestManager.setPreference(userId, preference);
+                let reply = this.t(userId, 'delivery.mode', { mode: this.escapeHtml(digestManager.describePreference(saved, this.getLanguage(userId))) }) + '\n\n';
+                if (saved.mode === 'immediate') {
+                    const flushed = await notifier.sendDigest(userId);
+                    reply += this.t(userId, 'delivery.immediate');
+                    if (flushed > 0) {
+                        reply += '\n' + this.t(userId, 'delivery.flushed', { count: flushed });
                     }
-                } catch (error) {
-                    console.warn(`⚠️ Failed to load timezone preference from Supabase for user ${chatId}, falling back to file:`, error.message);
+                } else {
+                    reply += this.t(userId, 'delivery.collected');
                 }
+                await this.bot.sendMessage(chatId, reply, { parse_mode: 'HTML' });
+                console.log(`📬 User ${userId} set alert delivery: ${digestManager.describePreference(saved)}`);
+                logBotEvent('alert_delivery_changed', { userId: userId.toString(), mode: saved.mode });
+            } catch (error) {
+                console.error('Error running /digest:', error.message);
+                await this.bot.sendMessage(chatId, this.t(userId, 'delivery.failed', { error: this.escapeHtml(error.message) }));
             }
-            
-            // Fallback to file-based config
-            const fs = require('fs');
-            const path = require('path');
-            const userConfigPath = path.join(__dirname, '../config/user-preferences.json');
-            
-            if (fs.existsSync(userConfigPath)) {
-                const userPrefs = JSON.parse(fs.readFileSync(userConfigPath, 'utf8'));
-                return userPrefs[chatId]?.timezone || 'Asia/Jerusalem'; // Default to Israeli time
+        });
+
+        // Quiet hours command - daily window (user's timezone) in which alerts are held and summarized afterwards
+        this.bot.onText(/\/quiet(?:\s+(.+))?/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+
+            // Prevent duplicate commands
+            if (this.isDuplicateCommand(userId, 'quiet')) {
+                console.log('🚫 Duplicate /quiet command ignored from:', msg.from.username || msg.from.first_name);
+                return;
             }
-            
-            return 'Asia/Jerusalem'; // Default timezone
-        } catch (error) {
-            console.error('Error loading user timezone:', error.message);
-            return 'Asia/Jerusalem'; // Fallback to Israeli time
-        }
-    }
 
-    // Prevent duplicate commands within 2 seconds
-    isDuplicateCommand(userId, command) {
-        const now = Date.now();
-        const key = `${userId}_${command}`;
-        const lastTime = this.lastCommandTime.get(key);
-        
-        if (lastTime && (now - lastTime) < 2000) { // 2 seconds
-            return true;
-        }
-        
-        this.lastCommandTime.set(key, now);
-        return false;
-    }
+            if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_own_alerts'));
+                return;
+            }
 
-    // Setup reminder commands
-    setupReminderCommands(bot) {
-        // /ok command - acknowledge and stop reminders
-        bot.onText(/\/ok/, async (msg) => {
+            const notifier = this.botInstance && this.botInstance.notifier;
+            if (!notifier || !notifier.digestManager) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'quiet.unavailable'));
+                return;
+            }
+            const digestManager = notifier.digestManager;
+            const args = (match[1] || '').trim().toLowerCase();
+
+            try {
+                const timezone = await this.getUserTimezone(chatId);
+                if (!args) {
+                    await this.bot.sendMessage(chatId, this.formatQuietStatus(digestManager, userId, timezone), { parse_mode: 'HTML' });
+                    return;
+                }
+
+                const { dndUntil } = digestManager.getQuietHours(userId) || {};
+                if (args === 'off') {
+                    await digestManager.setQuietHours(userId, dndUntil ? { dndUntil } : null);
+                    await this.bot.sendMessage(chatId, this.t(userId, 'quiet.turnedOff'));
+                    await this.sendHeldAlerts(notifier, userId);
+                    return;
+                }
+
+                const window = args.match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+                const start = window && this.formatClockTime(window[1], window[2]);
+                const end = window && this.formatClockTime(window[3], window[4]);
+                if (!start || !end || start === end) {
+                    await this.bot.sendMessage(chatId, this.t(userId, 'quiet.invalid') + '\n\n' + this.getQuietUsage(userId), { parse_mode: 'HTML' });
+                    return;
+                }
+
+                await digestManager.setQuietHours(userId, { start, end, timezone, dndUntil });
+                await this.bot.sendMessage(chatId,
+                    this.t(userId, 'quiet.status', { start, end, timezone: this.escapeHtml(timezone) }) + '\n\n' +
+                    this.t(userId, 'quiet.setNote') + '\n\n' +
+                    (digestManager.isQuiet(userId) ? this.t(userId, 'quiet.activeNow') + '\n' : '') +
+                    this.t(userId, 'quiet.offHint'), { parse_mode: 'HTML' });
+                console.log(`🌙 User ${userId} set quiet hours ${start}-${end} (${timezone})`);
+                logBotEvent('quiet_hours_changed', { userId: userId.toString(), start, end, timezone });
+            } catch (error) {
+                console.error('Error running /quiet:', error.message);
+                await this.bot.sendMessage(chatId, this.t(userId, 'quiet.failed', { error: this.escapeHtml(error.message) }));
+            }
+        });
+
+        // Do-not-disturb command - hold alerts for a while (e.g. /dnd 2h), summary when it ends
+        this.bot.onText(/\/dnd(?:\s+(.+))?/, async (msg, match) => {
             const chatId = msg.chat.id;
             const userId = msg.from.id;
-            
-            console.log(`📨 Received /ok from user ${userId} (chatId: ${chatId})`);
-            
-            try {
-            if (!this.authorization.isAuthorized(userId)) {
-                    await bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+
+            // Prevent duplicate commands
+            if (this.isDuplicateCommand(userId, 'dnd')) {
+                console.log('🚫 Duplicate /dnd command ignored from:', msg.from.username || msg.from.first_name);
                 return;
             }
 
-            if (this.isDuplicateCommand(userId, 'ok')) {
-                    console.log(`⚠️ Duplicate /ok command from user ${userId} - ignoring`);
+            if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_own_alerts'));
                 return;
             }
 
-                // Get reminder manager with error handling
-            const reminderManager = this.getReminderManager();
-                if (!reminderManager) {
-                    console.error(`❌ ReminderManager is null for user ${userId}`);
-                    await bot.sendMessage(chatId, '❌ Reminder system is not available. Please contact an administrator.');
+            const notifier = this.botInstance && this.botInstance.notifier;
+            if (!notifier || !notifier.digestManager) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'dnd.unavailable'));
+                return;
+            }
+            const digestManager = notifier.digestManager;
+            const args = (match[1] || '').trim().toLowerCase();
+
+            try {
+                const timezone = await this.getUserTimezone(chatId);
+                if (!args) {
+                    await this.bot.sendMessage(chatId, this.formatQuietStatus(digestManager, userId, timezone), { parse_mode: 'HTML' });
                     return;
                 }
 
-                // Acknowledge reminder with error handling
-                let result;
-                try {
-                    result = await reminderManager.acknowledgeReminder(userId);
-                    console.log(`✅ Successfully acknowledged reminders for user ${userId}`);
-                } catch (error) {
-                    console.error(`❌ Error acknowledging reminder for user ${userId}:`, error.message);
-                    console.error('Stack trace:', error.stack);
-                    await bot.sendMessage(chatId, '❌ Error processing reminder acknowledgment. Check bot logs.');
+                if (args === 'off') {
+                    await digestManager.setDoNotDisturb(userId, 0);
+                    await this.bot.sendMessage(chatId, this.t(userId, 'dnd.turnedOff'));
+                    await this.sendHeldAlerts(notifier, userId);
                     return;
                 }
 
-                // Validate result before sending
-                if (!result || !result.summary) {
-                    console.error(`❌ Invalid result from acknowledgeReminder for user ${userId}:`, result);
-                    await bot.sendMessage(chatId, '❌ Error: Invalid reminder data received.');
+                const duration = this.parseDndDuration(args);
+                if (!duration) {
+                    await this.bot.sendMessage(chatId, this.t(userId, 'dnd.invalid') + '\n\n' + this.getQuietUsage(userId), { parse_mode: 'HTML' });
                     return;
                 }
 
-                // Send summary message with error handling
-                try {
-                    await bot.sendMessage(chatId, result.summary, { parse_mode: 'HTML' });
-                    console.log(`✅ Successfully sent reminder summary to user ${userId}`);
-                } catch (error) {
-                    console.error(`❌ Failed to send reminder summary to user ${userId}:`, error.message);
-                    // Don't throw - acknowledgement was successful, just couldn't send message
-                    // User can check /reminders command if needed
-                }
+                const quiet = await digestManager.setDoNotDisturb(userId, duration);
+                const formatTime = this.createTimeFormatter(timezone);
+                await this.bot.sendMessage(chatId, this.t(userId, 'dnd.set', { time: formatTime(quiet.dndUntil) }), { parse_mode: 'HTML' });
+                console.log(`🔕 User ${userId} enabled do not disturb for ${Math.round(duration / 60000)} minutes`);
+                logBotEvent('do_not_disturb_set', { userId: userId.toString(), minutes: Math.round(duration / 60000) });
             } catch (error) {
-                console.error(`❌ Unexpected error in /ok command handler for user ${userId}:`, error.message);
-                console.error('Stack trace:', error.stack);
-                try {
-                    await bot.sendMessage(chatId, '❌ An unexpected error occurred. Please try again or contact an administrator.');
-                } catch (sendError) {
-                    console.error(`❌ Failed to send error message to user ${userId}:`, sendError.message);
-                }
+                console.error('Error running /dnd:', error.message);
+                await this.bot.sendMessage(chatId, this.t(userId, 'dnd.failed', { error: this.escapeHtml(error.message) }));
             }
         });
 
-        // /reminders command - show active reminders
-        bot.onText(/\/reminders/, async (msg) => {
+        // Channels command - where your keyword alerts go, overall or per priority / keyword:
+        // /channels telegram,email · /channels priority high email · /channels keyword fire telegram+email · ... reset
+        this.bot.onText(/\/channels(?:\s+(.+))?$/, async (msg, match) => {
             const chatId = msg.chat.id;
             const userId = msg.from.id;
-            
-            console.log(`📨 Received /reminders from user ${userId} (chatId: ${chatId})`);
-            
-            try {
-            if (!this.authorization.isAuthorized(userId)) {
-                    await bot.sendMessage(chatId, '❌ You are not authorized to use this bot.');
+
+            // Prevent duplicate commands
+            if (this.isDuplicateCommand(userId, 'channels')) {
+                console.log('🚫 Duplicate /channels command ignored from:', msg.from.username || msg.from.first_name);
                 return;
             }
 
-            if (this.isDuplicateCommand(userId, 'reminders')) {
-                    console.log(`⚠️ Duplicate /reminders command from user ${userId} - ignoring`);
+            if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_own_alerts'));
                 return;
             }
 
-            const reminderManager = this.getReminderManager();
-                if (!reminderManager) {
-                    console.error(`❌ ReminderManager is null for user ${userId}`);
-                    await bot.sendMessage(chatId, '❌ Reminder system is not available. Please contact an administrator.');
+            const notifier = this.botInstance && this.botInstance.notifier;
+            if (!notifier || !notifier.channels || !notifier.channelPreferences) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'channels.unavailable'));
+                return;
+            }
+            const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+
+            try {
+                if (args.length === 0) {
+                    await this.bot.sendMessage(chatId, this.formatChannelStatus(notifier, userId), { parse_mode: 'HTML' });
                     return;
                 }
 
-                try {
-                const reminder = reminderManager.getReminders(userId);
-                if (reminder) {
-                    const timeElapsed = this.calculateTimeElapsed(reminder.firstDetectedAt);
-                    const response = `⏰ Active Reminder\n\n` +
-                        `Keyword: ${reminder.keyword}\n` +
-                        `From: ${reminder.sender}\n` +
-                        `Group: ${reminder.group}\n` +
-                        `Detected: ${timeElapsed}\n` +
-                        `Reminders sent: ${reminder.reminderCount}/4\n\n` +
-                        `Message:\n"${reminder.message.substring(0, 100)}${reminder.message.length > 100 ? '...' : ''}"\n\n` +
-                        `Reply /ok to acknowledge and stop.`;
-                        await bot.sendMessage(chatId, response);
-                        console.log(`✅ Successfully sent reminder info to user ${userId}`);
-                } else {
-                        await bot.sendMessage(chatId, 'ℹ️ No active reminders.');
+                if (args.length === 1 && args[0].toLowerCase() === 'reset') {
+                    await notifier.channelPreferences.reset(userId);
+                    await this.bot.sendMessage(chatId, this.t(userId, 'channels.resetAll'));
+                    logBotEvent('notification_channels_changed', { userId: userId.toString(), scope: 'all', channels: null });
+                    return;
+                }
+
+                // [default | priority <level> | keyword <keyword...>] <channels | reset>
+                const scope = ['default', 'priority', 'keyword'].includes(args[0].toLowerCase()) ? args.shift().toLowerCase() : 'default';
+                const value = args.pop();
+                const key = args.join(' ');
+                if (!value || (scope === 'default' && key) || (scope !== 'default' && !key)) {
+                    await this.bot.sendMessage(chatId, this.t(userId, 'channels.usage'), { parse_mode: 'HTML' });
+                    return;
+                }
+                if (scope === 'priority' && !KeywordPriority.isValid(key.toLowerCase())) {
+                    await this.bot.sendMessage(chatId, this.t(userId, 'channels.invalidPriority', {
+                        priority: this.escapeHtml(key),
+                        priorities: KeywordPriority.LEVELS.join(', ')
+                    }), { parse_mode: 'HTML' });
+                    return;
+                }
+
+                let channels = null;
+                if (value.toLowerCase() !== 'reset') {
+                    const { channels: parsed, invalid } = this.parseChannelList(value, notifier.channels.getSelectableNames());
+                    if (invalid) {
+                        await this.bot.sendMessage(chatId, this.t(userId, 'channels.invalid', {
+                            channel: this.escapeHtml(invalid),
+                            channels: notifier.channels.getSelectableNames().join(', ')
+                        }), { parse_mode: 'HTML' });
+                        return;
                     }
-                } catch (error) {
-                    console.error(`❌ Error getting reminders for user ${userId}:`, error.message);
-                    console.error('Stack trace:', error.stack);
-                    await bot.sendMessage(chatId, '❌ Error retrieving reminder information. Check bot logs.');
+                    channels = parsed;
                 }
+
+                const scopeKey = scope === 'priority' ? key.toLowerCase() : key;
+                await notifier.channelPreferences.setChannels(userId, scope, scopeKey, channels);
+                const target = this.t(userId, `channels.scope.${scope}`, {
+                    priority: KeywordPriority.describe(scopeKey),
+                    keyword: this.escapeHtml(key)
+                });
+                await this.bot.sendMessage(chatId, channels
+                    ? this.t(userId, 'channels.set', { target, channels: channels.join(', ') })
+                    : this.t(userId, 'channels.cleared', { target }), { parse_mode: 'HTML' });
+                console.log(`📡 User ${userId} set ${scope}${key ? ` "${key}"` : ''} channels: ${channels ? channels.join(', ') : 'reset'}`);
+                logBotEvent('notification_channels_changed', { userId: userId.toString(), scope, key: scopeKey || null, channels });
             } catch (error) {
-                console.error(`❌ Unexpected error in /reminders command handler for user ${userId}:`, error.message);
-                console.error('Stack trace:', error.stack);
-                try {
-                    await bot.sendMessage(chatId, '❌ An unexpected error occurred. Please try again or contact an administrator.');
-                } catch (sendError) {
-                    console.error(`❌ Failed to send error message to user ${userId}:`, sendError.message);
-                }
+                console.error('Error running /channels:', error.message);
+                await this.bot.sendMessage(chatId, this.t(userId, 'errors.unexpected')).catch(() => {});
             }
         });
-    }
 
-    // Get reminder manager (will be injected by bot)
-    getReminderManager() {
-        return this.reminderManager;
-    }
+        // Chat hook command - the Slack / Discord incoming webhook your "chat" channel alerts are posted to:
+        // /chathook <url> [slack|discord] · /chathook group <group> <url> [format] · ... off · /chathook test
+        this.bot.onText(/\/chathook(?:\s+(.+))?$/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
 
-    // Calculate time elapsed
-    calculateTimeElapsed(date) {
-        const now = Date.now();
-        const then = new Date(date).getTime();
-        const minutes = Math.floor((now - then) / 60000);
-        
-        if (minutes < 1) return 'Just now';
-        if (minutes === 1) return '1 minute ago';
-        if (minutes < 60) return `${minutes} minutes ago`;
-        
-        const hours = Math.floor(minutes / 60);
-        if (hours === 1) return '1 hour ago';
-        return `${hours} hours ago`;
-    }
+            // Prevent duplicate commands
+            if (this.isDuplicateCommand(userId, 'chathook')) {
+                console.log('🚫 Duplicate /chathook command ignored from:', msg.from.username || msg.from.first_name);
+                return;
+            }
 
-    async updateTimezone(chatId, timezone) {
-        try {
-            // Save to Supabase first if enabled
-            if (this.keywordDetector && this.keywordDetector.supabase && this.keywordDetector.supabase.isEnabled()) {
-                try {
-                    const success = await this.keywordDetector.supabase.setUserPreferences(chatId.toString(), { timezone });
-                    if (success) {
-                        console.log(`💾 Saved timezone preference to Supabase for user ${chatId}: ${timezone}`);
-                    }
-                } catch (error) {
-                    console.error('Error saving timezone preference to Supabase:', error.message);
-                }
+            if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_own_alerts'));
+                return;
             }
-            
-            // Also save to file (backup and backward compatibility)
-            const fs = require('fs');
-            const path = require('path');
-            const userConfigPath = path.join(__dirname, '../config/user-preferences.json');
-            
-            // Load user preferences
-            let userPrefs = {};
-            if (fs.existsSync(userConfigPath)) {
-                userPrefs = JSON.parse(fs.readFileSync(userConfigPath, 'utf8'));
+
+            const notifier = this.botInstance && this.botInstance.notifier;
+            const chatWebhooks = notifier && notifier.chatWebhooks;
+            if (!chatWebhooks || !chatWebhooks.isEnabled()) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'chathook.unavailable'));
+                return;
             }
-            
-            // Update user's timezone preference
-            userPrefs[chatId] = {
-                ...userPrefs[chatId],
-                timezone: timezone,
-                lastUpdated: new Date().toISOString()
-            };
-            
-            // Save user preferences
-            fs.writeFileSync(userConfigPath, JSON.stringify(userPrefs, null, 2));
-            
-            const timezoneNames = {
-                'Asia/Jerusalem': 'Israeli 🇮🇱',
-                'America/New_York': 'US Eastern 🇺🇸',
-                'Europe/London': 'UK 🇬🇧',
-                'Asia/Tokyo': 'Japan 🇯🇵',
-                'Australia/Sydney': 'Australia 🇦🇺',
-                'UTC': 'Universal 🌍'
-            };
-            
-            const displayName = timezoneNames[timezone] || timezone;
-            
-            await this.bot.sendMessage(chatId,
-                `🌍 Your timezone changed to: ${displayName}\n\n` +
-                `✅ No restart needed! Changes take effect immediately.\n\n` +
-                `💡 Each user can have their own timezone preference.\n` +
-                `Use /sleep to check your personal sleep status.`
-            );
-        } catch (error) {
+            const args = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+
             try {
-                await this.bot.sendMessage(chatId, '❌ Error updating timezone. Check bot logs.');
-            } catch (sendError) {
-                console.error('Failed to send error message:', sendError.message);
-            }
-        }
-    }
+                if (args.length === 0) {
+                    await this.bot.sendMessage(chatId, this.formatChatHookStatus(notifier, userId), { parse_mode: 'HTML' });
+                    return;
+                }
 
-    formatTimeAgo(timestamp) {
-        const now = Date.now();
+                if (args.length === 1 && args[0].toLowerCase() === 'test') {
+                    const results = await chatWebhooks.sendTest(userId);
+                    if (results.length === 0) {
+                        await this.bot.sendMessage(chatId, this.t(userId, 'chathook.none'), { parse_mode: 'HTML' });
+                        return;
+                    }
+                    const lines = results.map(({ group, hook, success }) => this.t(userId, success ? 'chathook.testOk' : 'chathook.testFailed', {
+                        target: group ? this.escapeHtml(group) : this.t(userId, 'chathook.defaultTarget'),
+                        url: this.escapeHtml(ChatWebhookChannel.maskUrl(hook.url))
+                    }));
+                    await this.bot.sendMessage(chatId, lines.join('\n'), { parse_mode: 'HTML' });
+                    return;
+                }
+
+                // [group <group...>] <url [format] | off>
+                let group = null;
+                if (args[0].toLowerCase() === 'group') {
+                    const valueIndex = args.findIndex((arg, i) => i > 1 && (arg.includes('://') || arg.toLowerCase() === 'off'));
+                    if (valueIndex === -1) {
+                        await this.bot.sendMessage(chatId, this.t(userId, 'chathook.usage'), { parse_mode: 'HTML' });
+                        return;
+                    }
+                    const groupName = args.slice(1, valueIndex).join(' ');
+                    const subscriptions = await this.loadGroupSubscriptions();
+                    group = Object.keys(subscriptions).find(name => name.toLowerCase() === groupName.toLowerCase() &&
+                        (subscriptions[name] || []).includes(userId.toString()));
+                    if (!group) {
+                        await this.bot.sendMessage(chatId, this.t(userId, 'chathook.notSubscribed', { group: this.escapeHtml(groupName) }), { parse_mode: 'HTML' });
+                        return;
+                    }
+                    args.splice(0, valueIndex);
+                }
+
+                const [value, format, ...rest] = args;
+                if (!value || rest.length > 0 || (value.toLowerCase() === 'off' && format)) {
+                    await this.bot.sendMessage(chatId, this.t(userId, 'chathook.usage'), { parse_mode: 'HTML' });
+                    return;
+                }
+                const target = group ? this.escapeHtml(group) : this.t(userId, 'chathook.defaultTarget');
+
+                if (value.toLowerCase() === 'off') {
+                    await chatWebhooks.setHook(userId, group, null);
+                    await this.bot.sendMessage(chatId, this.t(userId, 'chathook.removed', { target }), { parse_mode: 'HTML' });
+                    console.log(`💬 User ${userId} removed their ${group ? `"${group}" ` : ''}Slack/Discord webhook`);
+                    logBotEvent('chat_webhook_changed', { userId: userId.toString(), group, format: null });
+                    return;
+                }
+
+                const hook = chatWebhooks.parseHook(value, format);
+                if (hook.error) {
+                    await this.bot.sendMessage(chatId, this.t(userId, `chathook.${hook.error}`, {
+                        formats: ChatWebhookChannel.FORMATS.join(', '),
+                        format: hook.format,
+                        host: hook.host
+                    }), { parse_mode: 'HTML' });
+                    return;
+                }
+
+                await chatWebhooks.setHook(userId, group, hook);
+                const selected = notifier.channelPreferences.get(userId);
+                const usesChat = selected && [selected.default, ...Object.values(selected.priorities), ...Object.values(selected.keywords)]
+                    .some(channels => channels && channels.includes(chatWebhooks.name));
+                await this.bot.sendMessage(chatId, [
+                    this.t(userId, 'chathook.set', { target, format: hook.format, url: this.escapeHtml(ChatWebhookChannel.maskUrl(hook.url)) }),
+                    ...(usesChat ? [] : ['', this.t(userId, 'chathook.enableHint')])
+                ].join('\n'), { parse_mode: 'HTML' });
+                console.log(`💬 User ${userId} set their ${group ? `"${group}" ` : ''}${hook.format} webhook`);
+                logBotEvent('chat_webhook_changed', { userId: userId.toString(), group, format: hook.format });
+
+                // The URL is a credential - don't leave it in the chat history
+                await this.bot.deleteMessage(chatId, msg.message_id).catch(() => {});
+            } catch (error) {
+                console.error('Error running /chathook:', error.message);
+                await this.bot.sendMessage(chatId, this.t(userId, 'errors.unexpected')).catch(() => {});
+            }
+        });
+
+        // Exclusions command - Admin only, lists (keyword, token) pairs reported as false positives
+        this.bot.onText(/\/exclusions/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+
+            // Prevent duplicate commands
+            if (this.isDuplicateCommand(userId, 'exclusions')) {
+                console.log('🚫 Duplicate /exclusions command ignored from:', msg.from.username || msg.from.first_name);
+                return;
+            }
+
+            if (!this.authorization.hasPermission(userId, 'manage_keywords')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_keywords'));
+                return;
+            }
+
+            if (!this.keywordDetector) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'errors.detectorUnavailable'));
+                return;
+            }
+
+            const exclusions = this.keywordDetector.matchFeedback.getExclusions();
+            let exclusionsText = this.t(userId, 'exclusions.title') + '\n\n';
+
+            if (exclusions.length === 0) {
+                exclusionsText += this.t(userId, 'exclusions.none');
+            } else {
+                exclusions.forEach((exclusion, index) => {
+                    const scope = exclusion.userId
+                        ? this.t(userId, 'exclusions.personal', { name: this.escapeHtml(this.authorization.getUserName(exclusion.userId) || exclusion.userId) })
+                        : this.t(userId, 'exclusions.global');
+                    const reporter = this.escapeHtml(this.authorization.getUserName(exclusion.excludedBy) || exclusion.excludedBy);
+                    const date = exclusion.excludedAt ? new Date(exclusion.excludedAt).toLocaleDateString() : this.t(userId, 'exclusions.unknownDate');
+                    exclusionsText += `${index + 1}. "${this.escapeHtml(exclusion.token)}" ✕ "${this.escapeHtml(exclusion.keyword)}" (${scope})\n`;
+                    exclusionsText += `   👤 ${reporter} • ${date}\n`;
+                });
+                exclusionsText += '\n' + this.t(userId, 'exclusions.hint');
+            }
+
+            await this.bot.sendMessage(chatId, exclusionsText, { parse_mode: 'HTML' });
+        });
+
+        // Unexclude command - Admin only, removes an exclusion by its /exclusions number
+        this.bot.onText(/\/unexclude (.+)/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            const index = parseInt(match[1].trim(), 10);
+
+            // Prevent duplicate commands
+            if (this.isDuplicateCommand(userId, 'unexclude')) {
+                console.log('🚫 Duplicate /unexclude command ignored from:', msg.from.username || msg.from.first_name);
+                return;
+            }
+
+            if (!this.authorization.hasPermission(userId, 'manage_keywords')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_keywords'));
+                return;
+            }
+
+            if (!this.keywordDetector) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'errors.detectorUnavailable'));
+                return;
+            }
+
+            const exclusions = this.keywordDetector.matchFeedback.getExclusions();
+            if (isNaN(index) || index < 1 || index > exclusions.length) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'exclusions.invalidNumber', { count: exclusions.length }));
+                return;
+            }
+
+            const exclusion = exclusions[index - 1];
+            await this.keywordDetector.matchFeedback.removeExclusion(exclusion);
+            await this.bot.sendMessage(chatId, this.t(userId, 'exclusions.removed', { token: this.escapeHtml(exclusion.token), keyword: this.escapeHtml(exclusion.keyword) }), { parse_mode: 'HTML' });
+            console.log(`👍 Admin ${userId} removed exclusion: "${exclusion.token}" ✕ "${exclusion.keyword}"`);
+        });
+
+        // Restart command - Admin only with confirmation
+        this.bot.onText(/\/restart/, (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            
+            // Prevent duplicate commands
+            if (this.isDuplicateCommand(userId, 'restart')) {
+                console.log('🚫 Duplicate /restart command ignored from:', msg.from.username || msg.from.first_name);
+                return;
+            }
+            
+            if (!this.authorization.hasPermission(userId, 'operate_bot')) {
+                this.bot.sendMessage(chatId, this.denyMessage(userId, 'operate_bot'));
+                return;
+            }
+            
+            console.log('📨 Received /restart from:', msg.from.username || msg.from.first_name);
+            
+            // Alert confirmation prompt
+            this.bot.sendMessage(chatId, this.t(userId, 'restart.confirm'), { parse_mode: 'HTML' });
+            
+            // Store pending restart confirmation
+            this.pendingRestartConfirmations = this.pendingRestartConfirmations || new Map();
+            this.pendingRestartConfirmations.set(userId, {
+                chatId: chatId,
+                timestamp: Date.now()
+            });
+            
+            console.log(`🔄 Admin ${userId} requested restart confirmation`);
+        });
+
+
+
+        // Handle polling errors
+        this.bot.on('polling_error', (error) => {
+            // Suppress 401 Unauthorized errors to reduce spam
+            if (error.message.includes('401 Unauthorized')) {
+                // Only log once every 10 minutes to avoid spam
+                if (!this.last401Error || Date.now() - this.last401Error > 600000) {
+                    console.log('⚠️ Telegram polling: 401 Unauthorized (suppressing repeated messages)');
+                    this.last401Error = Date.now();
+                }
+            } else if (error.message.includes('409 Conflict')) {
+                // CRITICAL: Multiple bot instances running
+                console.error('\n🚨 =============================================');
+                console.error('🚨 CRITICAL: TELEGRAM 409 CONFLICT DETECTED');
+                console.error('🚨 =============================================');
+                console.error('❌ Error: Another bot instance is polling Telegram!');
+                console.error('');
+                console.error('🔍 This means:');
+                console.error('  1. Bot is running LOCALLY on your computer');
+                console.error('  2. AND also running on Render (or another server)');
+                console.error('  3. Both are trying to poll Telegram with the same bot token');
+                console.error('');
+                console.error('✅ SOLUTION:');
+                console.error('  1. Stop the bot running locally (press Ctrl+C)');
+                console.error('  2. OR stop the Render deployment temporarily');
+                console.error('  3. Only ONE instance should run at a time');
+                console.error('');
+                console.error('💡 To find if bot is running locally:');
+                console.error('  - Windows: Task Manager → node.exe');
+                console.error('  - Or check: npm start is NOT running in any terminal');
+                console.error('=============================================\n');
+            } else {
+                console.error('❌ Polling error:', error.message);
+            }
+        });
+
+        // /reminders command - show active reminders
+        this.bot.onText(/\/reminders/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            
+            console.log(`📨 Received /reminders from user ${userId} (chatId: ${chatId})`);
+            
+            try {
+                if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+                    await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_own_alerts'));
+                    return;
+                }
+
+                if (this.isDuplicateCommand(userId, 'reminders')) {
+                    console.log(`⚠️ Duplicate /reminders command from user ${userId} - ignoring`);
+                    return;
+                }
+
+                const reminderManager = this.getReminderManager();
+                if (!reminderManager) {
+                    console.error(`❌ ReminderManager is null for user ${userId}`);
+                    await this.bot.sendMessage(chatId, this.t(userId, 'errors.reminderUnavailable'));
+                    return;
+                }
+
+                try {
+                    const reminders = reminderManager.getReminders(userId);
+                    if (reminders.length > 0) {
+                        const response = this.formatReminderList(reminders, reminderManager, userId);
+                        await this.bot.sendMessage(chatId, response);
+                        console.log(`✅ Successfully sent reminder info to user ${userId}`);
+                    } else {
+                        await this.bot.sendMessage(chatId, this.t(userId, 'reminders.none'));
+                    }
+                } catch (error) {
+                    console.error(`❌ Error getting reminders for user ${userId}:`, error.message);
+                    console.error('Stack trace:', error.stack);
+                    await this.bot.sendMessage(chatId, this.t(userId, 'reminders.listError'));
+                }
+            } catch (error) {
+                console.error(`❌ Unexpected error in /reminders command handler for user ${userId}:`, error.message);
+                console.error('Stack trace:', error.stack);
+                try {
+                    await this.bot.sendMessage(chatId, this.t(userId, 'errors.unexpected'));
+                } catch (sendError) {
+                    console.error(`❌ Failed to send error message to user ${userId}:`, sendError.message);
+                }
+            }
+        });
+
+        // Admin: reset all reminders
+        this.bot.onText(/\/resetall/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+
+            if (!this.authorization.hasPermission(userId, 'operate_bot')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'operate_bot'));
+                return;
+            }
+
+            try {
+                const reminderManager = this.getReminderManager();
+                if (!reminderManager) {
+                    await this.bot.sendMessage(chatId, this.t(userId, 'reminders.unavailable'));
+                    return;
+                }
+                const remindersBefore = reminderManager.reminders.size;
+                await reminderManager.resetAllReminders();
+                this.audit(userId, 'reminders.reset_all', { before: { reminders: remindersBefore }, after: { reminders: 0 } });
+                await this.bot.sendMessage(chatId, this.t(userId, 'reminders.resetAll'));
+            } catch (error) {
+                console.error(`❌ Error in /resetall command:`, error);
+                await this.bot.sendMessage(chatId, this.t(userId, 'reminders.resetAllFailed'));
+            }
+        });
+
+        // Admin: anti-ban status
+        this.bot.onText(/\/antiban/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+
+            if (!this.authorization.hasPermission(userId, 'operate_bot')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'operate_bot'));
+                return;
+            }
+
+            try {
+                const WhatsAppAntiBan = require('./anti-ban');
+                const antiBan = new WhatsAppAntiBan();
+                const checklist = antiBan.getSafetyChecklist();
+                const nonActive = antiBan.isNonActiveHours();
+
+                // Checklist items shown per section, worded by antiban.check.<section>.<item>
+                const shown = {
+                    phoneNumber: ['dedicated', 'virtual', 'notPersonal', 'verified'],
+                    behavior: ['noSpam', 'humanLikeDelays', 'rateLimited', 'noAutomatedReplies'],
+                    monitoring: ['readOnly', 'noMessageSending']
+                };
+
+                let text = this.t(userId, 'antiban.title') + '\n\n';
+                text += this.t(userId, 'antiban.checklist') + '\n';
+                for (const [section, items] of Object.entries(shown)) {
+                    for (const item of items) {
+                        text += this.t(userId, `antiban.check.${section}.${item}`, { mark: checklist[section][item] ? '✅' : '❌' }) + '\n';
+                    }
+                    text += '\n';
+                }
+                text += this.t(userId, 'antiban.nonActive') + '\n';
+                if (nonActive.isActive) {
+                    text += this.t(userId, 'antiban.statusActive') + '\n';
+                } else {
+                    const escapedScheduleName = this.escapeHtml(nonActive.schedule.name);
+                    const escapedBehavior = this.escapeHtml(nonActive.behavior.toUpperCase());
+                    text += this.t(userId, 'antiban.statusSleeping', { schedule: escapedScheduleName }) + '\n';
+                    text += this.t(userId, 'antiban.behavior', { behavior: escapedBehavior }) + '\n';
+                }
+
+                await this.bot.sendMessage(chatId, text, { parse_mode: 'HTML' });
+            } catch (error) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'antiban.failed'));
+            }
+        });
+
+        // ============================================
+        // ERROR HANDLERS FOR MALFORMED COMMANDS
+        // ============================================
+
+        // Cancel a multi-step command
+        this.bot.onText(/^\/cancel$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            const conversation = this.endConversation(userId);
+            if (!conversation) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'conversation.nothingToCancel'));
+                return;
+            }
+            await this.bot.sendMessage(chatId, this.t(userId, 'conversation.cancelled', { command: conversation.command }));
+            console.log(`💬 User ${userId} cancelled /${conversation.command}`);
+        });
+
+        // Handle commands with missing required parameters - they ask for each one in turn (see COMMAND_FLOWS)
+        // /addkeyword without parameter
+        this.bot.onText(/^\/addkeyword$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'manage_keywords')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_keywords'));
+                return;
+            }
+            await this.startConversation(msg, 'addkeyword');
+        });
+
+        // /removekeyword without parameter - pick from the keyword list
+        this.bot.onText(/^\/removekeyword$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'manage_keywords')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_keywords'));
+                return;
+            }
+            await this.sendKeywordMenu(chatId, userId, 'global');
+        });
+
+        // /addmykeyword without parameter
+        this.bot.onText(/^\/addmykeyword$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
+                return;
+            }
+            await this.startConversation(msg, 'addmykeyword');
+        });
+
+        // /removemykeyword without parameter - pick from the keyword list
+        this.bot.onText(/^\/removemykeyword$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
+                return;
+            }
+            await this.sendKeywordMenu(chatId, userId, 'my');
+        });
+
+        // /approve without parameter
+        this.bot.onText(/^\/approve$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'manage_users')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_users'));
+                return;
+            }
+            await this.startConversation(msg, 'approve');
+        });
+
+        // /reject without parameter
+        this.bot.onText(/^\/reject$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'manage_users')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_users'));
+                return;
+            }
+            await this.startConversation(msg, 'reject');
+        });
+
+        // /remove without parameter
+        this.bot.onText(/^\/remove$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'manage_users')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_users'));
+                return;
+            }
+            await this.startConversation(msg, 'remove');
+        });
+
+        // /makeadmin without parameter
+        this.bot.onText(/^\/makeadmin$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'assign_roles')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'assign_roles'));
+                return;
+            }
+            await this.startConversation(msg, 'makeadmin');
+        });
+
+        // /setemail without parameter
+        this.bot.onText(/^\/setemail$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'manage_users')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_users'));
+                return;
+            }
+            await this.startConversation(msg, 'setemail');
+        });
+
+        // /removeemail without parameter
+        this.bot.onText(/^\/removeemail$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'manage_users')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_users'));
+                return;
+            }
+            await this.startConversation(msg, 'removeemail');
+        });
+
+        // /subscribe without parameter - pick from the group list
+        this.bot.onText(/^\/subscribe$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
+                return;
+            }
+            await this.sendGroupMenu(chatId, userId, 'sub');
+        });
+
+        // /unsubscribe without parameter - pick from the group list
+        this.bot.onText(/^\/unsubscribe$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
+                return;
+            }
+            await this.sendGroupMenu(chatId, userId, 'unsub');
+        });
+
+        // /timezone without parameter - pick from the timezone list
+        this.bot.onText(/^\/timezone$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_own_alerts'));
+                return;
+            }
+            const timezone = await this.getUserTimezone(chatId);
+            await this.bot.sendMessage(chatId, this.t(userId, 'timezone.pick', { timezone: this.escapeHtml(InlineMenus.describeTimezone(timezone)) }), {
+                parse_mode: 'HTML',
+                reply_markup: { inline_keyboard: InlineMenus.buildTimezonePicker(timezone) }
+            });
+        });
+
+        // /backfill without parameter
+        this.bot.onText(/^\/backfill$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
+                return;
+            }
+            await this.startConversation(msg, 'backfill');
+        });
+
+        // /search without parameter
+        this.bot.onText(/^\/search$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
+                return;
+            }
+            await this.startConversation(msg, 'search');
+        });
+
+        // /testmatch without parameter
+        this.bot.onText(/^\/testmatch$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
+                return;
+            }
+            await this.startConversation(msg, 'testmatch');
+        });
+
+        // /unexclude without parameter
+        this.bot.onText(/^\/unexclude$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'manage_keywords')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_keywords'));
+                return;
+            }
+            await this.startConversation(msg, 'unexclude');
+        });
+
+        // /setpriority without parameter
+        this.bot.onText(/^\/setpriority$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'manage_keywords')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_keywords'));
+                return;
+            }
+            await this.startConversation(msg, 'setpriority');
+        });
+
+        // /setmypriority without parameter
+        this.bot.onText(/^\/setmypriority$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
+                return;
+            }
+            await this.startConversation(msg, 'setmypriority');
+        });
+
+        // /setpolicy without parameter
+        this.bot.onText(/^\/setpolicy$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'manage_keywords')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_keywords'));
+                return;
+            }
+            await this.startConversation(msg, 'setpolicy');
+        });
+
+        // /setmypolicy without parameter
+        this.bot.onText(/^\/setmypolicy$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'use_bot')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'use_bot'));
+                return;
+            }
+            await this.startConversation(msg, 'setmypolicy');
+        });
+
+        // /removepolicy without parameter
+        this.bot.onText(/^\/removepolicy$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'manage_keywords')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_keywords'));
+                return;
+            }
+            await this.startConversation(msg, 'removepolicy');
+        });
+
+        // /setrole without parameters
+        this.bot.onText(/^\/setrole$/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'assign_roles')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'assign_roles'));
+                return;
+            }
+            await this.startConversation(msg, 'setrole');
+        });
+
+        // Monitor / unmonitor commands - Group managers, /monitor alone lists the monitored groups
+        this.bot.onText(/\/(monitor|unmonitor)(?:\s+(.+))?$/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            if (!this.authorization.hasPermission(userId, 'manage_groups')) {
+                await this.bot.sendMessage(chatId, this.denyMessage(userId, 'manage_groups'));
+                return;
+            }
+            await this.handleMonitorCommand(chatId, userId, match[1] === 'monitor', match[2] ? match[2].trim() : '');
+        });
+
+        // Catch-all handler for unrecognized commands (typos, unknown commands)
+        // This MUST be last to catch anything that doesn't match above patterns
+        this.bot.onText(/^\/(.+)$/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            const command = match[1].trim();
+            
+            // Skip if this is a restart confirmation check (already handled above)
+            if (this.pendingRestartConfirmations && this.pendingRestartConfirmations.has(userId)) {
+                return;
+            }
+            
+            // Skip if this is a QR confirmation check (already handled above)
+            if (this.pendingQRConfirmations && this.pendingQRConfirmations.has(userId)) {
+                return;
+            }
+            
+            // Skip if this is a removal confirmation check (already handled above)
+            if (this.pendingRemovalConfirmations && this.pendingRemovalConfirmations.has(userId)) {
+                return;
+            }
+            
+            // Check if user is authorized (for better error message)
+            if (!this.authorization.isAuthorized(userId)) {
+                await this.bot.sendMessage(chatId, this.t(userId, 'errors.notAuthorized'));
+                return;
+            }
+            
+            // "/setemail 123456789" - ask for the arguments that are still missing
+            const [commandName, ...args] = command.split(/\s+/);
+            if (Object.prototype.hasOwnProperty.call(COMMAND_FLOWS, commandName.toLowerCase())) {
+                await this.startConversation(msg, commandName.toLowerCase(), args);
+                return;
+            }
+            
+            const escapedCommand = this.escapeHtml(command);
+            
+            // Provide helpful suggestions for common typos
+            const suggestions = [];
+            if (command.toLowerCase().includes('removemykeword') || command.toLowerCase().includes('removemykewyrd')) {
+                suggestions.push(this.t(userId, 'errors.didYouMean', { command: 'removemykeyword' }));
+            } else if (command.toLowerCase().includes('addmykeword') || command.toLowerCase().includes('addmykewyrd')) {
+                suggestions.push(this.t(userId, 'errors.didYouMean', { command: 'addmykeyword' }));
+            } else if (command.toLowerCase().includes('addkeword') || command.toLowerCase().includes('addkewyrd')) {
+                suggestions.push(this.t(userId, 'errors.didYouMean', { command: 'addkeyword' }));
+            } else if (command.toLowerCase().includes('removekeword') || command.toLowerCase().includes('removekewyrd')) {
+                suggestions.push(this.t(userId, 'errors.didYouMean', { command: 'removekeyword' }));
+            }
+            
+            let errorMessage = this.t(userId, 'errors.unknownCommand', { command: escapedCommand }) + '\n\n';
+            errorMessage += this.t(userId, 'errors.helpHint') + '\n';
+            if (this.authorization.hasPermission(userId, 'view_admin_panel')) {
+                errorMessage += this.t(userId, 'errors.adminHint') + '\n';
+            }
+            
+            if (suggestions.length > 0) {
+                errorMessage += '\n' + suggestions.join('\n');
+            }
+            
+            await this.bot.sendMessage(chatId, errorMessage, { parse_mode: 'HTML' });
+            console.log(`⚠️ Unrecognized command from user ${userId}: /${command}`);
+        });
+    }
+
+    // Load discovered groups from file
+    loadDiscoveredGroups() {
+        try {
+            const fs = require('fs');
+            const path = require('path');
+            const discoveredPath = path.join(__dirname, '../config/discovered-groups.json');
+            
+            if (fs.existsSync(discoveredPath)) {
+                const data = JSON.parse(fs.readFileSync(discoveredPath, 'utf8'));
+                // Convert the groups array to the expected format
+                const groups = {};
+                if (data.groups && Array.isArray(data.groups)) {
+                    data.groups.forEach(group => {
+                        groups[group.id] = {
+                            name: group.name,
+                            participants: group.participants,
+                            description: group.description,
+                            creation: group.creation
+                        };
+                    });
+                }
+                return groups;
+            }
+            
+            return {};
+        } catch (error) {
+            console.error('Error loading discovered groups:', error.message);
+            return {};
+        }
+    }
+
+    // Load group subscriptions through the detector's cached data store (Supabase first, fallback to file)
+    async loadGroupSubscriptions() {
+        try {
+            if (this.keywordDetector) {
+                return await this.keywordDetector.dataStore.getGroupSubscriptions();
+            }
+            
+            // Fallback to file-based config
+            const fs = require('fs');
+            const path = require('path');
+            const subscriptionsPath = path.join(__dirname, '../config/group-subscriptions.json');
+            
+            if (fs.existsSync(subscriptionsPath)) {
+                return JSON.parse(fs.readFileSync(subscriptionsPath, 'utf8'));
+            }
+            
+            return {};
+        } catch (error) {
+            console.error('Error loading group subscriptions:', error.message);
+            return {};
+        }
+    }
+
+    // Add/remove a subscription in Supabase and the file backup, keeping the data store cache current
+    async saveGroupSubscription(userId, groupName, action, legacyIds = []) {
+        try {
+            if (!this.keywordDetector) {
+                console.warn('⚠️ Cannot save group subscription: keyword detector not available');
+                return;
+            }
+            
+            if (action === 'add') {
+                await this.keywordDetector.dataStore.addGroupSubscription(userId, groupName);
+            } else {
+                await this.keywordDetector.dataStore.removeGroupSubscription(userId, groupName, legacyIds);
+            }
+        } catch (error) {
+            console.error('Error saving group subscription:', error.message);
+        }
+    }
+
+    // Get user's timezone preference from Supabase (users table) first, fallback to file
+    async getUserTimezone(chatId) {
+        try {
+            // Try Supabase first if enabled (now uses users.timezone instead of user_preferences)
+            if (this.keywordDetector && this.keywordDetector.supabase && this.keywordDetector.supabase.isEnabled()) {
+                try {
+                    // Get user info directly from users table
+                    const userInfo = await this.keywordDetector.supabase.getUserInfo(chatId.toString());
+                    if (userInfo && userInfo.timezone) {
+                        console.log(`📊 Loaded timezone preference from Supabase (users table) for user ${chatId}: ${userInfo.timezone}`);
+                        return userInfo.timezone;
+                    }
+                    
+                    // Also try getUserPreferences for backward compatibility
+                    const prefs = await this.keywordDetector.supabase.getUserPreferences(chatId.toString());
+                    if (prefs && prefs.timezone) {
+                        console.log(`📊 Loaded timezone preference from Supabase for user ${chatId}: ${prefs.timezone}`);
+                        return prefs.timezone;
+                    }
+                } catch (error) {
+                    console.warn(`⚠️ Failed to load timezone preference from Supabase for user ${chatId}, falling back to file:`, error.message);
+                }
+            }
+            
+            // Fallback to file-based config
+            const fs = require('fs');
+            const path = require('path');
+            const userConfigPath = path.join(__dirname, '../config/user-preferences.json');
+            
+            if (fs.existsSync(userConfigPath)) {
+                const userPrefs = JSON.parse(fs.readFileSync(userConfigPath, 'utf8'));
+                return userPrefs[chatId]?.timezone || 'Asia/Jerusalem'; // Default to Israeli time
+            }
+            
+            return 'Asia/Jerusalem'; // Default timezone
+        } catch (error) {
+            console.error('Error loading user timezone:', error.message);
+            return 'Asia/Jerusalem'; // Fallback to Israeli time
+        }
+    }
+
+    // Prevent duplicate commands within 2 seconds
+    isDuplicateCommand(userId, command) {
+        const now = Date.now();
+        const key = `${userId}_${command}`;
+        const lastTime = this.lastCommandTime.get(key);
+        
+        if (lastTime && (now - lastTime) < 2000) { // 2 seconds
+            return true;
+        }
+        
+        this.lastCommandTime.set(key, now);
+        return false;
+    }
+
+    // Start asking for a command's arguments; `given` are the ones already typed after the command
+    async startConversation(msg, command, given = []) {
+        const chatId = msg.chat.id;
+        const userId = msg.from.id;
+        const flow = COMMAND_FLOWS[command];
+
+        const permission = flow.permission || 'use_bot';
+        if (!this.authorization.hasPermission(userId, permission)) {
+            await this.bot.sendMessage(chatId, this.denyMessage(userId, permission));
+            return;
+        }
+
+        this.endConversation(userId);
+        const conversation = { command, chatId, userId: userId.toString(), msg, answers: [], timer: null };
+        this.conversations.set(conversation.userId, conversation);
+        console.log(`💬 User ${userId} started /${command} (${flow.steps.length} step${flow.steps.length === 1 ? '' : 's'})`);
+
+        // The last step takes the rest of the line
+        const lastStep = flow.steps.length - 1;
+        const values = given.length > lastStep ? [...given.slice(0, lastStep), given.slice(lastStep).join(' ')] : given;
+        for (const value of values) {
+            if (!(await this.acceptConversationAnswer(conversation, value))) return;
+        }
+        await this.continueConversation(conversation);
+    }
+
+    async handleConversationReply(conversation, text) {
+        if (await this.acceptConversationAnswer(conversation, text.trim())) {
+            await this.continueConversation(conversation);
+        }
+    }
+
+    // Check an answer against the current step; on a bad answer the same question is asked again
+    async acceptConversationAnswer(conversation, value) {
+        const step = COMMAND_FLOWS[conversation.command].steps[conversation.answers.length];
+        const error = step.check ? step.check(value, this, conversation.userId) : null;
+        if (error) {
+            const prompt = this.t(conversation.userId, step.prompt);
+            const cancelHint = this.t(conversation.userId, 'conversation.cancelHint');
+            await this.bot.sendMessage(conversation.chatId, `❌ ${this.escapeHtml(error)}\n\n${prompt}\n\n${cancelHint}`, { parse_mode: 'HTML' });
+            this.scheduleConversationTimeout(conversation);
+            return false;
+        }
+        conversation.answers.push(value);
+        return true;
+    }
+
+    // Ask the next question, or run the command once every argument is in
+    async continueConversation(conversation) {
+        const steps = COMMAND_FLOWS[conversation.command].steps;
+        if (conversation.answers.length < steps.length) {
+            const step = steps[conversation.answers.length];
+            const progress = steps.length > 1 ? ` <i>(${conversation.answers.length + 1}/${steps.length})</i>` : '';
+            const prompt = this.t(conversation.userId, step.prompt);
+            const cancelHint = this.t(conversation.userId, 'conversation.cancelHint');
+            await this.bot.sendMessage(conversation.chatId, `${prompt}${progress}\n\n${cancelHint}`, { parse_mode: 'HTML' });
+            this.scheduleConversationTimeout(conversation);
+            return;
+        }
+
+        this.endConversation(conversation.userId);
+        const text = `/${conversation.command} ${conversation.answers.join(' ')}`;
+        console.log(`💬 User ${conversation.userId} completed /${conversation.command}`);
+        // The bare command already counted as this command's last use
+        this.lastCommandTime.delete(`${conversation.msg.from.id}_${conversation.command}`);
+        this.bot.processUpdate({ update_id: 0, message: { ...conversation.msg, text, date: Math.floor(Date.now() / 1000) } });
+    }
+
+    scheduleConversationTimeout(conversation) {
+        if (conversation.timer) clearTimeout(conversation.timer);
+        conversation.timer = setTimeout(() => {
+            if (this.conversations.get(conversation.userId) !== conversation) return;
+            this.conversations.delete(conversation.userId);
+            console.log(`⌛ /${conversation.command} from user ${conversation.userId} expired`);
+            this.bot.sendMessage(conversation.chatId, this.t(conversation.userId, 'conversation.expired', {
+                command: conversation.command,
+                minutes: CONVERSATION_TIMEOUT_MS / 60000
+            })).catch(error => {
+                console.error('❌ Failed to send conversation timeout notice:', error.message);
+            });
+        }, CONVERSATION_TIMEOUT_MS);
+        if (conversation.timer.unref) conversation.timer.unref();
+    }
+
+    // Drop a user's conversation, if any, and return it
+    endConversation(userId) {
+        const conversation = this.conversations.get(userId.toString());
+        if (!conversation) return null;
+        clearTimeout(conversation.timer);
+        this.conversations.delete(userId.toString());
+        return conversation;
+    }
+
+    // Setup reminder commands
+    setupReminderCommands(bot) {
+        // /ok command - acknowledge and stop reminders: /ok <number> for one, /ok all (or /ok with a single reminder) for all
+        bot.onText(/\/ok(?:\s+(\S+))?/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            
+            console.log(`📨 Received /ok from user ${userId} (chatId: ${chatId})`);
+            
+            try {
+            if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+                    await bot.sendMessage(chatId, this.denyMessage(userId, 'manage_own_alerts'));
+                return;
+            }
+
+            if (this.isDuplicateCommand(userId, 'ok')) {
+                    console.log(`⚠️ Duplicate /ok command from user ${userId} - ignoring`);
+                return;
+            }
+
+                // Get reminder manager with error handling
+            const reminderManager = this.getReminderManager();
+                if (!reminderManager) {
+                    console.error(`❌ ReminderManager is null for user ${userId}`);
+                    await bot.sendMessage(chatId, this.t(userId, 'errors.reminderUnavailable'));
+                    return;
+                }
+
+                const reminderRef = (match && match[1] ? match[1] : 'all').toLowerCase();
+                if (reminderRef !== 'all' && !/^#?\d+$/.test(reminderRef)) {
+                    await bot.sendMessage(chatId, this.t(userId, 'reminders.usageOk'), { parse_mode: 'HTML' });
+                    return;
+                }
+
+                // Several reminders running and none named: ask which one instead of stopping them all
+                const activeReminders = reminderManager.getReminders(userId);
+                if (!(match && match[1]) && activeReminders.length > 1) {
+                    await bot.sendMessage(chatId, this.formatReminderChoices(activeReminders, userId), { parse_mode: 'HTML' });
+                    return;
+                }
+
+                // Acknowledge reminder with error handling
+                let result;
+                try {
+                    const suppression = await this.getAckSuppression(reminderManager, userId);
+                    result = await reminderManager.acknowledgeReminder(userId, reminderRef, suppression);
+                    if (result && result.blocked) {
+                        result.summary += await this.formatBlockNote(suppression, userId);
+                    }
+                    console.log(`✅ Successfully acknowledged reminders for user ${userId}`);
+                } catch (error) {
+                    console.error(`❌ Error acknowledging reminder for user ${userId}:`, error.message);
+                    console.error('Stack trace:', error.stack);
+                    await bot.sendMessage(chatId, this.t(userId, 'reminders.ackError'));
+                    return;
+                }
+
+                // Validate result before sending
+                if (!result || !result.summary) {
+                    console.error(`❌ Invalid result from acknowledgeReminder for user ${userId}:`, result);
+                    await bot.sendMessage(chatId, this.t(userId, 'reminders.invalidData'));
+                    return;
+                }
+
+                // Send summary message with error handling
+                try {
+                    await bot.sendMessage(chatId, result.summary, { parse_mode: 'HTML' });
+                    console.log(`✅ Successfully sent reminder summary to user ${userId}`);
+                } catch (error) {
+                    console.error(`❌ Failed to send reminder summary to user ${userId}:`, error.message);
+                    // Don't throw - acknowledgement was successful, just couldn't send message
+                    // User can check /reminders command if needed
+                }
+            } catch (error) {
+                console.error(`❌ Unexpected error in /ok command handler for user ${userId}:`, error.message);
+                console.error('Stack trace:', error.stack);
+                try {
+                    await bot.sendMessage(chatId, this.t(userId, 'errors.unexpected'));
+                } catch (sendError) {
+                    console.error(`❌ Failed to send error message to user ${userId}:`, sendError.message);
+                }
+            }
+        });
+
+        // /snooze command - pause reminders: /snooze <15m|1h|1d|tomorrow> [number|all]
+        bot.onText(/\/snooze(?:\s+(.+))?/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+
+            console.log(`📨 Received /snooze from user ${userId} (chatId: ${chatId})`);
+
+            try {
+                if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+                    await bot.sendMessage(chatId, this.denyMessage(userId, 'manage_own_alerts'));
+                    return;
+                }
+
+                if (this.isDuplicateCommand(userId, 'snooze')) {
+                    console.log(`⚠️ Duplicate /snooze command from user ${userId} - ignoring`);
+                    return;
+                }
+
+                const reminderManager = this.getReminderManager();
+                if (!reminderManager) {
+                    await bot.sendMessage(chatId, this.t(userId, 'errors.reminderUnavailable'));
+                    return;
+                }
+
+                const [durationArg, reminderArg = 'all'] = (match && match[1] ? match[1] : '').trim().toLowerCase().split(/\s+/);
+                const until = durationArg ? await this.resolveSnoozeUntil(durationArg, userId) : null;
+                if (!until || (reminderArg !== 'all' && !/^#?\d+$/.test(reminderArg))) {
+                    await bot.sendMessage(chatId, this.getSnoozeUsage(userId), { parse_mode: 'HTML' });
+                    return;
+                }
+
+                const snoozed = await reminderManager.snoozeReminders(userId, reminderArg, until);
+                if (snoozed.length === 0) {
+                    await bot.sendMessage(chatId, reminderArg === 'all'
+                        ? this.t(userId, 'reminders.noneToSnooze')
+                        : this.t(userId, 'reminders.notFound', { number: this.escapeHtml(reminderArg.replace(/^#/, '')) }));
+                    return;
+                }
+
+                const formatTime = this.createTimeFormatter(await this.getUserTimezone(userId));
+                const keywords = snoozed.map(reminder => `#${reminder.shortId} "${this.escapeHtml(reminder.keyword)}"`).join(', ');
+                await bot.sendMessage(chatId, this.t(userId, 'reminders.snoozed', { time: formatTime(until), keywords }), { parse_mode: 'HTML' });
+            } catch (error) {
+                console.error(`❌ Unexpected error in /snooze command handler for user ${userId}:`, error.message);
+                try {
+                    await bot.sendMessage(chatId, this.t(userId, 'errors.unexpected'));
+                } catch (sendError) {
+                    console.error(`❌ Failed to send error message to user ${userId}:`, sendError.message);
+                }
+            }
+        });
+
+        // /ackreset command - how long /ok blocks a keyword: /ackreset <message|hour|day|week|forever|default>
+        // Admins: /ackreset global <period> sets the default for everyone without their own choice
+        bot.onText(/\/ackreset(?:\s+(.+))?/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+
+            try {
+                if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+                    await bot.sendMessage(chatId, this.denyMessage(userId, 'manage_own_alerts'));
+                    return;
+                }
+
+                if (this.isDuplicateCommand(userId, 'ackreset')) {
+                    console.log(`⚠️ Duplicate /ackreset command from user ${userId} - ignoring`);
+                    return;
+                }
+
+                const reminderManager = this.getReminderManager();
+                if (!reminderManager || !reminderManager.acknowledgmentReset) {
+                    await bot.sendMessage(chatId, this.t(userId, 'errors.reminderUnavailable'));
+                    return;
+                }
+                const acknowledgmentReset = reminderManager.acknowledgmentReset;
+                const args = (match && match[1] ? match[1] : '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+                if (args.length === 0) {
+                    const period = acknowledgmentReset.getPeriod(userId);
+                    const source = this.t(userId, acknowledgmentReset.hasOwnPeriod(userId) ? 'ackreset.sourceOwn' : 'ackreset.sourceDefault');
+                    await bot.sendMessage(chatId,
+                        this.t(userId, 'ackreset.current', { period: this.t(userId, `ackreset.period.${period}`), source }) + '\n' +
+                        this.t(userId, 'ackreset.globalDefault', { period: acknowledgmentReset.defaultPeriod }) + '\n\n' +
+                        this.getAckResetUsage(userId),
+                        { parse_mode: 'HTML' });
+                    return;
+                }
+
+                if (args[0] === 'global') {
+                    if (!this.authorization.hasPermission(userId, 'manage_settings')) {
+                        await bot.sendMessage(chatId, this.denyMessage(userId, 'manage_settings'));
+                        return;
+                    }
+                    if (!AcknowledgmentReset.isValid(args[1])) {
+                        await bot.sendMessage(chatId, this.t(userId, 'ackreset.invalid') + '\n\n' + this.getAckResetUsage(userId), { parse_mode: 'HTML' });
+                        return;
+                    }
+                    await acknowledgmentReset.setDefaultPeriod(args[1]);
+                    await bot.sendMessage(chatId, this.t(userId, 'ackreset.setGlobal', { period: this.t(userId, `ackreset.period.${args[1]}`) }), { parse_mode: 'HTML' });
+                    logBotEvent('ack_reset_default_set', { userId: userId.toString(), period: args[1] });
+                    return;
+                }
+
+                const period = args[0] === 'default' ? null : args[0];
+                if (period && !AcknowledgmentReset.isValid(period)) {
+                    await bot.sendMessage(chatId, this.t(userId, 'ackreset.invalid') + '\n\n' + this.getAckResetUsage(userId), { parse_mode: 'HTML' });
+                    return;
+                }
+                await acknowledgmentReset.setUserPeriod(userId, period);
+                await bot.sendMessage(chatId, period
+                    ? this.t(userId, 'ackreset.set', { period: this.t(userId, `ackreset.period.${period}`) })
+                    : this.t(userId, 'ackreset.reset', { period: this.t(userId, `ackreset.period.${acknowledgmentReset.defaultPeriod}`) }),
+                    { parse_mode: 'HTML' });
+                logBotEvent('ack_reset_set', { userId: userId.toString(), period: period || 'default' });
+            } catch (error) {
+                console.error(`❌ Unexpected error in /ackreset command handler for user ${userId}:`, error.message);
+                await bot.sendMessage(chatId, this.t(userId, 'errors.unexpected')).catch(() => {});
+            }
+        });
+
+        // /blocked command - keywords your acknowledgments currently keep from reminding
+        bot.onText(/\/blocked/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+
+            try {
+                if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+                    await bot.sendMessage(chatId, this.denyMessage(userId, 'manage_own_alerts'));
+                    return;
+                }
+
+                if (this.isDuplicateCommand(userId, 'blocked')) {
+                    console.log(`⚠️ Duplicate /blocked command from user ${userId} - ignoring`);
+                    return;
+                }
+
+                const reminderManager = this.getReminderManager();
+                if (!reminderManager) {
+                    await bot.sendMessage(chatId, this.t(userId, 'errors.reminderUnavailable'));
+                    return;
+                }
+
+                const blocked = reminderManager.getBlockedKeywords(userId);
+                if (blocked.length === 0) {
+                    await bot.sendMessage(chatId, this.t(userId, 'blocked.none'));
+                    return;
+                }
+
+                const formatTime = this.createTimeFormatter(await this.getUserTimezone(userId));
+                const lines = blocked.map(entry => entry.until
+                    ? this.t(userId, 'blocked.until', { keyword: this.escapeHtml(entry.keyword), time: formatTime(entry.until) })
+                    : this.t(userId, 'blocked.untilUnblock', { keyword: this.escapeHtml(entry.keyword) })
+                );
+                await bot.sendMessage(chatId,
+                    `${this.t(userId, 'blocked.title')}\n\n${lines.join('\n')}\n\n${this.t(userId, 'blocked.hint')}`,
+                    { parse_mode: 'HTML' });
+            } catch (error) {
+                console.error(`❌ Unexpected error in /blocked command handler for user ${userId}:`, error.message);
+                await bot.sendMessage(chatId, this.t(userId, 'errors.unexpected')).catch(() => {});
+            }
+        });
+
+        // /unblock command - lift an acknowledgment block early
+        bot.onText(/\/unblock(?:\s+(.+))?/, async (msg, match) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+
+            try {
+                if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+                    await bot.sendMessage(chatId, this.denyMessage(userId, 'manage_own_alerts'));
+                    return;
+                }
+
+                if (this.isDuplicateCommand(userId, 'unblock')) {
+                    console.log(`⚠️ Duplicate /unblock command from user ${userId} - ignoring`);
+                    return;
+                }
+
+                const reminderManager = this.getReminderManager();
+                if (!reminderManager) {
+                    await bot.sendMessage(chatId, this.t(userId, 'errors.reminderUnavailable'));
+                    return;
+                }
+
+                const keyword = match && match[1] ? match[1].trim() : '';
+                if (!keyword) {
+                    await this.startConversation(msg, 'unblock');
+                    return;
+                }
+
+                const removed = await reminderManager.unblockKeyword(userId, keyword);
+                await bot.sendMessage(chatId, removed > 0
+                    ? this.t(userId, 'blocked.unblocked', { keyword: this.escapeHtml(keyword) })
+                    : this.t(userId, 'blocked.notBlocked', { keyword: this.escapeHtml(keyword) }),
+                    { parse_mode: 'HTML' });
+            } catch (error) {
+                console.error(`❌ Unexpected error in /unblock command handler for user ${userId}:`, error.message);
+                await bot.sendMessage(chatId, this.t(userId, 'errors.unexpected')).catch(() => {});
+            }
+        });
+
+        // /reminders command - show active reminders
+        bot.onText(/\/reminders/, async (msg) => {
+            const chatId = msg.chat.id;
+            const userId = msg.from.id;
+            
+            console.log(`📨 Received /reminders from user ${userId} (chatId: ${chatId})`);
+            
+            try {
+            if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+                    await bot.sendMessage(chatId, this.denyMessage(userId, 'manage_own_alerts'));
+                return;
+            }
+
+            if (this.isDuplicateCommand(userId, 'reminders')) {
+                    console.log(`⚠️ Duplicate /reminders command from user ${userId} - ignoring`);
+                return;
+            }
+
+            const reminderManager = this.getReminderManager();
+                if (!reminderManager) {
+                    console.error(`❌ ReminderManager is null for user ${userId}`);
+                    await bot.sendMessage(chatId, this.t(userId, 'errors.reminderUnavailable'));
+                    return;
+                }
+
+                try {
+                const reminders = reminderManager.getReminders(userId);
+                if (reminders.length > 0) {
+                    const response = this.formatReminderList(reminders, reminderManager, userId);
+                        await bot.sendMessage(chatId, response);
+                        console.log(`✅ Successfully sent reminder info to user ${userId}`);
+                } else {
+                        await bot.sendMessage(chatId, this.t(userId, 'reminders.none'));
+                    }
+                } catch (error) {
+                    console.error(`❌ Error getting reminders for user ${userId}:`, error.message);
+                    console.error('Stack trace:', error.stack);
+                    await bot.sendMessage(chatId, this.t(userId, 'reminders.listError'));
+                }
+            } catch (error) {
+                console.error(`❌ Unexpected error in /reminders command handler for user ${userId}:`, error.message);
+                console.error('Stack trace:', error.stack);
+                try {
+                    await bot.sendMessage(chatId, this.t(userId, 'errors.unexpected'));
+                } catch (sendError) {
+                    console.error(`❌ Failed to send error message to user ${userId}:`, sendError.message);
+                }
+            }
+        });
+    }
+
+    // Get reminder manager (will be injected by bot)
+    getReminderManager() {
+        return this.reminderManager;
+    }
+
+    // Plain-text /reminders entry: where the reminder is in its escalation policy (or priority schedule)
+    formatReminderStatus(reminder, reminderManager, userId) {
+        const maxReminders = reminder.maxReminders || reminderManager.maxReminders;
+        const policy = reminder.policy || this.t(userId, 'reminders.defaultPolicy', { priority: reminder.priority || 'normal' });
+        const nextAt = reminder.nextReminderAt ? new Date(reminder.nextReminderAt).getTime() : null;
+        const finalStep = reminder.reminderCount >= maxReminders;
+
+        let next = '';
+        if (nextAt && nextAt > Date.now()) {
+            const minutes = Math.max(1, Math.round((nextAt - Date.now()) / 60000));
+            const language = this.getLanguage(userId);
+            const wait = minutes >= 120 ? I18n.formatDuration(language, Math.round(minutes / 60), 'hour') : I18n.formatDuration(language, minutes, 'minute');
+            const snoozed = reminder.snoozedUntil && new Date(reminder.snoozedUntil).getTime() > Date.now();
+            const step = !finalStep ? 'next' : reminder.escalateTo ? 'escalation' : 'end';
+            const keys = snoozed
+                ? { next: 'reminders.snoozedNext', escalation: 'reminders.snoozedEscalation', end: 'reminders.snoozedEnd' }
+                : { next: 'reminders.next', escalation: 'reminders.nextEscalation', end: 'reminders.nextEnd' };
+            next = this.t(userId, keys[step], { wait }) + '\n';
+        }
+        const escalation = reminder.escalateTo
+            ? (reminder.escalateTo === 'admins'
+                ? this.t(userId, 'reminders.escalatesToAdmins')
+                : this.t(userId, 'reminders.escalatesToUser', { userId: reminder.escalateTo })) + '\n'
+            : '';
+        const message = reminder.message || '';
+
+        return this.t(userId, 'reminders.status', {
+            number: reminder.shortId,
+            keyword: reminder.keyword,
+            sender: reminder.sender,
+            group: reminder.group,
+            detected: this.calculateTimeElapsed(reminder.firstDetectedAt, userId),
+            policy,
+            count: reminder.reminderCount,
+            max: maxReminders
+        }) + '\n' +
+            next +
+            escalation +
+            '\n' + this.t(userId, 'reminders.statusMessage', { message: `${message.substring(0, 100)}${message.length > 100 ? '...' : ''}` }) + '\n\n' +
+            this.t(userId, 'reminders.statusHint', { number: reminder.shortId });
+    }
+
+    // All of a user's active reminders, each with its number for /ok <number>
+    formatReminderList(reminders, reminderManager, userId) {
+        if (reminders.length === 1) {
+            return this.formatReminderStatus(reminders[0], reminderManager, userId);
+        }
+        return this.t(userId, 'reminders.listHeader', { count: reminders.length }) + '\n\n' +
+            reminders.map(reminder => this.formatReminderStatus(reminder, reminderManager, userId)).join('\n\n') +
+            '\n\n' + this.t(userId, 'reminders.listFooter');
+    }
+
+    // Reply to a bare /ok while several reminders are running: which one?
+    formatReminderChoices(reminders, userId) {
+        const lines = reminders.map(reminder =>
+            `#${reminder.shortId} "${this.escapeHtml(reminder.keyword)}" - ${this.calculateTimeElapsed(reminder.firstDetectedAt, userId)}`
+        );
+        return `${this.t(userId, 'reminders.choicesHeader', { count: reminders.length })}\n\n${lines.join('\n')}\n\n` +
+            this.t(userId, 'reminders.choicesFooter');
+    }
+
+    calculateTimeElapsed(date, userId = null) {
+        const now = Date.now();
+        const then = new Date(date).getTime();
+        const minutes = Math.floor((now - then) / 60000);
+        
+        if (minutes < 1) return this.t(userId, 'reminders.justNow');
+        if (minutes < 60) return I18n.formatTimeAgo(this.getLanguage(userId), minutes, 'minute');
+        return I18n.formatTimeAgo(this.getLanguage(userId), Math.floor(minutes / 60), 'hour');
+    }
+
+    async updateTimezone(chatId, timezone) {
+        try {
+            // Save to Supabase first if enabled
+            if (this.keywordDetector && this.keywordDetector.supabase && this.keywordDetector.supabase.isEnabled()) {
+                try {
+                    const success = await this.keywordDetector.supabase.setUserPreferences(chatId.toString(), { timezone });
+                    if (success) {
+                        console.log(`💾 Saved timezone preference to Supabase for user ${chatId}: ${timezone}`);
+                    }
+                } catch (error) {
+                    console.error('Error saving timezone preference to Supabase:', error.message);
+                }
+            }
+            
+            // Also save to file (backup and backward compatibility)
+            const fs = require('fs');
+            const path = require('path');
+            const userConfigPath = path.join(__dirname, '../config/user-preferences.json');
+            
+            // Load user preferences
+            let userPrefs = {};
+            if (fs.existsSync(userConfigPath)) {
+                userPrefs = JSON.parse(fs.readFileSync(userConfigPath, 'utf8'));
+            }
+            
+            // Update user's timezone preference
+            userPrefs[chatId] = {
+                ...userPrefs[chatId],
+                timezone: timezone,
+                lastUpdated: new Date().toISOString()
+            };
+            
+            // Save user preferences
+            fs.writeFileSync(userConfigPath, JSON.stringify(userPrefs, null, 2));
+
+            // Daily digests follow the user's timezone
+            const notifier = this.botInstance && this.botInstance.notifier;
+            if (notifier && notifier.digestManager) {
+                await notifier.digestManager.updateTimezone(chatId, timezone);
+            }
+            
+            const displayName = InlineMenus.describeTimezone(timezone);
+            
+            await this.bot.sendMessage(chatId, this.t(chatId, 'timezone.changed', { timezone: displayName }));
+        } catch (error) {
+            try {
+                await this.bot.sendMessage(chatId, this.t(chatId, 'timezone.failed'));
+            } catch (sendError) {
+                console.error('Failed to send error message:', sendError.message);
+            }
+        }
+    }
+
+    formatTimeAgo(timestamp) {
+        const now = Date.now();
         const diff = now - timestamp;
         const seconds = Math.floor(diff / 1000);
         const minutes = Math.floor(seconds / 60);
         const hours = Math.floor(minutes / 60);
         const days = Math.floor(hours / 24);
         
-        if (seconds < 60) {
-            return 'Just now';
-        } else if (minutes < 60) {
-            return `${minutes} minute${minutes !== 1 ? 's' : ''} ago`;
-        } else if (hours < 24) {
-            return `${hours} hour${hours !== 1 ? 's' : ''} ago`;
+        if (seconds < 60) {
+            return 'Just now';
+        } else if (minutes < 60) {
+            return `${minutes} minute${minutes !== 1 ? 's' : ''} ago`;
+        } else if (hours < 24) {
+            return `${hours} hour${hours !== 1 ? 's' : ''} ago`;
+        } else {
+            return `${days} day${days !== 1 ? 's' : ''} ago`;
+        }
+    }
+
+    async notifyAdmins(message, options = {}) {
+        // Send notification to all admin users
+        const adminUsers = this.authorization.getAdminUsers();
+        
+        if (!adminUsers || adminUsers.length === 0) {
+            console.warn('⚠️ No admin users found! Cannot send admin notification.');
+            console.log('📢 Admin notification (logged only):', message);
+            return;
+        }
+        
+        console.log(`📢 Sending admin notification to ${adminUsers.length} admin(s):`, message);
+        
+        // Send to all admins asynchronously
+        const sendPromises = adminUsers.map(async (adminId) => {
+            try {
+                await this.bot.sendMessage(adminId, message, options);
+                console.log(`✅ Admin notification sent to admin ${adminId}`);
+            } catch (error) {
+                console.error(`❌ Failed to send admin notification to admin ${adminId}:`, error.message);
+            }
+        });
+        
+        // Wait for all notifications to be sent (or fail)
+        await Promise.allSettled(sendPromises);
+    }
+
+    // Personal keyword management methods
+    // Helper method that uses keywordDetector's Supabase-aware method
+    async getPersonalKeywordsFromSupabase(userId) {
+        try {
+            if (this.keywordDetector) {
+                // Use keywordDetector's method which checks Supabase first, then file
+                return await this.keywordDetector.getPersonalKeywords(userId);
+            }
+            // Fallback to file if keywordDetector not available
+            return this.getPersonalKeywords(userId);
+        } catch (error) {
+            console.error('Error loading personal keywords from Supabase:', error.message);
+            // Fallback to file
+            return this.getPersonalKeywords(userId);
+        }
+    }
+
+    // Legacy file-based method (kept for backward compatibility and fallback)
+    getPersonalKeywords(userId) {
+        try {
+            const fs = require('fs');
+            const path = require('path');
+            const personalKeywordsPath = path.join(__dirname, '../config/personal-keywords.json');
+            
+            if (fs.existsSync(personalKeywordsPath)) {
+                const data = JSON.parse(fs.readFileSync(personalKeywordsPath, 'utf8'));
+                return data[userId] || [];
+            }
+            
+            return [];
+        } catch (error) {
+            console.error('Error loading personal keywords from file:', error.message);
+            return [];
+        }
+    }
+
+    // Personal keywords are stored as plain strings, or { keyword, matchType, fuzzyThreshold } when options are set.
+    // Writes go through the detector's data store: file, Supabase and cache (which also rebuilds the keyword index).
+    async addPersonalKeyword(userId, keyword, options = {}) {
+        try {
+            const keywords = await this.getPersonalKeywordsFromSupabase(userId);
+            if (keywords.some(entry => this.getKeywordText(entry) === keyword)) {
+                return;
+            }
+            
+            keywords.push(Object.keys(options).length > 0 ? { keyword, ...options } : keyword);
+            await this.savePersonalKeywords(userId, keywords);
+        } catch (error) {
+            console.error('Error adding personal keyword:', error.message);
+        }
+    }
+
+    async removePersonalKeyword(userId, keyword) {
+        try {
+            const keywords = await this.getPersonalKeywordsFromSupabase(userId);
+            const index = keywords.findIndex(entry => this.getKeywordText(entry) === keyword);
+            if (index > -1) {
+                keywords.splice(index, 1);
+                await this.savePersonalKeywords(userId, keywords);
+            }
+        } catch (error) {
+            console.error('Error removing personal keyword:', error.message);
+        }
+    }
+
+    // Set one option of a personal keyword (null removes it); false when the user has no such keyword
+    async updatePersonalKeywordOption(userId, keyword, option, value) {
+        try {
+            const keywords = await this.getPersonalKeywordsFromSupabase(userId);
+            const index = keywords.findIndex(entry => this.getKeywordText(entry) === keyword);
+            if (index === -1) return false;
+
+            const entry = typeof keywords[index] === 'string' ? { keyword } : { ...keywords[index] };
+            if (option === 'priority') {
+                delete entry.emergency; // Older entries stored critical priority as "emergency": true
+            }
+            if (value === null) {
+                delete entry[option];
+            } else {
+                entry[option] = value;
+            }
+            keywords[index] = Object.keys(entry).length > 1 ? entry : keyword;
+            await this.savePersonalKeywords(userId, keywords);
+            return true;
+        } catch (error) {
+            console.error(`Error updating personal keyword ${option}:`, error.message);
+            return false;
+        }
+    }
+
+    async savePersonalKeywords(userId, keywords) {
+        if (this.keywordDetector) {
+            await this.keywordDetector.dataStore.setPersonalKeywords(userId, keywords);
+            return;
+        }
+        
+        // Fallback to file if keywordDetector not available
+        const fs = require('fs');
+        const path = require('path');
+        const personalKeywordsPath = path.join(__dirname, '../config/personal-keywords.json');
+        
+        let data = {};
+        if (fs.existsSync(personalKeywordsPath)) {
+            data = JSON.parse(fs.readFileSync(personalKeywordsPath, 'utf8'));
+        }
+        data[userId] = keywords;
+        fs.writeFileSync(personalKeywordsPath, JSON.stringify(data, null, 2));
+    }
+
+    // Route inline button presses by their callback_data prefix
+    setupCallbackHandlers() {
+        this.bot.on('callback_query', async (query) => {
+            try {
+                this.rememberTelegramLanguage(query.from);
+                const [prefix, action, id] = (query.data || '').split(':');
+                if (prefix === 'fb') {
+                    await this.handleFeedbackCallback(query, action, id);
+                    return;
+                }
+                if (prefix === 'rem') {
+                    await this.handleReminderCallback(query, action, id);
+                    return;
+                }
+                if (prefix === 'grp') {
+                    await this.handleGroupCallback(query, action, id);
+                    return;
+                }
+                if (prefix === 'kw') {
+                    await this.handleKeywordCallback(query, action, id);
+                    return;
+                }
+                if (prefix === 'tz') {
+                    await this.handleTimezoneCallback(query, action, id);
+                    return;
+                }
+                if (prefix === 'usr') {
+                    await this.handleApprovalCallback(query, action, id);
+                    return;
+                }
+                if (prefix === 'lang') {
+                    await this.handleLanguageCallback(query, action, id);
+                    return;
+                }
+                // 'menu:noop' (page counters) and unknown buttons just stop the spinner
+                await this.bot.answerCallbackQuery(query.id);
+            } catch (error) {
+                console.error('❌ Error handling button press:', error.message);
+                await this.bot.answerCallbackQuery(query.id, { text: this.t(query.from.id, 'errors.buttonFailed') }).catch(() => {});
+            }
+        });
+    }
+
+    // 👍 just closes the feedback; 👎 stops the matched token from triggering that keyword again
+    async handleFeedbackCallback(query, action, feedbackId) {
+        const userId = query.from.id;
+
+        if (!this.authorization.hasPermission(userId, 'use_bot')) {
+            await this.bot.answerCallbackQuery(query.id, { text: this.denyMessage(userId, 'use_bot') });
+            return;
+        }
+
+        const feedback = this.keywordDetector ? this.keywordDetector.matchFeedback.getPendingFeedback(feedbackId) : null;
+        if (!feedback) {
+            await this.bot.answerCallbackQuery(query.id, { text: this.t(userId, 'feedback.tooOld') });
+            await this.removeInlineKeyboard(query, 'fb:');
+            return;
+        }
+
+        // Personal keyword feedback only counts from its owner
+        if (feedback.userId && feedback.userId !== userId.toString()) {
+            await this.bot.answerCallbackQuery(query.id, { text: this.t(userId, 'feedback.ownerOnly') });
+            return;
+        }
+
+        if (action === 'down') {
+            await this.keywordDetector.matchFeedback.addExclusion(feedback.keyword, feedback.token, feedback.userId, userId.toString());
+            await this.bot.answerCallbackQuery(query.id, { text: this.t(userId, 'feedback.excluded', { token: feedback.token, keyword: feedback.keyword }) });
+            console.log(`👎 User ${userId} excluded "${feedback.token}" for keyword "${feedback.keyword}"`);
+        } else {
+            await this.bot.answerCallbackQuery(query.id, { text: this.t(userId, 'feedback.thanks') });
+        }
+
+        logBotEvent('match_feedback', {
+            userId,
+            keyword: feedback.keyword,
+            token: feedback.token,
+            matchType: feedback.matchType,
+            relevant: action !== 'down'
+        });
+        await this.removeInlineKeyboard(query, 'fb:');
+    }
+
+    // ✅ OK / 💤 snooze under an alert act on the presser's reminder for that alert's keyword; other reminders keep running
+    async handleReminderCallback(query, action, keywordRef) {
+        const userId = query.from.id;
+
+        if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+            await this.bot.answerCallbackQuery(query.id, { text: this.denyMessage(userId, 'manage_own_alerts') });
+            return;
+        }
+
+        const reminderManager = this.getReminderManager();
+        const snoozeValue = action && action.startsWith('snooze-') ? action.substring('snooze-'.length) : null;
+        if ((action !== 'ok' && !snoozeValue) || !reminderManager) {
+            await this.bot.answerCallbackQuery(query.id, { text: this.t(userId, 'reminders.unavailable') });
+            return;
+        }
+
+        const reminder = reminderManager.findReminderByKeywordRef(userId, keywordRef);
+        if (!reminder) {
+            await this.bot.answerCallbackQuery(query.id, { text: this.t(userId, 'reminders.noRunning') });
+            await this.removeInlineKeyboard(query, 'rem:');
+            return;
+        }
+
+        if (snoozeValue) {
+            const until = await this.resolveSnoozeUntil(snoozeValue, userId);
+            const snoozed = until && reminder.status === 'active'
+                ? await reminderManager.snoozeReminders(userId, reminder.shortId, until)
+                : [];
+            if (snoozed.length === 0) {
+                await this.bot.answerCallbackQuery(query.id, { text: this.t(userId, 'reminders.cannotSnooze') });
+                return;
+            }
+            const formatTime = this.createTimeFormatter(await this.getUserTimezone(userId));
+            await this.bot.answerCallbackQuery(query.id, {
+                text: this.t(userId, 'reminders.buttonSnoozed', { number: reminder.shortId, keyword: reminder.keyword, time: formatTime(until) })
+            });
+            return;
+        }
+
+        const suppression = await this.getAckSuppression(reminderManager, userId);
+        const result = await reminderManager.acknowledgeReminder(userId, reminder.shortId, suppression);
+        const remaining = reminderManager.getReminders(userId).length;
+        let blockText = '';
+        if (suppression) {
+            const formatTime = this.createTimeFormatter(await this.getUserTimezone(userId));
+            blockText = suppression.until
+                ? this.t(userId, 'reminders.buttonBlockedUntil', { time: formatTime(suppression.until) })
+                : this.t(userId, 'reminders.buttonBlockedForever');
+        }
+        await this.bot.answerCallbackQuery(query.id, {
+            text: this.t(userId, 'reminders.buttonStopped', { number: reminder.shortId, keyword: reminder.keyword }) + blockText +
+                (remaining > 0 ? this.t(userId, 'reminders.buttonOthersActive', { count: remaining }) : '')
+        });
+        console.log(`✅ User ${userId} acknowledged reminder #${reminder.shortId} via button (found: ${result.found})`);
+        await this.removeInlineKeyboard(query, 'rem:');
+    }
+
+    // What acknowledging means for this user right now: null (per message) or { period, until } in their timezone
+    async getAckSuppression(reminderManager, userId) {
+        if (!reminderManager.acknowledgmentReset) return null;
+        const timezone = await this.getUserTimezone(userId);
+        return reminderManager.acknowledgmentReset.getSuppression(userId, timezone);
+    }
+
+    // Appended to the /ok summary when the acknowledged keywords stay blocked
+    async formatBlockNote(suppression, userId) {
+        if (!suppression.until) {
+            return this.t(userId, 'reminders.blockNoteForever');
+        }
+        const formatTime = this.createTimeFormatter(await this.getUserTimezone(userId));
+        return this.t(userId, 'reminders.blockNoteUntil', { time: formatTime(suppression.until) });
+    }
+
+    // "15m", "1h", "1d" or "tomorrow" (next 08:00 in the user's timezone) -> timestamp; null when invalid
+    async resolveSnoozeUntil(value, userId) {
+        if (value === 'tomorrow') {
+            const notifier = this.botInstance && this.botInstance.notifier;
+            if (!notifier || !notifier.digestManager) return null;
+            const timezone = await this.getUserTimezone(userId);
+            return notifier.digestManager.getNextDailyTime(SNOOZE_MORNING_TIME, timezone);
+        }
+        const duration = this.parseDndDuration(value);
+        return duration ? Date.now() + duration : null;
+    }
+
+    // Drop an alert's inline buttons (only those whose callback_data starts with prefix - or one of several - when given)
+    async removeInlineKeyboard(query, prefix = null) {
+        if (!query.message) return;
+        const prefixes = [].concat(prefix || []);
+        const rows = prefixes.length > 0 && query.message.reply_markup
+            ? (query.message.reply_markup.inline_keyboard || [])
+                .map(row => row.filter(button => !prefixes.some(p => (button.callback_data || '').startsWith(p))))
+                .filter(row => row.length > 0)
+            : [];
+        try {
+            await this.bot.editMessageReplyMarkup({ inline_keyboard: rows }, {
+                chat_id: query.message.chat.id,
+                message_id: query.message.message_id
+            });
+        } catch (error) {
+            // Message may be too old to edit - the buttons simply stay
+            console.warn('⚠️ Could not remove inline keyboard:', error.message);
+        }
+    }
+
+    // Send a menu, or redraw it in place when it was a button on the menu that was pressed
+    async showMenu(chatId, text, keyboard, query = null) {
+        const options = { parse_mode: 'HTML', reply_markup: { inline_keyboard: keyboard } };
+        if (query && query.message) {
+            try {
+                await this.bot.editMessageText(text, { ...options, chat_id: query.message.chat.id, message_id: query.message.message_id });
+            } catch (error) {
+                // "message is not modified" when nothing changed, or the message is too old to edit
+                console.warn('⚠️ Could not update menu:', error.message);
+            }
+            return;
+        }
+        await this.bot.sendMessage(chatId, text, options);
+    }
+
+    // 'sub' lists discovered groups the user hasn't joined yet, 'unsub' the groups they're subscribed to
+    async getGroupMenuItems(chatId, userId, action) {
+        const subscriptions = await this.loadGroupSubscriptions();
+        const ids = [userId.toString(), chatId.toString()]; // chatId for backward compatibility
+        const subscribed = Object.entries(subscriptions)
+            .filter(([groupName, subscribers]) => subscribers.some(id => ids.includes(String(id))))
+            .map(([groupName]) => groupName);
+        if (action === 'unsub') {
+            return subscribed.sort((a, b) => a.localeCompare(b));
+        }
+
+        const subscribedLower = subscribed.map(name => name.toLowerCase());
+        const names = Object.values(this.loadDiscoveredGroups()).map(group => group.name).filter(Boolean);
+        return [...new Set(names)]
+            .filter(name => !subscribedLower.includes(name.toLowerCase()))
+            .sort((a, b) => a.localeCompare(b));
+    }
+
+    async sendGroupMenu(chatId, userId, action, page = 0, query = null) {
+        const groups = await this.getGroupMenuItems(chatId, userId, action);
+        if (groups.length === 0) {
+            const text = this.t(userId, action === 'sub' ? 'menu.noGroupsToSubscribe' : 'menu.noSubscriptions');
+            await this.showMenu(chatId, text, [], query);
+            return;
+        }
+
+        const menu = InlineMenus.buildGroupPicker(action, groups, page);
+        const text = this.t(userId, action === 'sub' ? 'menu.tapToSubscribe' : 'menu.tapToUnsubscribe', { count: groups.length });
+        await this.showMenu(chatId, text, menu.keyboard, query);
+    }
+
+    // ➕ / ➖ on a group picker, or a page turn
+    async handleGroupCallback(query, action, id) {
+        const userId = query.from.id;
+        const chatId = query.message ? query.message.chat.id : userId;
+
+        if (!this.authorization.hasPermission(userId, 'use_bot')) {
+            await this.bot.answerCallbackQuery(query.id, { text: this.denyMessage(userId, 'use_bot') });
+            return;
+        }
+
+        const pageTurn = action && action.endsWith('-page');
+        const menuAction = pageTurn ? action.slice(0, -'-page'.length) : action;
+        if (menuAction !== 'sub' && menuAction !== 'unsub') {
+            await this.bot.answerCallbackQuery(query.id);
+            return;
+        }
+        if (pageTurn) {
+            await this.bot.answerCallbackQuery(query.id);
+            await this.sendGroupMenu(chatId, userId, menuAction, id, query);
+            return;
+        }
+
+        const groups = await this.getGroupMenuItems(chatId, userId, menuAction);
+        const groupName = InlineMenus.findByRef(groups, id);
+        if (!groupName) {
+            await this.bot.answerCallbackQuery(query.id, { text: this.t(userId, 'menu.groupGone') });
+            await this.sendGroupMenu(chatId, userId, menuAction, 0, query);
+            return;
+        }
+
+        const userIdStr = userId.toString();
+        if (menuAction === 'sub') {
+            await this.saveGroupSubscription(userIdStr, groupName, 'add');
+            await this.bot.answerCallbackQuery(query.id, { text: this.t(userId, 'menu.subscribed', { group: groupName }) });
+        } else {
+            await this.saveGroupSubscription(userIdStr, groupName, 'remove', [chatId.toString()]);
+            await this.bot.answerCallbackQuery(query.id, { text: this.t(userId, 'menu.unsubscribed', { group: groupName }) });
+        }
+        console.log(`📱 User ${userId} ${menuAction === 'sub' ? 'subscribed to' : 'unsubscribed from'} "${groupName}" via menu`);
+
+        // Stay on the page the group was on
+        await this.sendGroupMenu(chatId, userId, menuAction, Math.floor(groups.indexOf(groupName) / InlineMenus.PAGE_SIZE), query);
+    }
+
+    // 'my' lists the user's personal keywords, 'global' the global ones
+    async getKeywordMenuItems(userId, scope) {
+        if (scope === 'global') {
+            return this.keywordDetector ? this.keywordDetector.getKeywords() : [];
+        }
+        const personalKeywords = await this.getPersonalKeywordsFromSupabase(userId);
+        return personalKeywords.map(entry => this.getKeywordText(entry));
+    }
+
+    async sendKeywordMenu(chatId, userId, scope, page = 0, query = null) {
+        const keywords = await this.getKeywordMenuItems(userId, scope);
+        if (keywords.length === 0) {
+            await this.showMenu(chatId, this.t(userId, scope === 'global' ? 'menu.noGlobalKeywords' : 'menu.noPersonalKeywords'), [], query);
+            return;
+        }
+
+        const menu = InlineMenus.buildKeywordList(scope, keywords, page);
+        const title = scope === 'global' ? 'menu.tapToRemoveGlobal' : 'menu.tapToRemovePersonal';
+        await this.showMenu(chatId, this.t(userId, title, { count: keywords.length }), menu.keyboard, query);
+    }
+
+    // 🗑 on a keyword list, or a page turn
+    async handleKeywordCallback(query, action, id) {
+        const userId = query.from.id;
+        const chatId = query.message ? query.message.chat.id : userId;
+        const pageTurn = action && action.endsWith('-page');
+        const scope = pageTurn ? action.slice(0, -'-page'.length) : action;
+
+        if (scope !== 'my' && scope !== 'global') {
+            await this.bot.answerCallbackQuery(query.id);
+            return;
+        }
+        const permission = scope === 'global' ? 'manage_keywords' : 'use_bot';
+        if (!this.authorization.hasPermission(userId, permission)) {
+            await this.bot.answerCallbackQuery(query.id, { text: this.denyMessage(userId, permission) });
+            return;
+        }
+        if (pageTurn) {
+            await this.bot.answerCallbackQuery(query.id);
+            await this.sendKeywordMenu(chatId, userId, scope, id, query);
+            return;
+        }
+
+        const keywords = await this.getKeywordMenuItems(userId, scope);
+        const keyword = InlineMenus.findByRef(keywords, id);
+        if (!keyword) {
+            await this.bot.answerCallbackQuery(query.id, { text: this.t(userId, 'menu.keywordGone') });
+            await this.sendKeywordMenu(chatId, userId, scope, 0, query);
+            return;
+        }
+
+        if (scope === 'global') {
+            const entryBefore = this.keywordDetector.serializeKeywordEntry(keyword);
+            await this.keywordDetector.removeKeyword(keyword);
+            this.audit(userId, 'keyword.remove', { target: keyword, before: entryBefore });
+            console.log(`🔑 Admin ${userId} removed keyword: ${keyword}`);
+        } else {
+            await this.removePersonalKeyword(userId, keyword);
+            console.log(`🔑 User ${userId} removed personal keyword: ${keyword}`);
+        }
+        await this.bot.answerCallbackQuery(query.id, { text: this.t(userId, 'menu.keywordRemoved', { keyword }) });
+        await this.sendKeywordMenu(chatId, userId, scope, Math.floor(keywords.indexOf(keyword) / InlineMenus.PAGE_SIZE), query);
+    }
+
+    async handleTimezoneCallback(query, action, timezone) {
+        const userId = query.from.id;
+        const chatId = query.message ? query.message.chat.id : userId;
+
+        if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+            await this.bot.answerCallbackQuery(query.id, { text: this.denyMessage(userId, 'manage_own_alerts') });
+            return;
+        }
+        if (action !== 'set' || !InlineMenus.isTimezone(timezone)) {
+            await this.bot.answerCallbackQuery(query.id, { text: this.t(userId, 'timezone.unknown') });
+            return;
+        }
+
+        await this.bot.answerCallbackQuery(query.id, { text: `🌍 ${InlineMenus.describeTimezone(timezone)}` });
+        await this.removeInlineKeyboard(query);
+        await this.updateTimezone(chatId, timezone);
+    }
+
+    // A language picked on the /language picker
+    async handleLanguageCallback(query, action, language) {
+        const userId = query.from.id;
+        const chatId = query.message ? query.message.chat.id : userId;
+
+        if (!this.authorization.hasPermission(userId, 'manage_own_alerts')) {
+            await this.bot.answerCallbackQuery(query.id, { text: this.denyMessage(userId, 'manage_own_alerts') });
+            return;
+        }
+        if (action !== 'set' || !I18n.isSupported(language) || !this.getI18n()) {
+            await this.bot.answerCallbackQuery(query.id);
+            return;
+        }
+
+        await this.bot.answerCallbackQuery(query.id, { text: `🌐 ${I18n.describeLanguage(language)}` });
+        await this.removeInlineKeyboard(query);
+        await this.updateLanguage(chatId, userId, language);
+    }
+
+    // Shared by /language <code> and the language picker; the confirmation is already in the new language
+    async updateLanguage(chatId, userId, language) {
+        try {
+            await this.getI18n().setLanguage(userId, language);
+            console.log(`🌐 User ${userId} switched language to ${language}`);
+            await this.bot.sendMessage(chatId, this.t(userId, 'language.set', { language: I18n.describeLanguage(language) }));
+        } catch (error) {
+            console.error('❌ Error updating language:', error.message);
+            await this.bot.sendMessage(chatId, this.t(userId, 'errors.unexpected'));
+        }
+    }
+
+    // ✅ Approve / ❌ Reject on an access request notification or /pending
+    async handleApprovalCallback(query, action, requesterId) {
+        const adminId = query.from.id;
+
+        if (!this.authorization.hasPermission(adminId, 'manage_users')) {
+            await this.bot.answerCallbackQuery(query.id, { text: this.denyMessage(adminId, 'manage_users') });
+            return;
+        }
+        if (action !== 'approve' && action !== 'reject') {
+            await this.bot.answerCallbackQuery(query.id);
+            return;
+        }
+
+        const userName = this.authorization.getUserName(requesterId) || 'Unknown';
+        const handled = action === 'approve'
+            ? this.approveAccessRequest(requesterId, adminId)
+            : this.rejectAccessRequest(requesterId, adminId);
+        const text = !handled
+            ? `ℹ️ The request from ${userName} was already handled.`
+            : action === 'approve' ? `✅ User ${requesterId} (${userName}) approved.` : `❌ User ${requesterId} (${userName}) rejected.`;
+        await this.bot.answerCallbackQuery(query.id, { text });
+        await this.removeInlineKeyboard(query, [`usr:approve:${requesterId}`, `usr:reject:${requesterId}`]);
+    }
+
+    // Shared by /setrole and /makeadmin
+    async changeRole(chatId, adminId, userId, role) {
+        const currentRole = this.authorization.getRole(userId);
+        if (!currentRole) {
+            await this.bot.sendMessage(chatId, this.t(adminId, 'users.notAuthorized', { userId }));
+            return;
+        }
+        if (!Roles.isValid(role)) {
+            await this.bot.sendMessage(chatId, this.t(adminId, 'roles.unknown', { role, roles: Roles.ROLES.join(', ') }));
+            return;
+        }
+        if (!Roles.canAssign(this.authorization.getRole(adminId), currentRole, role)) {
+            await this.bot.sendMessage(chatId, this.t(adminId, 'roles.ownerOnly'));
+            return;
+        }
+
+        const result = await this.authorization.setRole(userId, role, adminId);
+        if (!result.success) {
+            await this.bot.sendMessage(chatId, this.t(adminId, 'roles.failed', { error: result.error }));
+            return;
+        }
+
+        this.audit(adminId, 'user.role', { target: userId, before: currentRole, after: role });
+        const userName = this.authorization.getUserName(userId) || 'Unknown';
+        await this.bot.sendMessage(chatId, this.t(adminId, 'roles.changed', { userId, name: userName, role: Roles.describe(role, this.getLanguage(adminId)) }));
+        this.bot.sendMessage(userId, this.t(userId, 'access.roleChanged', { role: Roles.describe(role, this.getLanguage(userId)) })).catch(error => {
+            console.error(`❌ Failed to notify user ${userId} of their new role:`, error.message);
+        });
+    }
+
+    // "/audit 123456789 30", "/audit Dana", "/audit 7d" - a number up to 3 digits (or with "d") is days
+    parseAuditArgs(text, userId) {
+        let user = null;
+        let days = DEFAULT_AUDIT_DAYS;
+        for (const arg of (text || '').trim().split(/\s+/).filter(Boolean)) {
+            const isDays = /^\d+d$/i.test(arg) || (/^\d+$/.test(arg) && (user || arg.length <= 3));
+            if (isDays) {
+                days = parseInt(arg, 10);
+                if (days < 1 || days > MAX_AUDIT_DAYS) {
+                    return { error: this.t(userId, 'audit.daysRange', { max: MAX_AUDIT_DAYS }) };
+                }
+            } else if (!user && /^\d+$/.test(arg)) {
+                user = arg;
+            } else if (!user) {
+                const wanted = arg.replace(/^@/, '').toLowerCase();
+                user = this.authorization.getAuthorizedUsers()
+                    .find(id => (this.authorization.getUserName(id) || '').toLowerCase() === wanted) || null;
+                if (!user) {
+                    return { error: this.t(userId, 'audit.unknownUser', { name: arg }) };
+                }
+            } else {
+                return { error: this.t(userId, 'audit.unexpected', { arg }) };
+            }
+        }
+        return { user, days };
+    }
+
+    formatAuditEntries(entries, user, days, userId) {
+        const t = (key, params) => this.t(userId, key, params);
+        let text = user
+            ? t('audit.titleUser', { count: days, name: this.escapeHtml(this.authorization.getUserName(user) || user), userId: this.escapeHtml(user) })
+            : t('audit.title', { count: days });
+        text += '\n\n';
+        if (entries.length === 0) {
+            return text + t('audit.none');
+        }
+
+        const summarize = value => {
+            if (value === null || value === undefined) return '—';
+            let summary;
+            if (Array.isArray(value)) {
+                summary = value.length ? value.map(item => (typeof item === 'object' ? JSON.stringify(item) : item)).join(', ') : t('audit.emptyList');
+            } else if (typeof value === 'object') {
+                summary = Object.entries(value).map(([key, item]) => `${key}: ${typeof item === 'object' ? JSON.stringify(item) : item}`).join(', ');
+            } else {
+                summary = String(value);
+            }
+            return this.escapeHtml(summary.length > 60 ? `${summary.substring(0, 60)}…` : summary);
+        };
+
+        text += entries.slice(0, AUDIT_ENTRIES_SHOWN).map(entry => {
+            const when = entry.timestamp.replace('T', ' ').substring(0, 16);
+            const target = entry.target ? ` → ${this.escapeHtml(entry.target)}` : '';
+            let line = `🕒 <code>${when}</code> <b>${this.escapeHtml(entry.action)}</b>${target}\n`;
+            line += `   👤 ${this.escapeHtml(entry.actorName || t('audit.unknownActor'))} (${this.escapeHtml(entry.actor || t('audit.system'))})`;
+            if (entry.before !== null || entry.after !== null) {
+                line += `\n   ${summarize(entry.before)} ➜ ${summarize(entry.after)}`;
+            }
+            return line;
+        }).join('\n\n');
+
+        if (entries.length > AUDIT_ENTRIES_SHOWN) {
+            text += '\n\n' + t('audit.more', { count: entries.length - AUDIT_ENTRIES_SHOWN });
         } else {
-            return `${days} day${days !== 1 ? 's' : ''} ago`;
+            text += '\n\n' + t('audit.utc');
         }
+        return text;
     }
 
-    async notifyAdmins(message) {
-        // Send notification to all admin users
-        const adminUsers = this.authorization.getAdminUsers();
-        
-        if (!adminUsers || adminUsers.length === 0) {
-            console.warn('⚠️ No admin users found! Cannot send admin notification.');
-            console.log('📢 Admin notification (logged only):', message);
+    // /monitor and /unmonitor: update config/monitored-groups.json and every phone's live monitored set
+    async handleMonitorCommand(chatId, userId, enable, groupArg) {
+        const configPath = path.join(__dirname, '../config/monitored-groups.json');
+        let config = { monitoredGroups: [] };
+        try {
+            if (fs.existsSync(configPath)) {
+                config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+                config.monitoredGroups = config.monitoredGroups || [];
+            }
+        } catch (error) {
+            console.error('❌ Failed to read monitored groups config:', error.message);
+            await this.bot.sendMessage(chatId, this.t(userId, 'monitor.readFailed'));
             return;
         }
-        
-        console.log(`📢 Sending admin notification to ${adminUsers.length} admin(s):`, message);
-        
-        // Send to all admins asynchronously
-        const sendPromises = adminUsers.map(async (adminId) => {
-            try {
-                await this.bot.sendMessage(adminId, message);
-                console.log(`✅ Admin notification sent to admin ${adminId}`);
-            } catch (error) {
-                console.error(`❌ Failed to send admin notification to admin ${adminId}:`, error.message);
+
+        const enabledGroups = config.monitoredGroups.filter(group => group.enabled);
+        if (!groupArg) {
+            let text = enabledGroups.length === 0
+                ? this.t(userId, 'monitor.all')
+                : this.t(userId, 'monitor.title', { count: enabledGroups.length }) + '\n\n' +
+                  enabledGroups.map(group => `• ${this.escapeHtml(group.name || 'Unknown')} (<code>${this.escapeHtml(group.groupId)}</code>)`).join('\n');
+            text += '\n\n' + this.t(userId, 'monitor.hint');
+            await this.bot.sendMessage(chatId, text, { parse_mode: 'HTML' });
+            return;
+        }
+
+        // Match by group id, then by name - the groups the bot is in first, then the config
+        const wanted = groupArg.toLowerCase();
+        const discovered = Object.entries(this.loadDiscoveredGroups()).map(([groupId, group]) => ({ groupId, name: group.name }));
+        const candidates = [...discovered, ...config.monitoredGroups];
+        const group = candidates.find(g => g.groupId === groupArg) ||
+            candidates.find(g => (g.name || '').toLowerCase() === wanted);
+        if (!group) {
+            await this.bot.sendMessage(chatId, this.t(userId, 'monitor.notFound', { group: this.escapeHtml(groupArg) }), { parse_mode: 'HTML' });
+            return;
+        }
+
+        const entry = config.monitoredGroups.find(g => g.groupId === group.groupId);
+        const wasMonitored = Boolean(entry && entry.enabled);
+        if (!enable && !wasMonitored) {
+            await this.bot.sendMessage(chatId, this.t(userId, 'monitor.notMonitored', { group: this.escapeHtml(group.name || group.groupId) }), { parse_mode: 'HTML' });
+            return;
+        }
+        if (entry) {
+            entry.enabled = enable;
+        } else {
+            config.monitoredGroups.push({ groupId: group.groupId, name: group.name || 'Unknown', enabled: true });
+        }
+
+        try {
+            fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+        } catch (error) {
+            console.error('❌ Failed to save monitored groups config:', error.message);
+            await this.bot.sendMessage(chatId, this.t(userId, 'monitor.saveFailed'));
+            return;
+        }
+
+        if (this.botInstance && this.botInstance.connections) {
+            for (const connection of this.botInstance.connections.values()) {
+                if (enable && connection.addMonitoredGroup) {
+                    connection.addMonitoredGroup(group.groupId, group.name);
+                } else if (!enable && connection.removeMonitoredGroup) {
+                    connection.removeMonitoredGroup(group.groupId);
+                }
             }
+        }
+        logBotEvent(enable ? 'group_monitored' : 'group_unmonitored', { userId, groupId: group.groupId, name: group.name });
+        this.audit(userId, enable ? 'group.monitor' : 'group.unmonitor', {
+            target: group.groupId,
+            before: { monitored: wasMonitored },
+            after: { monitored: enable },
+            details: { name: group.name || null }
         });
-        
-        // Wait for all notifications to be sent (or fail)
-        await Promise.allSettled(sendPromises);
+
+        const remaining = config.monitoredGroups.filter(g => g.enabled).length;
+        const groupName = this.escapeHtml(group.name || group.groupId);
+        let text = this.t(userId, enable ? 'monitor.added' : 'monitor.removed', { group: groupName });
+        if (enable && remaining === 1) {
+            text += '\n' + this.t(userId, 'monitor.firstPicked');
+        } else if (!enable && remaining === 0) {
+            text += '\n' + this.t(userId, 'monitor.nonePicked');
+        }
+        await this.bot.sendMessage(chatId, text, { parse_mode: 'HTML' });
     }
 
-    // Personal keyword management methods
-    // Helper method that uses keywordDetector's Supabase-aware method
-    async getPersonalKeywordsFromSupabase(userId) {
-        try {
-            if (this.keywordDetector) {
-                // Use keywordDetector's method which checks Supabase first, then file
-                return await this.keywordDetector.getPersonalKeywords(userId);
+    // Shared by /approve and the ✅ Approve button; false when the user has no pending request
+    approveAccessRequest(userId, adminId) {
+        const userName = this.authorization.getUserName(userId) || 'Unknown';
+        if (!this.authorization.approveUser(userId, adminId, userName)) {
+            return false;
+        }
+        this.audit(adminId, 'user.approve', { target: userId, before: { status: 'pending' }, after: { status: 'approved', role: this.authorization.getRole(userId) }, details: { name: userName } });
+        this.bot.sendMessage(userId, this.t(userId, 'access.approved')).catch(error => {
+            console.error(`❌ Failed to notify approved user ${userId}:`, error.message);
+        });
+        return true;
+    }
+
+    // Shared by /reject and the ❌ Reject button
+    rejectAccessRequest(userId, adminId) {
+        if (!this.authorization.rejectUser(userId, adminId)) {
+            return false;
+        }
+        this.audit(adminId, 'user.reject', { target: userId, before: { status: 'pending' }, after: { status: 'rejected' } });
+        this.bot.sendMessage(userId, this.t(userId, 'access.rejected')).catch(error => {
+            console.error(`❌ Failed to notify rejected user ${userId}:`, error.message);
+        });
+        return true;
+    }
+
+    getKeywordText(entry) {
+        return typeof entry === 'string' ? entry : (entry && entry.keyword) || '';
+    }
+
+    // Leading options of a keyword argument: "--exact", "--fuzzy[=N]", "--prefix", "--wildcard", "--regex",
+    // "--priority=low|normal|high|critical" ("--emergency" is short for --priority=critical), "--policy=<escalation policy>"
+    // and group scopes "@group" / "@\"Group name\"" (only there) and "-@group" (everywhere but there).
+    // Options end at the first other word or at "--"; the rest of the line is the keyword exactly as typed,
+    // so regexes and rules may contain "@", "--" and runs of spaces. Errors are in the user's language.
+    parseKeywordOptions(text, userId) {
+        const options = {};
+        let rest = text.trim();
+
+        while (rest) {
+            const [token, word] = /^(-?@"[^"]*"|\S+)\s*/.exec(rest);
+            if (word === '--') {
+                rest = rest.substring(token.length);
+                break;
             }
-            // Fallback to file if keywordDetector not available
-            return this.getPersonalKeywords(userId);
-        } catch (error) {
-            console.error('Error loading personal keywords from Supabase:', error.message);
-            // Fallback to file
-            return this.getPersonalKeywords(userId);
+
+            const scope = /^(-?)@(?:"([^"]*)"|(.+))$/.exec(word);
+            if (scope) {
+                const name = (scope[2] !== undefined ? scope[2] : scope[3]).trim();
+                if (!name) {
+                    return { keyword: '', options, error: this.t(userId, 'keywords.emptyGroup') };
+                }
+                const groupName = this.findGroupName(name);
+                if (!groupName) {
+                    return { keyword: '', options, error: this.t(userId, 'keywords.unknownGroup', { group: name }) };
+                }
+                const listName = scope[1] ? 'excludeGroups' : 'groups';
+                options[listName] = [...(options[listName] || []), groupName];
+                rest = rest.substring(token.length);
+                continue;
+            }
+
+            const policy = /^--policy=(.*)$/.exec(word);
+            const priority = /^--priority=(.*)$/.exec(word);
+            const flag = /^--(exact|fuzzy|prefix|wildcard|regex)(?:=(\d+))?$/.exec(word);
+            if (policy) {
+                const policyError = this.validatePolicyName(policy[1], userId);
+                if (policyError) {
+                    return { keyword: '', options, error: policyError };
+                }
+                if (policy[1].toLowerCase() !== 'default') {
+                    options.policy = policy[1].toLowerCase();
+                }
+            } else if (priority || word === '--emergency') {
+                const level = priority ? priority[1].toLowerCase() : 'critical';
+                if (!KeywordPriority.isValid(level)) {
+                    return { keyword: '', options, error: this.t(userId, 'keywords.unknownPriority', { priority: priority[1], levels: KeywordPriority.LEVELS.join(', ') }) };
+                }
+                options.priority = level;
+            } else if (flag) {
+                if (options.matchType) {
+                    return { keyword: '', options, error: this.t(userId, 'keywords.oneMatchOption') };
+                }
+                const [, mode, threshold] = flag;
+                if (threshold !== undefined && mode !== 'fuzzy') {
+                    return { keyword: '', options, error: this.t(userId, 'keywords.optionNoValue', { option: `--${mode}` }) };
+                }
+                options.matchType = mode === 'prefix' ? 'wildcard' : mode;
+                if (threshold !== undefined) {
+                    options.fuzzyThreshold = parseInt(threshold, 10);
+                }
+            } else {
+                break;
+            }
+            rest = rest.substring(token.length);
+        }
+
+        let keyword = rest.trim();
+        // --prefix is shorthand for a trailing wildcard: "--prefix deliver" == "--wildcard deliver*"
+        if (options.matchType === 'wildcard' && keyword && !keyword.includes('*')) {
+            keyword += '*';
         }
+        return { keyword, options, error: null };
     }
 
-    // Legacy file-based method (kept for backward compatibility and fallback)
-    getPersonalKeywords(userId) {
-        try {
-            const fs = require('fs');
-            const path = require('path');
-            const personalKeywordsPath = path.join(__dirname, '../config/personal-keywords.json');
-            
-            if (fs.existsSync(personalKeywordsPath)) {
-                const data = JSON.parse(fs.readFileSync(personalKeywordsPath, 'utf8'));
-                return data[userId] || [];
+    // The discovered group's exact name (matched case-insensitively), or null when the bot hasn't seen that group
+    findGroupName(name) {
+        const knownGroup = Object.values(this.loadDiscoveredGroups())
+            .find(group => group.name && group.name.toLowerCase() === name.toLowerCase());
+        return knownGroup ? knownGroup.name : null;
+    }
+
+    // Use the discovered group's exact name when the user typed it with different casing
+    resolveGroupName(name) {
+        return this.findGroupName(name) || name;
+    }
+
+    // Telegram summary of explainDetection: matches with their path, near misses, and a count of the rest
+    formatMatchTrace(trace, userId) {
+        const maxLength = 3800; // Telegram messages are limited to 4096 characters
+        const t = (key, params) => this.t(userId, key, params);
+        const describe = item => `"${this.escapeHtml(item.keyword)}"${item.type === 'personal' ? ` ${t('testmatch.personal')}` : ''}`;
+        const steps = item => item.steps.map(step => `   ↳ ${this.escapeHtml(this.formatTraceStep(step, userId))}\n`).join('');
+
+        let text = t('testmatch.title') + '\n\n';
+        if (trace.groupName) {
+            text += t('testmatch.group', { group: this.escapeHtml(trace.groupName) }) + '\n';
+        }
+        text += t('testmatch.normalized', { text: this.escapeHtml(trace.normalizedText) }) + '\n';
+        text += t('testmatch.tokens', { tokens: this.escapeHtml(trace.tokens.join(' | ') || t('testmatch.noTokens')) }) + '\n';
+        if (!trace.enabled) {
+            text += '\n' + t('testmatch.disabled') + '\n';
+        }
+
+        const matched = trace.keywords.filter(item => item.matched);
+        const nearMisses = trace.keywords.filter(item => !item.matched && item.inScope &&
+            (item.mode === 'rule' || (item.closest && item.closest.distance <= item.closest.threshold + 1)));
+        const outOfScope = trace.keywords.filter(item => !item.inScope);
+
+        text += '\n' + t('testmatch.matches', { count: matched.length }) + '\n';
+        text += matched.length === 0 ? t('testmatch.none') + '\n' : matched.map(item => `• ${describe(item)}\n${steps(item)}`).join('');
+
+        if (nearMisses.length > 0) {
+            text += '\n' + t('testmatch.nearMisses', { count: nearMisses.length }) + '\n';
+            text += nearMisses.map(item => `• ${describe(item)}\n${steps(item)}`).join('');
+        }
+        if (outOfScope.length > 0) {
+            text += '\n' + t('testmatch.outOfScope', { keywords: outOfScope.map(describe).join(', ') }) + '\n';
+        }
+
+        const others = trace.keywords.length - matched.length - nearMisses.length - outOfScope.length;
+        text += '\n' + t('testmatch.summary', { count: trace.keywords.length, others });
+
+        if (text.length > maxLength) {
+            // Drop a tag or HTML entity that was cut in half
+            text = text.substring(0, maxLength).replace(/<[^>]*$/, '').replace(/&[^;\s]*$/, '') + '\n…';
+            // Close a <code> tag that was cut off
+            if ((text.match(/<code>/g) || []).length > (text.match(/<\/code>/g) || []).length) {
+                text += '</code>';
             }
-            
-            return [];
-        } catch (error) {
-            console.error('Error loading personal keywords from file:', error.message);
-            return [];
         }
+        return text;
     }
 
-    async addPersonalKeyword(userId, keyword) {
-        try {
-            const fs = require('fs');
-            const path = require('path');
-            const personalKeywordsPath = path.join(__dirname, '../config/personal-keywords.json');
-            
-            let data = {};
-            if (fs.existsSync(personalKeywordsPath)) {
-                data = JSON.parse(fs.readFileSync(personalKeywordsPath, 'utf8'));
+    // One explainDetection step ({ key, ...details }) in the user's language
+    formatTraceStep(step, userId) {
+        const params = { ...step };
+        if (step.key === 'mode') {
+            params.mode = this.formatMatchMode(step, userId);
+        } else if (step.key === 'outOfScope') {
+            params.scope = this.formatKeywordScope(step, userId);
+            params.group = step.group || this.t(userId, 'testmatch.noGroup');
+        } else if (step.key === 'fuzzyToken') {
+            params.method = this.t(userId, `testmatch.method.${step.method}`);
+        } else if (step.key === 'invalidRule') {
+            params.error = this.keywordDetector.validateRule(step.rule, this.getLanguage(userId));
+        }
+        return this.t(userId, `testmatch.step.${step.key}`, params);
+    }
+
+    // Error message (in the user's language) for an unknown escalation policy name ("default" means the priority's schedule)
+    validatePolicyName(name, userId) {
+        const reminderManager = this.getReminderManager();
+        if (!name) return this.t(userId, 'policies.emptyName');
+        if (name.toLowerCase() === 'default' || !reminderManager) return null;
+        if (!reminderManager.escalationPolicies.getPolicy(name)) {
+            return this.t(userId, 'policies.unknown', { name });
+        }
+        return null;
+    }
+
+    // "<name> <minutes,...> [max=N] [email=off|N] [escalate=admins|<userId>|none]" for /addpolicy
+    parsePolicyArgs(text, userId) {
+        const [name, intervals, ...flags] = text.trim().split(/\s+/);
+        if (!name || !intervals) return { error: 'usage' };
+
+        const policy = { name, intervals: intervals.split(',').filter(Boolean).map(Number) };
+        for (const flag of flags) {
+            const [key, value] = flag.toLowerCase().split('=');
+            if (key === 'max' && value) {
+                policy.maxReminders = Number(value);
+            } else if (key === 'escalate' && value) {
+                policy.escalateTo = value === 'none' ? null : value;
+            } else if (key === 'email' && value === 'off') {
+                policy.channels = [['telegram']];
+            } else if (key === 'email' && /^\d+$/.test(value || '') && Number(value) >= 1) {
+                // Telegram only until step N, then Telegram and email
+                const fromStep = Math.min(Number(value), 20);
+                policy.channels = [...Array(fromStep - 1).fill(['telegram']), ['telegram', 'email']];
+            } else {
+                return { error: this.t(userId, 'policies.unknownOption', { option: flag }) };
             }
-            
-            if (!data[userId]) {
-                data[userId] = [];
+        }
+        return { policy };
+    }
+
+    getPolicyUsage(userId) {
+        return this.t(userId, 'policies.usage');
+    }
+
+    // "<level> <keyword>" for /setpriority and /setmypriority; priority is null when the level is unknown
+    parsePriorityArgs(text) {
+        const [level, ...rest] = text.trim().split(/\s+/);
+        const priority = level.toLowerCase() === 'emergency' ? 'critical' : level.toLowerCase();
+        return {
+            priority: KeywordPriority.isValid(priority) ? priority : null,
+            keyword: rest.join(' ')
+        };
+    }
+
+    getPriorityUsage(command, userId) {
+        return this.t(userId, 'priority.usage', { command });
+    }
+
+    // " [fuzzy ≤2] [only in: Family] [🔴 critical] [policy: oncall]" style suffix for keyword lists; empty for default keywords
+    formatKeywordMode(entry, userId) {
+        if (!this.keywordDetector) return '';
+        const normalized = this.keywordDetector.normalizeKeywordEntry(entry);
+        const priorityLabel = normalized.priority !== 'normal' ? KeywordPriority.describe(normalized.priority) : '';
+        const policyLabel = normalized.policy ? this.t(userId, 'keywords.policyLabel', { policy: normalized.policy }) : '';
+        return [this.formatMatchMode(normalized, userId), this.formatKeywordScope(normalized, userId), priorityLabel, policyLabel]
+            .filter(Boolean)
+            .map(label => ` [${this.escapeHtml(label)}]`)
+            .join('');
+    }
+
+    // "fuzzy ≤2", "regex" ... for a normalized entry; empty for default keywords
+    formatMatchMode({ matchType, fuzzyThreshold }, userId) {
+        if (matchType === 'auto') return '';
+        return this.t(userId, `keywords.mode.${matchType}`, { threshold: fuzzyThreshold !== null ? fuzzyThreshold : 1 });
+    }
+
+    // "only in: Kindergarten parents; not in: Work" for a normalized entry; empty when unscoped
+    formatKeywordScope({ groups, excludeGroups }, userId) {
+        const parts = [];
+        if (groups.length > 0) {
+            parts.push(this.t(userId, 'keywords.scopeOnly', { groups: groups.join(', ') }));
+        }
+        if (excludeGroups.length > 0) {
+            parts.push(this.t(userId, 'keywords.scopeExcept', { groups: excludeGroups.join(', ') }));
+        }
+        return parts.join('; ');
+    }
+
+    // { keyword, personal } for /backfill: the user's personal keyword first, then a global keyword (exact, then any case)
+    async resolveBackfillKeyword(userId, text) {
+        const personalKeywords = (await this.getPersonalKeywordsFromSupabase(userId)).map(entry => this.getKeywordText(entry));
+        const globalKeywords = this.keywordDetector.getKeywords();
+        const find = keywords => keywords.find(keyword => keyword === text) ||
+            keywords.find(keyword => keyword.toLowerCase() === text.toLowerCase());
+
+        const personal = find(personalKeywords);
+        if (personal) return { keyword: personal, personal: true };
+        const global = find(globalKeywords);
+        return global ? { keyword: global, personal: false } : null;
+    }
+
+    // Suggest /backfill after adding a keyword when there is an archive to check
+    getBackfillHint(keyword, userId) {
+        const messageHistory = this.botInstance && this.botInstance.messageHistory;
+        if (!messageHistory || !messageHistory.isEnabled()) return '';
+        return '\n\n' + this.t(userId, 'keywords.backfillHint', { keyword });
+    }
+
+    // "❌ Invalid regex keyword: <reason>"; the reason comes from KeywordDetector.validateKeywordEntry
+    formatInvalidKeyword(entry, error, userId) {
+        const key = entry.matchType === 'auto' ? 'keywords.invalid' : 'keywords.invalidMode';
+        return this.t(userId, key, { mode: entry.matchType, error: this.escapeHtml(error) });
+    }
+
+    // "/search <query> [@group] [since]": since is a trailing 12h / 7d / 2w or YYYY-MM-DD
+    parseSearchQuery(text, userId) {
+        let groupName = null;
+        const words = [];
+
+        for (const word of text.trim().match(/@"[^"]*"|\S+/g) || []) {
+            const scope = /^@(?:"([^"]*)"|(.+))$/.exec(word);
+            if (!scope) {
+                words.push(word);
+                continue;
             }
-            
-            if (!data[userId].includes(keyword)) {
-                data[userId].push(keyword);
-                fs.writeFileSync(personalKeywordsPath, JSON.stringify(data, null, 2));
-                
-                // Also save to Supabase
-                if (this.keywordDetector && this.keywordDetector.supabase && this.keywordDetector.supabase.isEnabled()) {
-                    console.log(`💾 Saving personal keyword "${keyword}" to Supabase for user ${userId}...`);
-                    await this.keywordDetector.supabase.setPersonalKeywords(userId.toString(), data[userId]);
-                    console.log(`✅ Personal keyword saved to Supabase`);
-                }
+            if (groupName) {
+                return { query: '', groupName, since: null, error: this.t(userId, 'search.oneGroup') };
             }
-        } catch (error) {
-            console.error('Error adding personal keyword:', error.message);
+            groupName = this.resolveGroupName((scope[1] !== undefined ? scope[1] : scope[2]).trim());
+            if (!groupName) {
+                return { query: '', groupName, since: null, error: this.t(userId, 'keywords.emptyGroup') };
+            }
+        }
+
+        let since = null;
+        if (words.length > 1) {
+            since = this.parseSinceValue(words[words.length - 1]);
+            if (since) words.pop();
         }
+
+        const query = words.join(' ');
+        if (!query) {
+            return { query, groupName, since, error: this.t(userId, 'search.empty') };
+        }
+        return { query, groupName, since, error: null };
     }
 
-    async removePersonalKeyword(userId, keyword) {
-        try {
-            const fs = require('fs');
-            const path = require('path');
-            const personalKeywordsPath = path.join(__dirname, '../config/personal-keywords.json');
-            
-            let data = {};
-            if (fs.existsSync(personalKeywordsPath)) {
-                data = JSON.parse(fs.readFileSync(personalKeywordsPath, 'utf8'));
+    // ISO start time for "12h" / "7d" / "2w" / "2024-05-01", or null if the value isn't a time
+    parseSinceValue(value) {
+        const relative = /^(\d+)([hdw])$/i.exec(value);
+        if (relative) {
+            const hours = { h: 1, d: 24, w: 24 * 7 }[relative[2].toLowerCase()];
+            return new Date(Date.now() - parseInt(relative[1], 10) * hours * 60 * 60 * 1000).toISOString();
+        }
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            const date = new Date(`${value}T00:00:00`);
+            return isNaN(date.getTime()) ? null : date.toISOString();
+        }
+        return null;
+    }
+
+    // Telegram summary of MessageHistory.search results, newest first
+    formatSearchResults(query, search, { groupName = null, since = null, timezone = 'Asia/Jerusalem', userId = null } = {}) {
+        const formatTime = this.createTimeFormatter(timezone);
+        const t = (key, params) => this.t(userId, key, params);
+
+        let text = t('search.title', { query: this.escapeHtml(query) }) + '\n';
+        if (groupName) {
+            text += t('search.group', { group: this.escapeHtml(groupName) }) + '\n';
+        }
+        if (since) {
+            text += t('search.since', { time: formatTime(since) }) + '\n';
+        }
+
+        if (search.results.length === 0) {
+            text += '\n' + t('search.none', { count: search.scanned });
+            return text;
+        }
+
+        text += '\n' + t('search.found', { count: search.matched, scanned: search.scanned });
+        text += (search.matched > search.results.length ? t('archive.newest', { count: search.results.length }) : '') + ':\n';
+        return this.appendArchivedMatches(text, search.results, formatTime);
+    }
+
+    // /digest arguments -> { preference } or { error }
+    parseDigestPreference(args, userId) {
+        if (args === 'immediate' || args === 'off') {
+            return { preference: { mode: 'immediate' } };
+        }
+        if (args === 'hourly') {
+            return { preference: { mode: 'hourly' } };
+        }
+
+        const batch = args.match(/^(?:batch|every)\s+(\d+)\s*(?:m|min|minutes?)?$/);
+        if (batch) {
+            return { preference: { mode: 'batch', intervalMinutes: parseInt(batch[1], 10) } };
+        }
+
+        const daily = args.match(/^daily(?:\s+(\d{1,2}):(\d{2}))?$/);
+        if (daily) {
+            if (!daily[1]) {
+                return { preference: { mode: 'daily' } };
             }
-            
-            if (data[userId]) {
-                const index = data[userId].indexOf(keyword);
-                if (index > -1) {
-                    data[userId].splice(index, 1);
-                    fs.writeFileSync(personalKeywordsPath, JSON.stringify(data, null, 2));
-                    
-                    // Also update Supabase
-                    if (this.keywordDetector && this.keywordDetector.supabase && this.keywordDetector.supabase.isEnabled()) {
-                        console.log(`💾 Removing personal keyword "${keyword}" from Supabase for user ${userId}...`);
-                        await this.keywordDetector.supabase.setPersonalKeywords(userId.toString(), data[userId]);
-                        console.log(`✅ Personal keyword removed from Supabase`);
-                    }
-                }
+            const hours = parseInt(daily[1], 10);
+            const minutes = parseInt(daily[2], 10);
+            if (hours > 23 || minutes > 59) {
+                return { error: this.t(userId, 'delivery.invalidTime', { time: `${daily[1]}:${daily[2]}` }) };
             }
-        } catch (error) {
-            console.error('Error removing personal keyword:', error.message);
+            return { preference: { mode: 'daily', time: `${String(hours).padStart(2, '0')}:${daily[2]}` } };
+        }
+
+        return { error: this.t(userId, 'delivery.unknownOption', { option: args }) };
+    }
+
+    getDigestUsage(userId) {
+        return this.t(userId, 'delivery.usage');
+    }
+
+    formatDigestStatus(digestManager, userId, timezone) {
+        const preference = digestManager.getPreference(userId);
+        let text = this.t(userId, 'delivery.mode', { mode: this.escapeHtml(digestManager.describePreference(preference, this.getLanguage(userId))) }) + '\n';
+
+        const pending = digestManager.getPendingCount(userId);
+        if (pending > 0) {
+            const dueAt = digestManager.getNextDigestTime(userId);
+            const formatTime = this.createTimeFormatter(timezone);
+            text += (dueAt
+                ? this.t(userId, 'delivery.pendingDue', { count: pending, time: formatTime(dueAt) })
+                : this.t(userId, 'delivery.pending', { count: pending })) + '\n';
+        } else if (preference.mode !== 'immediate') {
+            text += this.t(userId, 'delivery.nonePending') + '\n';
+        }
+
+        return `${text}\n${this.getDigestUsage(userId)}`;
+    }
+
+    // "7", "30" -> "07:30"; null for an invalid time
+    formatClockTime(hours, minutes) {
+        const h = parseInt(hours, 10);
+        const m = parseInt(minutes, 10);
+        if (h > 23 || m > 59) return null;
+        return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+    }
+
+    // "telegram,email" / "telegram+email" -> { channels } or { invalid: <first unknown name> }
+    parseChannelList(value, available) {
+        const channels = [...new Set(value.toLowerCase().split(/[,+]/).map(name => name.trim()).filter(Boolean))];
+        const invalid = channels.find(name => !available.includes(name));
+        if (invalid || channels.length === 0) return { invalid: invalid || value };
+        return { channels };
+    }
+
+    formatChannelStatus(notifier, userId) {
+        const t = (key, params) => this.t(userId, key, params);
+        const preference = notifier.channelPreferences.get(userId);
+        const available = notifier.channels.getSelectable()
+            .map(channel => (channel.isEnabled() ? channel.name : t('channels.notSetUp', { channel: channel.name })))
+            .join(', ');
+        const byPriority = KeywordPriority.LEVELS
+            .map(level => `${KeywordPriority.describe(level)}: ${KeywordPriority.get(level).channels.join(', ')}`)
+            .join(' · ');
+
+        const lines = [t('channels.title'), t('channels.available', { channels: available }), ''];
+        lines.push(preference && preference.default
+            ? t('channels.default', { channels: preference.default.join(', ') })
+            : t('channels.defaultPriority', { channels: byPriority }));
+        if (preference && Object.keys(preference.priorities).length > 0) {
+            lines.push('', t('channels.byPriority'));
+            for (const level of KeywordPriority.LEVELS.filter(level => preference.priorities[level])) {
+                lines.push(`• ${KeywordPriority.describe(level)}: ${preference.priorities[level].join(', ')}`);
+            }
+        }
+        if (preference && Object.keys(preference.keywords).length > 0) {
+            lines.push('', t('channels.byKeyword'));
+            for (const [keyword, channels] of Object.entries(preference.keywords)) {
+                lines.push(`• "${this.escapeHtml(keyword)}": ${channels.join(', ')}`);
+            }
+        }
+        lines.push('', t('channels.stepsNote'), '', t('channels.usage'));
+        return lines.join('\n');
+    }
+
+    formatChatHookStatus(notifier, userId) {
+        const t = (key, params) => this.t(userId, key, params);
+        const hooks = notifier.chatWebhooks.get(userId);
+        const describe = hook => `${hook.format} · <code>${this.escapeHtml(ChatWebhookChannel.maskUrl(hook.url))}</code>`;
+
+        const lines = [t('chathook.title'), ''];
+        if (!hooks) {
+            lines.push(t('chathook.none'));
+        } else {
+            lines.push(`${t('chathook.defaultTarget')}: ${hooks.default ? describe(hooks.default) : t('chathook.notSet')}`);
+            for (const [group, hook] of Object.entries(hooks.groups)) {
+                lines.push(`• ${this.escapeHtml(group)}: ${describe(hook)}`);
+            }
+        }
+        lines.push('', t('chathook.enableHint'), '', t('chathook.usage'));
+        return lines.join('\n');
+    }
+
+    getAckResetUsage(userId) {
+        return this.t(userId, 'ackreset.usage');
+    }
+
+    getSnoozeUsage(userId) {
+        return this.t(userId, 'reminders.snoozeUsage');
+    }
+
+    // "30m", "2h", "1d" -> milliseconds (up to 7 days); null when invalid - also used by /snooze
+    parseDndDuration(value) {
+        const match = value.match(/^(\d+)\s*(m|min|h|d)$/);
+        if (!match) return null;
+        const unitMs = { m: 60 * 1000, min: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[match[2]];
+        const duration = parseInt(match[1], 10) * unitMs;
+        return duration > 0 && duration <= 7 * 24 * 60 * 60 * 1000 ? duration : null;
+    }
+
+    getQuietUsage(userId) {
+        return this.t(userId, 'quiet.usage');
+    }
+
+    formatQuietStatus(digestManager, userId, timezone) {
+        const quiet = digestManager.getQuietHours(userId) || {};
+        const formatTime = this.createTimeFormatter(timezone);
+
+        let text = (quiet.start
+            ? this.t(userId, 'quiet.status', { start: quiet.start, end: quiet.end, timezone: this.escapeHtml(quiet.timezone) })
+            : this.t(userId, 'quiet.statusOff')) + '\n';
+        if (quiet.dndUntil && quiet.dndUntil > Date.now()) {
+            text += this.t(userId, 'quiet.dndUntil', { time: formatTime(quiet.dndUntil) }) + '\n';
+        }
+
+        const quietEnd = digestManager.getQuietEnd(userId);
+        if (quietEnd) {
+            text += this.t(userId, 'quiet.held', { count: digestManager.getPendingCount(userId), time: formatTime(quietEnd) }) + '\n';
+        }
+        return `${text}\n${this.t(userId, 'quiet.criticalNote')}\n\n${this.getQuietUsage(userId)}`;
+    }
+
+    // After quiet hours / do-not-disturb end early, send what was held (unless a digest mode still applies)
+    async sendHeldAlerts(notifier, userId) {
+        if (!notifier.digestManager.isDeferred(userId)) {
+            await notifier.sendDigest(userId);
+        }
+    }
+
+    // Backfill digest: past hits for one keyword, sent once (no reminders)
+    formatBackfillDigest(keyword, hours, backfill, { personal = false, timezone = 'Asia/Jerusalem', userId = null } = {}) {
+        const formatTime = this.createTimeFormatter(timezone);
+        const t = (key, params) => this.t(userId, key, params);
+
+        let text = t(personal ? 'backfill.titlePersonal' : 'backfill.title', { keyword: this.escapeHtml(keyword) }) + '\n';
+        text += t('backfill.range', { count: hours, scanned: backfill.scanned }) + '\n';
+
+        if (backfill.results.length === 0) {
+            text += '\n' + t('backfill.none');
+            return text;
+        }
+
+        text += '\n' + t('backfill.found', { count: backfill.matched });
+        text += (backfill.matched > backfill.results.length ? t('archive.newest', { count: backfill.results.length }) : '') + ':\n';
+        text = this.appendArchivedMatches(text, backfill.results, formatTime);
+        return text + '\n\n' + t('backfill.footer');
+    }
+
+    createTimeFormatter(timezone) {
+        const options = { day: '2-digit', month: '2-digit', year: '2-digit', hour: '2-digit', minute: '2-digit' };
+        return timestamp => {
+            try {
+                return new Date(timestamp).toLocaleString('en-GB', { ...options, timeZone: timezone });
+            } catch (error) {
+                return new Date(timestamp).toLocaleString('en-GB', options); // Unknown timezone name
+            }
+        };
+    }
+
+    // Numbered list of archived { message, match, field } results, cut before the Telegram message limit
+    appendArchivedMatches(text, results, formatTime) {
+        const maxLength = 3600; // Telegram messages are limited to 4096 characters; leave room for a footer
+
+        for (const [i, { message, match, field }] of results.entries()) {
+            const source = field === 'fileText' ? '📄 ' : field === 'filename' ? '📎 ' : '';
+            const fieldText = field === 'filename' ? message.attachment.filename : field === 'fileText' ? message.fileText : message.text;
+            let entry = `\n${i + 1}. <b>${this.escapeHtml(message.group)}</b> · ${this.escapeHtml(message.sender)} · ${formatTime(message.timestamp)}\n`;
+            entry += `   ${source}${this.escapeHtml(this.getSearchSnippet(fieldText, match.token))}\n`;
+            if (match.matchType !== 'exact') {
+                entry += `   ↳ ${this.escapeHtml(match.matchType)}: ${this.escapeHtml(match.token || '')}\n`;
+            }
+            if (text.length + entry.length > maxLength) {
+                text += '\n…';
+                break;
+            }
+            text += entry;
         }
+        return text;
+    }
+
+    // About 160 characters of text around the matched token (or the start when the token was normalized away)
+    getSearchSnippet(text, token) {
+        const flat = String(text || '').replace(/\s+/g, ' ').trim();
+        const position = token ? flat.toLowerCase().indexOf(token.toLowerCase()) : -1;
+        const start = position > 60 ? position - 60 : 0;
+        const snippet = flat.substring(start, start + 160);
+        return `${start > 0 ? '…' : ''}${snippet}${start + 160 < flat.length ? '…' : ''}`;
     }
 
     stop() {
@@ -0,0 +1,254 @@
+/**
+ * User Data Store
+ * In-memory repository over SupabaseManager and the JSON config files for the data
+ * read on every WhatsApp message: authorized users, personal keywords and group subscriptions.
+ *   - reads are cached for DATA_CACHE_TTL_SECONDS (default 60)
+ *   - Telegram commands write through the store, which updates Supabase, the file and the cache
+ *   - with SUPABASE_REALTIME=true, database edits made outside the bot invalidate the cache
+ * Emits 'change' ({ type, userId, source }) whenever cached data changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const DEFAULT_TTL_SECONDS = 60;
+const REALTIME_TABLES = ['personal_keywords', 'group_subscriptions', 'users'];
+
+class UserDataStore extends EventEmitter {
+    constructor(supabase) {
+        super();
+        this.supabase = supabase;
+        this.ttlMs = (parseInt(process.env.DATA_CACHE_TTL_SECONDS, 10) || DEFAULT_TTL_SECONDS) * 1000;
+        this.authPath = path.join(__dirname, '../config/telegram-auth.json');
+        this.personalKeywordsPath = path.join(__dirname, '../config/personal-keywords.json');
+        this.subscriptionsPath = path.join(__dirname, '../config/group-subscriptions.json');
+        this.cache = new Map(); // cache key -> { value, expiresAt }
+        this.realtimeChannel = null;
+    }
+
+    // ==================== CACHE ====================
+
+    getCached(key) {
+        const cached = this.cache.get(key);
+        if (!cached || Date.now() > cached.expiresAt) {
+            this.cache.delete(key);
+            return undefined;
+        }
+        return cached.value;
+    }
+
+    setCached(key, value) {
+        this.cache.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+        return value;
+    }
+
+    // Drop one cache key (or everything) so the next read goes back to Supabase / the files
+    invalidate(key = null, source = 'local') {
+        if (key) {
+            this.cache.delete(key);
+        } else {
+            this.cache.clear();
+        }
+        this.emitChange(key, source);
+    }
+
+    emitChange(key, source) {
+        const [type, userId] = key ? key.split(':') : ['all'];
+        this.emit('change', { type, userId: userId || null, source });
+    }
+
+    // ==================== AUTHORIZED USERS ====================
+
+    getAuthorizedUsers() {
+        const cached = this.getCached('authorizedUsers');
+        if (cached) return [...cached];
+
+        try {
+            if (fs.existsSync(this.authPath)) {
+                const data = JSON.parse(fs.readFileSync(this.authPath, 'utf8'));
+                return [...this.setCached('authorizedUsers', data.authorizedUsers || [])];
+            }
+            return [...this.setCached('authorizedUsers', [])];
+        } catch (error) {
+            console.error('Error loading authorized users:', error.message);
+            return [];
+        }
+    }
+
+    // Called by TelegramAuthorization after it saved telegram-auth.json
+    setAuthorizedUsers(users) {
+        const previous = this.getCached('authorizedUsers');
+        this.setCached('authorizedUsers', [...users]);
+        if (!previous || previous.join(',') !== users.join(',')) {
+            this.emitChange('authorizedUsers', 'local');
+        }
+    }
+
+    // ==================== PERSONAL KEYWORDS ====================
+
+    async getPersonalKeywords(userId) {
+        const key = `personalKeywords:${userId}`;
+        const cached = this.getCached(key) || this.setCached(key, await this.loadPersonalKeywords(userId));
+        return [...cached];
+    }
+
+    async loadPersonalKeywords(userId) {
+        try {
+            // Try Supabase first if enabled
+            if (this.supabase.isEnabled()) {
+                try {
+                    const dbKeywords = await this.supabase.getPersonalKeywords(userId);
+                    if (dbKeywords !== null) {
+                        console.log(`📊 Loaded ${dbKeywords.length} personal keywords from Supabase for user ${userId}`);
+                        return dbKeywords;
+                    }
+                    // If dbKeywords is null, fall through to file-based fallback
+                } catch (error) {
+                    console.warn(`⚠️ Failed to load personal keywords from Supabase for user ${userId}, falling back to file:`, error.message);
+                }
+            }
+
+            return this.readJsonFile(this.personalKeywordsPath)[userId] || [];
+        } catch (error) {
+            console.error('Error loading personal keywords:', error.message);
+            return [];
+        }
+    }
+
+    // Write-through: file, then Supabase, then cache
+    async setPersonalKeywords(userId, keywords) {
+        const userIdStr = userId.toString();
+        try {
+            const data = this.readJsonFile(this.personalKeywordsPath);
+            data[userIdStr] = keywords;
+            fs.writeFileSync(this.personalKeywordsPath, JSON.stringify(data, null, 2));
+        } catch (error) {
+            console.error('Error saving personal keywords to file:', error.message);
+        }
+
+        if (this.supabase.isEnabled()) {
+            const success = await this.supabase.setPersonalKeywords(userIdStr, keywords);
+            if (success) {
+                console.log(`💾 Saved ${keywords.length} personal keywords to Supabase for user ${userIdStr}`);
+            }
+        }
+
+        this.setCached(`personalKeywords:${userIdStr}`, [...keywords]);
+        this.emitChange(`personalKeywords:${userIdStr}`, 'local');
+    }
+
+    // ==================== GROUP SUBSCRIPTIONS ====================
+
+    // { groupName: [userId, ...] } - callers get a copy they may modify
+    async getGroupSubscriptions() {
+        let subscriptions = this.getCached('groupSubscriptions');
+        if (!subscriptions) {
+            subscriptions = this.setCached('groupSubscriptions', await this.loadGroupSubscriptions());
+        }
+        return { ...subscriptions };
+    }
+
+    async getGroupSubscribers(groupName) {
+        const subscriptions = await this.getGroupSubscriptions();
+        return subscriptions[groupName] || [];
+    }
+
+    async loadGroupSubscriptions() {
+        try {
+            // Try Supabase first if enabled
+            if (this.supabase.isEnabled()) {
+                try {
+                    const subscriptions = await this.supabase.getGroupSubscriptions();
+                    if (subscriptions !== null) {
+                        console.log('📊 Loaded group subscriptions from Supabase');
+                        return subscriptions;
+                    }
+                } catch (error) {
+                    console.warn('⚠️ Failed to load group subscriptions from Supabase, falling back to file:', error.message);
+                }
+            }
+
+            return this.readJsonFile(this.subscriptionsPath);
+        } catch (error) {
+            console.error('Error loading group subscriptions:', error.message);
+            return {};
+        }
+    }
+
+    async addGroupSubscription(userId, groupName) {
+        const userIdStr = userId.toString();
+        if (this.supabase.isEnabled()) {
+            const success = await this.supabase.addGroupSubscription(userIdStr, groupName);
+            if (success) {
+                console.log(`💾 Added group subscription to Supabase: user ${userIdStr} → ${groupName}`);
+            }
+        }
+
+        const subscriptions = await this.getGroupSubscriptions();
+        subscriptions[groupName] = [...(subscriptions[groupName] || []).filter(id => id !== userIdStr), userIdStr];
+        this.saveGroupSubscriptions(subscriptions);
+    }
+
+    // legacyIds: older subscriptions were stored under the chat id
+    async removeGroupSubscription(userId, groupName, legacyIds = []) {
+        const userIdStr = userId.toString();
+        if (this.supabase.isEnabled()) {
+            const success = await this.supabase.removeGroupSubscription(userIdStr, groupName);
+            if (success) {
+                console.log(`💾 Removed group subscription from Supabase: user ${userIdStr} → ${groupName}`);
+            }
+        }
+
+        const removedIds = [userIdStr, ...legacyIds.map(id => id.toString())];
+        const subscriptions = await this.getGroupSubscriptions();
+        subscriptions[groupName] = (subscriptions[groupName] || []).filter(id => !removedIds.includes(id));
+        this.saveGroupSubscriptions(subscriptions);
+    }
+
+    // File backup of the full subscription map, then cache
+    saveGroupSubscriptions(subscriptions) {
+        try {
+            fs.writeFileSync(this.subscriptionsPath, JSON.stringify(subscriptions, null, 2));
+            console.log('✅ Group subscriptions saved to file');
+        } catch (error) {
+            console.error('Error saving group subscriptions:', error.message);
+        }
+
+        this.setCached('groupSubscriptions', subscriptions);
+        this.emitChange('groupSubscriptions', 'local');
+    }
+
+    // ==================== REALTIME ====================
+
+    // Invalidate cached rows when personal_keywords / group_subscriptions / users change in the database.
+    // A users change is emitted as an 'authorizedUsers' change from 'realtime' - TelegramAuthorization re-reads the table.
+    startRealtime() {
+        if (this.realtimeChannel || !this.supabase.isEnabled()) return false;
+
+        this.realtimeChannel = this.supabase.subscribeToChanges(REALTIME_TABLES, (table, payload) => {
+            if (table === 'personal_keywords') {
+                const row = payload.new && payload.new.user_id ? payload.new : payload.old;
+                if (row && row.user_id) {
+                    this.invalidate(`personalKeywords:${row.user_id}`, 'realtime');
+                } else {
+                    this.invalidate(null, 'realtime');
+                }
+            } else if (table === 'group_subscriptions') {
+                this.invalidate('groupSubscriptions', 'realtime');
+            } else if (table === 'users') {
+                this.invalidate('authorizedUsers', 'realtime');
+            }
+        });
+        return Boolean(this.realtimeChannel);
+    }
+
+    readJsonFile(filePath) {
+        if (fs.existsSync(filePath)) {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        }
+        return {};
+    }
+}
+
+module.exports = UserDataStore;
@@ -731,7 +731,8 @@ class WhatsAppConnection {
                 group: isGroup ? this.getGroupName(chatId) : 
                        isPrivate ? 'Private Chat' : 
                        isBroadcast ? 'Broadcast' : 'Unknown',
-                attachment: attachment // Add attachment info
+                attachment: attachment, // Add attachment info
+                fileText: extractedText || null // Extracted file content (also appended to text)
             };
 
             // Emit message event for keyword detection
@@ -4,6 +4,7 @@
 
 CREATE TABLE IF NOT EXISTS reminders (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    short_id INTEGER, -- per-user reminder number for /ok <number> (users can have several active reminders)
     user_id TEXT NOT NULL,
     keyword TEXT NOT NULL,
     message TEXT,
@@ -13,10 +14,15 @@ CREATE TABLE IF NOT EXISTS reminders (
     phone_number TEXT,
     attachment JSONB,
     is_global BOOLEAN DEFAULT FALSE,
+    priority TEXT DEFAULT 'normal', -- keyword priority: sets the reminder schedule
+    policy TEXT, -- escalation policy name (overrides the priority schedule)
     status TEXT NOT NULL DEFAULT 'active', -- 'active', 'acknowledged', 'cancelled', 'completed'
     reminder_count INTEGER DEFAULT 0,
     first_detected_at TIMESTAMPTZ DEFAULT NOW(),
     next_reminder_at TIMESTAMPTZ,
+    snoozed_until TIMESTAMPTZ, -- set by /snooze or the 💤 buttons; next_reminder_at is moved to the same time
+    suppress_period TEXT, -- acknowledged rows kept to block the keyword: hour | day | week | forever
+    suppressed_until TIMESTAMPTZ, -- end of the block (NULL with 'forever' = until /unblock)
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
@@ -29,6 +35,7 @@ CREATE INDEX IF NOT EXISTS idx_reminders_user_status ON reminders(user_id, statu
 -- Comments
 COMMENT ON TABLE reminders IS 'Persistent reminders for global and personal keywords';
 COMMENT ON COLUMN reminders.id IS 'UUID primary key for reminder';
+COMMENT ON COLUMN reminders.short_id IS 'Per-user reminder number shown in alerts and /reminders';
 COMMENT ON COLUMN reminders.user_id IS 'Telegram user ID';
 COMMENT ON COLUMN reminders.is_global IS 'True for global keyword reminders, false for personal';
 COMMENT ON COLUMN reminders.status IS 'Reminder status: active, acknowledged, cancelled, completed';
@@ -10,8 +10,14 @@ CREATE TABLE IF NOT EXISTS users (
     first_name TEXT,
     is_admin BOOLEAN DEFAULT FALSE,
     email TEXT,
-    notification_channels JSONB DEFAULT '["telegram"]', -- ['telegram', 'email', 'both']
+    notification_channels JSONB, -- /channels: {"default": ["telegram"], "priorities": {"critical": ["telegram", "email"]}, "keywords": {"fire": ["email"]}}; NULL = the priority's channels
+    chat_webhooks JSONB, -- /chathook: {"default": {"url": "https://hooks.slack.com/...", "format": "slack"}, "groups": {"<group>": {"url": "...", "format": "discord"}}}
     timezone TEXT DEFAULT 'UTC',
+    alert_delivery JSONB DEFAULT '{"mode": "immediate"}', -- immediate | batch | hourly | daily digest
+    quiet_hours JSONB, -- {"start": "22:00", "end": "07:00", "timezone": "...", "dndUntil": <ms>}
+    ack_reset TEXT, -- how long /ok blocks a keyword: message | hour | day | week | forever; NULL = global default
+    language TEXT, -- en | he | ru (/language); NULL = the user's Telegram app language
+    role TEXT, -- owner | admin | operator | keyword_manager | group_manager | user | viewer (/setrole); NULL = admin or user from is_admin
     active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
@@ -27,8 +33,12 @@ CREATE INDEX IF NOT EXISTS idx_users_active ON users(active) WHERE active = true
 CREATE TABLE IF NOT EXISTS global_keywords (
     keyword TEXT PRIMARY KEY,
     enabled BOOLEAN DEFAULT TRUE,
-    match_type TEXT DEFAULT 'exact',
-    fuzzy_threshold INTEGER DEFAULT 2,
+    match_type TEXT DEFAULT 'auto', -- 'auto', 'strict' (/addkeyword --exact), 'fuzzy', 'wildcard' (e.g. 'deliver*'), 'regex' or 'rule' (e.g. 'cake AND (birthday OR party)'); the old default 'exact' reads as 'auto'
+    fuzzy_threshold INTEGER DEFAULT 2, -- max edit distance, only used when match_type = 'fuzzy'
+    groups TEXT[] DEFAULT '{}', -- only match in these WhatsApp groups (empty = all groups)
+    exclude_groups TEXT[] DEFAULT '{}', -- never match in these WhatsApp groups
+    priority TEXT DEFAULT 'normal', -- 'low', 'normal', 'high' or 'critical': channels, reminder schedule, quiet-hours bypass
+    escalation_policy TEXT, -- escalation_policies.name; NULL = the priority's reminder schedule
     added_at TIMESTAMPTZ DEFAULT NOW(),
     added_by TEXT
 );
@@ -74,6 +84,72 @@ CREATE TABLE IF NOT EXISTS active_reminders (
 
 CREATE INDEX IF NOT EXISTS idx_active_reminders_user_id ON active_reminders(user_id);
 
+-- ===================================================
+-- 6. KEYWORD EXCLUSIONS TABLE (👎 false-positive feedback)
+-- ===================================================
+CREATE TABLE IF NOT EXISTS keyword_exclusions (
+    keyword TEXT NOT NULL,
+    token TEXT NOT NULL, -- matched message token that should no longer trigger the keyword
+    user_id TEXT NOT NULL DEFAULT '', -- '' = global keyword, otherwise the personal keyword owner
+    excluded_by TEXT,
+    excluded_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (keyword, token, user_id)
+);
+
+-- ===================================================
+-- 7. MESSAGE HISTORY TABLE (optional archive for /search, MESSAGE_HISTORY_ENABLED=true)
+-- ===================================================
+CREATE TABLE IF NOT EXISTS message_history (
+    id BIGSERIAL PRIMARY KEY,
+    message_id TEXT,
+    group_name TEXT NOT NULL,
+    sender TEXT,
+    text TEXT,
+    file_text TEXT, -- text extracted from PDF/Word/Excel attachments
+    attachment JSONB, -- { type, mimetype, filename, size }
+    message_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_history_message_at ON message_history(message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_message_history_group_name ON message_history(group_name);
+
+-- ===================================================
+-- 8. ESCALATION POLICIES TABLE (named reminder schedules, /policies)
+-- ===================================================
+CREATE TABLE IF NOT EXISTS escalation_policies (
+    name TEXT PRIMARY KEY,
+    intervals JSONB NOT NULL, -- minutes: alert → reminder 1, then between reminders (last one repeats)
+    max_reminders INTEGER NOT NULL,
+    channels JSONB, -- per-step channel lists, e.g. [["telegram"], ["telegram", "email"]] (last one repeats)
+    escalate_to TEXT, -- 'admins', a Telegram user ID, or NULL
+    created_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ===================================================
+-- 9. AUDIT LOG TABLE (administrative actions, /audit and GET /audit)
+-- ===================================================
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    actor_id TEXT, -- Telegram user ID of the admin, NULL for the system
+    actor_name TEXT,
+    action TEXT NOT NULL, -- area.verb, e.g. user.approve, keyword.remove, bot.restart
+    target TEXT, -- user ID, keyword or group the action was about
+    before_value JSONB,
+    after_value JSONB,
+    details JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id ON audit_log(actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target);
+
+-- Append-only: updates and deletes are silently ignored
+CREATE OR REPLACE RULE audit_log_no_update AS ON UPDATE TO audit_log DO INSTEAD NOTHING;
+CREATE OR REPLACE RULE audit_log_no_delete AS ON DELETE TO audit_log DO INSTEAD NOTHING;
+
 -- ===================================================
 -- COMMENTS (Documentation)
 -- ===================================================
@@ -82,6 +158,10 @@ COMMENT ON TABLE global_keywords IS 'Global keywords for all users';
 COMMENT ON TABLE personal_keywords IS 'Personal keywords per user';
 COMMENT ON TABLE group_subscriptions IS 'User subscriptions to WhatsApp groups';
 COMMENT ON TABLE active_reminders IS 'Active reminder notifications';
+COMMENT ON TABLE keyword_exclusions IS 'Keyword/token pairs marked as false positives';
+COMMENT ON TABLE escalation_policies IS 'Named reminder schedules with per-step channels and a final escalation target';
+COMMENT ON TABLE message_history IS 'Archived monitored messages for /search (pruned after MESSAGE_HISTORY_RETENTION_DAYS)';
+COMMENT ON TABLE audit_log IS 'Append-only log of administrative actions with before/after values';
 
 -- ===================================================
 -- MIGRATION NOTES
@@ -91,4 +171,57 @@ COMMENT ON TABLE active_reminders IS 'Active reminder notifications';
 -- DROP TABLE IF EXISTS user_preferences;
 -- 
 -- But keep them as backup for now!
-
+--
+-- Per-keyword match types: rows created before 'auto' existed defaulted to 'exact', which the bot reads as 'auto'
+-- (the default exact → fuzzy matching); a chosen exact mode is stored as 'strict'. Optional tidy-up:
+-- ALTER TABLE global_keywords ALTER COLUMN match_type SET DEFAULT 'auto';
+-- UPDATE global_keywords SET match_type = 'auto' WHERE match_type = 'exact';
+--
+-- Per-group keyword scoping (personal keywords keep the scope inside their JSONB entries):
+-- ALTER TABLE global_keywords ADD COLUMN IF NOT EXISTS groups TEXT[] DEFAULT '{}';
+-- ALTER TABLE global_keywords ADD COLUMN IF NOT EXISTS exclude_groups TEXT[] DEFAULT '{}';
+--
+-- Realtime cache invalidation (only needed with SUPABASE_REALTIME=true):
+-- ALTER PUBLICATION supabase_realtime ADD TABLE personal_keywords, group_subscriptions, users;
+--
+-- Alert digests (/digest):
+-- ALTER TABLE users ADD COLUMN IF NOT EXISTS alert_delivery JSONB DEFAULT '{"mode": "immediate"}';
+--
+-- Quiet hours, /dnd and emergency keywords:
+-- ALTER TABLE users ADD COLUMN IF NOT EXISTS quiet_hours JSONB;
+-- ALTER TABLE global_keywords ADD COLUMN IF NOT EXISTS emergency BOOLEAN DEFAULT FALSE;
+--
+-- Keyword priority levels (replaces the emergency flag):
+-- ALTER TABLE global_keywords ADD COLUMN IF NOT EXISTS priority TEXT DEFAULT 'normal';
+-- UPDATE global_keywords SET priority = 'critical' WHERE emergency;
+-- ALTER TABLE reminders ADD COLUMN IF NOT EXISTS priority TEXT DEFAULT 'normal';
+--
+-- Escalation policies: create the escalation_policies table above, then:
+-- ALTER TABLE global_keywords ADD COLUMN IF NOT EXISTS escalation_policy TEXT;
+-- ALTER TABLE reminders ADD COLUMN IF NOT EXISTS policy TEXT;
+--
+-- Several active reminders per user (/ok <number>):
+-- ALTER TABLE reminders ADD COLUMN IF NOT EXISTS short_id INTEGER;
+--
+-- Snoozed reminders (/snooze):
+-- ALTER TABLE reminders ADD COLUMN IF NOT EXISTS snoozed_until TIMESTAMPTZ;
+--
+-- Acknowledgment reset periods (/ackreset, /blocked, /unblock):
+-- ALTER TABLE users ADD COLUMN IF NOT EXISTS ack_reset TEXT;
+-- ALTER TABLE reminders ADD COLUMN IF NOT EXISTS suppress_period TEXT;
+-- ALTER TABLE reminders ADD COLUMN IF NOT EXISTS suppressed_until TIMESTAMPTZ;
+--
+-- Bot language (/language):
+-- ALTER TABLE users ADD COLUMN IF NOT EXISTS language TEXT;
+--
+-- Roles (/setrole, /roles):
+-- ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT;
+--
+-- Audit log (/audit, GET /audit): create the audit_log table above.
+--
+-- Notification channels per keyword / priority (/channels) - the old '["telegram"]' default was never read:
+-- ALTER TABLE users ALTER COLUMN notification_channels DROP DEFAULT;
+-- UPDATE users SET notification_channels = NULL WHERE jsonb_typeof(notification_channels) <> 'object';
+--
+-- Slack / Discord webhooks (/chathook):
+-- ALTER TABLE users ADD COLUMN IF NOT EXISTS chat_webhooks JSONB;